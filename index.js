@@ -42,6 +42,9 @@ const SocketService = require('./src/services/socketService');
 // Import Cron service
 const cronService = require('./src/services/cronService');
 
+// Import Geo service (zip code coordinates for radius search)
+const geoService = require('./src/services/geoService');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -100,6 +103,11 @@ app.use((req, res, next) => {
 // Initialize Cron service
 cronService.init();
 
+// Fill in coordinates for vendors and listings saved before radius search existed
+geoService.backfillGeo().catch(error => {
+  console.error('Geo backfill failed:', error.message);
+});
+
 
 // API Routes
 app.use('/api', apiRoutes);
@@ -21,23 +21,33 @@ const emailConfig = {
   socketTimeout: 60000, // 60 seconds
 };
 
-// Debug: Log email configuration
-console.log('📧 Email Configuration:');
-console.log('  Host:', process.env.MAIL_SERVER);
-console.log('  Port:', process.env.MAIL_PORT);
-console.log('  SSL/TLS:', process.env.MAIL_SSL_TLS);
-console.log('  User:', process.env.EMAIL_USER);
-console.log('  Admin Email:', process.env.ADMIN_NOTIFICATION_EMAIL);
+// MAIL_TRANSPORT=json builds messages without sending them (tests, local development
+// without a mail server). It is the default when NODE_ENV=test.
+const transportType = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'json' : 'smtp');
 
-const transporter = nodemailer.createTransport(emailConfig);
+let transporter;
 
-// Verify connection configuration
-transporter.verify(function(error, success) {
-  if (error) {
-    console.error('❌ Email configuration error:', error);
-  } else {
-    console.log('✅ Email server is ready to send messages');
-  }
-});
+if (transportType === 'json') {
+  transporter = nodemailer.createTransport({ jsonTransport: true });
+} else {
+  // Debug: Log email configuration
+  console.log('📧 Email Configuration:');
+  console.log('  Host:', process.env.MAIL_SERVER);
+  console.log('  Port:', process.env.MAIL_PORT);
+  console.log('  SSL/TLS:', process.env.MAIL_SSL_TLS);
+  console.log('  User:', process.env.EMAIL_USER);
+  console.log('  Admin Email:', process.env.ADMIN_NOTIFICATION_EMAIL);
 
-module.exports = transporter; 
\ No newline at end of file
+  transporter = nodemailer.createTransport(emailConfig);
+
+  // Verify connection configuration
+  transporter.verify(function(error, success) {
+    if (error) {
+      console.error('❌ Email configuration error:', error);
+    } else {
+      console.log('✅ Email server is ready to send messages');
+    }
+  });
+}
+
+module.exports = transporter;
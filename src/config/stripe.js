@@ -0,0 +1,12 @@
+const Stripe = require('stripe');
+
+// Create a Stripe client from the account secret; throws when payments are not configured
+function getStripe() {
+    const secret = process.env.STRIPE_ACCOUNT_SECRET;
+    if (!secret) {
+        throw new Error('STRIPE_ACCOUNT_SECRET is not configured');
+    }
+    return new Stripe(secret);
+}
+
+module.exports = { getStripe };
@@ -10,10 +10,19 @@ const Notification = require('../models/Notification');
 const UserEvent = require('../models/UserEvent');
 const Todo = require('../models/Todo');
 const CheckoutSession = require('../models/CheckoutSession'); // Added for vendor deletion cascade
-const Message = require('../models/Message'); // Added for vendor deletion cascade
-const ViewCount = require('../models/ViewCount'); // Added for vendor deletion cascade
 const PromotionalEvent = require('../models/PromotionalEvent');
+const WebhookEvent = require('../models/WebhookEvent');
+const CommissionRate = require('../models/CommissionRate');
+const AuditLog = require('../models/AuditLog');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const payoutService = require('../services/payoutService');
+const geoService = require('../services/geoService');
+const cronService = require('../services/cronService');
+const softDeleteService = require('../services/softDeleteService');
+const halalCertificationService = require('../services/halalCertificationService');
+const loginSecurityService = require('../services/loginSecurityService');
 const { processAndUploadPromotionalEventImages, processAndUploadImages } = require('../services/fileUploadService');
+const { toCsv } = require('../utils/csv');
 
 const catchAsync = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
@@ -309,9 +318,25 @@ exports.listUsers = catchAsync(async (req, res) => {
 });
 
 exports.getUser = catchAsync(async (req, res) => {
-  const user = await User.findById(req.params.id).select('-password -passwordResetToken -passwordResetExpires -emailVerificationToken -emailVerificationExpires');
+  const user = await User.findById(req.params.id).select('-password -passwordResetToken -passwordResetExpires -emailVerificationToken -emailVerificationExpires +loginSecurity');
   if (!user) return res.status(404).json({ success: false, message: 'User not found' });
-  res.status(200).json({ success: true, data: { user } });
+
+  // Recent sign-in attempts, for spotting brute-force attempts and unfamiliar devices
+  const historyLimit = Math.min(parseInt(req.query.historyLimit) || 50, 200);
+  const loginHistory = await loginSecurityService.getLoginHistory(user._id, { limit: historyLimit });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      user,
+      loginSecurity: {
+        failedAttempts: user.loginSecurity?.failedAttempts || 0,
+        lockCount: user.loginSecurity?.lockCount || 0,
+        ...loginSecurityService.getLockStatus(user)
+      },
+      loginHistory
+    }
+  });
 });
 
 exports.getUserDeletionImpact = catchAsync(async (req, res) => {
@@ -319,93 +344,27 @@ exports.getUserDeletionImpact = catchAsync(async (req, res) => {
   if (!user) return res.status(404).json({ success: false, message: 'User not found' });
   if (user.role === 'admin') return res.status(400).json({ success: false, message: 'Cannot delete admin user' });
 
-  let impact = {
+  const impact = {
     user: {
       id: user._id,
       email: user.email,
       role: user.role
     },
-    willBeDeleted: {}
+    ...await softDeleteService.getDeletionImpact(user)
   };
 
-  if (user.role === 'vendor') {
-    const [
-      eventsCount,
-      bookingsCount,
-      reviewsCount,
-      checkoutSessionsCount,
-      notificationsCount,
-      messagesCount,
-      invoicesCount,
-      viewCountsCount
-    ] = await Promise.all([
-      Event.countDocuments({ vendor: user._id }),
-      Booking.countDocuments({ vendor: user._id }),
-      Review.countDocuments({ vendor: user._id }),
-      CheckoutSession.countDocuments({ vendorId: user._id }),
-      Notification.countDocuments({ $or: [{ recipient: user._id }, { sender: user._id }] }),
-      Message.countDocuments({ $or: [{ sender: user._id }, { recipient: user._id }] }),
-      Invoice.countDocuments({ vendor: user._id }),
-      ViewCount.countDocuments({ vendorId: user._id })
-    ]);
-
-    impact.willBeDeleted = {
-      events: eventsCount,
-      bookings: bookingsCount,
-      reviews: reviewsCount,
-      checkoutSessions: checkoutSessionsCount,
-      notifications: notificationsCount,
-      messages: messagesCount,
-      invoices: invoicesCount,
-      viewCounts: viewCountsCount
-    };
-
-    // Check for active bookings
-    const activeBookings = await Booking.countDocuments({ 
-      vendor: user._id, 
-      status: { $in: ['Pending', 'Confirmed'] } 
-    });
-    impact.activeBookings = activeBookings;
+  // Check for active bookings
+  impact.activeBookings = await Booking.countDocuments({
+    [user.role === 'vendor' ? 'vendor' : 'customer']: user._id,
+    status: { $in: ['Pending', 'Confirmed'] }
+  });
 
+  if (user.role === 'vendor') {
     // Check for pending payments
-    const pendingPayments = await CheckoutSession.countDocuments({ 
-      vendorId: user._id, 
-      status: 'pending' 
-    });
-    impact.pendingPayments = pendingPayments;
-
-  } else if (user.role === 'customer') {
-    const [
-      bookingsCount,
-      reviewsCount,
-      notificationsCount,
-      messagesCount,
-      userEventsCount,
-      todosCount
-    ] = await Promise.all([
-      Booking.countDocuments({ customer: user._id }),
-      Review.countDocuments({ customer: user._id }),
-      Notification.countDocuments({ $or: [{ recipient: user._id }, { sender: user._id }] }),
-      Message.countDocuments({ $or: [{ sender: user._id }, { recipient: user._id }] }),
-      UserEvent.countDocuments({ user: user._id }),
-      Todo.countDocuments({ user: user._id })
-    ]);
-
-    impact.willBeDeleted = {
-      bookings: bookingsCount,
-      reviews: reviewsCount,
-      notifications: notificationsCount,
-      messages: messagesCount,
-      userEvents: userEventsCount,
-      todos: todosCount
-    };
-
-    // Check for active bookings
-    const activeBookings = await Booking.countDocuments({ 
-      customer: user._id, 
-      status: { $in: ['Pending', 'Confirmed'] } 
+    impact.pendingPayments = await CheckoutSession.countDocuments({
+      'cartItems.vendorId': user._id,
+      status: 'pending'
     });
-    impact.activeBookings = activeBookings;
   }
 
   res.status(200).json({ success: true, data: { impact } });
@@ -454,172 +413,54 @@ exports.updateUserRole = catchAsync(async (req, res) => {
 });
 
 exports.deleteUser = catchAsync(async (req, res) => {
-  const adminUser = req.user;
-  // Admin action - User deletion request
-  
   const user = await User.findById(req.params.id);
   if (!user) {
-    // User not found
     return res.status(404).json({ success: false, message: 'User not found' });
   }
-  
-  // Target user identified
-  
+
   if (user.role === 'admin') {
-    // Cannot delete admin user
     return res.status(400).json({ success: false, message: 'Cannot delete admin user' });
   }
-  
-  // If deleting a vendor, we need to clean up related data
+
+  const ownerField = user.role === 'vendor' ? 'vendor' : 'customer';
+  const activeBookings = await Booking.countDocuments({
+    [ownerField]: user._id,
+    status: { $in: ['Pending', 'Confirmed'] }
+  });
+  if (activeBookings > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot delete ${user.role} with ${activeBookings} active bookings. Please cancel or complete all bookings first.`,
+      activeBookings
+    });
+  }
+
   if (user.role === 'vendor') {
-    try {
-      // Check for active bookings that might need special handling
-      const activeBookings = await Booking.find({ 
-        vendor: user._id, 
-        status: { $in: ['Pending', 'Confirmed'] } 
-      });
-      
-      if (activeBookings.length > 0) {
-        // Cannot delete vendor with active bookings
-        return res.status(400).json({ 
-          success: false, 
-          message: `Cannot delete vendor with ${activeBookings.length} active bookings. Please cancel or complete all bookings first.`,
-          activeBookings: activeBookings.length
-        });
-      }
-      
-      // Check for pending payments
-      const pendingPayments = await CheckoutSession.find({ 
-        vendorId: user._id, 
-        status: 'pending' 
-      });
-      
-      if (pendingPayments.length > 0) {
-        // Cannot delete vendor with pending payments
-        return res.status(400).json({ 
-          success: false, 
-          message: `Cannot delete vendor with ${pendingPayments.length} pending payments. Please resolve all payment issues first.`,
-          pendingPayments: pendingPayments.length
-        });
-      }
-      
-      // Cleaning up vendor data
-      
-      // Delete all events (listings) created by this vendor
-      await Event.deleteMany({ vendor: user._id });
-      
-      // Delete all bookings for this vendor
-      await Booking.deleteMany({ vendor: user._id });
-      
-      // Delete all reviews for this vendor
-      await Review.deleteMany({ vendor: user._id });
-      
-      // Delete all checkout sessions for this vendor
-      await CheckoutSession.deleteMany({ vendorId: user._id });
-      
-      // Delete all notifications for this vendor
-      await Notification.deleteMany({ 
-        $or: [
-          { recipient: user._id },
-          { sender: user._id }
-        ]
-      });
-      
-      // Delete all messages for this vendor
-      await Message.deleteMany({
-        $or: [
-          { sender: user._id },
-          { recipient: user._id }
-        ]
-      });
-      
-      // Delete all invoices for this vendor
-      await Invoice.deleteMany({ vendor: user._id });
-      
-      // Delete all view counts for this vendor
-      await ViewCount.deleteMany({ vendorId: user._id });
-      
-      // Cleaned up all related data for vendor
-    } catch (error) {
-      // Error cleaning up vendor data
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Failed to clean up vendor data. Please try again.' 
-      });
-    }
-  } else if (user.role === 'customer') {
-    try {
-      // Check for active bookings that might need special handling
-      const activeBookings = await Booking.find({ 
-        customer: user._id, 
-        status: { $in: ['Pending', 'Confirmed'] } 
-      });
-      
-      if (activeBookings.length > 0) {
-        // Cannot delete customer with active bookings
-        return res.status(400).json({ 
-          success: false, 
-          message: `Cannot delete customer with ${activeBookings.length} active bookings. Please cancel or complete all bookings first.`,
-          activeBookings: activeBookings.length
-        });
-      }
-      
-      // Cleaning up customer data
-      
-      // Delete all bookings for this customer
-      await Booking.deleteMany({ customer: user._id });
-      
-      // Delete all reviews by this customer
-      await Review.deleteMany({ customer: user._id });
-      
-      // Delete all notifications for this customer
-      await Notification.deleteMany({ 
-        $or: [
-          { recipient: user._id },
-          { sender: user._id }
-        ]
-      });
-      
-      // Delete all messages for this customer
-      await Message.deleteMany({
-        $or: [
-          { sender: user._id },
-          { recipient: user._id }
-        ]
-      });
-      
-      // Delete all user events (planner) for this customer
-      await UserEvent.deleteMany({ user: user._id });
-      
-      // Delete all todos for this customer
-      await Todo.deleteMany({ user: user._id });
-      
-      // Cleaned up all related data for customer
-    } catch (error) {
-      // Error cleaning up customer data
-      return res.status(500).json({ 
-        success: false, 
-        message: 'Failed to clean up customer data. Please try again.' 
+    const pendingPayments = await CheckoutSession.countDocuments({
+      'cartItems.vendorId': user._id,
+      status: 'pending'
+    });
+    if (pendingPayments > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete vendor with ${pendingPayments} pending payments. Please resolve all payment issues first.`,
+        pendingPayments
       });
     }
   }
-  
-  // Store user info for logging before deletion
-  const userInfo = {
-    id: user._id,
-    email: user.email,
-    role: user.role
-  };
-  
-  // Delete the user
-  await User.findByIdAndDelete(user._id);
-  
-  // User deleted successfully
-  
-  res.status(200).json({ 
-    success: true, 
-    message: `${user.role === 'vendor' ? 'Vendor' : 'User'} deleted successfully`,
-    deletedUser: userInfo
+
+  // The account and its records go to the trash; the purge removes or anonymizes them after the retention period
+  const trashed = await softDeleteService.deleteAccount(user, { deletedBy: req.user._id });
+
+  res.status(200).json({
+    success: true,
+    message: `${user.role === 'vendor' ? 'Vendor' : 'User'} moved to trash. It can be restored for ${softDeleteService.RETENTION_DAYS} days.`,
+    deletedUser: {
+      id: user._id,
+      email: user.email,
+      role: user.role
+    },
+    data: { trashed }
   });
 });
 
@@ -646,15 +487,77 @@ exports.updateVendorHalal = catchAsync(async (req, res) => {
   if (hasHalalCert !== undefined) cert.hasHalalCert = !!hasHalalCert;
   if (certificationFile !== undefined) cert.certificationFile = certificationFile;
   if (certificateNumber !== undefined) cert.certificateNumber = certificateNumber;
-  if (expiryDate !== undefined) cert.expiryDate = expiryDate ? new Date(expiryDate) : null;
+  if (expiryDate !== undefined) {
+    cert.expiryDate = expiryDate ? new Date(expiryDate) : null;
+    // A new expiry date starts a new round of renewal reminders
+    cert.renewalReminders = { thirtyDays: false, sevenDays: false, oneDayBefore: false };
+  }
   if (issuingAuthority !== undefined) cert.issuingAuthority = issuingAuthority;
   if (verifiedByAdmin !== undefined) cert.verifiedByAdmin = !!verifiedByAdmin;
-  if (status !== undefined) cert.status = status;
+  if (status !== undefined) {
+    cert.status = status;
+    // The badge stands for a current, verified certificate
+    if (status !== 'certified') user.vendorProfile.halalVerifiedBadge = false;
+  }
 
   await user.save();
   res.status(200).json({ success: true, message: 'Halal certification updated', data: { halalCertification: cert } });
 });
 
+// Certificates uploaded by vendors, oldest submission first (?status=pending|approved|rejected)
+exports.listHalalCertificationReviews = catchAsync(async (req, res) => {
+  const { status = 'pending' } = req.query;
+  if (!['pending', 'approved', 'rejected'].includes(status)) {
+    return res.status(400).json({ success: false, message: 'Invalid status. Must be pending, approved, or rejected.' });
+  }
+
+  const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limitNum = Math.min(100, parseInt(req.query.limit, 10) || 20);
+  const query = { role: 'vendor', 'vendorProfile.halalCertification.review.status': status };
+
+  const [vendors, total] = await Promise.all([
+    User.find(query)
+      .sort({ 'vendorProfile.halalCertification.submission.submittedAt': status === 'pending' ? 1 : -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum)
+      .select('email phoneNumber vendorProfile.businessName vendorProfile.ownerName vendorProfile.halalCertification vendorProfile.halalVerifiedBadge')
+      .populate('vendorProfile.halalCertification.review.reviewedBy', 'email')
+      .lean(),
+    User.countDocuments(query)
+  ]);
+
+  for (const vendor of vendors) {
+    vendor.vendorProfile.halalCertification = halalCertificationService.withDocumentUrls(vendor.vendorProfile.halalCertification);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      vendors,
+      pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+    }
+  });
+});
+
+exports.reviewHalalCertification = catchAsync(async (req, res) => {
+  const { decision, notes } = req.body;
+  const { vendor, error } = await halalCertificationService.reviewSubmission(req.params.id, {
+    decision,
+    notes,
+    reviewedBy: req.user._id
+  });
+  if (error) return res.status(error.statusCode).json({ success: false, message: error.message });
+
+  res.status(200).json({
+    success: true,
+    message: decision === 'approve' ? 'Halal certificate approved' : 'Halal certificate rejected',
+    data: {
+      halalCertification: halalCertificationService.withDocumentUrls(vendor.vendorProfile.halalCertification),
+      halalVerifiedBadge: vendor.vendorProfile.halalVerifiedBadge
+    }
+  });
+});
+
 // ---------- EVENTS (LISTINGS) ----------
 exports.listEvents = catchAsync(async (req, res) => {
   const { page = 1, limit = 20, vendorId, category, search } = req.query;
@@ -760,8 +663,8 @@ exports.updateEvent = catchAsync(async (req, res) => {
 exports.deleteEvent = catchAsync(async (req, res) => {
   const event = await Event.findById(req.params.id);
   if (!event) return res.status(404).json({ success: false, message: 'Event not found' });
-  await Event.findByIdAndDelete(event._id);
-  res.status(200).json({ success: true, message: 'Event deleted' });
+  await event.softDelete(req.user._id);
+  res.status(200).json({ success: true, message: 'Event moved to trash' });
 });
 
 // Feature/unfeature listing
@@ -831,8 +734,8 @@ exports.updateBookingStatus = catchAsync(async (req, res) => {
 exports.deleteBooking = catchAsync(async (req, res) => {
   const booking = await Booking.findById(req.params.id);
   if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
-  await Booking.findByIdAndDelete(booking._id);
-  res.status(200).json({ success: true, message: 'Booking deleted' });
+  await booking.softDelete(req.user._id);
+  res.status(200).json({ success: true, message: 'Booking moved to trash' });
 });
 
 // ---------- INVOICES ----------
@@ -880,8 +783,8 @@ exports.updateInvoiceStatus = catchAsync(async (req, res) => {
 exports.deleteInvoice = catchAsync(async (req, res) => {
   const invoice = await Invoice.findById(req.params.id);
   if (!invoice) return res.status(404).json({ success: false, message: 'Invoice not found' });
-  await Invoice.findByIdAndDelete(invoice._id);
-  res.status(200).json({ success: true, message: 'Invoice deleted' });
+  await invoice.softDelete(req.user._id);
+  res.status(200).json({ success: true, message: 'Invoice moved to trash' });
 });
 
 // ---------- USER EVENTS (PLANNER) ----------
@@ -958,8 +861,9 @@ exports.deleteTodo = catchAsync(async (req, res) => {
 });
 
 // ---------- REVIEWS ----------
+// status=flagged gives the moderation queue
 exports.listReviews = catchAsync(async (req, res) => {
-  const { page = 1, limit = 20, eventId, vendorId } = req.query;
+  const { page = 1, limit = 20, eventId, vendorId, status } = req.query;
   const pageNum = parseInt(page, 10);
   const limitNum = Math.min(100, parseInt(limit, 10));
   const skip = (pageNum - 1) * limitNum;
@@ -967,6 +871,7 @@ exports.listReviews = catchAsync(async (req, res) => {
   const query = {};
   if (eventId) query.event = new mongoose.Types.ObjectId(eventId);
   if (vendorId) query.vendor = new mongoose.Types.ObjectId(vendorId);
+  if (status) query.status = status;
 
   const [reviews, total] = await Promise.all([
     Review.find(query).sort({ createdAt: -1 }).skip(skip).limit(limitNum),
@@ -976,13 +881,31 @@ exports.listReviews = catchAsync(async (req, res) => {
   res.status(200).json({ success: true, data: { reviews, pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) } } });
 });
 
+// Flag, hide or restore a review; the reason is kept in the review's moderation history
+exports.moderateReview = catchAsync(async (req, res) => {
+  const { action, reason } = req.body;
+  if (!['flag', 'hide', 'restore'].includes(action)) {
+    return res.status(400).json({ success: false, message: 'action must be one of flag, hide, restore' });
+  }
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({ success: false, message: 'A reason is required' });
+  }
+
+  const review = await Review.findById(req.params.id);
+  if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
+
+  review.moderate(action, { by: req.user.id, reason });
+  await review.save();
+  res.status(200).json({ success: true, message: `Review ${review.status}`, data: { review } });
+});
+
+// Kept for existing clients: hides the review instead of deleting it
 exports.deleteReview = catchAsync(async (req, res) => {
   const review = await Review.findById(req.params.id);
   if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
-  await Review.findByIdAndDelete(review._id);
-  // Recalculate event aggregates
-  if (review.event) await Review.calcAverageRatings(review.event);
-  res.status(200).json({ success: true, message: 'Review deleted' });
+  review.moderate('hide', { by: req.user.id, reason: req.body?.reason || 'Removed by admin' });
+  await review.save();
+  res.status(200).json({ success: true, message: 'Review hidden', data: { review } });
 });
 
 // ---------- NEWSLETTER ----------
@@ -1393,6 +1316,317 @@ exports.togglePromotionalEventActive = catchAsync(async (req, res) => {
   });
 });
 
+// ---------- STRIPE WEBHOOK EVENTS ----------
+exports.listWebhookEvents = catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, status, type } = req.query;
+  const pageNum = parseInt(page, 10);
+  const limitNum = Math.min(100, parseInt(limit, 10));
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = {};
+  if (status) query.status = status;
+  if (type) query.type = type;
+
+  const [events, total] = await Promise.all([
+    WebhookEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .select('-payload'),
+    WebhookEvent.countDocuments(query),
+  ]);
+
+  res.status(200).json({ success: true, data: { events, pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) } } });
+});
+
+exports.getWebhookEvent = catchAsync(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id);
+  if (!event) return res.status(404).json({ success: false, message: 'Webhook event not found' });
+  res.status(200).json({ success: true, data: { event } });
+});
+
+exports.replayWebhookEvent = catchAsync(async (req, res) => {
+  const existing = await WebhookEvent.findById(req.params.id).select('status');
+  if (!existing) return res.status(404).json({ success: false, message: 'Webhook event not found' });
+
+  const event = await stripeWebhookService.replayEvent(req.params.id, req.user.id);
+  if (!event) {
+    return res.status(409).json({ success: false, message: `Only failed events can be replayed (current status: ${existing.status})` });
+  }
+
+  const replayed = event.status === 'processed';
+  res.status(replayed ? 200 : 500).json({
+    success: replayed,
+    message: replayed ? 'Webhook event replayed' : `Replay failed: ${event.lastError}`,
+    data: { event: { _id: event._id, eventId: event.eventId, type: event.type, status: event.status, attempts: event.attempts, lastError: event.lastError, processedAt: event.processedAt } }
+  });
+});
+
+// ---------- PAYOUTS & COMMISSION ----------
+exports.listPayouts = catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, status, vendorId, from, to } = req.query;
+  const pageNum = parseInt(page, 10);
+  const limitNum = Math.min(100, parseInt(limit, 10));
+  const skip = (pageNum - 1) * limitNum;
+
+  if (vendorId && !mongoose.isValidObjectId(vendorId)) {
+    return res.status(400).json({ success: false, message: 'Invalid vendorId' });
+  }
+
+  const query = { 'payout.transfers.0': { $exists: true } };
+  if (status) query['payout.status'] = status;
+  if (vendorId) query.vendor = new mongoose.Types.ObjectId(vendorId);
+  if (from || to) {
+    query.bookingDate = {};
+    if (from) query.bookingDate.$gte = new Date(from);
+    if (to) query.bookingDate.$lte = new Date(to);
+  }
+
+  const [bookings, total, byVendor] = await Promise.all([
+    Booking.find(query)
+      .sort({ bookingDate: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .select('vendor customer event eventDate status bookingDate eventSnapshot payout'),
+    Booking.countDocuments(query),
+    Booking.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: '$vendor',
+          bookings: { $sum: 1 },
+          grossAmount: { $sum: '$payout.grossAmount' },
+          feeAmount: { $sum: '$payout.feeAmount' },
+          netAmount: { $sum: '$payout.netAmount' },
+          transferredAmount: { $sum: '$payout.transferredAmount' },
+          reversedAmount: { $sum: '$payout.reversedAmount' }
+        }
+      },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'vendor' } },
+      { $unwind: { path: '$vendor', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          vendorId: '$_id',
+          _id: 0,
+          businessName: '$vendor.vendorProfile.businessName',
+          payoutsEnabled: '$vendor.vendorProfile.stripeConnect.payoutsEnabled',
+          bookings: 1,
+          grossAmount: 1,
+          feeAmount: 1,
+          netAmount: 1,
+          transferredAmount: 1,
+          reversedAmount: 1
+        }
+      },
+      { $sort: { grossAmount: -1 } }
+    ]),
+  ]);
+
+  const totals = byVendor.reduce((sum, v) => ({
+    grossAmount: sum.grossAmount + v.grossAmount,
+    feeAmount: sum.feeAmount + v.feeAmount,
+    netAmount: sum.netAmount + v.netAmount,
+    transferredAmount: sum.transferredAmount + v.transferredAmount,
+    reversedAmount: sum.reversedAmount + v.reversedAmount
+  }), { grossAmount: 0, feeAmount: 0, netAmount: 0, transferredAmount: 0, reversedAmount: 0 });
+
+  res.status(200).json({ success: true, data: { payouts: bookings, byVendor, totals, pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) } } });
+});
+
+exports.retryPayout = catchAsync(async (req, res) => {
+  const booking = await Booking.findById(req.params.bookingId);
+  if (!booking) return res.status(404).json({ success: false, message: 'Booking not found' });
+  const payout = await payoutService.syncPayout(booking);
+  res.status(200).json({ success: true, message: `Payout status: ${payout.status}`, data: { payout } });
+});
+
+exports.listCommissionRates = catchAsync(async (req, res) => {
+  const rates = await CommissionRate.find().sort({ category: 1 });
+  const hasDefault = rates.some(r => r.category === 'default');
+  res.status(200).json({
+    success: true,
+    data: {
+      rates,
+      defaultPercentage: hasDefault ? rates.find(r => r.category === 'default').percentage : payoutService.DEFAULT_COMMISSION_PERCENT
+    }
+  });
+});
+
+exports.updateCommissionRate = catchAsync(async (req, res) => {
+  const { percentage } = req.body;
+  if (percentage === undefined || isNaN(percentage) || percentage < 0 || percentage > 100) {
+    return res.status(400).json({ success: false, message: 'percentage must be a number between 0 and 100' });
+  }
+  const rate = await CommissionRate.findOneAndUpdate(
+    { category: req.params.category },
+    { percentage: Number(percentage), updatedBy: req.user.id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  res.status(200).json({ success: true, message: 'Commission rate updated', data: { rate } });
+});
+
+exports.deleteCommissionRate = catchAsync(async (req, res) => {
+  const rate = await CommissionRate.findOneAndDelete({ category: req.params.category });
+  if (!rate) return res.status(404).json({ success: false, message: 'Commission rate not found' });
+  res.status(200).json({ success: true, message: 'Commission rate removed' });
+});
+
+// ---------- GEO ----------
+exports.backfillGeo = catchAsync(async (req, res) => {
+  const result = await geoService.backfillGeo();
+  res.status(200).json({ success: true, message: 'Geo coordinates backfilled', data: result });
+});
+
+// ---------- CRON JOBS ----------
+// Scheduled jobs that can be run on demand, by the name they are registered under in cronService
+const CRON_TRIGGERS = {
+  viewCountAggregation: () => cronService.triggerViewCountAggregation(),
+  balancePaymentRequests: () => cronService.triggerBalancePaymentRequests(),
+  todoReminders: () => cronService.triggerTodoReminders(),
+  todoDigests: () => cronService.triggerTodoDigests(),
+  ticketReservationCleanup: () => cronService.triggerTicketReservationCleanup(),
+  softDeletePurge: () => cronService.triggerSoftDeletePurge(),
+  dataExportCleanup: () => cronService.triggerDataExportCleanup(),
+  halalCertificationExpiry: () => cronService.triggerHalalCertificationExpiry()
+};
+
+exports.getCronStatus = catchAsync(async (req, res) => {
+  res.status(200).json({ success: true, data: { jobs: cronService.getStatus() } });
+});
+
+exports.runCronJob = catchAsync(async (req, res) => {
+  const trigger = Object.prototype.hasOwnProperty.call(CRON_TRIGGERS, req.params.job) ? CRON_TRIGGERS[req.params.job] : null;
+  if (!trigger) return res.status(404).json({ success: false, message: 'Cron job not found' });
+
+  const result = await trigger();
+  res.status(200).json({
+    success: result?.success !== false,
+    message: result?.success === false ? 'Cron job failed' : 'Cron job completed',
+    data: { job: req.params.job, result, jobs: cronService.getStatus() }
+  });
+});
+
+// ---------- TRASH ----------
+// Soft-deleted users, listings, bookings, reviews and invoices (:model is users|events|bookings|reviews|invoices)
+const findTrashModel = (req, res) => {
+  if (!Object.prototype.hasOwnProperty.call(softDeleteService.TRASH_MODELS, req.params.model)) {
+    res.status(404).json({ success: false, message: `Unknown trash: ${req.params.model}` });
+    return null;
+  }
+  return req.params.model;
+};
+
+exports.listTrash = catchAsync(async (req, res) => {
+  const model = findTrashModel(req, res);
+  if (!model) return;
+
+  const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limitNum = Math.min(100, parseInt(req.query.limit, 10) || 20);
+  const { items, total } = await softDeleteService.listTrash(model, { page: pageNum, limit: limitNum });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      items,
+      retentionDays: softDeleteService.RETENTION_DAYS,
+      pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+    }
+  });
+});
+
+exports.restoreFromTrash = catchAsync(async (req, res) => {
+  const model = findTrashModel(req, res);
+  if (!model) return;
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Nothing to restore: the record is not in the trash' });
+  }
+
+  const { item, restored, error } = await softDeleteService.restoreFromTrash(model, req.params.id);
+  if (error) return res.status(error.statusCode).json({ success: false, message: error.message });
+
+  res.status(200).json({ success: true, message: 'Restored from trash', data: { id: item._id, restored } });
+});
+
+// ---------- AUDIT LOG ----------
+// Most entries one CSV export returns
+const AUDIT_EXPORT_LIMIT = 10000;
+
+const AUDIT_CSV_HEADERS = [
+  'Timestamp', 'Admin ID', 'Admin Email', 'Action', 'Method', 'Path', 'Status Code', 'Success',
+  'Target Model', 'Target ID', 'Changes', 'IP', 'User Agent'
+];
+
+const formatAuditChanges = changes => (changes || [])
+  .map(change => `${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+  .join('; ');
+
+// Filters: admin (id or email), action, targetModel, targetId, success, from/to (dates, inclusive)
+const buildAuditQuery = ({ admin, action, targetModel, targetId, success, from, to }) => {
+  const query = {};
+  if (admin) {
+    if (mongoose.Types.ObjectId.isValid(admin)) query.admin = admin;
+    else query.adminEmail = String(admin).toLowerCase();
+  }
+  if (action) query.action = action;
+  if (targetModel) query['target.model'] = targetModel;
+  if (targetId) query['target.id'] = String(targetId);
+  if (success === 'true' || success === 'false') query.success = success === 'true';
+
+  const createdAt = {};
+  if (from && !isNaN(Date.parse(from))) createdAt.$gte = new Date(from);
+  if (to && !isNaN(Date.parse(to))) {
+    const end = new Date(to);
+    // A bare date covers that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+    createdAt.$lte = end;
+  }
+  if (Object.keys(createdAt).length) query.createdAt = createdAt;
+  return query;
+};
+
+exports.listAuditLog = catchAsync(async (req, res) => {
+  const { page = 1, limit = 50, format } = req.query;
+  const query = buildAuditQuery(req.query);
+
+  if (format === 'csv') {
+    const entries = await AuditLog.find(query).sort({ createdAt: -1 }).limit(AUDIT_EXPORT_LIMIT).lean();
+    const csv = toCsv(AUDIT_CSV_HEADERS, entries.map(entry => [
+      entry.createdAt,
+      entry.admin,
+      entry.adminEmail,
+      entry.action,
+      entry.method,
+      entry.path,
+      entry.statusCode,
+      entry.success,
+      entry.target?.model,
+      entry.target?.id,
+      formatAuditChanges(entry.changes),
+      entry.ip,
+      entry.userAgent
+    ]));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.status(200).send(csv);
+  }
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, parseInt(limit, 10) || 50);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .populate('admin', 'email'),
+    AuditLog.countDocuments(query),
+  ]);
+
+  res.status(200).json({ success: true, data: { entries, pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) } } });
+});
+
 module.exports = {
   getOverview: exports.getOverview,
   listUsers: exports.listUsers,
@@ -1404,6 +1638,8 @@ module.exports = {
   deleteUser: exports.deleteUser,
   updateVendorFlags: exports.updateVendorFlags,
   updateVendorHalal: exports.updateVendorHalal,
+  listHalalCertificationReviews: exports.listHalalCertificationReviews,
+  reviewHalalCertification: exports.reviewHalalCertification,
   listVendorsForSelection: exports.listVendorsForSelection,
   listVendorsForVerification: exports.listVendorsForVerification,
   updateVendorVerification: exports.updateVendorVerification,
@@ -1430,6 +1666,7 @@ module.exports = {
   updateTodo: exports.updateTodo,
   deleteTodo: exports.deleteTodo,
   listReviews: exports.listReviews,
+  moderateReview: exports.moderateReview,
   deleteReview: exports.deleteReview,
   listNewsletter: exports.listNewsletter,
   updateNewsletter: exports.updateNewsletter,
@@ -1447,6 +1684,25 @@ module.exports = {
   deletePromotionalEvent: exports.deletePromotionalEvent,
   togglePromotionalEventFeatured: exports.togglePromotionalEventFeatured,
   togglePromotionalEventActive: exports.togglePromotionalEventActive,
+  // Stripe webhook events
+  listWebhookEvents: exports.listWebhookEvents,
+  getWebhookEvent: exports.getWebhookEvent,
+  replayWebhookEvent: exports.replayWebhookEvent,
+  // Payouts & commission
+  listPayouts: exports.listPayouts,
+  retryPayout: exports.retryPayout,
+  listCommissionRates: exports.listCommissionRates,
+  updateCommissionRate: exports.updateCommissionRate,
+  deleteCommissionRate: exports.deleteCommissionRate,
+  // Geo
+  backfillGeo: exports.backfillGeo,
+  getCronStatus: exports.getCronStatus,
+  runCronJob: exports.runCronJob,
+  // Audit log
+  listAuditLog: exports.listAuditLog,
+  // Trash
+  listTrash: exports.listTrash,
+  restoreFromTrash: exports.restoreFromTrash,
 };
 
 
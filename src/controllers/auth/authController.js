@@ -1,15 +1,10 @@
 const User = require('../../models/User');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const EmailService = require('../../services/emailService');
-
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
-};
+const twoFactorService = require('../../services/twoFactorService');
+const sessionService = require('../../services/sessionService');
+const loginSecurityService = require('../../services/loginSecurityService');
 
 // Helper function to generate verification token
 const generateVerificationToken = () => {
@@ -258,17 +253,27 @@ const login = async (req, res) => {
     const { email, password } = req.body;
 
     // Find user by email and include password for comparison
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select('+password +loginSecurity');
     
     if (!user) {
+      await loginSecurityService.recordFailedLogin({ email, req, reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
+    // Locked accounts are refused before the password is even checked
+    const lockStatus = loginSecurityService.getLockStatus(user);
+    if (lockStatus.locked) {
+      await loginSecurityService.recordFailedLogin({ user, req, reason: 'account_locked' });
+      return sendAccountLocked(res, lockStatus.lockedUntil);
+    }
+
     // Check if email is verified - strict check
     if (!user.emailVerified) {
+      await loginSecurityService.recordFailedLogin({ user, req, reason: 'email_unverified' });
+
       // Generate new verification token if the old one is expired
       const { token, hashedToken } = generateVerificationToken();
       user.emailVerificationToken = hashedToken;
@@ -287,6 +292,7 @@ const login = async (req, res) => {
 
     // Check if account is active
     if (!user.isActive) {
+      await loginSecurityService.recordFailedLogin({ user, req, reason: 'account_inactive' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated. Please contact support.'
@@ -296,44 +302,41 @@ const login = async (req, res) => {
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      const failure = await loginSecurityService.recordFailedLogin({ user, req, reason: 'invalid_password' });
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.lockedUntil);
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Second step: a TOTP or recovery code is needed before a session token is issued
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish logging in',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: twoFactorService.createChallengeToken(user._id, 'login')
+        }
+      });
+    }
 
-    // Remove sensitive information from response
-    const userResponse = user.toObject();
-    delete userResponse.password;
-    delete userResponse.emailVerificationToken;
-    delete userResponse.emailVerificationExpires;
-    delete userResponse.passwordResetToken;
-    delete userResponse.passwordResetExpires;
-    
-    // Remove unwanted profile based on role and add profileCompleted flag
-    if (user.role === 'customer') {
-      delete userResponse.vendorProfile;
-      userResponse.profileCompleted = userResponse.customerProfile.profileCompleted;
-    } else if (user.role === 'vendor') {
-      delete userResponse.customerProfile;
-      userResponse.profileCompleted = userResponse.vendorProfile.profileCompleted;
+    // Accounts that must use 2FA enroll before they get a session
+    if (twoFactorService.isRequiredFor(user)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication is required for this account. Please set it up to continue.',
+        data: {
+          twoFactorSetupRequired: true,
+          setupToken: twoFactorService.createChallengeToken(user._id, 'setup')
+        }
+      });
     }
 
-    res.status(200).json({
-      success: true,
-      message: `${user.role.charAt(0).toUpperCase() + user.role.slice(1)} logged in successfully`,
-      data: {
-        user: userResponse,
-        token
-      }
-    });
+    await sendLoginSuccess(req, res, user);
 
   } catch (error) {
     // Login error
@@ -345,6 +348,63 @@ const login = async (req, res) => {
   }
 };
 
+// Too many failed attempts; the client can show when to try again
+const sendAccountLocked = (res, lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    data: {
+      lockedUntil
+    }
+  });
+};
+
+// Record the login, start a device session and respond with its tokens and the user profile
+const sendLoginSuccess = async (req, res, user, extraData = {}) => {
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Reset failed attempts, add to the login history and flag new devices
+  await loginSecurityService.recordSuccessfulLogin(user, req);
+
+  // Short-lived access token plus a refresh token for this device
+  const { token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+
+  // Remove sensitive information from response
+  const userResponse = user.toObject();
+  delete userResponse.password;
+  delete userResponse.emailVerificationToken;
+  delete userResponse.emailVerificationExpires;
+  delete userResponse.passwordResetToken;
+  delete userResponse.passwordResetExpires;
+  delete userResponse.twoFactor;
+  delete userResponse.loginSecurity;
+  
+  // Remove unwanted profile based on role and add profileCompleted flag
+  if (user.role === 'customer') {
+    delete userResponse.vendorProfile;
+    userResponse.profileCompleted = userResponse.customerProfile.profileCompleted;
+  } else if (user.role === 'vendor') {
+    delete userResponse.customerProfile;
+    userResponse.profileCompleted = userResponse.vendorProfile.profileCompleted;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${user.role.charAt(0).toUpperCase() + user.role.slice(1)} logged in successfully`,
+    data: {
+      user: userResponse,
+      token,
+      refreshToken,
+      expiresIn,
+      ...extraData
+    }
+  });
+};
+
 // @desc    Request password reset
 // @route   POST /api/auth/forgot-password
 // @access  Public
@@ -485,6 +545,9 @@ const resetPassword = async (req, res) => {
     user.passwordResetExpires = undefined;
     await user.save();
 
+    // Sign out every device; whoever had the old password may still be signed in
+    await sessionService.revokeAllSessions(user._id, 'password_change');
+
     // Send confirmation email
     await EmailService.sendPasswordResetConfirmation(user.email);
 
@@ -534,8 +597,8 @@ const verifyEmail = async (req, res) => {
     
     // Email verification completed
 
-    // Generate JWT token for auto-login
-    const authToken = generateToken(user._id);
+    // Start a session for auto-login
+    const { token: authToken, refreshToken, expiresIn } = await sessionService.createSession(user, req);
 
     // Send success email
     await EmailService.sendVerificationSuccessEmail(user.email);
@@ -563,7 +626,9 @@ const verifyEmail = async (req, res) => {
       message: 'Email verified successfully. You are now logged in.',
       data: {
         user: userResponse,
-        token: authToken
+        token: authToken,
+        refreshToken,
+        expiresIn
       }
     };
 
@@ -680,6 +745,9 @@ const changePassword = async (req, res) => {
     user.passwordChangedAt = Date.now();
     await user.save();
 
+    // Sign out the other devices; this one stays signed in
+    await sessionService.revokeAllSessions(user._id, 'password_change', { exceptSessionId: req.sessionId });
+
     res.status(200).json({
       success: true,
       message: 'Password changed successfully'
@@ -702,5 +770,7 @@ module.exports = {
   resetPassword,
   verifyEmail,
   resendVerificationEmail,
-  changePassword
+  changePassword,
+  sendLoginSuccess,
+  sendAccountLocked
 }; 
\ No newline at end of file
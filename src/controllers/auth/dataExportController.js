@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const DataExport = require('../../models/DataExport');
+const dataExportService = require('../../services/dataExportService');
+
+const serializeExport = dataExport => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  fileName: dataExport.fileName,
+  size: dataExport.size,
+  counts: dataExport.counts,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  downloadedAt: dataExport.downloadedAt,
+  error: dataExport.status === 'failed' ? 'The export could not be prepared. Please request a new one.' : undefined
+});
+
+// @desc    Request a copy of the current user's personal data; a download link is emailed when it is ready
+// @route   POST /api/auth/data-export
+// @access  Private
+const requestDataExport = async (req, res) => {
+  try {
+    const { dataExport, error } = await dataExportService.requestExport(req.user);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        data: error.dataExport ? { dataExport: serializeExport(error.dataExport) } : undefined
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: "We're preparing your data. We'll email you a download link when it's ready.",
+      data: {
+        dataExport: serializeExport(dataExport)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request data export'
+    });
+  }
+};
+
+// @desc    List the current user's recent data exports
+// @route   GET /api/auth/data-export
+// @access  Private
+const listDataExports = async (req, res) => {
+  try {
+    const exports = await DataExport.find({ user: req.user._id }).sort({ createdAt: -1 }).limit(10);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        exports: exports.map(serializeExport)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch data exports'
+    });
+  }
+};
+
+// @desc    Poll the status of one data export
+// @route   GET /api/auth/data-export/:id
+// @access  Private
+const getDataExport = async (req, res) => {
+  try {
+    const dataExport = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await DataExport.findOne({ _id: req.params.id, user: req.user._id })
+      : null;
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Data export not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        dataExport: serializeExport(dataExport)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch data export'
+    });
+  }
+};
+
+// @desc    Download a ready data export with the token from the emailed link
+// @route   GET /api/auth/data-export/:id/download?token=
+// @access  Public (requires the download token)
+const downloadDataExport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Download link is invalid'
+      });
+    }
+
+    const { dataExport, stream, error } = await dataExportService.openDownload(req.params.id, req.query.token);
+    if (error) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    stream.on('error', () => {
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to download data export'
+        });
+      } else {
+        res.destroy();
+      }
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${dataExport.fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+    if (dataExport.size) res.set('Content-Length', String(dataExport.size));
+    stream.pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to download data export'
+    });
+  }
+};
+
+module.exports = {
+  requestDataExport,
+  listDataExports,
+  getDataExport,
+  downloadDataExport
+};
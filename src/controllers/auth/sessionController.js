@@ -0,0 +1,143 @@
+const sessionService = require('../../services/sessionService');
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (requires a refresh token)
+const refreshSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await sessionService.rotateSession(refreshToken, req);
+
+    if (result.error === 'reused') {
+      return res.status(401).json({
+        success: false,
+        code: 'REFRESH_TOKEN_REUSED',
+        message: 'This refresh token has already been used. The session has been signed out for your security. Please log in again.'
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has expired. Please log in again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session'
+    });
+  }
+};
+
+// @desc    Sign out the current device
+// @route   POST /api/auth/logout
+// @access  Private
+const logout = async (req, res) => {
+  try {
+    if (req.sessionId) {
+      await sessionService.revokeSession(req.user._id, req.sessionId, 'logout');
+
+      const socketService = req.app.get('socketService');
+      if (socketService) {
+        socketService.disconnectSession(req.sessionId);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out'
+    });
+  }
+};
+
+// @desc    List the devices signed in to the current account
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          lastSeenAt: session.lastSeenAt,
+          createdAt: session.createdAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+};
+
+// @desc    Sign out one of the current account's devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = async (req, res) => {
+  try {
+    const reason = req.params.id === req.sessionId ? 'logout' : 'remote_logout';
+    const revoked = await sessionService.revokeSession(req.user._id, req.params.id, reason);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    // Drop any live socket connections opened with that session
+    const socketService = req.app.get('socketService');
+    if (socketService) {
+      socketService.disconnectSession(req.params.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device'
+    });
+  }
+};
+
+module.exports = {
+  refreshSession,
+  logout,
+  getSessions,
+  deleteSession
+};
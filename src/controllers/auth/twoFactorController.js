@@ -0,0 +1,306 @@
+const User = require('../../models/User');
+const twoFactorService = require('../../services/twoFactorService');
+const loginSecurityService = require('../../services/loginSecurityService');
+const { sendLoginSuccess, sendAccountLocked } = require('./authController');
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Check a TOTP code, or failing that a one-time recovery code (which is then used up).
+// Updates the user in memory; the caller saves it.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code && user.twoFactor?.secret) {
+    const step = twoFactorService.verifyCode(
+      twoFactorService.decryptSecret(user.twoFactor.secret),
+      code,
+      { lastUsedStep: user.twoFactor.lastUsedStep ?? -1 }
+    );
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      return { valid: true, usedRecoveryCode: false };
+    }
+  }
+
+  if (recoveryCode) {
+    const index = twoFactorService.findRecoveryCode(user.twoFactor?.recoveryCodes, recoveryCode);
+    if (index !== -1) {
+      user.twoFactor.recoveryCodes.splice(index, 1);
+      return { valid: true, usedRecoveryCode: true };
+    }
+  }
+
+  return { valid: false };
+};
+
+// @desc    Get the current user's two-factor status
+// @route   GET /api/auth/2fa/status
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        required: twoFactorService.isRequiredFor(user),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor status'
+    });
+  }
+};
+
+// @desc    Start enrollment: create a secret and the otpauth URI for an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private (session token or 2FA setup token)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = twoFactorService.generateSecret();
+    user.twoFactor.pendingSecret = twoFactorService.encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: twoFactorService.buildOtpauthUri({ secret, accountName: user.email })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (session token or 2FA setup token)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = twoFactorService.verifyCode(twoFactorService.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactorEnabled = true;
+
+    // Enrolling during a required-2FA login finishes that login
+    if (req.twoFactorSetup) {
+      return await sendLoginSuccess(req, res, user, { recoveryCodes: codes });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+// @desc    Finish a login with a TOTP code or a recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires the challenge token from /login)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = twoFactorService.verifyChallengeToken(challengeToken, 'login');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login session has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select(`${TWO_FACTOR_FIELDS} +loginSecurity`);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login session has expired. Please log in again.'
+      });
+    }
+
+    // Guessed codes count towards the same lockout as guessed passwords
+    const lockStatus = loginSecurityService.getLockStatus(user);
+    if (lockStatus.locked) {
+      await loginSecurityService.recordFailedLogin({ user, req, reason: 'account_locked' });
+      return sendAccountLocked(res, lockStatus.lockedUntil);
+    }
+
+    const result = checkSecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      const failure = await loginSecurityService.recordFailedLogin({ user, req, reason: 'invalid_2fa' });
+      if (failure.locked) {
+        return sendAccountLocked(res, failure.lockedUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await sendLoginSuccess(req, res, user, result.usedRecoveryCode
+      ? { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }
+      : {});
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during login'
+    });
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (twoFactorService.isRequiredFor(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account and cannot be turned off'
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Social login accounts have no password; the second factor alone confirms them
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Incorrect password'
+      });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode }).valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactor = { enabledAt: undefined };
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace all recovery codes with a new set
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!checkSecondFactor(user, { code }).valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const { codes, hashes } = twoFactorService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      data: {
+        recoveryCodes: codes
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const VendorAvailability = require('../models/VendorAvailability');
+const availabilityService = require('../services/availabilityService');
+
+const catchAsync = fn => {
+  return (req, res, next) => {
+    fn(req, res, next).catch(next);
+  };
+};
+
+// Make sure every listing referenced in a request belongs to the vendor
+const assertOwnListings = async (vendorId, eventIds) => {
+  const ids = [...new Set(eventIds.filter(Boolean).map(id => id.toString()))];
+  if (!ids.length) return true;
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) return false;
+  const owned = await Event.countDocuments({ _id: { $in: ids }, vendor: vendorId });
+  return owned === ids.length;
+};
+
+// @desc    Get the availability calendar of a listing for a month
+// @route   GET /api/events/:id/availability?month=YYYY-MM
+// @access  Public
+exports.getEventAvailability = catchAsync(async (req, res) => {
+  const { id: idOrSlug } = req.params;
+
+  // Handle both ObjectId and slug for event lookup
+  const isValidObjectId = mongoose.Types.ObjectId.isValid(idOrSlug) && /^[0-9a-fA-F]{24}$/.test(idOrSlug);
+  const event = isValidObjectId
+    ? await Event.findById(idOrSlug).select('vendor name')
+    : await Event.findOne({ slug: idOrSlug }).select('vendor name');
+
+  if (!event) {
+    return res.status(404).json({ success: false, message: 'Event not found.' });
+  }
+
+  const calendar = await availabilityService.getMonthAvailability(event, req.query.month);
+  if (!calendar) {
+    return res.status(400).json({ success: false, message: 'month must be in YYYY-MM format.' });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      eventId: event._id,
+      ...calendar
+    }
+  });
+});
+
+// @desc    Get the logged-in vendor's availability settings
+// @route   GET /api/vendor/availability
+// @access  Private (Vendors only)
+exports.getMyAvailability = catchAsync(async (req, res) => {
+  const availability = await VendorAvailability.getForVendor(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      availability
+    }
+  });
+});
+
+// @desc    Update working hours and booking capacity
+// @route   PUT /api/vendor/availability
+// @access  Private (Vendors only)
+exports.updateMyAvailability = catchAsync(async (req, res) => {
+  const { workingHours, maxBookingsPerDay, listingCapacity } = req.body;
+  const availability = await VendorAvailability.getForVendor(req.user.id);
+
+  if (workingHours !== undefined) {
+    if (!Array.isArray(workingHours)) {
+      return res.status(400).json({ success: false, message: 'workingHours must be an array.' });
+    }
+    const days = workingHours.map(h => h.dayOfWeek);
+    if (new Set(days).size !== days.length) {
+      return res.status(400).json({ success: false, message: 'workingHours can contain each dayOfWeek only once.' });
+    }
+    for (const hours of workingHours) {
+      if (hours.isOpen === false) continue;
+      const opens = availabilityService.timeToMinutes(hours.openTime || '09:00 AM');
+      const closes = availabilityService.timeToMinutes(hours.closeTime || '11:00 PM');
+      if (opens === null || closes === null || opens >= closes) {
+        return res.status(400).json({ success: false, message: `Invalid opening hours for day ${hours.dayOfWeek}.` });
+      }
+    }
+    availability.workingHours = workingHours;
+  }
+
+  if (maxBookingsPerDay !== undefined) {
+    availability.maxBookingsPerDay = maxBookingsPerDay;
+  }
+
+  if (listingCapacity !== undefined) {
+    if (!Array.isArray(listingCapacity)) {
+      return res.status(400).json({ success: false, message: 'listingCapacity must be an array.' });
+    }
+    const ownsListings = await assertOwnListings(req.user.id, listingCapacity.map(c => c.event));
+    if (!ownsListings) {
+      return res.status(403).json({ success: false, message: 'You can only set capacity for your own listings.' });
+    }
+    availability.listingCapacity = listingCapacity;
+  }
+
+  try {
+    await availability.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Availability updated successfully.',
+    data: {
+      availability
+    }
+  });
+});
+
+// @desc    Block a date or date range (optionally for one listing only)
+// @route   POST /api/vendor/availability/blocked-dates
+// @access  Private (Vendors only)
+exports.addBlockedDate = catchAsync(async (req, res) => {
+  const { startDate, endDate, eventId, reason } = req.body;
+
+  const start = availabilityService.startOfDayUTC(startDate);
+  const end = availabilityService.startOfDayUTC(endDate || startDate);
+  if (!startDate || !start || !end) {
+    return res.status(400).json({ success: false, message: 'Please provide a valid startDate (and optional endDate).' });
+  }
+  if (end < start) {
+    return res.status(400).json({ success: false, message: 'endDate cannot be before startDate.' });
+  }
+
+  if (eventId) {
+    const ownsListing = await assertOwnListings(req.user.id, [eventId]);
+    if (!ownsListing) {
+      return res.status(403).json({ success: false, message: 'You can only block dates for your own listings.' });
+    }
+  }
+
+  const availability = await VendorAvailability.getForVendor(req.user.id);
+  availability.blockedDates.push({
+    startDate: start,
+    endDate: end,
+    event: eventId || null,
+    reason
+  });
+  await availability.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Dates blocked successfully.',
+    data: {
+      blockedDate: availability.blockedDates[availability.blockedDates.length - 1],
+      availability
+    }
+  });
+});
+
+// @desc    Remove a blocked date range
+// @route   DELETE /api/vendor/availability/blocked-dates/:blockId
+// @access  Private (Vendors only)
+exports.removeBlockedDate = catchAsync(async (req, res) => {
+  const availability = await VendorAvailability.findOne({ vendor: req.user.id });
+  const block = availability && availability.blockedDates.id(req.params.blockId);
+
+  if (!block) {
+    return res.status(404).json({ success: false, message: 'Blocked date not found.' });
+  }
+
+  availability.blockedDates.pull(block._id);
+  await availability.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Blocked date removed successfully.',
+    data: {
+      availability
+    }
+  });
+});
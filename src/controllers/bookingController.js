@@ -1,7 +1,12 @@
 const Booking = require('../models/Booking');
 const User = require('../models/User');
 const Event = require('../models/Event');
+const UserEvent = require('../models/UserEvent');
 const mongoose = require('mongoose');
+const { checkAvailability } = require('../services/availabilityService');
+const paymentScheduleService = require('../services/paymentScheduleService');
+const cancellationService = require('../services/cancellationService');
+const guestService = require('../services/guestService');
 
 const catchAsync = fn => {
     return (req, res, next) => {
@@ -9,6 +14,30 @@ const catchAsync = fn => {
     };
 };
 
+// Convert 24-hour time format to 12-hour AM/PM format
+const convertTo12HourFormat = (time24) => {
+    if (!time24) return time24;
+    
+    // If already in 12-hour format, return as is
+    if (/^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/i.test(time24)) {
+        return time24;
+    }
+    
+    // Convert from 24-hour format (HH:MM) to 12-hour format (HH:MM AM/PM)
+    const [hours, minutes] = time24.split(':');
+    const hour24 = parseInt(hours, 10);
+    
+    if (hour24 === 0) {
+        return `12:${minutes} AM`;
+    } else if (hour24 < 12) {
+        return `${hour24}:${minutes} AM`;
+    } else if (hour24 === 12) {
+        return `12:${minutes} PM`;
+    } else {
+        return `${hour24 - 12}:${minutes} PM`;
+    }
+};
+
 // Helper function to populate package details for a booking
 const populatePackageDetails = async (booking) => {
     let eventPackage = null;
@@ -69,13 +98,19 @@ const populatePackageDetails = async (booking) => {
 
 
 exports.bookEvent = catchAsync(async (req, res, next) => {
-    const { eventId, packageId, packageType, eventDate, eventTime, attendees, totalPrice } = req.body;
+    const { eventId, packageId, packageType, eventDate, eventTime, totalPrice, userEventId } = req.body;
+    let { attendees } = req.body;
     const customerId = req.user.id;
 
-    if (!eventId || !packageType || !eventDate || !eventTime || !attendees || totalPrice === undefined) {
+    // Caterers can take the attendee count from the customer's guest list instead
+    if (!eventId || !packageType || !eventDate || !eventTime || (!attendees && !userEventId) || totalPrice === undefined) {
         return res.status(400).json({ success: false, message: 'Please provide eventId, packageType, eventDate, eventTime, attendees, and totalPrice.' });
     }
 
+    if (isNaN(new Date(eventDate).getTime())) {
+        return res.status(400).json({ success: false, message: 'Invalid event date.' });
+    }
+
     // For flat price items, packageId is not required
     if (packageType !== 'flatPrice' && !packageId) {
         return res.status(400).json({ success: false, message: 'packageId is required for regular and custom packages.' });
@@ -101,6 +136,27 @@ exports.bookEvent = catchAsync(async (req, res, next) => {
         return res.status(404).json({ success: false, message: 'Event not found.' });
     }
 
+    // The customer's planner event this booking is for (guest list and budget)
+    let userEvent = null;
+    if (userEventId) {
+        userEvent = mongoose.Types.ObjectId.isValid(userEventId)
+            ? await UserEvent.findOne({ _id: userEventId, user: customerId })
+            : null;
+        if (!userEvent) {
+            return res.status(404).json({ success: false, message: 'Planner event not found.' });
+        }
+    }
+
+    if (!attendees) {
+        if (!guestService.CATERING_CATEGORIES.includes(event.category)) {
+            return res.status(400).json({ success: false, message: 'Please provide attendees.' });
+        }
+        attendees = await guestService.suggestAttendees(userEvent, { date: eventDate });
+        if (!attendees) {
+            return res.status(400).json({ success: false, message: 'Your guest list is empty. Please provide attendees.' });
+        }
+    }
+
     let eventPackage;
     
     if (packageType === 'flatPrice') {
@@ -126,6 +182,12 @@ exports.bookEvent = catchAsync(async (req, res, next) => {
         }
     }
 
+    // Make sure the listing is not blocked or already fully booked for this slot
+    const slot = await checkAvailability({ event, eventDate, eventTime });
+    if (!slot.available) {
+        return res.status(409).json({ success: false, message: slot.reason, code: slot.code });
+    }
+
     // Create a new booking document
     const bookingData = {
         customer: customerId,
@@ -135,7 +197,8 @@ exports.bookEvent = catchAsync(async (req, res, next) => {
         eventDate,
         eventTime,
         attendees,
-        totalPrice
+        totalPrice,
+        ...(userEvent && { userEvent: userEvent._id })
     };
 
     // For flat price items, don't set package field
@@ -253,6 +316,90 @@ exports.getBookingDetails = catchAsync(async (req, res, next) => {
     });
 });
 
+// @desc    Start a Stripe Checkout session for a booking's outstanding balance
+// @route   POST /api/bookings/:id/pay-balance
+// @access  Private (Customer only)
+exports.payBalance = catchAsync(async (req, res, next) => {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found.' });
+    }
+
+    if (!booking.customer._id.equals(req.user.id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to pay for this booking.' });
+    }
+
+    if (['Cancelled', 'Completed'].includes(booking.status)) {
+        return res.status(400).json({ success: false, message: `Cannot pay the balance of a ${booking.status.toLowerCase()} booking.` });
+    }
+
+    if (!(booking.payment?.balanceAmount > 0)) {
+        return res.status(400).json({ success: false, message: 'This booking has no outstanding balance.' });
+    }
+
+    const session = await paymentScheduleService.createBalanceCheckoutSession(booking);
+
+    res.status(200).json({
+        success: true,
+        data: {
+            url: session.url,
+            sessionId: session.id,
+            balanceAmount: booking.payment.balanceAmount,
+            balanceDueDate: booking.payment.balanceDueDate,
+            paymentStatus: booking.paymentStatus
+        }
+    });
+});
+
+// @desc    Cancel a booking and refund the customer per the vendor's cancellation policy
+// @route   POST /api/bookings/:id/cancel
+// @access  Private (Customer or Vendor of the booking)
+exports.cancelBooking = catchAsync(async (req, res, next) => {
+    const { reason } = req.body;
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+        return res.status(404).json({ success: false, message: 'Booking not found.' });
+    }
+
+    const isCustomer = booking.customer._id.equals(req.user.id);
+    const isVendor = booking.vendor._id.equals(req.user.id);
+    if (!isCustomer && !isVendor) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to cancel this booking.' });
+    }
+
+    if (['Cancelled', 'Completed'].includes(booking.status)) {
+        return res.status(400).json({ success: false, message: `This booking is already ${booking.status.toLowerCase()}.` });
+    }
+
+    let result;
+    try {
+        result = await cancellationService.cancelBooking(booking, {
+            actor: { id: req.user.id, role: isCustomer ? 'customer' : 'vendor' },
+            reason
+        });
+    } catch (error) {
+        if (error.refundFailed) {
+            return res.status(502).json({ success: false, message: error.message });
+        }
+        throw error;
+    }
+
+    const populatedBooking = await populatePackageDetails(result.booking);
+
+    res.status(200).json({
+        success: true,
+        message: result.refund.refundAmount > 0
+            ? `Booking cancelled. A refund of ${result.refund.refundAmount.toFixed(2)} has been issued.`
+            : 'Booking cancelled. No refund applies under the cancellation policy.',
+        data: {
+            booking: populatedBooking,
+            refund: result.refund
+        }
+    });
+});
+
 exports.updateBookingStatus = catchAsync(async (req, res, next) => {
     const { status } = req.body;
     const { id } = req.params;
@@ -278,6 +425,14 @@ exports.updateBookingStatus = catchAsync(async (req, res, next) => {
         return res.status(403).json({ success: false, message: 'You do not have permission to update this booking.' });
     }
     
+    // Paid bookings must go through the cancellation workflow so the customer is refunded
+    if (status === 'Cancelled' && booking.payment?.amountPaid > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'This booking has been paid. Use POST /api/bookings/:id/cancel to cancel it and refund the customer.'
+        });
+    }
+
     // 4. Update and save
     booking.status = status;
     await booking.save();
@@ -447,6 +602,14 @@ exports.createVendorBooking = catchAsync(async (req, res, next) => {
         }
     }
 
+    // Vendors can still record cancelled bookings on any date, but active ones must respect the calendar
+    if (event && !['Cancelled', 'Completed'].includes(status)) {
+        const slot = await checkAvailability({ event, eventDate, eventTime: convertTo12HourFormat(eventTime) });
+        if (!slot.available) {
+            return res.status(409).json({ success: false, message: slot.reason, code: slot.code });
+        }
+    }
+
     // Find or create customer
     let customer = await User.findOne({ email: customerEmail });
     if (!customer) {
@@ -511,30 +674,6 @@ exports.createVendorBooking = catchAsync(async (req, res, next) => {
         }
     }
 
-    // Convert 24-hour time format to 12-hour AM/PM format
-    const convertTo12HourFormat = (time24) => {
-        if (!time24) return time24;
-        
-        // If already in 12-hour format, return as is
-        if (/^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/i.test(time24)) {
-            return time24;
-        }
-        
-        // Convert from 24-hour format (HH:MM) to 12-hour format (HH:MM AM/PM)
-        const [hours, minutes] = time24.split(':');
-        const hour24 = parseInt(hours, 10);
-        
-        if (hour24 === 0) {
-            return `12:${minutes} AM`;
-        } else if (hour24 < 12) {
-            return `${hour24}:${minutes} AM`;
-        } else if (hour24 === 12) {
-            return `12:${minutes} PM`;
-        } else {
-            return `${hour24 - 12}:${minutes} PM`;
-        }
-    };
-
     // Create the booking
     const bookingData = {
         customer: customer._id,
@@ -600,6 +739,20 @@ exports.updateVendorBooking = catchAsync(async (req, res, next) => {
         return res.status(403).json({ success: false, message: 'You can only update your own bookings.' });
     }
 
+    // Re-check the calendar when an active booking is moved to another slot
+    const nextStatus = status || booking.status;
+    if ((eventDate || eventTime) && booking.event && ['Pending', 'Confirmed'].includes(nextStatus)) {
+        const slot = await checkAvailability({
+            event: { _id: booking.event._id || booking.event, vendor: booking.vendor._id || booking.vendor },
+            eventDate: eventDate || booking.eventDate,
+            eventTime: eventTime ? convertTo12HourFormat(eventTime) : booking.eventTime,
+            excludeBookingId: booking._id
+        });
+        if (!slot.available) {
+            return res.status(409).json({ success: false, message: slot.reason, code: slot.code });
+        }
+    }
+
     // Update customer info if provided
     if (customerName || customerEmail) {
         const customer = await User.findById(booking.customer);
@@ -610,30 +763,6 @@ exports.updateVendorBooking = catchAsync(async (req, res, next) => {
         }
     }
 
-    // Convert 24-hour time format to 12-hour AM/PM format
-    const convertTo12HourFormat = (time24) => {
-        if (!time24) return time24;
-        
-        // If already in 12-hour format, return as is
-        if (/^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/i.test(time24)) {
-            return time24;
-        }
-        
-        // Convert from 24-hour format (HH:MM) to 12-hour format (HH:MM AM/PM)
-        const [hours, minutes] = time24.split(':');
-        const hour24 = parseInt(hours, 10);
-        
-        if (hour24 === 0) {
-            return `12:${minutes} AM`;
-        } else if (hour24 < 12) {
-            return `${hour24}:${minutes} AM`;
-        } else if (hour24 === 12) {
-            return `12:${minutes} PM`;
-        } else {
-            return `${hour24 - 12}:${minutes} PM`;
-        }
-    };
-
     // Update booking fields
     if (eventDate) booking.eventDate = eventDate;
     if (eventTime) booking.eventTime = convertTo12HourFormat(eventTime);
@@ -676,7 +805,8 @@ exports.deleteVendorBooking = catchAsync(async (req, res, next) => {
         return res.status(403).json({ success: false, message: 'You can only delete your own bookings.' });
     }
 
-    await Booking.findByIdAndDelete(id);
+    // Moved to the trash: paid bookings are financial records and are only anonymized by the retention purge
+    await booking.softDelete(req.user._id);
 
     res.status(200).json({
         success: true,
@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const Event = require('../models/Event');
 const mongoose = require('mongoose');
+const { checkAvailability } = require('../services/availabilityService');
 
 // @desc    Get cart count
 // @route   GET /api/cart/count
@@ -84,7 +85,10 @@ exports.getCart = async (req, res) => {
         eventTime: item.eventTime,
         attendees: item.attendees,
         totalPrice: item.totalPrice,
-        addedAt: item.addedAt
+        addedAt: item.addedAt,
+        quoteRequest: item.quoteRequest || null,
+        expiresAt: item.expiresAt || null,
+        expired: !!item.expiresAt && item.expiresAt < new Date()
       };
     });
 
@@ -288,6 +292,18 @@ exports.addToCart = async (req, res) => {
       });
     }
     
+    // Check the vendor's calendar before letting the customer hold this date in their cart
+    const slot = await checkAvailability({ event, eventDate, eventTime });
+    if (!slot.available) {
+      console.log('❌ [CART] Requested slot is not available:', {
+        eventId: event._id,
+        eventDate,
+        eventTime,
+        code: slot.code
+      });
+      return res.status(409).json({ success: false, message: slot.reason, code: slot.code });
+    }
+
     // Check if the same event and package is already in the cart
     let itemExists;
     if (packageType === 'flatPrice') {
@@ -445,6 +461,11 @@ exports.updateCartItem = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Cart item not found.' });
     }
 
+    // Accepted quotes are held at the agreed price, date and headcount
+    if (cartItem.quoteRequest) {
+      return res.status(400).json({ success: false, message: 'This item comes from an accepted quote and cannot be changed. Remove it and request a new quote instead.' });
+    }
+
     // If packageId is being updated, validate it (only for non-flat price items)
     if (packageId && cartItem.packageType !== 'flatPrice') {
       const event = await Event.findById(cartItem.event);
@@ -454,6 +475,21 @@ exports.updateCartItem = async (req, res) => {
       cartItem.package = packageId;
     }
 
+    // Re-check the vendor's calendar when the date or time changes
+    if (eventDate || eventTime) {
+      const event = await Event.findById(cartItem.event).select('vendor');
+      if (event) {
+        const slot = await checkAvailability({
+          event,
+          eventDate: eventDate || cartItem.eventDate,
+          eventTime: eventTime || cartItem.eventTime
+        });
+        if (!slot.available) {
+          return res.status(409).json({ success: false, message: slot.reason, code: slot.code });
+        }
+      }
+    }
+
     // Update other fields if provided
     if (eventDate) cartItem.eventDate = eventDate;
     if (eventTime) cartItem.eventTime = eventTime;
@@ -0,0 +1,342 @@
+const UserEventActivity = require('../models/UserEventActivity');
+const Todo = require('../models/Todo');
+const Notification = require('../models/Notification');
+const collaborationService = require('../services/collaborationService');
+const EmailService = require('../services/emailService');
+const mongoose = require('mongoose');
+
+// A simplified error handler
+const catchAsync = fn => {
+  return (req, res, next) => {
+    fn(req, res, next).catch(next);
+  };
+};
+
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// Load the event with the role the request needs; sends the error response and returns null otherwise
+const loadUserEvent = async (req, res, minRole) => {
+  if (req.user.role !== 'customer') {
+    res.status(403).json({
+      status: 'fail',
+      message: 'Only customers can plan events together'
+    });
+    return null;
+  }
+
+  const { userEvent, role, error } = await collaborationService.loadUserEvent(req.params.id, req.user.id, minRole);
+  if (error) {
+    res.status(error.statusCode).json({
+      status: 'fail',
+      message: error.message
+    });
+    return null;
+  }
+
+  return { userEvent, role };
+};
+
+const findCollaborator = (userEvent, req, res) => {
+  const collaborator = mongoose.Types.ObjectId.isValid(req.params.collaboratorId)
+    ? userEvent.collaborators.id(req.params.collaboratorId)
+    : null;
+
+  if (!collaborator) {
+    res.status(404).json({
+      status: 'fail',
+      message: 'Collaborator not found'
+    });
+    return null;
+  }
+
+  return collaborator;
+};
+
+// @desc    List the owner and collaborators of an event
+// @route   GET /api/user-events/:id/collaborators
+// @access  Private (Customer only, any role)
+exports.getCollaborators = catchAsync(async (req, res) => {
+  const access = await loadUserEvent(req, res, 'viewer');
+  if (!access) return;
+
+  await access.userEvent.populate([
+    { path: 'user', select: 'email customerProfile.fullName customerProfile.profileImage' },
+    { path: 'collaborators.user', select: 'email customerProfile.fullName customerProfile.profileImage' }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      eventId: access.userEvent._id,
+      role: access.role,
+      owner: access.userEvent.user,
+      collaborators: access.userEvent.collaborators
+    }
+  });
+});
+
+// @desc    Invite someone to plan an event by email
+// @route   POST /api/user-events/:id/collaborators
+// @access  Private (Event owner)
+exports.inviteCollaborator = catchAsync(async (req, res) => {
+  const access = await loadUserEvent(req, res, 'owner');
+  if (!access) return;
+  const { userEvent } = access;
+
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const role = req.body.role || 'editor';
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Please provide a valid email address'
+    });
+  }
+  if (!['editor', 'viewer'].includes(role)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Role must be "editor" or "viewer"'
+    });
+  }
+  if (email === String(req.user.email).toLowerCase()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'You already own this event'
+    });
+  }
+
+  const invitation = collaborationService.addInvitation(userEvent, { email, role, invitedBy: req.user.id });
+  if (invitation.error) {
+    return res.status(400).json({
+      status: 'fail',
+      message: invitation.error
+    });
+  }
+  await userEvent.save();
+
+  const emailSent = await EmailService.sendCollaboratorInviteEmail({
+    toEmail: email,
+    inviterName: collaborationService.displayName(req.user),
+    eventTitle: userEvent.title,
+    eventDate: userEvent.date,
+    role,
+    inviteToken: invitation.token
+  });
+
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'collaborator_invited',
+    summary: `${collaborationService.displayName(req.user)} invited ${email} as ${role}`,
+    target: { type: 'collaborator', id: invitation.collaborator._id }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      collaborator: {
+        _id: invitation.collaborator._id,
+        email,
+        role,
+        status: 'pending',
+        invitedAt: invitation.collaborator.invitedAt
+      },
+      emailSent
+    }
+  });
+});
+
+// @desc    Accept an invitation to plan an event
+// @route   POST /api/user-events/invitations/:token/accept
+// @access  Private (Customer whose email was invited)
+exports.acceptInvitation = catchAsync(async (req, res) => {
+  if (req.user.role !== 'customer') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only customers can plan events together'
+    });
+  }
+
+  const invitation = /^[a-f0-9]{64}$/.test(req.params.token || '')
+    ? await collaborationService.findInvitation(req.params.token)
+    : null;
+  if (!invitation) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'This invitation is invalid or has already been used'
+    });
+  }
+
+  const { userEvent, collaborator } = invitation;
+
+  // Invitation links are sent to one address and cannot be used by another account
+  if (collaborator.email !== String(req.user.email).toLowerCase()) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'This invitation was sent to a different email address'
+    });
+  }
+  if (String(userEvent.user) === String(req.user.id)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'You already own this event'
+    });
+  }
+
+  collaborator.user = req.user.id;
+  collaborator.status = 'accepted';
+  collaborator.acceptedAt = new Date();
+  collaborator.inviteTokenHash = undefined;
+  await userEvent.save();
+
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'collaborator_joined',
+    summary: `${collaborationService.displayName(req.user)} joined as ${collaborator.role}`,
+    target: { type: 'collaborator', id: collaborator._id }
+  });
+
+  try {
+    const notification = await Notification.create({
+      recipient: userEvent.user,
+      sender: req.user.id,
+      type: 'event_update',
+      title: 'Invitation Accepted',
+      message: `${collaborationService.displayName(req.user)} is now helping plan "${userEvent.title}".`.slice(0, 500),
+      data: { userEventId: userEvent._id },
+      actionUrl: `/planner/${userEvent._id}`
+    });
+    const socketService = req.app.get('socketService');
+    if (socketService) {
+      socketService.broadcastNotification(notification);
+    }
+  } catch (notificationError) {
+    // Failed to notify the owner about the new collaborator
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      eventId: userEvent._id,
+      role: collaborator.role
+    }
+  });
+});
+
+// @desc    Change a collaborator's role
+// @route   PUT /api/user-events/:id/collaborators/:collaboratorId
+// @access  Private (Event owner)
+exports.updateCollaborator = catchAsync(async (req, res) => {
+  const access = await loadUserEvent(req, res, 'owner');
+  if (!access) return;
+  const { userEvent } = access;
+
+  const collaborator = findCollaborator(userEvent, req, res);
+  if (!collaborator) return;
+
+  if (!['editor', 'viewer'].includes(req.body.role)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Role must be "editor" or "viewer"'
+    });
+  }
+
+  collaborator.role = req.body.role;
+  await userEvent.save();
+
+  // Viewers cannot hold tasks
+  if (collaborator.role === 'viewer' && collaborator.user) {
+    await Todo.updateMany({ userEvent: userEvent._id, assignedTo: collaborator.user }, { $unset: { assignedTo: 1 } });
+  }
+
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'collaborator_updated',
+    summary: `${collaborator.email} is now ${collaborator.role}`,
+    target: { type: 'collaborator', id: collaborator._id }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      collaborator
+    }
+  });
+});
+
+// @desc    Remove a collaborator or cancel an invitation; collaborators can remove themselves to leave
+// @route   DELETE /api/user-events/:id/collaborators/:collaboratorId
+// @access  Private (Event owner, or the collaborator)
+exports.removeCollaborator = catchAsync(async (req, res) => {
+  const access = await loadUserEvent(req, res, 'viewer');
+  if (!access) return;
+  const { userEvent, role } = access;
+
+  const collaborator = findCollaborator(userEvent, req, res);
+  if (!collaborator) return;
+
+  const isSelf = collaborator.user && String(collaborator.user) === String(req.user.id);
+  if (role !== 'owner' && !isSelf) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only the event owner can do this'
+    });
+  }
+
+  const removedUserId = collaborator.user;
+  userEvent.collaborators.pull(collaborator._id);
+  await userEvent.save();
+
+  if (removedUserId) {
+    await Todo.updateMany({ userEvent: userEvent._id, assignedTo: removedUserId }, { $unset: { assignedTo: 1 } });
+    const socketService = req.app.get('socketService');
+    if (socketService) {
+      socketService.removeUserFromUserEvent(removedUserId, userEvent._id);
+    }
+  }
+
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'collaborator_removed',
+    summary: isSelf
+      ? `${collaborationService.displayName(req.user)} left the event`
+      : `${collaborator.email} was removed`,
+    target: { type: 'collaborator', id: collaborator._id }
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Activity feed of an event, newest first
+// @route   GET /api/user-events/:id/activity?page=&limit=
+// @access  Private (Customer only, any role)
+exports.getActivity = catchAsync(async (req, res) => {
+  const access = await loadUserEvent(req, res, 'viewer');
+  if (!access) return;
+
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const [activities, total] = await Promise.all([
+    UserEventActivity.find({ userEvent: access.userEvent._id })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'email customerProfile.fullName customerProfile.profileImage')
+      .select('-__v'),
+    UserEventActivity.countDocuments({ userEvent: access.userEvent._id })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: activities.length,
+    data: {
+      eventId: access.userEvent._id,
+      activities,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
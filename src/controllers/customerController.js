@@ -1,12 +1,5 @@
 const User = require('../models/User');
-const Booking = require('../models/Booking');
-const Message = require('../models/Message');
-const Notification = require('../models/Notification');
-const UserEvent = require('../models/UserEvent');
-const Todo = require('../models/Todo');
-const Event = require('../models/Event');
-const Review = require('../models/Review');
-const CheckoutSession = require('../models/CheckoutSession');
+const softDeleteService = require('../services/softDeleteService');
 const { processAndUploadProfileImage } = require('../services/fileUploadService');
 
 // A simplified error handler
@@ -182,41 +175,13 @@ exports.deleteCustomerAccount = catchAsync(async (req, res, next) => {
     });
   }
 
-  // Perform cleanup of related data
-  try {
-    await Promise.all([
-      // Delete bookings made by the customer
-      Booking.deleteMany({ customer: customerId }),
-      // Delete messages where the user is sender or receiver
-      Message.deleteMany({ $or: [ { sender: customerId }, { receiver: customerId } ] }),
-      // Delete notifications either sent to or sent by the user
-      Notification.deleteMany({ $or: [ { recipient: customerId }, { sender: customerId } ] }),
-      // Delete personal planning data
-      UserEvent.deleteMany({ user: customerId }),
-      Todo.deleteMany({ user: customerId }),
-      // Delete standalone reviews created by the customer
-      Review.deleteMany({ customer: customerId }),
-      // Remove embedded event reviews authored by this user (legacy path)
-      Event.updateMany({}, { $pull: { reviews: { user: customerId } } }),
-      // Delete any pending/recorded checkout sessions
-      CheckoutSession.deleteMany({ user: customerId }),
-      // Remove any vendor custom packages created for this customer
-      Event.updateMany(
-        { 'customPackages.createdFor': customerId },
-        { $pull: { customPackages: { createdFor: customerId } } }
-      )
-    ]);
-  } catch (cleanupError) {
-    console.error('Error during account cleanup:', cleanupError);
-    // Continue to delete user even if some cleanup operations fail
-  }
-
-  // Finally delete the user account itself
-  await User.findByIdAndDelete(customerId);
+  // The account and its bookings and reviews go to the trash; support can restore them
+  // until the purge removes or anonymizes them after the retention period
+  await softDeleteService.deleteAccount(customer, { deletedBy: customer._id });
 
   return res.status(200).json({
     status: 'success',
-    message: 'Your account has been permanently deleted.'
+    message: `Your account has been deleted. Contact support within ${softDeleteService.RETENTION_DAYS} days if you want it restored.`
   });
 });
 
@@ -35,7 +35,8 @@ exports.getDashboardStats = catchAsync(async (req, res) => {
   const totalListings = vendorEvents.length;
 
   const reviews = await Review.find({ 
-    event: { $in: eventIds } 
+    event: { $in: eventIds },
+    ...Review.VISIBLE_FILTER
   }).select('rating');
 
   let totalRating = 0;
@@ -0,0 +1,282 @@
+const UserEvent = require('../models/UserEvent');
+const Booking = require('../models/Booking');
+const budgetService = require('../services/budgetService');
+const collaborationService = require('../services/collaborationService');
+const mongoose = require('mongoose');
+
+// A simplified error handler
+const catchAsync = fn => {
+  return (req, res, next) => {
+    fn(req, res, next).catch(next);
+  };
+};
+
+const MAX_BUDGET_ITEMS = 50;
+
+// Check the user is a customer with at least minRole on the event; sends the error response and returns null otherwise
+const loadUserEvent = async (req, res, minRole = 'editor') => {
+  if (req.user.role !== 'customer') {
+    res.status(403).json({
+      status: 'fail',
+      message: 'Only customers can manage event budgets'
+    });
+    return null;
+  }
+
+  const { userEvent, error } = await collaborationService.loadUserEvent(req.params.id, req.user.id, minRole);
+  if (error) {
+    res.status(error.statusCode).json({
+      status: 'fail',
+      message: error.message
+    });
+    return null;
+  }
+
+  return userEvent;
+};
+
+// Find a manual expense on the event; booking expenses follow their booking and cannot be edited
+const findManualExpense = (userEvent, req, res) => {
+  const expense = mongoose.Types.ObjectId.isValid(req.params.expenseId)
+    ? userEvent.expenses.id(req.params.expenseId)
+    : null;
+
+  if (!expense) {
+    res.status(404).json({
+      status: 'fail',
+      message: 'Expense not found'
+    });
+    return null;
+  }
+
+  if (expense.source !== 'manual') {
+    res.status(400).json({
+      status: 'fail',
+      message: 'Expenses from bookings are updated automatically and cannot be edited'
+    });
+    return null;
+  }
+
+  return expense;
+};
+
+const pickExpenseFields = body => {
+  const fields = {};
+  ['category', 'description', 'committed', 'paid', 'date'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const validateAmounts = expense => {
+  if (Number(expense.paid) > Number(expense.committed)) {
+    return 'Paid amount cannot exceed the committed amount';
+  }
+  return null;
+};
+
+const sendBudget = (res, userEvent, budget, statusCode = 200) => {
+  res.status(statusCode).json({
+    status: 'success',
+    data: {
+      eventId: userEvent._id,
+      budget,
+      budgetItems: userEvent.budgetItems,
+      expenses: userEvent.expenses
+    }
+  });
+};
+
+// @desc    Get planned vs committed vs paid per category for an event
+// @route   GET /api/user-events/:id/budget
+// @access  Private (Customer only)
+exports.getBudget = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res, 'viewer');
+  if (!userEvent) return;
+
+  sendBudget(res, userEvent, budgetService.summarizeBudget(userEvent));
+});
+
+// @desc    Replace the planned budget line items of an event
+// @route   PUT /api/user-events/:id/budget/items
+// @access  Private (Customer only)
+exports.updateBudgetItems = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const { items, totalBudget } = req.body;
+
+  if (!Array.isArray(items)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Budget items must be an array'
+    });
+  }
+
+  if (items.length > MAX_BUDGET_ITEMS) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `An event can have at most ${MAX_BUDGET_ITEMS} budget items`
+    });
+  }
+
+  // One line item per category
+  const seen = new Set();
+  for (const item of items) {
+    const key = String(item?.category || '').trim().toLowerCase();
+    if (!key) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Every budget item needs a category'
+      });
+    }
+    if (seen.has(key)) {
+      return res.status(400).json({
+        status: 'fail',
+        message: `Duplicate budget category: ${item.category}`
+      });
+    }
+    seen.add(key);
+  }
+
+  const budget = await budgetService.applyBudgetChange(userEvent, doc => {
+    doc.budgetItems = items.map(({ category, planned, notes }) => ({ category, planned, notes }));
+    if (totalBudget !== undefined) {
+      doc.budget = totalBudget;
+    }
+  });
+
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'budget_updated',
+    summary: `${collaborationService.displayName(req.user)} updated the budget plan`,
+    target: { type: 'budget' }
+  });
+
+  sendBudget(res, userEvent, budget);
+});
+
+// @desc    Add a manual expense to an event
+// @route   POST /api/user-events/:id/budget/expenses
+// @access  Private (Customer only)
+exports.addExpense = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const fields = pickExpenseFields(req.body);
+  const amountError = validateAmounts({ committed: 0, paid: 0, ...fields });
+  if (amountError) {
+    return res.status(400).json({
+      status: 'fail',
+      message: amountError
+    });
+  }
+
+  const budget = await budgetService.applyBudgetChange(userEvent, doc => {
+    doc.expenses.push({ ...fields, source: 'manual' });
+  });
+
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'budget_updated',
+    summary: `${collaborationService.displayName(req.user)} added an expense`,
+    target: { type: 'budget' }
+  });
+
+  sendBudget(res, userEvent, budget, 201);
+});
+
+// @desc    Update a manual expense
+// @route   PUT /api/user-events/:id/budget/expenses/:expenseId
+// @access  Private (Customer only)
+exports.updateExpense = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const expense = findManualExpense(userEvent, req, res);
+  if (!expense) return;
+
+  const fields = pickExpenseFields(req.body);
+  const amountError = validateAmounts({ committed: expense.committed, paid: expense.paid, ...fields });
+  if (amountError) {
+    return res.status(400).json({
+      status: 'fail',
+      message: amountError
+    });
+  }
+
+  const budget = await budgetService.applyBudgetChange(userEvent, () => {
+    expense.set(fields);
+  });
+
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'budget_updated',
+    summary: `${collaborationService.displayName(req.user)} updated an expense`,
+    target: { type: 'budget' }
+  });
+
+  sendBudget(res, userEvent, budget);
+});
+
+// @desc    Delete a manual expense
+// @route   DELETE /api/user-events/:id/budget/expenses/:expenseId
+// @access  Private (Customer only)
+exports.deleteExpense = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const expense = findManualExpense(userEvent, req, res);
+  if (!expense) return;
+
+  const budget = await budgetService.applyBudgetChange(userEvent, doc => {
+    doc.expenses.pull(expense._id);
+  });
+
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'budget_updated',
+    summary: `${collaborationService.displayName(req.user)} removed an expense`,
+    target: { type: 'budget' }
+  });
+
+  sendBudget(res, userEvent, budget);
+});
+
+// @desc    Count one of the customer's bookings towards this event's budget
+// @route   PUT /api/user-events/:id/budget/bookings/:bookingId
+// @access  Private (Event owner)
+exports.linkBooking = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res, 'owner');
+  if (!userEvent) return;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Invalid booking ID'
+    });
+  }
+
+  const booking = await Booking.findOne({ _id: req.params.bookingId, customer: req.user.id });
+  if (!booking) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'Booking not found'
+    });
+  }
+
+  // Move the expense off the event it was counted on before
+  const previousEvents = await UserEvent.find({
+    _id: { $ne: userEvent._id },
+    user: req.user.id,
+    'expenses.booking': booking._id
+  });
+  for (const previous of previousEvents) {
+    await budgetService.applyBudgetChange(previous, doc => {
+      doc.expenses = doc.expenses.filter(expense => !expense.booking || !expense.booking.equals(booking._id));
+    });
+  }
+
+  // Saving the link runs the booking's budget sync
+  booking.userEvent = userEvent._id;
+  await booking.save();
+
+  const updated = await UserEvent.findById(userEvent._id);
+  sendBudget(res, updated, budgetService.summarizeBudget(updated));
+});
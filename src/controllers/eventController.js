@@ -1,6 +1,10 @@
 const Event = require('../models/Event');
+const User = require('../models/User');
 const mongoose = require('mongoose');
 const { processAndUploadImages } = require('../services/fileUploadService');
+const { parseGeoQuery, geoNearStage, roundDistanceStage } = require('../services/geoService');
+const { certifiedVendorFilter, certifiedVendorExpression } = require('../services/halalCertificationService');
+const { MIN_PRICE_EXPRESSION } = require('../utils/eventPricing');
 
 // A simplified error handler
 const catchAsync = fn => {
@@ -9,6 +13,122 @@ const catchAsync = fn => {
   };
 };
 
+// Bucket boundaries for the marketplace facets (upper bound exclusive)
+const PRICE_BUCKETS = [0, 50, 100, 250, 500, 1000, 2500, 5000];
+const RATING_BUCKETS = [0, 1, 2, 3, 4, 6];
+
+/**
+ * Build the $facet aggregation that counts marketplace listings per filter option.
+ * Each facet applies every active filter except its own, so selecting a category
+ * still shows how many listings the other categories would add.
+ * @param {object} params
+ * @param {object} [params.geo] - Radius search from parseGeoQuery
+ * @param {object} params.baseQuery - Filters without a facet (zip code, tags)
+ * @param {Function} params.buildQuery - (excludedDimension) => query with the other filters
+ * @returns {Array} Aggregation pipeline
+ */
+const buildFacetPipeline = ({ geo, baseQuery, buildQuery }) => {
+  const countBy = (dimension, field) => [
+    { $match: buildQuery(dimension) },
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+
+  return [
+    geo ? geoNearStage(geo, { key: 'geo', query: baseQuery }) : { $match: baseQuery },
+    { $addFields: { minPrice: MIN_PRICE_EXPRESSION } },
+    {
+      $facet: {
+        category: countBy('category', '$category'),
+        state: countBy('state', '$location.state'),
+        city: [...countBy('city', '$location.city'), { $limit: 50 }],
+        price: [
+          { $match: { ...buildQuery('price'), minPrice: { $ne: null } } },
+          { $bucket: { groupBy: '$minPrice', boundaries: PRICE_BUCKETS, default: 'over', output: { count: { $sum: 1 } } } }
+        ],
+        rating: [
+          { $match: buildQuery('rating') },
+          { $bucket: { groupBy: '$averageRating', boundaries: RATING_BUCKETS, default: 'unrated', output: { count: { $sum: 1 } } } }
+        ],
+        halal: [
+          { $match: buildQuery('halal') },
+          {
+            $lookup: {
+              from: 'users',
+              localField: 'vendor',
+              foreignField: '_id',
+              as: 'vendorHalal',
+              // Same rule as the halal=certified filter: a certified status past its expiry date counts as expired
+              pipeline: [{
+                $project: {
+                  status: {
+                    $switch: {
+                      branches: [
+                        { case: certifiedVendorExpression(), then: 'certified' },
+                        { case: { $eq: ['$vendorProfile.halalCertification.status', 'certified'] }, then: 'expired' }
+                      ],
+                      default: '$vendorProfile.halalCertification.status'
+                    }
+                  }
+                }
+              }]
+            }
+          },
+          { $group: { _id: { $ifNull: [{ $arrayElemAt: ['$vendorHalal.status', 0] }, 'unverified'] }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        pricingMode: [
+          { $match: buildQuery('pricingMode') },
+          {
+            $project: {
+              modes: {
+                $setUnion: [
+                  {
+                    $map: {
+                      input: { $ifNull: ['$packages', []] },
+                      in: { $ifNull: ['$$this.pricingMode', 'perAttendee'] }
+                    }
+                  },
+                  { $cond: [{ $eq: ['$flatPrice.isActive', true] }, ['flatPrice'], []] }
+                ]
+              }
+            }
+          },
+          { $unwind: '$modes' },
+          { $group: { _id: '$modes', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ]
+      }
+    }
+  ];
+};
+
+// Turn raw $facet output into { value, count } options for the filter sidebar
+const formatFacets = (raw = {}) => {
+  const options = (buckets = []) => buckets
+    .filter(bucket => bucket._id !== null && bucket._id !== '')
+    .map(bucket => ({ value: bucket._id, count: bucket.count }));
+
+  const ranges = (buckets = [], boundaries, overflowLabel) => buckets.map(bucket => {
+    const index = boundaries.indexOf(bucket._id);
+    if (index === -1) {
+      return { value: overflowLabel, min: bucket._id === 'over' ? boundaries[boundaries.length - 1] : null, max: null, count: bucket.count };
+    }
+    const max = boundaries[index + 1];
+    return { value: `${bucket._id}-${max}`, min: bucket._id, max, count: bucket.count };
+  });
+
+  return {
+    category: options(raw.category),
+    state: options(raw.state),
+    city: options(raw.city),
+    price: ranges(raw.price, PRICE_BUCKETS, `${PRICE_BUCKETS[PRICE_BUCKETS.length - 1]}+`),
+    rating: ranges(raw.rating, RATING_BUCKETS, 'unrated'),
+    halal: options(raw.halal),
+    pricingMode: options(raw.pricingMode)
+  };
+};
+
 // @desc    Create a new event
 // @route   POST /api/events
 // @access  Private (Vendors only)
@@ -239,7 +359,8 @@ exports.deleteEvent = catchAsync(async (req, res, next) => {
     });
   }
 
-  await Event.findByIdAndDelete(req.params.id);
+  // Moved to the trash; bookings keep their listing until the retention purge
+  await event.softDelete(req.user._id);
 
   res.status(204).json({
     status: 'success',
@@ -248,6 +369,7 @@ exports.deleteEvent = catchAsync(async (req, res, next) => {
 });
 
 // @desc    Get all active events from all vendors (for customer browsing/marketplace)
+//          Filters accept comma separated values (category=Food,Decor); facets=true adds option counts
 // @route   GET /api/events
 // @access  Public
 exports.getAllEvents = catchAsync(async (req, res, next) => {
@@ -267,30 +389,43 @@ exports.getAllEvents = catchAsync(async (req, res, next) => {
     
 
     // 2. Build query with filters
-    const queryObj = {};
+    // Filters that have a facet are kept per dimension, so each facet can be
+    // counted against every other active filter but its own
+    const facetFilters = {};
+    const baseQuery = {};
+
+    // Comma separated values select several options of the same filter (category=Food,Decor)
+    const multiValue = value => String(value).split(',').map(v => v.trim()).filter(Boolean);
 
     // Filter by category
     if (req.query.category) {
-      queryObj.category = req.query.category;
-    
+      const categories = multiValue(req.query.category);
+      facetFilters.category = { category: categories.length > 1 ? { $in: categories } : categories[0] };
     }
 
     // Filter by location (city, state, or zipCode)
     if (req.query.city) {
       // Create a case-insensitive query that allows partial matches for city
-      queryObj['location.city'] = { $regex: escapeRegExp(req.query.city), $options: 'i' };
-     
+      const cities = multiValue(req.query.city);
+      facetFilters.city = {
+        'location.city': cities.length > 1
+          ? { $in: cities.map(city => new RegExp(escapeRegExp(city), 'i')) }
+          : { $regex: escapeRegExp(cities[0]), $options: 'i' }
+      };
     }
 
     if (req.query.state) {
       // Create a case-insensitive query that allows partial matches for state
-      queryObj['location.state'] = { $regex: escapeRegExp(req.query.state), $options: 'i' };
-    
+      const states = multiValue(req.query.state);
+      facetFilters.state = {
+        'location.state': states.length > 1
+          ? { $in: states.map(state => new RegExp(escapeRegExp(state), 'i')) }
+          : { $regex: escapeRegExp(states[0]), $options: 'i' }
+      };
     }
 
     if (req.query.zipCode) {
-      queryObj['location.zipCode'] = req.query.zipCode;
-      
+      baseQuery['location.zipCode'] = req.query.zipCode;
     }
 
     // Filter by event rating (using the averageRating field)
@@ -301,10 +436,7 @@ exports.getAllEvents = catchAsync(async (req, res, next) => {
         // Convert to number to ensure proper comparison in MongoDB
         const minRating = Math.max(0, rating - 0.2);
         const maxRating = Math.min(5, rating + 0.2);
-        queryObj.averageRating = { $gte: minRating, $lte: maxRating };
-        
-      } else {
-       
+        facetFilters.rating = { averageRating: { $gte: minRating, $lte: maxRating } };
       }
     }
 
@@ -328,20 +460,60 @@ exports.getAllEvents = catchAsync(async (req, res, next) => {
       
       // Only apply price filter if there are valid price conditions
       if (priceConditions.length > 0) {
-        queryObj.$and = priceConditions;
+        facetFilters.price = { $and: priceConditions };
+      }
+    }
+
+    // Filter by the vendor's halal certification status (halal=certified,self-declared);
+    // certified only matches certificates that have not expired yet
+    if (req.query.halal) {
+      const statuses = multiValue(req.query.halal);
+      const conditions = [{ 'vendorProfile.halalCertification.status': { $in: statuses.filter(status => status !== 'certified') } }];
+      if (statuses.includes('certified')) conditions.push(certifiedVendorFilter());
+      const vendorIds = await User.find({ role: 'vendor', $or: conditions }).distinct('_id');
+      facetFilters.halal = { vendor: { $in: vendorIds } };
+    }
+
+    // Filter by pricing mode (pricingMode=flatPrice or perAttendee)
+    if (req.query.pricingMode) {
+      const modes = multiValue(req.query.pricingMode);
+      const conditions = [];
+      if (modes.includes('flatPrice')) {
+        conditions.push({ 'packages.pricingMode': 'flatPrice' }, { 'flatPrice.isActive': true });
+      }
+      if (modes.includes('perAttendee')) {
+        conditions.push({ packages: { $elemMatch: { pricingMode: { $in: ['perAttendee', null] } } } });
       }
+      facetFilters.pricingMode = conditions.length ? { $or: conditions } : { _id: null };
     }
 
     // Filter by tags
     if (req.query.tags) {
       const tags = req.query.tags.split(',').map(tag => tag.trim());
-      queryObj.tags = { $in: tags };
- 
+      baseQuery.tags = { $in: tags };
+    }
+
+    // Each dimension uses its own keys, so the conditions can be merged into one query
+    const buildQuery = exclude => Object.assign(
+      {},
+      baseQuery,
+      ...Object.entries(facetFilters)
+        .filter(([dimension]) => dimension !== exclude)
+        .map(([, condition]) => condition)
+    );
+    const queryObj = buildQuery();
+
+    // Radius search around lat/lng or a zip code (near=)
+    const geo = parseGeoQuery(req.query);
+    if (geo?.error) {
+      return res.status(400).json({ status: 'fail', message: geo.error });
     }
 
     // 3. Determine sort order
     let sortOption = { createdAt: -1 }; // Default: newest first
     let useAggregation = false;
+    // Radius searches come back nearest first unless another sort is requested
+    const sortByDistance = !!geo && (!req.query.sort || req.query.sort === 'distance');
     
     if (req.query.sort) {
       switch (req.query.sort) {
@@ -371,106 +543,23 @@ exports.getAllEvents = catchAsync(async (req, res, next) => {
     // 4. Execute query with pagination
     let events, totalEvents;
     
-    if (useAggregation) {
-      // Use aggregation pipeline for price sorting
+    if (useAggregation || geo) {
+      // Use aggregation pipeline for price sorting and radius search
       const pipeline = [
-        { $match: queryObj },
+        geo ? geoNearStage(geo, { key: 'geo', query: queryObj }) : { $match: queryObj },
         {
           $addFields: {
             // Calculate minimum price based on the same logic as frontend
-            minPrice: {
-              $let: {
-                vars: {
-                  perPersonPackages: {
-                    $filter: {
-                      input: "$packages",
-                      cond: {
-                        $or: [
-                          { $eq: ["$$this.pricingMode", "perAttendee"] },
-                          { $eq: ["$$this.pricingMode", null] },
-                          { $not: { $ifNull: ["$$this.pricingMode", false] } }
-                        ]
-                      }
-                    }
-                  },
-                  flatPricePackages: {
-                    $filter: {
-                      input: "$packages",
-                      cond: { $eq: ["$$this.pricingMode", "flatPrice"] }
-                    }
-                  },
-                  hasLegacyFlatPrice: {
-                    $and: [
-                      { $ne: ["$flatPrice", null] },
-                      { $eq: ["$flatPrice.isActive", true] },
-                      { $ne: ["$flatPrice.amount", null] }
-                    ]
-                  }
-                },
-                in: {
-                  $let: {
-                    vars: {
-                      hasPerPersonPackages: { $gt: [{ $size: "$$perPersonPackages" }, 0] },
-                      hasFlatPricePackages: { $gt: [{ $size: "$$flatPricePackages" }, 0] }
-                    },
-                    in: {
-                      $cond: {
-                        if: {
-                          $and: [
-                            "$$hasPerPersonPackages",
-                            { $or: ["$$hasFlatPricePackages", "$$hasLegacyFlatPrice"] }
-                          ]
-                        },
-                        then: { $min: "$$perPersonPackages.price" },
-                        else: {
-                          $cond: {
-                            if: {
-                              $and: [
-                                "$$hasPerPersonPackages",
-                                { $not: "$$hasFlatPricePackages" },
-                                { $not: "$$hasLegacyFlatPrice" }
-                              ]
-                            },
-                            then: { $min: "$$perPersonPackages.price" },
-                            else: {
-                              $cond: {
-                                if: {
-                                  $and: [
-                                    "$$hasFlatPricePackages",
-                                    { $not: "$$hasPerPersonPackages" }
-                                  ]
-                                },
-                                then: { $min: "$$flatPricePackages.price" },
-                                else: {
-                                  $cond: {
-                                    if: {
-                                      $and: [
-                                        "$$hasLegacyFlatPrice",
-                                        { $not: "$$hasPerPersonPackages" },
-                                        { $not: "$$hasFlatPricePackages" }
-                                      ]
-                                    },
-                                    then: "$flatPrice.amount",
-                                    else: null
-                                  }
-                                }
-                              }
-                            }
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-              }
-            }
+            minPrice: MIN_PRICE_EXPRESSION
           }
         },
-        {
-          $sort: req.query.sort === 'price-asc' 
-            ? { minPrice: 1, createdAt: -1 } 
-            : { minPrice: -1, createdAt: -1 }
-        },
+        useAggregation
+          ? {
+            $sort: req.query.sort === 'price-asc' 
+              ? { minPrice: 1, createdAt: -1 } 
+              : { minPrice: -1, createdAt: -1 }
+          }
+          : sortByDistance ? null : { $sort: sortOption },
         { $skip: skip },
         { $limit: limit },
         {
@@ -490,11 +579,17 @@ exports.getAllEvents = catchAsync(async (req, res, next) => {
             ]
           }
         },
-        { $unwind: '$vendor' }
-      ];
+        { $unwind: '$vendor' },
+        geo ? roundDistanceStage : null
+      ].filter(Boolean);
       
       events = await Event.aggregate(pipeline);
-      totalEvents = await Event.countDocuments(queryObj);
+      if (geo) {
+        const [count] = await Event.aggregate([geoNearStage(geo, { key: 'geo', query: queryObj }), { $count: 'total' }]);
+        totalEvents = count ? count.total : 0;
+      } else {
+        totalEvents = await Event.countDocuments(queryObj);
+      }
     } else {
       // Use regular find for non-price sorting
       events = await Event.find(queryObj)
@@ -526,13 +621,19 @@ exports.getAllEvents = catchAsync(async (req, res, next) => {
           hasPrevPage: page > 1
         },
         filters: {
-          applied: Object.keys(queryObj).length > 0,
-          ...queryObj
+          applied: Object.keys(queryObj).length > 0 || !!geo,
+          ...queryObj,
+          ...(geo && { near: { coordinates: geo.point.coordinates, radiusMiles: geo.radiusMiles } })
         }
       }
     };
 
-   
+    // Option counts for the filter sidebar (facets=true)
+    if (req.query.facets === 'true') {
+      const [rawFacets] = await Event.aggregate(buildFacetPipeline({ geo, baseQuery, buildQuery }));
+      response.data.facets = formatFacets(rawFacets);
+    }
+
     res.status(200).json(response);
   } catch (error) {
     
@@ -1,5 +1,6 @@
 const Todo = require('../models/Todo');
-const UserEvent = require('../models/UserEvent');
+const Notification = require('../models/Notification');
+const collaborationService = require('../services/collaborationService');
 const mongoose = require('mongoose');
 
 // A simplified error handler
@@ -9,6 +10,44 @@ const catchAsync = fn => {
   };
 };
 
+// Assignees must be able to edit the event (its owner or an editor); null clears the assignment
+const checkAssignee = (userEvent, assignedTo) => {
+  if (assignedTo === undefined || assignedTo === null || assignedTo === '') return null;
+  if (!mongoose.Types.ObjectId.isValid(assignedTo) || !collaborationService.canBeAssigned(userEvent, assignedTo)) {
+    return 'Todos can only be assigned to the event owner or an editor';
+  }
+  return null;
+};
+
+// Fields collaborators may change on a todo; its event, owner and reminder markers are never taken from the request
+const TODO_FIELDS = ['taskName', 'description', 'category', 'priority', 'status', 'timelinePhase', 'startDate', 'endDate', 'assignedTo'];
+
+const pickTodoFields = body => Object.fromEntries(
+  TODO_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Let the assignee know about a task someone else gave them
+const notifyAssignee = async (req, userEvent, todo) => {
+  if (!todo.assignedTo || String(todo.assignedTo) === String(req.user.id)) return;
+  try {
+    const notification = await Notification.create({
+      recipient: todo.assignedTo,
+      sender: req.user.id,
+      type: 'reminder',
+      title: 'Task Assigned to You',
+      message: `${collaborationService.displayName(req.user)} assigned you "${todo.taskName}" for ${userEvent.title}.`.slice(0, 500),
+      data: { userEventId: userEvent._id, todoId: todo._id },
+      actionUrl: `/planner/${userEvent._id}?tab=tasks`
+    });
+    const socketService = req.app.get('socketService');
+    if (socketService) {
+      socketService.broadcastNotification(notification);
+    }
+  } catch (notificationError) {
+    // Failed to notify the assignee
+  }
+};
+
 // @desc    Get all todos for a specific user event
 // @route   GET /api/user-events/:eventId/todos
 // @access  Private (Customer only)
@@ -32,20 +71,25 @@ exports.getEventTodos = catchAsync(async (req, res) => {
     });
   }
 
-  // Verify the event belongs to the user
-  const userEvent = await UserEvent.findOne({ _id: eventId, user: userId });
-  if (!userEvent) {
-    return res.status(404).json({
+  // Verify the user owns the event or collaborates on it
+  const { userEvent, error } = await collaborationService.loadUserEvent(eventId, userId, 'viewer');
+  if (error) {
+    return res.status(error.statusCode).json({
       status: 'fail',
-      message: 'Event not found'
+      message: error.message
     });
   }
 
   // Build query
-  const query = { userEvent, user: userId };
+  const query = { userEvent: userEvent._id };
   if (status && ['pending', 'in-progress', 'completed'].includes(status)) {
     query.status = status;
   }
+  if (req.query.assignedTo === 'me') {
+    query.assignedTo = userId;
+  } else if (mongoose.Types.ObjectId.isValid(req.query.assignedTo)) {
+    query.assignedTo = req.query.assignedTo;
+  }
 
   // Build sort object
   const sortOptions = {};
@@ -53,6 +97,7 @@ exports.getEventTodos = catchAsync(async (req, res) => {
 
   const todos = await Todo.find(query)
     .sort(sortOptions)
+    .populate('assignedTo', 'email customerProfile.fullName customerProfile.profileImage')
     .select('-__v');
 
   res.status(200).json({
@@ -87,16 +132,16 @@ exports.getEventTodo = catchAsync(async (req, res) => {
     });
   }
 
-  // Verify the event belongs to the user
-  const userEvent = await UserEvent.findOne({ _id: eventId, user: userId });
-  if (!userEvent) {
-    return res.status(404).json({
+  // Verify the user owns the event or collaborates on it
+  const { userEvent, error } = await collaborationService.loadUserEvent(eventId, userId, 'viewer');
+  if (error) {
+    return res.status(error.statusCode).json({
       status: 'fail',
-      message: 'Event not found'
+      message: error.message
     });
   }
 
-  const todo = await Todo.findOne({ _id: todoId, userEvent, user: userId });
+  const todo = await Todo.findOne({ _id: todoId, userEvent: userEvent._id });
 
   if (!todo) {
     return res.status(404).json({
@@ -135,23 +180,41 @@ exports.createEventTodo = catchAsync(async (req, res) => {
     });
   }
 
-  // Verify the event belongs to the user
-  const userEvent = await UserEvent.findOne({ _id: eventId, user: userId });
-  if (!userEvent) {
-    return res.status(404).json({
+  // Verify the user owns the event or collaborates on it
+  const { userEvent, error } = await collaborationService.loadUserEvent(eventId, userId, 'editor');
+  if (error) {
+    return res.status(error.statusCode).json({
       status: 'fail',
-      message: 'Event not found'
+      message: error.message
     });
   }
 
+  const assigneeError = checkAssignee(userEvent, req.body.assignedTo);
+  if (assigneeError) {
+    return res.status(400).json({
+      status: 'fail',
+      message: assigneeError
+    });
+  }
+
+  // Todos belong to the event owner, whoever creates them
   const todoData = {
     ...req.body,
-    userEvent,
-    user: userId
+    assignedTo: req.body.assignedTo || undefined,
+    userEvent: userEvent._id,
+    user: userEvent.user
   };
 
   const todo = await Todo.create(todoData);
 
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'todo_created',
+    summary: `${collaborationService.displayName(req.user)} added "${todo.taskName}"`,
+    target: { type: 'todo', id: todo._id },
+    payload: { todo }
+  });
+  await notifyAssignee(req, userEvent, todo);
+
   res.status(201).json({
     status: 'success',
     data: {
@@ -182,18 +245,33 @@ exports.updateEventTodo = catchAsync(async (req, res) => {
     });
   }
 
-  // Verify the event belongs to the user
-  const userEvent = await UserEvent.findOne({ _id: eventId, user: userId });
-  if (!userEvent) {
-    return res.status(404).json({
+  // Verify the user owns the event or collaborates on it
+  const { userEvent, error } = await collaborationService.loadUserEvent(eventId, userId, 'editor');
+  if (error) {
+    return res.status(error.statusCode).json({
       status: 'fail',
-      message: 'Event not found'
+      message: error.message
     });
   }
 
+  const updates = pickTodoFields(req.body);
+  const assigneeError = checkAssignee(userEvent, updates.assignedTo);
+  if (assigneeError) {
+    return res.status(400).json({
+      status: 'fail',
+      message: assigneeError
+    });
+  }
+
+  if (updates.assignedTo === null || updates.assignedTo === '') {
+    delete updates.assignedTo;
+    updates.$unset = { assignedTo: 1 };
+  }
+
+  const previous = await Todo.findOne({ _id: todoId, userEvent: userEvent._id }).select('assignedTo');
   const todo = await Todo.findOneAndUpdate(
-    { _id: todoId, userEvent, user: userId },
-    req.body,
+    { _id: todoId, userEvent: userEvent._id },
+    updates,
     {
       new: true,
       runValidators: true
@@ -207,6 +285,17 @@ exports.updateEventTodo = catchAsync(async (req, res) => {
     });
   }
 
+  const reassigned = String(previous?.assignedTo || '') !== String(todo.assignedTo || '');
+  await collaborationService.recordActivity(req, userEvent, {
+    action: reassigned && todo.assignedTo ? 'todo_assigned' : 'todo_updated',
+    summary: `${collaborationService.displayName(req.user)} updated "${todo.taskName}"`,
+    target: { type: 'todo', id: todo._id },
+    payload: { todo }
+  });
+  if (reassigned) {
+    await notifyAssignee(req, userEvent, todo);
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -237,16 +326,16 @@ exports.deleteEventTodo = catchAsync(async (req, res) => {
     });
   }
 
-  // Verify the event belongs to the user
-  const userEvent = await UserEvent.findOne({ _id: eventId, user: userId });
-  if (!userEvent) {
-    return res.status(404).json({
+  // Verify the user owns the event or collaborates on it
+  const { userEvent, error } = await collaborationService.loadUserEvent(eventId, userId, 'editor');
+  if (error) {
+    return res.status(error.statusCode).json({
       status: 'fail',
-      message: 'Event not found'
+      message: error.message
     });
   }
 
-  const todo = await Todo.findOneAndDelete({ _id: todoId, userEvent, user: userId });
+  const todo = await Todo.findOneAndDelete({ _id: todoId, userEvent: userEvent._id });
 
   if (!todo) {
     return res.status(404).json({
@@ -255,6 +344,12 @@ exports.deleteEventTodo = catchAsync(async (req, res) => {
     });
   }
 
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'todo_deleted',
+    summary: `${collaborationService.displayName(req.user)} removed "${todo.taskName}"`,
+    target: { type: 'todo', id: todo._id }
+  });
+
   res.status(204).json({
     status: 'success',
     data: null
@@ -283,16 +378,16 @@ exports.toggleTodoCompletion = catchAsync(async (req, res) => {
     });
   }
 
-  // Verify the event belongs to the user
-  const userEvent = await UserEvent.findOne({ _id: eventId, user: userId });
-  if (!userEvent) {
-    return res.status(404).json({
+  // Verify the user owns the event or collaborates on it
+  const { userEvent, error } = await collaborationService.loadUserEvent(eventId, userId, 'editor');
+  if (error) {
+    return res.status(error.statusCode).json({
       status: 'fail',
-      message: 'Event not found'
+      message: error.message
     });
   }
 
-  const todo = await Todo.findOne({ _id: todoId, userEvent, user: userId });
+  const todo = await Todo.findOne({ _id: todoId, userEvent: userEvent._id });
 
   if (!todo) {
     return res.status(404).json({
@@ -313,6 +408,13 @@ exports.toggleTodoCompletion = catchAsync(async (req, res) => {
 
   await todo.save();
 
+  await collaborationService.recordActivity(req, userEvent, {
+    action: todo.isCompleted ? 'todo_completed' : 'todo_reopened',
+    summary: `${collaborationService.displayName(req.user)} ${todo.isCompleted ? 'completed' : 'reopened'} "${todo.taskName}"`,
+    target: { type: 'todo', id: todo._id },
+    payload: { todo }
+  });
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -343,17 +445,17 @@ exports.getEventTodoStats = catchAsync(async (req, res) => {
     });
   }
 
-  // Verify the event belongs to the user
-  const userEvent = await UserEvent.findOne({ _id: eventId, user: userId });
-  if (!userEvent) {
-    return res.status(404).json({
+  // Verify the user owns the event or collaborates on it
+  const { userEvent, error } = await collaborationService.loadUserEvent(eventId, userId, 'viewer');
+  if (error) {
+    return res.status(error.statusCode).json({
       status: 'fail',
-      message: 'Event not found'
+      message: error.message
     });
   }
 
   const stats = await Todo.aggregate([
-    { $match: { userEvent: mongoose.Types.ObjectId(eventId), user: mongoose.Types.ObjectId(userId) } },
+    { $match: { userEvent: userEvent._id } },
     {
       $group: {
         _id: null,
@@ -421,9 +523,9 @@ exports.getPriorityTodos = catchAsync(async (req, res) => {
 
   const userId = req.user.id;
 
-  // Get top 3 todos with nearest end dates that are not completed
+  // Get top 3 todos with nearest end dates that are not completed, from own events or assigned to the user
   const priorityTodos = await Todo.find({
-    user: userId,
+    $or: [{ user: userId }, { assignedTo: userId }],
     status: { $ne: 'completed' }
   })
   .populate('userEvent', 'title icon')
@@ -0,0 +1,371 @@
+const GuestHousehold = require('../models/GuestHousehold');
+const guestService = require('../services/guestService');
+const collaborationService = require('../services/collaborationService');
+const mongoose = require('mongoose');
+
+// A simplified error handler
+const catchAsync = fn => {
+  return (req, res, next) => {
+    fn(req, res, next).catch(next);
+  };
+};
+
+const MAX_SUB_EVENTS = 10;
+
+// Check the user is a customer with at least minRole on the event; sends the error response and returns null otherwise
+const loadUserEvent = async (req, res, minRole = 'editor') => {
+  if (req.user.role !== 'customer') {
+    res.status(403).json({
+      status: 'fail',
+      message: 'Only customers can manage guest lists'
+    });
+    return null;
+  }
+
+  const { userEvent, error } = await collaborationService.loadUserEvent(req.params.id, req.user.id, minRole);
+  if (error) {
+    res.status(error.statusCode).json({
+      status: 'fail',
+      message: error.message
+    });
+    return null;
+  }
+
+  return userEvent;
+};
+
+const loadHousehold = async (req, res, userEvent) => {
+  const household = mongoose.Types.ObjectId.isValid(req.params.householdId)
+    ? await GuestHousehold.findOne({ _id: req.params.householdId, userEvent: userEvent._id }).select('+rsvpToken')
+    : null;
+
+  if (!household) {
+    res.status(404).json({
+      status: 'fail',
+      message: 'Household not found'
+    });
+    return null;
+  }
+
+  return household;
+};
+
+const serializeHousehold = household => {
+  const data = household.toObject ? household.toObject() : { ...household };
+  if (data.rsvpToken) {
+    data.rsvpUrl = guestService.rsvpUrl(data.rsvpToken);
+  }
+  return data;
+};
+
+// Members from a request body; invitedTo lists sub-event ids (household default, or per member)
+const buildMembers = (userEvent, body, existingMembers = []) => {
+  return (body.members || []).map(member => {
+    const existing = member._id ? existingMembers.find(current => String(current._id) === String(member._id)) : null;
+    const invitedTo = member.invitedTo || body.invitedTo;
+    return {
+      ...(existing && { _id: existing._id }),
+      name: member.name,
+      email: member.email,
+      phone: member.phone,
+      isChild: Boolean(member.isChild),
+      dietary: {
+        halal: Boolean(member.dietary?.halal),
+        vegetarian: Boolean(member.dietary?.vegetarian),
+        nutAllergy: Boolean(member.dietary?.nutAllergy)
+      },
+      dietaryNotes: member.dietaryNotes,
+      invitations: invitedTo || !existing
+        ? guestService.buildInvitations(userEvent, invitedTo, existing?.invitations)
+        : existing.invitations
+    };
+  });
+};
+
+// @desc    Get the guest list of an event with its headcount
+// @route   GET /api/user-events/:id/guests
+// @access  Private (Customer only)
+exports.getGuests = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res, 'viewer');
+  if (!userEvent) return;
+
+  const { side, search } = req.query;
+  const query = { userEvent: userEvent._id };
+  if (guestService.SIDES.includes(side)) {
+    query.side = side;
+  }
+  if (search) {
+    const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { 'members.name': pattern }];
+  }
+
+  const households = await GuestHousehold.find(query).select('+rsvpToken').sort({ name: 1 });
+  const headcount = await guestService.getHeadcount(userEvent);
+
+  res.status(200).json({
+    status: 'success',
+    results: households.length,
+    data: {
+      eventId: userEvent._id,
+      subEvents: guestService.invitableEvents(userEvent),
+      households: households.map(serializeHousehold),
+      headcount
+    }
+  });
+});
+
+// @desc    Get headcount rollups and the suggested attendee count for caterers
+// @route   GET /api/user-events/:id/guests/headcount?date=
+// @access  Private (Customer only)
+exports.getHeadcount = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res, 'viewer');
+  if (!userEvent) return;
+
+  const date = req.query.date && !isNaN(Date.parse(req.query.date)) ? req.query.date : undefined;
+  const [headcount, suggestedAttendees] = await Promise.all([
+    guestService.getHeadcount(userEvent),
+    guestService.suggestAttendees(userEvent, { date })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      eventId: userEvent._id,
+      headcount,
+      suggestedAttendees,
+      cateringCategories: guestService.CATERING_CATEGORIES
+    }
+  });
+});
+
+// @desc    Add a household to the guest list
+// @route   POST /api/user-events/:id/guests
+// @access  Private (Customer only)
+exports.createHousehold = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const { name, side, email, phone, notes } = req.body;
+
+  const household = await GuestHousehold.create({
+    userEvent: userEvent._id,
+    user: userEvent.user,
+    name: name || req.body.members?.[0]?.name,
+    side,
+    email,
+    phone,
+    notes,
+    members: buildMembers(userEvent, req.body),
+    rsvpToken: guestService.generateRsvpToken()
+  });
+  await guestService.syncGuestCount(userEvent);
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'guests_updated',
+    summary: `${collaborationService.displayName(req.user)} added ${household.name} to the guest list`,
+    target: { type: 'guests' }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      household: serializeHousehold(household)
+    }
+  });
+});
+
+// @desc    Update a household and its guests
+// @route   PUT /api/user-events/:id/guests/:householdId
+// @access  Private (Customer only)
+exports.updateHousehold = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const household = await loadHousehold(req, res, userEvent);
+  if (!household) return;
+
+  ['name', 'side', 'email', 'phone', 'notes'].forEach(field => {
+    if (req.body[field] !== undefined) household[field] = req.body[field];
+  });
+  if (Array.isArray(req.body.members)) {
+    household.members = buildMembers(userEvent, req.body, household.members);
+  } else if (req.body.invitedTo) {
+    household.members.forEach(member => {
+      member.invitations = guestService.buildInvitations(userEvent, req.body.invitedTo, member.invitations);
+    });
+  }
+
+  await household.save();
+  await guestService.syncGuestCount(userEvent);
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'guests_updated',
+    summary: `${collaborationService.displayName(req.user)} updated ${household.name}`,
+    target: { type: 'guests' }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      household: serializeHousehold(household)
+    }
+  });
+});
+
+// @desc    Remove a household from the guest list
+// @route   DELETE /api/user-events/:id/guests/:householdId
+// @access  Private (Customer only)
+exports.deleteHousehold = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const household = await loadHousehold(req, res, userEvent);
+  if (!household) return;
+
+  await household.deleteOne();
+  await guestService.syncGuestCount(userEvent);
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'guests_updated',
+    summary: `${collaborationService.displayName(req.user)} removed ${household.name} from the guest list`,
+    target: { type: 'guests' }
+  });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Replace a household's RSVP link; the old link stops working
+// @route   POST /api/user-events/:id/guests/:householdId/rsvp-link
+// @access  Private (Customer only)
+exports.regenerateRsvpLink = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const household = await loadHousehold(req, res, userEvent);
+  if (!household) return;
+
+  household.rsvpToken = guestService.generateRsvpToken();
+  await household.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      rsvpUrl: guestService.rsvpUrl(household.rsvpToken)
+    }
+  });
+});
+
+// @desc    Replace the sub-events guests can be invited to (e.g. mehndi, nikah, walima)
+// @route   PUT /api/user-events/:id/sub-events
+// @access  Private (Customer only)
+exports.updateSubEvents = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const { subEvents } = req.body;
+  if (!Array.isArray(subEvents) || subEvents.length > MAX_SUB_EVENTS) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `Sub-events must be an array of at most ${MAX_SUB_EVENTS} items`
+    });
+  }
+
+  userEvent.subEvents = subEvents.map(({ _id, name, date, time, venue }) => ({
+    ...(_id && mongoose.Types.ObjectId.isValid(_id) && { _id }),
+    name,
+    date,
+    time,
+    venue
+  }));
+  await userEvent.save();
+
+  // Drop invitations to removed sub-events; guests left without any are invited to everything
+  const known = new Set(guestService.invitableEvents(userEvent).map(event => event.key));
+  const households = await GuestHousehold.find({ userEvent: userEvent._id });
+  for (const household of households) {
+    household.members.forEach(member => {
+      const kept = member.invitations.filter(invitation => known.has(guestService.subEventKey(invitation.subEvent)));
+      member.invitations = kept.length ? kept : guestService.buildInvitations(userEvent);
+    });
+    if (household.isModified()) {
+      await household.save();
+    }
+  }
+  const headcount = await guestService.syncGuestCount(userEvent);
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'guests_updated',
+    summary: `${collaborationService.displayName(req.user)} updated the sub-events`,
+    target: { type: 'guests' }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      subEvents: userEvent.subEvents,
+      headcount
+    }
+  });
+});
+
+// @desc    Import guests from CSV (body: { csv, replace })
+// @route   POST /api/user-events/:id/guests/import
+// @access  Private (Customer only)
+exports.importGuests = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res);
+  if (!userEvent) return;
+
+  const { csv, replace } = req.body;
+  if (typeof csv !== 'string' || !csv.trim()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'CSV content is required'
+    });
+  }
+
+  const { households, errors } = guestService.parseGuestCsv(userEvent, csv);
+  if (errors.length) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'The CSV has errors; nothing was imported',
+      errors
+    });
+  }
+
+  if (replace) {
+    await GuestHousehold.deleteMany({ userEvent: userEvent._id });
+  }
+  const created = await GuestHousehold.insertMany(households.map(household => ({
+    ...household,
+    rsvpToken: guestService.generateRsvpToken()
+  })));
+  const headcount = await guestService.syncGuestCount(userEvent);
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'guests_updated',
+    summary: `${collaborationService.displayName(req.user)} imported ${created.length} households`,
+    target: { type: 'guests' }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      households: created.length,
+      guests: created.reduce((sum, household) => sum + household.members.length, 0),
+      headcount
+    }
+  });
+});
+
+// @desc    Export the guest list as CSV
+// @route   GET /api/user-events/:id/guests/export
+// @access  Private (Customer only)
+exports.exportGuests = catchAsync(async (req, res) => {
+  const userEvent = await loadUserEvent(req, res, 'viewer');
+  if (!userEvent) return;
+
+  const households = await GuestHousehold.find({ userEvent: userEvent._id }).sort({ name: 1 }).lean();
+  const csv = guestService.guestListToCsv(userEvent, households);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="guest-list-${userEvent._id}.csv"`);
+  res.status(200).send(csv);
+});
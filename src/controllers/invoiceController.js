@@ -288,8 +288,8 @@ const deleteInvoice = async (req, res) => {
       });
     }
 
-    // Delete invoice
-    await Invoice.findByIdAndDelete(id);
+    // Move the invoice to the trash; it stays restorable until the retention purge
+    await invoice.softDelete(req.user._id);
 
     res.status(200).json({
       success: true,
@@ -428,6 +428,30 @@ exports.sendMessage = catchAsync(async (req, res) => {
     }
 });
 
+// Post a structured ('custom') message into the conversation between two users and push it
+// over the socket. Used by flows such as quote negotiation that message on the user's behalf.
+exports.postCustomMessage = async ({ senderId, receiverId, content, customData, socketService }) => {
+    const conversationId = Message.generateConversationId(senderId, receiverId);
+
+    const newMessage = await Message.create({
+        conversationId,
+        sender: senderId,
+        receiver: receiverId,
+        content,
+        messageType: 'custom',
+        customData
+    });
+
+    await newMessage.populate('sender', 'role customerProfile.fullName vendorProfile.businessName vendorProfile.ownerName');
+
+    if (socketService) {
+        socketService.broadcastMessage(newMessage);
+        socketService.sendUnreadCountUpdate(receiverId);
+    }
+
+    return newMessage;
+};
+
 // @desc    Mark messages as read
 // @route   PATCH /api/messages/read/:conversationId
 // @access  Private
@@ -690,6 +714,7 @@ module.exports = {
   getConversations: exports.getConversations,
   getConversation: exports.getConversation,
   sendMessage: exports.sendMessage,
+  postCustomMessage: exports.postCustomMessage,
   markAsRead: exports.markAsRead,
   getUnreadCount: exports.getUnreadCount,
   deleteConversation: exports.deleteConversation,
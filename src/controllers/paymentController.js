@@ -1,18 +1,12 @@
-const Stripe = require('stripe');
 const CheckoutSession = require('../models/CheckoutSession');
 const User = require('../models/User');
 const Event = require('../models/Event');
-const Booking = require('../models/Booking');
 const EmailService = require('../services/emailService');
 const taxService = require('../services/taxService');
-
-function getStripe() {
-    const secret = process.env.STRIPE_ACCOUNT_SECRET;
-    if (!secret) {
-        throw new Error('STRIPE_ACCOUNT_SECRET is not configured');
-    }
-    return new Stripe(secret);
-}
+const { checkAvailability } = require('../services/availabilityService');
+const paymentScheduleService = require('../services/paymentScheduleService');
+const stripeWebhookService = require('../services/stripeWebhookService');
+const { getStripe } = require('../config/stripe');
 
 // Helper function to safely format Stripe metadata (under 500 chars)
 function formatStripeMetadata(userId, taxBreakdownData, totalTaxAmount) {
@@ -56,7 +50,7 @@ function formatStripeMetadata(userId, taxBreakdownData, totalTaxAmount) {
 exports.createCheckoutSession = async (req, res) => {
 	try {
 		const userId = req.user.id;
-		const { taxBreakdown, totalTaxAmount } = req.body; // Get tax breakdown from request body
+		// Tax is always computed server-side; any taxBreakdown/totalTaxAmount in the body is ignored
 		
 		const user = await User.findById(userId).populate({
 			path: 'customerProfile.customerCart.event',
@@ -72,11 +66,29 @@ exports.createCheckoutSession = async (req, res) => {
 			return res.status(400).json({ success: false, message: 'Your cart is empty' });
 		}
 
+		// Accepted quotes are only held at the quoted price until their expiry
+		const now = new Date();
+		const expiredItems = cart
+			.filter(item => item.expiresAt && item.expiresAt < now)
+			.map(item => ({ cartItemId: item._id, eventName: item.event?.name, expiresAt: item.expiresAt }));
+		if (expiredItems.length) {
+			return res.status(409).json({
+				success: false,
+				message: 'Some quoted items in your cart have expired. Remove them and request a new quote.',
+				data: { expiredItems }
+			});
+		}
+
+		// Authoritative per-item tax, computed from each listing's zip code
+		const taxQuote = taxService.calculateCartTax(cart);
+		const itemTaxById = new Map(taxQuote.items.map(t => [t.cartItemId.toString(), t]));
+
 		// Build line items and capture a snapshot
 		const currency = (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
 		const lineItems = [];
 		const cartSnapshot = [];
-		let subtotal = 0;
+		const unavailableItems = [];
+		let amountDueNow = 0;
 
 		for (const item of cart) {
 			if (!item.event) continue;
@@ -105,23 +117,42 @@ exports.createCheckoutSession = async (req, res) => {
 				packageDescription = pkg?.name || 'Custom Package';
 			}
 
-			const unitAmountCents = Math.round((Number(item.totalPrice) || 0) * 100);
-			subtotal += Number(item.totalPrice) || 0;
+			// Ensure we capture vendorId (and the vendor's booking rules) from DB
+            const eventDoc = await Event.findById(item.event._id).select('vendor name flatPrice').populate({ path: 'vendor', select: 'vendorProfile.businessName vendorProfile.bookingRules' });
+
+			// Charge only the deposit when the vendor requires one; the balance is collected later
+			const paymentPlan = paymentScheduleService.calculatePaymentSchedule({
+				totalPrice: item.totalPrice,
+				eventDate: item.eventDate,
+				bookingRules: eventDoc?.vendor?.vendorProfile?.bookingRules
+			});
+			amountDueNow += paymentPlan.amountDueNow;
+
+			const unitAmountCents = Math.round(paymentPlan.amountDueNow * 100);
 
 			lineItems.push({
 				price_data: {
 					currency,
 					product_data: {
-						name: item.event?.name || 'Event booking',
-						description: packageDescription
+						name: paymentPlan.schedule === 'deposit'
+							? `${item.event?.name || 'Event booking'} (Deposit)`
+							: item.event?.name || 'Event booking',
+						description: paymentPlan.schedule === 'deposit'
+							? `${packageDescription} - balance of ${EmailService.formatCurrency(paymentPlan.balanceAmount, currency)} due by ${paymentPlan.balanceDueDate.toLocaleDateString()}`
+							: packageDescription
 					},
 					unit_amount: unitAmountCents
 				},
 				quantity: 1
 			});
 
-			// Ensure we capture vendorId from DB
-            const eventDoc = await Event.findById(item.event._id).select('vendor name flatPrice').populate({ path: 'vendor', select: 'vendorProfile.businessName' });
+			// Do not take payment for a slot the vendor can no longer honour
+			if (eventDoc) {
+				const slot = await checkAvailability({ event: eventDoc, eventDate: item.eventDate, eventTime: item.eventTime });
+				if (!slot.available) {
+					unavailableItems.push({ cartItemId: item._id, eventName: eventDoc.name, code: slot.code, reason: slot.reason });
+				}
+			}
 			
 			const cartItem = {
 				eventId: item.event._id,
@@ -133,6 +164,11 @@ exports.createCheckoutSession = async (req, res) => {
 				eventTime: item.eventTime,
 				attendees: item.attendees,
 				totalPrice: item.totalPrice,
+				taxRate: itemTaxById.get(item._id.toString())?.taxRate || 0,
+				taxAmount: itemTaxById.get(item._id.toString())?.taxAmount || 0,
+				depositAmount: paymentPlan.depositAmount,
+				balanceAmount: paymentPlan.balanceAmount,
+				balanceDueDate: paymentPlan.balanceDueDate,
 				display: { name: item.event?.name, description: packageDescription }
 			};
 
@@ -149,72 +185,26 @@ exports.createCheckoutSession = async (req, res) => {
 			return res.status(400).json({ success: false, message: 'Your cart has invalid items' });
 		}
 
-		// Use tax breakdown from frontend if provided, otherwise calculate from listings
-		let taxAmount = 0;
-		let totalWithTax = subtotal;
-		let taxInfo = { state: null, taxRate: 0 };
-		let taxBreakdownData = [];
-
-		if (taxBreakdown && taxBreakdown.length > 0) {
-			// Use the tax breakdown provided by frontend
-			taxAmount = totalTaxAmount || 0;
-			totalWithTax = subtotal + taxAmount;
-			taxBreakdownData = taxBreakdown;
-			
-			// Get the first state for backward compatibility
-			if (taxBreakdown.length > 0) {
-				taxInfo.state = taxBreakdown[0].state;
-				taxInfo.taxRate = taxBreakdown[0].taxRate;
-			}
-		} else {
-			// Fallback: calculate tax from listing zipcodes (for backward compatibility)
-			const zipcodeGroups = {};
-			
-			cart.forEach(item => {
-				if (item.event?.location?.zipCode) {
-					const zipCode = item.event.location.zipCode;
-					if (!zipcodeGroups[zipCode]) {
-						zipcodeGroups[zipCode] = {
-							items: [],
-							subtotal: 0
-						};
-					}
-					zipcodeGroups[zipCode].items.push(item);
-					zipcodeGroups[zipCode].subtotal += item.totalPrice;
-				}
+		if (unavailableItems.length) {
+			return res.status(409).json({
+				success: false,
+				message: 'Some items in your cart are no longer available for the selected dates',
+				data: { unavailableItems }
 			});
-
-			// Calculate tax for each zipcode group
-			for (const [zipCode, group] of Object.entries(zipcodeGroups)) {
-				try {
-					const taxResult = taxService.getTaxInfoFromZipCode(zipCode);
-					if (!taxResult.error) {
-						const itemTaxAmount = taxService.calculateTaxAmount(group.subtotal, taxResult.taxRate);
-						taxAmount += itemTaxAmount;
-						
-						taxBreakdownData.push({
-							zipCode,
-							state: taxResult.state,
-							city: taxResult.city,
-							taxRate: taxResult.taxRate,
-							subtotal: group.subtotal,
-							taxAmount: itemTaxAmount
-						});
-					}
-				} catch (error) {
-					// Error calculating tax for zipcode
-				}
-			}
-			
-			totalWithTax = subtotal + taxAmount;
-			
-			// Get the first state for backward compatibility
-			if (taxBreakdownData.length > 0) {
-				taxInfo.state = taxBreakdownData[0].state;
-				taxInfo.taxRate = taxBreakdownData[0].taxRate;
-			}
 		}
 
+		const taxAmount = taxQuote.taxAmount;
+		const totalWithTax = taxQuote.total;
+		// Sales tax on the full order is collected with the first payment
+		amountDueNow = Math.round((amountDueNow + taxAmount) * 100) / 100;
+		const taxBreakdownData = taxQuote.taxBreakdown;
+
+		// Keep the first state on the session for backward compatibility
+		const taxInfo = {
+			state: taxBreakdownData[0]?.state || null,
+			taxRate: taxBreakdownData[0]?.taxRate || 0
+		};
+
 		// Add tax as a separate line item in Stripe if there's tax
 		if (taxAmount > 0) {
 			lineItems.push({
@@ -234,7 +224,7 @@ exports.createCheckoutSession = async (req, res) => {
         
         // Format metadata safely - Stripe has a 500 character limit for metadata
         // We only include essential information: userId, totalTaxAmount, and limited tax info
-        const metadata = formatStripeMetadata(userId, taxBreakdownData, totalTaxAmount);
+        const metadata = formatStripeMetadata(userId, taxBreakdownData, taxAmount);
         
         // Validate metadata length before creating session
         const metadataLength = JSON.stringify(metadata).length;
@@ -258,7 +248,8 @@ exports.createCheckoutSession = async (req, res) => {
 			stripeSessionId: session.id,
 			currency,
             totalAmount: totalWithTax,
-			subtotal: subtotal,
+			subtotal: taxQuote.subtotal,
+			amountDueNow,
 			taxAmount: taxAmount,
 			taxRate: taxInfo.taxRate,
 			state: taxInfo.state,
@@ -272,6 +263,7 @@ exports.createCheckoutSession = async (req, res) => {
 			data: { 
 				url: session.url, 
 				sessionId: session.id,
+				amountDueNow,
 				taxInfo: {
 					states: taxBreakdownData.map(t => t.state),
 					taxRates: taxBreakdownData.map(t => t.taxRate),
@@ -279,7 +271,7 @@ exports.createCheckoutSession = async (req, res) => {
 					total: totalWithTax,
 					breakdown: taxBreakdownData
 				},
-				metadata: formatStripeMetadata(userId, taxBreakdownData, totalTaxAmount)
+				metadata: formatStripeMetadata(userId, taxBreakdownData, taxAmount)
 			} 
 		});
 	} catch (error) {
@@ -306,98 +298,10 @@ exports.handleStripeWebhook = async (req, res) => {
 	}
 
 	try {
-		switch (event.type) {
-			case 'checkout.session.completed': {
-				const session = event.data.object;
-				await CheckoutSession.findOneAndUpdate({ stripeSessionId: session.id }, { status: 'completed', paymentIntentId: session.payment_intent });
-
-				// Create bookings from snapshot
-				const checkout = await CheckoutSession.findOne({ stripeSessionId: session.id });
-                if (checkout && checkout.cartItems?.length) {
-                    // Preload customer and event for snapshots
-                    const customer = await User.findById(checkout.user).select('email phoneNumber customerProfile.fullName customerProfile.location');
-                    for (const item of checkout.cartItems) {
-                        const eventDoc = await Event.findById(item.eventId).select('name imageUrls location vendor').populate({ path: 'vendor', select: 'vendorProfile.businessName' });
-                        const packageSnapshot = {
-                            name: item.display?.description || 'Package',
-                            description: undefined,
-                            price: item.totalPrice,
-                            includes: []
-                        };
-                        await Booking.create({
-                            customer: checkout.user,
-                            vendor: item.vendorId,
-                            event: item.eventId,
-                            package: item.packageId,
-                            packageType: item.packageType,
-                            eventDate: item.eventDate,
-                            eventTime: item.eventTime,
-                            attendees: item.attendees,
-                            totalPrice: item.totalPrice,
-                            status: 'Confirmed',
-                            payment: {
-                                sessionId: session.id,
-                                paymentIntentId: session.payment_intent,
-                                currency: (process.env.STRIPE_CURRENCY || 'usd').toLowerCase(),
-                                amountPaid: Number(item.totalPrice) || 0
-                            },
-                            customerSnapshot: {
-                                fullName: customer?.customerProfile?.fullName,
-                                email: customer?.email,
-                                phoneNumber: customer?.phoneNumber,
-                                location: customer?.customerProfile?.location || {}
-                            },
-                            eventSnapshot: {
-                                name: eventDoc?.name,
-                                location: eventDoc?.location,
-                                imageUrl: Array.isArray(eventDoc?.imageUrls) && eventDoc.imageUrls.length ? eventDoc.imageUrls[0] : null,
-                                vendorBusinessName: eventDoc?.vendor?.vendorProfile?.businessName
-                            },
-                            packageSnapshot
-                        });
-                    }
-
-					// Clear the user's cart
-					await User.findByIdAndUpdate(checkout.user, { $set: { 'customerProfile.customerCart': [] } });
-
-                    // Send booking confirmation email (best-effort)
-                    try {
-                        const currency = (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
-                        const subtotal = checkout.subtotal || checkout.cartItems.reduce((sum, it) => sum + (Number(it.totalPrice) || 0), 0);
-                        const tax = checkout.taxAmount || 0;
-                        const total = checkout.totalAmount || subtotal + tax;
-                        await EmailService.sendBookingConfirmationEmail({
-                            toEmail: customer?.email,
-                            customerName: customer?.customerProfile?.fullName || 'Customer',
-                            sessionId: session.id,
-                            currency,
-                            items: checkout.cartItems,
-                            subtotal,
-                            tax,
-                            total
-                        });
-                    } catch (emailErr) {
-                        // Failed to send booking confirmation email
-                    }
-				}
-				break;
-			}
-			case 'checkout.session.expired': {
-				const session = event.data.object;
-				await CheckoutSession.findOneAndUpdate({ stripeSessionId: session.id }, { status: 'expired' });
-				break;
-			}
-			case 'checkout.session.async_payment_failed':
-			case 'checkout.session.failed':
-			default:
-				break;
-		}
-
-		return res.status(200).json({ received: true });
+		const result = await stripeWebhookService.handleEvent(event);
+		return res.status(200).json({ received: true, duplicate: result.duplicate });
 	} catch (error) {
-		// Webhook handling error
+		// Webhook handling error; recorded on the event ledger so Stripe's retry (or an admin replay) can finish it
 		return res.status(500).send('Webhook handling error');
 	}
 };
-
-
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const { getStripe } = require('../config/stripe');
+
+const catchAsync = fn => {
+  return (req, res, next) => {
+    fn(req, res, next).catch(next);
+  };
+};
+
+// @desc    Start (or resume) Stripe Connect Express onboarding
+// @route   POST /api/vendor/payouts/onboarding
+// @access  Private (Vendors only)
+exports.startOnboarding = catchAsync(async (req, res) => {
+  const vendor = await User.findById(req.user.id);
+  const stripe = getStripe();
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const connect = vendor.vendorProfile.stripeConnect;
+
+  if (!connect.accountId) {
+    const account = await stripe.accounts.create({
+      type: 'express',
+      email: vendor.email,
+      business_profile: { name: vendor.vendorProfile.businessName },
+      capabilities: { transfers: { requested: true } },
+      metadata: { userId: vendor._id.toString() }
+    });
+    connect.accountId = account.id;
+    await vendor.save();
+  }
+
+  const accountLink = await stripe.accountLinks.create({
+    account: connect.accountId,
+    refresh_url: `${frontendUrl}/profile_listing?tab=Payouts&onboarding=refresh`,
+    return_url: `${frontendUrl}/profile_listing?tab=Payouts&onboarding=complete`,
+    type: 'account_onboarding'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      url: accountLink.url,
+      expiresAt: new Date(accountLink.expires_at * 1000)
+    }
+  });
+});
+
+// @desc    Get the vendor's Stripe Connect account status
+// @route   GET /api/vendor/payouts/account
+// @access  Private (Vendors only)
+exports.getPayoutAccount = catchAsync(async (req, res) => {
+  const vendor = await User.findById(req.user.id).select('vendorProfile.stripeConnect');
+  const connect = vendor.vendorProfile.stripeConnect;
+
+  let dashboardUrl = null;
+  if (connect.accountId && connect.detailsSubmitted) {
+    try {
+      const loginLink = await getStripe().accounts.createLoginLink(connect.accountId);
+      dashboardUrl = loginLink.url;
+    } catch (error) {
+      // Login links are only available once the Express account is fully set up
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      connected: !!connect.accountId,
+      detailsSubmitted: connect.detailsSubmitted,
+      payoutsEnabled: connect.payoutsEnabled,
+      onboardedAt: connect.onboardedAt,
+      dashboardUrl
+    }
+  });
+});
+
+// @desc    Get the vendor's payout ledger (gross, fee, net and transfer status per booking)
+// @route   GET /api/vendor/payouts?status=&page=&limit=
+// @access  Private (Vendors only)
+exports.getPayouts = catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, parseInt(limit, 10) || 20);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = {
+    vendor: new mongoose.Types.ObjectId(req.user.id),
+    'payout.transfers.0': { $exists: true }
+  };
+  if (status) query['payout.status'] = status;
+
+  const [bookings, total, totals] = await Promise.all([
+    Booking.find(query)
+      .sort({ bookingDate: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    Booking.countDocuments(query),
+    Booking.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: null,
+          grossAmount: { $sum: '$payout.grossAmount' },
+          feeAmount: { $sum: '$payout.feeAmount' },
+          netAmount: { $sum: '$payout.netAmount' },
+          transferredAmount: { $sum: '$payout.transferredAmount' },
+          reversedAmount: { $sum: '$payout.reversedAmount' }
+        }
+      }
+    ])
+  ]);
+
+  const payouts = bookings.map(booking => ({
+    bookingId: booking._id,
+    eventName: booking.eventSnapshot?.name || booking.event?.name,
+    eventDate: booking.eventDate,
+    bookingStatus: booking.status,
+    paymentStatus: booking.paymentStatus,
+    commissionRate: booking.payout.commissionRate,
+    grossAmount: booking.payout.grossAmount,
+    feeAmount: booking.payout.feeAmount,
+    netAmount: booking.payout.netAmount,
+    transferredAmount: booking.payout.transferredAmount,
+    reversedAmount: booking.payout.reversedAmount,
+    status: booking.payout.status,
+    transfers: booking.payout.transfers.map(t => ({
+      transferId: t.transferId,
+      grossAmount: t.grossAmount,
+      feeAmount: t.feeAmount,
+      amount: t.amount,
+      status: t.status,
+      reversedAmount: t.reversedAmount,
+      createdAt: t.createdAt
+    }))
+  }));
+
+  const summary = totals[0] || { grossAmount: 0, feeAmount: 0, netAmount: 0, transferredAmount: 0, reversedAmount: 0 };
+  delete summary._id;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      payouts,
+      summary,
+      pagination: { total, page: pageNum, limit: limitNum, pages: Math.ceil(total / limitNum) }
+    }
+  });
+});
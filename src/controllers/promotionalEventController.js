@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const PromotionalEvent = require('../models/PromotionalEvent');
+const TicketOrder = require('../models/TicketOrder');
+const Ticket = require('../models/Ticket');
+const ticketService = require('../services/ticketService');
+
+const catchAsync = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+// Fields of a promotional event shown to the public
+const PUBLIC_FIELDS = 'title slug tagline description images url date time location ticketPrice ticketsAvailable ticketsSold isFeatured featuredAt';
+
+const escapeRegex = value => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const startOfToday = () => new Date(new Date().setHours(0, 0, 0, 0));
+
+// @desc    List active promotional events (upcoming by default, optionally featured or in a city)
+// @route   GET /api/promotional-events?upcoming=&featured=&city=&search=&page=&limit=
+// @access  Public
+exports.listPromotionalEvents = catchAsync(async (req, res) => {
+  const { upcoming = 'true', featured, city, search } = req.query;
+  const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(req.query.limit, 10) || 12, 1), 50);
+
+  const query = { isActive: true };
+  if (upcoming !== 'false') query.date = { $gte: startOfToday() };
+  if (featured === 'true') query.isFeatured = true;
+  if (city) query['location.city'] = new RegExp(`^${escapeRegex(String(city).trim())}$`, 'i');
+  if (search) {
+    const regex = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ title: regex }, { tagline: regex }, { description: regex }];
+  }
+
+  // Upcoming events soonest first; past events most recent first
+  const sort = upcoming !== 'false' ? { date: 1 } : { date: -1 };
+
+  const [promotionalEvents, total] = await Promise.all([
+    PromotionalEvent.find(query)
+      .select(PUBLIC_FIELDS)
+      .sort(sort)
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    PromotionalEvent.countDocuments(query)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      promotionalEvents,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    }
+  });
+});
+
+// @desc    Get an active promotional event by slug (or id, for events created before slugs)
+// @route   GET /api/promotional-events/:slug
+// @access  Public
+exports.getPromotionalEvent = catchAsync(async (req, res) => {
+  const { slug } = req.params;
+  const lookup = mongoose.Types.ObjectId.isValid(slug) ? { $or: [{ slug }, { _id: slug }] } : { slug };
+
+  const promotionalEvent = await PromotionalEvent.findOne({ ...lookup, isActive: true }).select(PUBLIC_FIELDS);
+  if (!promotionalEvent) {
+    return res.status(404).json({ success: false, message: 'Event not found' });
+  }
+
+  res.status(200).json({ success: true, data: { promotionalEvent } });
+});
+
+// @desc    Buy tickets; returns a Stripe Checkout URL, or the tickets for free events
+// @route   POST /api/promotional-events/:id/tickets
+// @access  Private (Customer only)
+exports.purchaseTickets = catchAsync(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Event not found' });
+  }
+
+  let result;
+  try {
+    result = await ticketService.purchaseTickets({
+      eventId: req.params.id,
+      buyerId: req.user._id,
+      quantity: Number(req.body.quantity ?? 1)
+    });
+  } catch (error) {
+    // Stripe or database failure; the reservation has been released
+    return res.status(500).json({ success: false, message: 'Failed to start ticket checkout' });
+  }
+
+  if (result.error) {
+    return res.status(result.error.statusCode).json({ success: false, message: result.error.message });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      order: result.order,
+      url: result.checkoutUrl,
+      tickets: result.tickets ? result.tickets.map(ticketService.serializeTicket) : undefined
+    }
+  });
+});
+
+// @desc    Get one of the user's ticket orders with its tickets (e.g. after returning from checkout)
+// @route   GET /api/promotional-events/orders/:orderId
+// @access  Private
+exports.getTicketOrder = catchAsync(async (req, res) => {
+  const order = mongoose.Types.ObjectId.isValid(req.params.orderId)
+    ? await TicketOrder.findOne({ _id: req.params.orderId, buyer: req.user._id })
+      .populate('promotionalEvent', 'title slug images date time location')
+    : null;
+  if (!order) {
+    return res.status(404).json({ success: false, message: 'Order not found' });
+  }
+
+  const tickets = order.status === 'paid'
+    ? await Ticket.find({ order: order._id }).sort({ seq: 1 })
+    : [];
+
+  res.status(200).json({
+    success: true,
+    data: {
+      order,
+      tickets: tickets.map(ticketService.serializeTicket)
+    }
+  });
+});
+
+// @desc    List the user's tickets, upcoming events first
+// @route   GET /api/promotional-events/tickets/mine?past=
+// @access  Private
+exports.getMyTickets = catchAsync(async (req, res) => {
+  const tickets = await Ticket.find({ holder: req.user._id })
+    .populate('promotionalEvent', 'title slug images date time location')
+    .sort({ createdAt: -1 });
+
+  const today = startOfToday();
+  const past = req.query.past === 'true';
+  const visible = tickets
+    .filter(ticket => ticket.promotionalEvent && (ticket.promotionalEvent.date < today) === past)
+    .sort((a, b) => (past ? -1 : 1) * (a.promotionalEvent.date - b.promotionalEvent.date));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      tickets: visible.map(ticketService.serializeTicket)
+    }
+  });
+});
+
+// @desc    Check in a ticket by its scanned QR code (body: { code })
+// @route   POST /api/promotional-events/:id/check-in
+// @access  Private (Admin only)
+exports.checkInTicket = catchAsync(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ success: false, message: 'Event not found' });
+  }
+
+  const { ticket, error } = await ticketService.checkInTicket({
+    eventId: req.params.id,
+    code: req.body.code,
+    staffId: req.user._id
+  });
+
+  if (error) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      data: error.ticket ? { ticket: error.ticket } : undefined
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Ticket checked in',
+    data: { ticket }
+  });
+});
+
+module.exports = {
+  listPromotionalEvents: exports.listPromotionalEvents,
+  getPromotionalEvent: exports.getPromotionalEvent,
+  purchaseTickets: exports.purchaseTickets,
+  getTicketOrder: exports.getTicketOrder,
+  getMyTickets: exports.getMyTickets,
+  checkInTicket: exports.checkInTicket
+};
@@ -0,0 +1,459 @@
+const mongoose = require('mongoose');
+const QuoteRequest = require('../models/QuoteRequest');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { postCustomMessage } = require('./messageController');
+const { checkAvailability } = require('../services/availabilityService');
+
+const catchAsync = fn => {
+  return (req, res, next) => {
+    fn(req, res, next).catch(next);
+  };
+};
+
+// How long a vendor's quote stays valid unless they say otherwise
+const DEFAULT_QUOTE_VALID_DAYS = 7;
+
+// How long an accepted quote is held in the cart at the quoted price
+const QUOTE_CART_HOLD_HOURS = parseInt(process.env.QUOTE_CART_HOLD_HOURS, 10) || 72;
+
+const formatPrice = price => `$${Number(price || 0).toFixed(2)}`;
+
+// Post the negotiation step into the customer/vendor conversation and notify the other side
+const announce = async (req, quote, { to, action, content, title, message }) => {
+  const socketService = req.app.get('socketService');
+  const event = await Event.findById(quote.event).select('name');
+
+  try {
+    await postCustomMessage({
+      senderId: req.user.id,
+      receiverId: to,
+      content,
+      customData: {
+        type: 'quote',
+        action,
+        quoteId: quote._id,
+        status: quote.status,
+        eventId: quote.event,
+        eventName: event?.name,
+        eventDate: quote.eventDate,
+        attendees: quote.attendees,
+        price: action === 'countered' ? quote.counterPrice : quote.quotedPrice,
+        expiresAt: quote.quoteExpiresAt
+      },
+      socketService
+    });
+  } catch (messageError) {
+    // Failed to post quote message
+  }
+
+  try {
+    const notification = await Notification.create({
+      recipient: to,
+      sender: req.user.id,
+      type: 'vendor_inquiry',
+      title,
+      message: `${message}${event?.name ? ` (${event.name})` : ''}`.slice(0, 500),
+      data: { quoteId: quote._id, eventId: quote.event, action },
+      actionUrl: `/messages/${[req.user.id.toString(), to.toString()].sort().join('_')}`
+    });
+    if (socketService) {
+      socketService.broadcastNotification(notification);
+    }
+  } catch (notificationError) {
+    // Failed to create quote notification
+  }
+};
+
+// Load a quote the current user takes part in
+const findQuoteForUser = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: 'Quote request not found.' });
+    return null;
+  }
+
+  const quote = await QuoteRequest.findById(req.params.id);
+  if (!quote) {
+    res.status(404).json({ success: false, message: 'Quote request not found.' });
+    return null;
+  }
+
+  if (!quote.customer.equals(req.user.id) && !quote.vendor.equals(req.user.id)) {
+    res.status(403).json({ success: false, message: 'You do not have permission to access this quote request.' });
+    return null;
+  }
+
+  return quote;
+};
+
+// @desc    Ask a vendor for a quote on a listing
+// @route   POST /api/quotes
+// @access  Private (Customers only)
+exports.createQuoteRequest = catchAsync(async (req, res) => {
+  const { eventId, eventDate, eventTime, attendees, budget, notes } = req.body;
+
+  if (!eventId || !eventDate || !eventTime || !attendees) {
+    return res.status(400).json({ success: false, message: 'Please provide eventId, eventDate, eventTime and attendees.' });
+  }
+
+  // Handle both ObjectId and slug for event lookup
+  const isValidObjectId = mongoose.Types.ObjectId.isValid(eventId) && /^[0-9a-fA-F]{24}$/.test(eventId);
+  const event = isValidObjectId
+    ? await Event.findById(eventId).select('vendor name')
+    : await Event.findOne({ slug: eventId }).select('vendor name');
+
+  if (!event) {
+    return res.status(404).json({ success: false, message: 'Event not found.' });
+  }
+
+  const slot = await checkAvailability({ event, eventDate, eventTime });
+  if (!slot.available) {
+    return res.status(409).json({ success: false, message: slot.reason, code: slot.code });
+  }
+
+  let quote;
+  try {
+    quote = await QuoteRequest.create({
+      customer: req.user.id,
+      vendor: event.vendor,
+      event: event._id,
+      eventDate,
+      eventTime,
+      attendees,
+      budget,
+      notes,
+      history: [{ action: 'requested', by: req.user.id, price: budget, notes }]
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+
+  await announce(req, quote, {
+    to: event.vendor,
+    action: 'requested',
+    content: `Quote request for ${new Date(eventDate).toLocaleDateString()} at ${eventTime}, ${attendees} attendees${budget ? `, budget ${formatPrice(budget)}` : ''}.${notes ? `\n${notes}` : ''}`,
+    title: 'New Quote Request',
+    message: `A customer requested a quote for ${attendees} attendees on ${new Date(eventDate).toLocaleDateString()}`
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Quote request sent to the vendor.',
+    data: {
+      quote
+    }
+  });
+});
+
+// @desc    List the quote requests the user sent (customers) or received (vendors)
+// @route   GET /api/quotes?status=
+// @access  Private (Customers and Vendors)
+exports.getMyQuotes = catchAsync(async (req, res) => {
+  const query = req.user.role === 'vendor' ? { vendor: req.user.id } : { customer: req.user.id };
+  if (req.query.status) query.status = req.query.status;
+
+  const quotes = await QuoteRequest.find(query)
+    .sort({ updatedAt: -1 })
+    .populate('event', 'name imageUrls slug')
+    .populate('customer', 'customerProfile.fullName email')
+    .populate('vendor', 'vendorProfile.businessName');
+
+  res.status(200).json({
+    success: true,
+    results: quotes.length,
+    data: {
+      quotes
+    }
+  });
+});
+
+// @desc    Get a single quote request
+// @route   GET /api/quotes/:id
+// @access  Private (Customer or Vendor of the quote)
+exports.getQuote = catchAsync(async (req, res) => {
+  const quote = await findQuoteForUser(req, res);
+  if (!quote) return;
+
+  await quote.populate([
+    { path: 'event', select: 'name imageUrls slug customPackages' },
+    { path: 'customer', select: 'customerProfile.fullName email' },
+    { path: 'vendor', select: 'vendorProfile.businessName' }
+  ]);
+
+  const customPackage = quote.customPackage && quote.event?.customPackages
+    ? quote.event.customPackages.id(quote.customPackage)
+    : null;
+
+  const data = quote.toObject();
+  data.event = quote.event ? { _id: quote.event._id, name: quote.event.name, imageUrls: quote.event.imageUrls, slug: quote.event.slug } : null;
+  data.customPackage = customPackage;
+
+  res.status(200).json({
+    success: true,
+    data: {
+      quote: data
+    }
+  });
+});
+
+// @desc    Respond to a request (or a counter offer) with a custom package
+// @route   POST /api/quotes/:id/respond
+// @access  Private (Vendors only)
+exports.respondToQuote = catchAsync(async (req, res) => {
+  const quote = await findQuoteForUser(req, res);
+  if (!quote) return;
+
+  if (!quote.vendor.equals(req.user.id)) {
+    return res.status(403).json({ success: false, message: 'Only the vendor can respond to this quote request.' });
+  }
+
+  if (!['requested', 'countered'].includes(quote.status)) {
+    return res.status(400).json({ success: false, message: `Cannot respond to a quote that is ${quote.status}.` });
+  }
+
+  const { name, price, includes, description, notes, validForDays } = req.body;
+  if (!name || price === undefined || isNaN(price) || Number(price) < 0 || !includes) {
+    return res.status(400).json({ success: false, message: 'Please provide name, price and includes.' });
+  }
+
+  const event = await Event.findById(quote.event);
+  if (!event) {
+    return res.status(404).json({ success: false, message: 'Event not found.' });
+  }
+
+  // A new offer replaces the previous one
+  if (quote.customPackage) {
+    const previous = event.customPackages.id(quote.customPackage);
+    if (previous) previous.isActive = false;
+  }
+
+  event.customPackages.push({
+    name,
+    price: Number(price),
+    currency: 'USD',
+    includes,
+    description: description || '',
+    attendees: 1,
+    pricingMode: 'flatPrice',
+    createdFor: quote.customer,
+    createdBy: req.user.id,
+    isActive: true
+  });
+  await event.save();
+
+  const createdPackage = event.customPackages[event.customPackages.length - 1];
+  const days = parseInt(validForDays, 10) || DEFAULT_QUOTE_VALID_DAYS;
+
+  quote.customPackage = createdPackage._id;
+  quote.quotedPrice = Number(price);
+  quote.quoteExpiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  quote.status = 'quoted';
+  quote.history.push({ action: 'quoted', by: req.user.id, price: Number(price), notes });
+  await quote.save();
+
+  await announce(req, quote, {
+    to: quote.customer,
+    action: 'quoted',
+    content: `Quote: ${name} for ${formatPrice(price)}, valid until ${quote.quoteExpiresAt.toLocaleDateString()}.${notes ? `\n${notes}` : ''}`,
+    title: 'You Received a Quote',
+    message: `A vendor sent you a quote for ${formatPrice(price)}`
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Quote sent to the customer.',
+    data: {
+      quote,
+      customPackage: createdPackage
+    }
+  });
+});
+
+// @desc    Counter a vendor's quote with a different price
+// @route   POST /api/quotes/:id/counter
+// @access  Private (Customers only)
+exports.counterQuote = catchAsync(async (req, res) => {
+  const quote = await findQuoteForUser(req, res);
+  if (!quote) return;
+
+  if (!quote.customer.equals(req.user.id)) {
+    return res.status(403).json({ success: false, message: 'Only the customer can counter this quote.' });
+  }
+
+  if (quote.status !== 'quoted' || quote.isExpired) {
+    return res.status(400).json({ success: false, message: quote.isExpired ? 'This quote has expired.' : `Cannot counter a quote that is ${quote.status}.` });
+  }
+
+  const { price, notes } = req.body;
+  if (price === undefined || isNaN(price) || Number(price) < 0) {
+    return res.status(400).json({ success: false, message: 'Please provide a valid counter price.' });
+  }
+
+  quote.counterPrice = Number(price);
+  quote.status = 'countered';
+  quote.history.push({ action: 'countered', by: req.user.id, price: Number(price), notes });
+  await quote.save();
+
+  await announce(req, quote, {
+    to: quote.vendor,
+    action: 'countered',
+    content: `Counter offer: ${formatPrice(price)}.${notes ? `\n${notes}` : ''}`,
+    title: 'Counter Offer Received',
+    message: `A customer countered your quote with ${formatPrice(price)}`
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Counter offer sent to the vendor.',
+    data: {
+      quote
+    }
+  });
+});
+
+// @desc    Accept a quote and add it to the cart at the quoted price
+// @route   POST /api/quotes/:id/accept
+// @access  Private (Customers only)
+exports.acceptQuote = catchAsync(async (req, res) => {
+  const quote = await findQuoteForUser(req, res);
+  if (!quote) return;
+
+  if (!quote.customer.equals(req.user.id)) {
+    return res.status(403).json({ success: false, message: 'Only the customer can accept this quote.' });
+  }
+
+  if (quote.status !== 'quoted' || quote.isExpired) {
+    return res.status(400).json({ success: false, message: quote.isExpired ? 'This quote has expired. Ask the vendor for a new one.' : `Cannot accept a quote that is ${quote.status}.` });
+  }
+
+  const event = await Event.findById(quote.event).select('vendor name customPackages');
+  const customPackage = event?.customPackages.id(quote.customPackage);
+  if (!event || !customPackage || !customPackage.isActive) {
+    return res.status(404).json({ success: false, message: 'The quoted package is no longer available.' });
+  }
+
+  const slot = await checkAvailability({ event, eventDate: quote.eventDate, eventTime: quote.eventTime });
+  if (!slot.available) {
+    return res.status(409).json({ success: false, message: slot.reason, code: slot.code });
+  }
+
+  // Claim the quote first, so a double submit cannot add it to the cart twice
+  const accepted = await QuoteRequest.findOneAndUpdate(
+    {
+      _id: quote._id,
+      status: 'quoted',
+      quotedPrice: quote.quotedPrice,
+      $or: [{ quoteExpiresAt: null }, { quoteExpiresAt: { $gte: new Date() } }]
+    },
+    {
+      $set: { status: 'accepted' },
+      $push: { history: { action: 'accepted', by: req.user.id, price: quote.quotedPrice } }
+    },
+    { new: true }
+  );
+  if (!accepted) {
+    return res.status(409).json({ success: false, message: 'This quote has changed or was already accepted. Please refresh and try again.' });
+  }
+
+  let cartItem;
+  try {
+    const user = await User.findById(req.user.id);
+    user.customerProfile.customerCart.push({
+      event: event._id,
+      package: customPackage._id,
+      packageType: 'custom',
+      eventDate: accepted.eventDate,
+      eventTime: accepted.eventTime,
+      attendees: accepted.attendees,
+      totalPrice: accepted.quotedPrice,
+      quoteRequest: accepted._id,
+      expiresAt: new Date(Date.now() + QUOTE_CART_HOLD_HOURS * 60 * 60 * 1000)
+    });
+    await user.save();
+    cartItem = user.customerProfile.customerCart[user.customerProfile.customerCart.length - 1];
+  } catch (error) {
+    // Hand the quote back so the customer can accept it again
+    await QuoteRequest.updateOne(
+      { _id: accepted._id, status: 'accepted' },
+      { $set: { status: 'quoted' }, $pull: { history: { action: 'accepted', by: req.user.id } } }
+    );
+    throw error;
+  }
+
+  accepted.cartItemId = cartItem._id;
+  await accepted.save();
+
+  await announce(req, accepted, {
+    to: accepted.vendor,
+    action: 'accepted',
+    content: `Quote accepted at ${formatPrice(accepted.quotedPrice)}.`,
+    title: 'Quote Accepted',
+    message: `A customer accepted your quote for ${formatPrice(accepted.quotedPrice)}`
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Quote accepted and added to your cart.',
+    data: {
+      quote: accepted,
+      cartItem
+    }
+  });
+});
+
+// @desc    Decline a quote (customer) or a quote request (vendor)
+// @route   POST /api/quotes/:id/decline
+// @access  Private (Customer or Vendor of the quote)
+exports.declineQuote = catchAsync(async (req, res) => {
+  const quote = await findQuoteForUser(req, res);
+  if (!quote) return;
+
+  const isCustomer = quote.customer.equals(req.user.id);
+  const declinable = isCustomer ? ['quoted', 'countered'] : ['requested', 'countered'];
+  if (!declinable.includes(quote.status)) {
+    return res.status(400).json({ success: false, message: `Cannot decline a quote that is ${quote.status}.` });
+  }
+
+  const { notes } = req.body;
+
+  if (quote.customPackage) {
+    await Event.updateOne(
+      { _id: quote.event, 'customPackages._id': quote.customPackage },
+      { $set: { 'customPackages.$.isActive': false } }
+    );
+  }
+
+  quote.status = 'declined';
+  quote.history.push({ action: 'declined', by: req.user.id, notes });
+  await quote.save();
+
+  await announce(req, quote, {
+    to: isCustomer ? quote.vendor : quote.customer,
+    action: 'declined',
+    content: `${isCustomer ? 'Quote' : 'Quote request'} declined.${notes ? `\n${notes}` : ''}`,
+    title: isCustomer ? 'Quote Declined' : 'Quote Request Declined',
+    message: isCustomer ? 'A customer declined your quote' : 'The vendor declined your quote request'
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Quote declined.',
+    data: {
+      quote
+    }
+  });
+});
+
+module.exports = {
+  createQuoteRequest: exports.createQuoteRequest,
+  getMyQuotes: exports.getMyQuotes,
+  getQuote: exports.getQuote,
+  respondToQuote: exports.respondToQuote,
+  counterQuote: exports.counterQuote,
+  acceptQuote: exports.acceptQuote,
+  declineQuote: exports.declineQuote
+};
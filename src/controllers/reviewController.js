@@ -1,5 +1,7 @@
 const Review = require('../models/Review');
 const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const { processAndUploadReviewImages, deleteUploadedFiles } = require('../services/fileUploadService');
 const OpenAI = require('openai');
 
 // A simplified error handler
@@ -21,7 +23,10 @@ const getOpenAIClient = () => {
   return cachedOpenAI;
 };
 
-// @desc    Add a review to an event
+// Only image uploads are accepted as review photos
+const getPhotoFiles = req => (req.files || []).filter(file => file.mimetype && file.mimetype.startsWith('image/'));
+
+// @desc    Add a review to an event (customers with a completed booking only)
 // @route   POST /api/events/:eventId/reviews
 // @access  Private (Customers only)
 exports.addReview = catchAsync(async (req, res, next) => {
@@ -37,24 +42,79 @@ exports.addReview = catchAsync(async (req, res, next) => {
     });
   }
 
-  // Check if the customer has already reviewed this event
-  const existingReview = await Review.findOne({ event: eventId, customer: customerId });
+  // Check if the customer has already reviewed this event; a deleted review still holds
+  // the customer's one review per event
+  const existingReview = await Review.findOne({ event: eventId, customer: customerId }).withDeleted();
 
   if (existingReview) {
     return res.status(400).json({
       status: 'fail',
-      message: 'You have already submitted a review for this event.'
+      message: existingReview.deletedAt
+        ? 'You deleted your review for this event and cannot post another one.'
+        : 'You have already submitted a review for this event.'
+    });
+  }
+
+  // Only customers who actually had this event delivered may review it
+  const completedBooking = await Booking.findOne({
+    event: eventId,
+    customer: customerId,
+    status: 'Completed'
+  }).select('_id');
+
+  if (!completedBooking) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'You can only review events you have booked and that have been completed.'
+    });
+  }
+
+  const photoFiles = getPhotoFiles(req);
+  if (photoFiles.length > Review.MAX_REVIEW_PHOTOS) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `You can upload at most ${Review.MAX_REVIEW_PHOTOS} photos.`
     });
   }
 
-  const newReview = await Review.create({
+  const newReview = new Review({
     event: eventId,
     vendor: event.vendor,
     customer: customerId,
+    booking: completedBooking._id,
+    verifiedBooking: true,
     rating,
     comment
   });
 
+  // Validate before uploading so a rejected review leaves no files behind
+  try {
+    await newReview.validate();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    throw error;
+  }
+
+  if (photoFiles.length) {
+    newReview.photos = await processAndUploadReviewImages(photoFiles, customerId);
+  }
+
+  try {
+    await newReview.save();
+  } catch (error) {
+    if (newReview.photos.length) {
+      await deleteUploadedFiles(newReview.photos).catch(cleanupError => {
+        console.error('Failed to remove review photos:', cleanupError.message);
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ status: 'fail', message: 'You have already submitted a review for this event.' });
+    }
+    throw error;
+  }
+
   // Populate the review with customer details
   const populatedReview = await Review.findById(newReview._id)
     .populate({
@@ -74,6 +134,97 @@ exports.addReview = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Edit your own review within the edit window
+// @route   PATCH /api/events/:eventId/reviews/:reviewId
+// @access  Private (Review owner)
+exports.updateReview = catchAsync(async (req, res, next) => {
+  const review = await Review.findById(req.params.reviewId);
+
+  if (!review) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'No review found with that ID'
+    });
+  }
+
+  const reviewCustomerId = review.customer?._id ? review.customer._id.toString() : String(review.customer);
+  if (reviewCustomerId !== req.user.id.toString()) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'You can only edit your own review'
+    });
+  }
+
+  if (review.status === 'hidden') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'This review has been removed by a moderator and can no longer be edited'
+    });
+  }
+
+  if (new Date() > review.editableUntil) {
+    return res.status(403).json({
+      status: 'fail',
+      message: `Reviews can only be edited within ${Review.REVIEW_EDIT_WINDOW_DAYS} days of posting`
+    });
+  }
+
+  const { rating, comment } = req.body;
+  if (rating !== undefined) review.rating = rating;
+  if (comment !== undefined) review.comment = comment;
+
+  // Photos to keep can be trimmed with removePhotos (array or comma separated URLs)
+  if (req.body.removePhotos) {
+    const removePhotos = Array.isArray(req.body.removePhotos)
+      ? req.body.removePhotos
+      : String(req.body.removePhotos).split(',').map(url => url.trim());
+    review.photos = review.photos.filter(url => !removePhotos.includes(url));
+  }
+
+  const photoFiles = getPhotoFiles(req);
+  if (review.photos.length + photoFiles.length > Review.MAX_REVIEW_PHOTOS) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `A review can have at most ${Review.MAX_REVIEW_PHOTOS} photos.`
+    });
+  }
+  review.editedAt = new Date();
+
+  // Validate before uploading so a rejected edit leaves no files behind
+  try {
+    await review.validate();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    throw error;
+  }
+
+  const uploaded = photoFiles.length ? await processAndUploadReviewImages(photoFiles, req.user.id) : [];
+  review.photos.push(...uploaded);
+
+  try {
+    await review.save();
+  } catch (error) {
+    if (uploaded.length) {
+      await deleteUploadedFiles(uploaded).catch(cleanupError => {
+        console.error('Failed to remove review photos:', cleanupError.message);
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      review
+    }
+  });
+});
+
 // @desc    Get all reviews for an event
 // @route   GET /api/events/:eventId/reviews
 // @access  Public
@@ -83,7 +234,10 @@ exports.getEventReviews = catchAsync(async (req, res, next) => {
   const limit = parseInt(req.query.limit, 10) || 10;
   const skip = (page - 1) * limit;
 
-  const reviews = await Review.find({ event: eventId })
+  const query = { event: eventId, ...Review.VISIBLE_FILTER };
+
+  const reviews = await Review.find(query)
+    .select('-moderation')
     .populate({
       path: 'customer',
       select: 'customerProfile.fullName customerProfile.profileImage'
@@ -96,7 +250,7 @@ exports.getEventReviews = catchAsync(async (req, res, next) => {
     .skip(skip)
     .limit(limit);
 
-  const totalReviews = await Review.countDocuments({ event: eventId });
+  const totalReviews = await Review.countDocuments(query);
 
   res.status(200).json({
     status: 'success',
@@ -112,19 +266,12 @@ exports.getEventReviews = catchAsync(async (req, res, next) => {
   });
 });
 
-// @desc    Delete a review
+// @desc    Delete a review (admins hide it instead, keeping a moderation record)
 // @route   DELETE /api/events/:eventId/reviews/:reviewId
 // @access  Private (Review owner or Admin)
 exports.deleteReview = catchAsync(async (req, res, next) => {
   const { reviewId } = req.params;
   const userId = req.user.id;
-  console.log('Delete review debug:', {
-    reviewId,
-    userId,
-    userId_id: req.user._id.toString(),
-    userRole: req.user.role,
-    userEmail: req.user.email
-  });
 
   const review = await Review.findById(reviewId);
 
@@ -137,25 +284,11 @@ exports.deleteReview = catchAsync(async (req, res, next) => {
 
   // Handle both populated and unpopulated customer field
   const reviewCustomerId = review.customer._id ? review.customer._id.toString() : review.customer.toString();
-  
-  console.log('Review found:', {
-    reviewCustomerId,
-    reviewCustomerIdType: typeof reviewCustomerId,
-    userIdType: typeof userId,
-    userIdValue: userId,
-    isEqual: reviewCustomerId === userId
-  });
 
   // Convert both IDs to strings for comparison
   const isReviewOwner = reviewCustomerId === userId.toString();
   const isAdmin = req.user.role === 'admin';
 
-  console.log('Permission check:', {
-    isReviewOwner,
-    isAdmin,
-    willAllow: isReviewOwner || isAdmin
-  });
-
   if (!isReviewOwner && !isAdmin) {
     return res.status(403).json({
       status: 'fail',
@@ -163,7 +296,14 @@ exports.deleteReview = catchAsync(async (req, res, next) => {
     });
   }
 
-  await Review.findByIdAndDelete(reviewId);
+  if (!isReviewOwner) {
+    review.moderate('hide', { by: userId, reason: req.body?.reason || 'Removed by admin' });
+    await review.save();
+  } else {
+    await review.softDelete(userId);
+    // Drop the review from the event and vendor ratings
+    await Review.recalculateRatings(review);
+  }
 
   res.status(204).json({
     status: 'success',
@@ -171,11 +311,121 @@ exports.deleteReview = catchAsync(async (req, res, next) => {
   });
 });
 
+// @desc    Post or edit the vendor's public reply to a review
+// @route   PUT /api/events/:eventId/reviews/:reviewId/reply
+// @access  Private (Vendor of the reviewed event)
+exports.replyToReview = catchAsync(async (req, res, next) => {
+  const { comment } = req.body;
+  if (!comment || !comment.trim()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Reply comment is required'
+    });
+  }
+
+  const review = await Review.findById(req.params.reviewId);
+  if (!review || review.status === 'hidden') {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'No review found with that ID'
+    });
+  }
+
+  if (review.vendor.toString() !== req.user.id.toString()) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'You can only reply to reviews of your own listings'
+    });
+  }
+
+  const now = new Date();
+  review.vendorReply = {
+    comment,
+    repliedAt: review.vendorReply?.repliedAt || now,
+    updatedAt: now
+  };
+
+  try {
+    await review.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ status: 'fail', message: error.message });
+    }
+    throw error;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      review
+    }
+  });
+});
+
+// @desc    Remove the vendor's reply to a review
+// @route   DELETE /api/events/:eventId/reviews/:reviewId/reply
+// @access  Private (Vendor of the reviewed event)
+exports.deleteReviewReply = catchAsync(async (req, res, next) => {
+  const review = await Review.findById(req.params.reviewId);
+  if (!review) {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'No review found with that ID'
+    });
+  }
+
+  if (review.vendor.toString() !== req.user.id.toString()) {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'You can only manage replies on your own listings'
+    });
+  }
+
+  review.vendorReply = undefined;
+  await review.save();
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// @desc    Report a review to the admin moderation queue
+// @route   POST /api/events/:eventId/reviews/:reviewId/flag
+// @access  Private
+exports.flagReview = catchAsync(async (req, res, next) => {
+  const { reason } = req.body;
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Please tell us why this review should be moderated'
+    });
+  }
+
+  const review = await Review.findById(req.params.reviewId);
+  if (!review || review.status === 'hidden') {
+    return res.status(404).json({
+      status: 'fail',
+      message: 'No review found with that ID'
+    });
+  }
+
+  if (review.status !== 'flagged') {
+    review.moderate('flag', { by: req.user.id, reason });
+    await review.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Thanks, the review has been sent for moderation.'
+  });
+});
+
 exports.getVendorReviews = catchAsync(async (req, res, next) => {
     const vendorId = req.user.id;
     const { rating, sort } = req.query;
 
-    let query = Review.find({ vendor: vendorId });
+    let query = Review.find({ vendor: vendorId, ...Review.VISIBLE_FILTER }).select('-moderation');
 
     if (rating) {
         query = query.find({ rating: parseInt(rating) });
@@ -196,7 +446,7 @@ exports.getVendorReviews = catchAsync(async (req, res, next) => {
 
     const reviews = await query;
 
-    const totalReviews = await Review.countDocuments({ vendor: vendorId });
+    const totalReviews = await Review.countDocuments({ vendor: vendorId, ...Review.VISIBLE_FILTER });
 
     res.status(200).json({
         success: true,
@@ -228,7 +478,7 @@ exports.getEventReviewSummary = catchAsync(async (req, res) => {
   }
 
   // Get the 30 most recent reviews
-  const recentReviews = await Review.find({ event: eventId })
+  const recentReviews = await Review.find({ event: eventId, ...Review.VISIBLE_FILTER })
     .select('rating comment createdAt')
     .sort({ createdAt: -1 })
     .limit(30)
@@ -280,8 +530,12 @@ exports.getEventReviewSummary = catchAsync(async (req, res) => {
 
 module.exports = {
   addReview: exports.addReview,
+  updateReview: exports.updateReview,
   getEventReviews: exports.getEventReviews,
   deleteReview: exports.deleteReview,
+  replyToReview: exports.replyToReview,
+  deleteReviewReply: exports.deleteReviewReply,
+  flagReview: exports.flagReview,
   getVendorReviews: exports.getVendorReviews,
   getEventReviewSummary: exports.getEventReviewSummary
 }; 
\ No newline at end of file
@@ -0,0 +1,194 @@
+const GuestHousehold = require('../models/GuestHousehold');
+const UserEvent = require('../models/UserEvent');
+const Notification = require('../models/Notification');
+const guestService = require('../services/guestService');
+
+// A simplified error handler
+const catchAsync = fn => {
+  return (req, res, next) => {
+    fn(req, res, next).catch(next);
+  };
+};
+
+// Find the household and event behind an RSVP token; sends the error response and returns null otherwise
+const loadInvitation = async (req, res) => {
+  const { token } = req.params;
+  const household = /^[a-f0-9]{48}$/.test(token || '')
+    ? await GuestHousehold.findOne({ rsvpToken: token })
+    : null;
+  const userEvent = household ? await UserEvent.findById(household.userEvent) : null;
+
+  if (!household || !userEvent) {
+    res.status(404).json({
+      status: 'fail',
+      message: 'This RSVP link is invalid or has been replaced'
+    });
+    return null;
+  }
+
+  return { household, userEvent };
+};
+
+// What a guest may see: their household, their invitations and the functions they are invited to
+const serializeInvitation = (household, userEvent) => {
+  const events = guestService.invitableEvents(userEvent);
+  const invitedKeys = new Set(household.members.flatMap(member => (
+    member.invitations.map(invitation => guestService.subEventKey(invitation.subEvent))
+  )));
+  const subEvents = userEvent.subEvents.length
+    ? userEvent.subEvents.filter(subEvent => invitedKeys.has(String(subEvent._id)))
+    : [];
+
+  return {
+    event: {
+      title: userEvent.title,
+      date: userEvent.date,
+      location: userEvent.location,
+      status: userEvent.status
+    },
+    subEvents: subEvents.map(({ _id, name, date, time, venue }) => ({ id: _id, name, date, time, venue })),
+    household: {
+      name: household.name,
+      respondedAt: household.respondedAt,
+      message: household.rsvpMessage,
+      members: household.members.map(member => ({
+        id: member._id,
+        name: member.name,
+        isChild: member.isChild,
+        dietary: member.dietary,
+        dietaryNotes: member.dietaryNotes,
+        invitations: member.invitations
+          .filter(invitation => events.some(event => event.key === guestService.subEventKey(invitation.subEvent)))
+          .map(invitation => ({
+            subEvent: invitation.subEvent || null,
+            status: invitation.status,
+            respondedAt: invitation.respondedAt
+          }))
+      }))
+    }
+  };
+};
+
+// @desc    Get an invitation by its RSVP link
+// @route   GET /api/rsvp/:token
+// @access  Public
+exports.getInvitation = catchAsync(async (req, res) => {
+  const invitation = await loadInvitation(req, res);
+  if (!invitation) return;
+
+  res.status(200).json({
+    status: 'success',
+    data: serializeInvitation(invitation.household, invitation.userEvent)
+  });
+});
+
+// @desc    Respond to an invitation
+// @route   POST /api/rsvp/:token
+// @access  Public
+// Body: { members: [{ id, responses: { <subEventId|"main">: "attending"|"declined" }, dietary, dietaryNotes }], message }
+exports.respondToInvitation = catchAsync(async (req, res) => {
+  const invitation = await loadInvitation(req, res);
+  if (!invitation) return;
+  const { household, userEvent } = invitation;
+
+  if (userEvent.status !== 'Active' || new Date(userEvent.date) < new Date(new Date().toDateString())) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'This event is no longer accepting RSVPs'
+    });
+  }
+
+  const { members, message } = req.body;
+  if (!Array.isArray(members) || !members.length) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Please respond for at least one guest'
+    });
+  }
+  if (message !== undefined && message !== null && typeof message !== 'string') {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Your message must be text'
+    });
+  }
+
+  const now = new Date();
+  for (const response of members) {
+    const member = response && typeof response === 'object' ? household.members.id(response.id) : null;
+    if (!member) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Unknown guest in response'
+      });
+    }
+
+    for (const [key, status] of Object.entries(response.responses || {})) {
+      if (!['attending', 'declined'].includes(status)) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Responses must be "attending" or "declined"'
+        });
+      }
+      // Guests can only answer invitations they have
+      const target = member.invitations.find(current => guestService.subEventKey(current.subEvent) === key);
+      if (target) {
+        target.status = status;
+        target.respondedAt = now;
+      }
+    }
+
+    if (response.dietary) {
+      guestService.DIETARY_FLAGS.forEach(flag => {
+        if (response.dietary[flag] !== undefined) member.dietary[flag] = Boolean(response.dietary[flag]);
+      });
+    }
+    if (response.dietaryNotes !== undefined) {
+      if (response.dietaryNotes !== null && typeof response.dietaryNotes !== 'string') {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'Dietary notes must be text'
+        });
+      }
+      member.dietaryNotes = response.dietaryNotes?.trim();
+    }
+  }
+
+  if (message !== undefined) {
+    household.rsvpMessage = message?.trim();
+  }
+  household.respondedAt = now;
+  try {
+    await household.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'fail',
+        message: Object.values(error.errors)[0]?.message || error.message
+      });
+    }
+    throw error;
+  }
+
+  const headcount = await guestService.syncGuestCount(userEvent);
+
+  try {
+    await Notification.create({
+      recipient: userEvent.user,
+      sender: userEvent.user,
+      type: 'event_update',
+      title: 'New RSVP',
+      message: `${household.name} responded to "${userEvent.title}". Expected guests: ${headcount.totals.expected}.`.slice(0, 500),
+      data: { userEventId: userEvent._id, householdId: household._id },
+      actionUrl: `/planner/${userEvent._id}?tab=guests`,
+      priority: 'low'
+    });
+  } catch (notificationError) {
+    // Failed to notify the host about the RSVP
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Thank you for your response',
+    data: serializeInvitation(household, userEvent)
+  });
+});
@@ -1,7 +1,32 @@
 const User = require('../models/User');
 const Event = require('../models/Event');
+const { parseGeoQuery, geoNearStage, roundDistanceStage } = require('../services/geoService');
+const searchSuggestService = require('../services/searchSuggestService');
+const { certifiedVendorFilter } = require('../services/halalCertificationService');
 
-// @desc    Search for vendors by business name
+// Escape user input before using it in a regex
+const escapeRegExp = string => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// halal=certified keeps only vendors whose halal certificate is verified and current
+const certifiedHalalOnly = query => query.halal === 'certified';
+
+// Run a $geoNear search and count the matches within the radius
+const runGeoSearch = async (Model, geo, { key, query, skip, limit, project, lookup }) => {
+    const geoNear = geoNearStage(geo, { key, query });
+    const pipeline = [geoNear, { $skip: skip }, { $limit: limit }, { $project: { ...project, distance: 1 } }];
+    if (lookup) pipeline.push(...lookup);
+    pipeline.push(roundDistanceStage);
+
+    const [results, [count]] = await Promise.all([
+        Model.aggregate(pipeline),
+        Model.aggregate([geoNear, { $count: 'total' }])
+    ]);
+
+    return { results, total: count ? count.total : 0 };
+};
+
+// @desc    Search for vendors by business name, optionally within a radius (lat/lng or near=zipCode, radius in miles)
+//          and to halal-certified vendors (halal=certified)
 // @route   GET /api/search/vendors
 // @access  Public
 const searchVendors = async (req, res) => {
@@ -9,6 +34,50 @@ const searchVendors = async (req, res) => {
         const { q, page = 1, limit = 10 } = req.query;
         const pageNum = parseInt(page);
         const limitNum = parseInt(limit);
+
+        const geo = parseGeoQuery(req.query);
+        if (geo?.error) {
+            return res.status(400).json({
+                success: false,
+                message: geo.error
+            });
+        }
+
+        const halalFilter = certifiedHalalOnly(req.query) ? certifiedVendorFilter() : {};
+
+        // Radius search: nearest vendors first, with their distance in miles
+        if (geo) {
+            const query = { role: 'vendor', ...halalFilter };
+            if (q) query['vendorProfile.businessName'] = { $regex: escapeRegExp(q), $options: 'i' };
+
+            const { results: vendors, total } = await runGeoSearch(User, geo, {
+                key: 'vendorProfile.geo',
+                query,
+                skip: (pageNum - 1) * limitNum,
+                limit: limitNum,
+                project: {
+                    'vendorProfile.businessName': 1,
+                    'vendorProfile.ownerName': 1,
+                    'vendorProfile.businessAddress': 1,
+                    'vendorProfile.rating': 1,
+                    'vendorProfile.primaryServiceCategory': 1
+                }
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Found ${total} vendors within ${geo.radiusMiles} miles.`,
+                data: {
+                    vendors,
+                    pagination: {
+                        total,
+                        page: pageNum,
+                        limit: limitNum,
+                        pages: Math.ceil(total / limitNum)
+                    }
+                }
+            });
+        }
         
         if (!q) {
             return res.status(400).json({
@@ -21,7 +90,8 @@ const searchVendors = async (req, res) => {
         // This will match partial words as well
         const vendors = await User.find({
             role: 'vendor',
-            'vendorProfile.businessName': { $regex: q, $options: 'i' }
+            ...halalFilter,
+            'vendorProfile.businessName': { $regex: escapeRegExp(q), $options: 'i' }
         })
         .select('vendorProfile.businessName vendorProfile.ownerName vendorProfile.businessAddress vendorProfile.rating vendorProfile.primaryServiceCategory')
         .skip((pageNum - 1) * limitNum)
@@ -30,7 +100,8 @@ const searchVendors = async (req, res) => {
         // Get total count for pagination info
         const totalCount = await User.countDocuments({
             role: 'vendor',
-            'vendorProfile.businessName': { $regex: q, $options: 'i' }
+            ...halalFilter,
+            'vendorProfile.businessName': { $regex: escapeRegExp(q), $options: 'i' }
         });
 
         res.status(200).json({
@@ -56,7 +127,8 @@ const searchVendors = async (req, res) => {
     }
 };
 
-// @desc    Search for listings (events) by name, location, tags
+// @desc    Search for listings (events) by name, location, tags, optionally within a radius (lat/lng or near=zipCode, radius in miles)
+//          and to listings of halal-certified vendors (halal=certified)
 // @route   GET /api/search/listings
 // @access  Public
 const searchListings = async (req, res) => {
@@ -65,6 +137,78 @@ const searchListings = async (req, res) => {
         const pageNum = parseInt(page);
         const limitNum = parseInt(limit);
 
+        const geo = parseGeoQuery(req.query);
+        if (geo?.error) {
+            return res.status(400).json({
+                success: false,
+                message: geo.error
+            });
+        }
+
+        const halalFilter = certifiedHalalOnly(req.query)
+            ? { vendor: { $in: await User.find(certifiedVendorFilter()).distinct('_id') } }
+            : {};
+
+        // Radius search: nearest listings first, with their distance in miles.
+        // $text cannot be combined with $geoNear, so the query is matched by regex.
+        if (geo) {
+            const query = { ...halalFilter };
+            if (q) {
+                const regex = { $regex: escapeRegExp(q), $options: 'i' };
+                query.$or = [
+                    { name: regex },
+                    { 'location.city': regex },
+                    { 'location.state': regex },
+                    { 'location.zipCode': regex },
+                    { tags: regex }
+                ];
+            }
+
+            const { results: listings, total } = await runGeoSearch(Event, geo, {
+                key: 'geo',
+                query,
+                skip: (pageNum - 1) * limitNum,
+                limit: limitNum,
+                project: {
+                    name: 1,
+                    category: 1,
+                    description: 1,
+                    imageUrls: 1,
+                    location: 1,
+                    averageRating: 1,
+                    totalReviews: 1,
+                    tags: 1,
+                    vendor: 1
+                },
+                lookup: [
+                    {
+                        $lookup: {
+                            from: 'users',
+                            localField: 'vendor',
+                            foreignField: '_id',
+                            as: 'vendor',
+                            pipeline: [{ $project: { 'vendorProfile.businessName': 1, 'vendorProfile.rating': 1 } }]
+                        }
+                    },
+                    { $unwind: '$vendor' }
+                ]
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Found ${total} listings within ${geo.radiusMiles} miles.`,
+                data: {
+                    listings,
+                    pagination: {
+                        total,
+                        page: pageNum,
+                        limit: limitNum,
+                        pages: Math.ceil(total / limitNum)
+                    }
+                }
+            });
+        }
+
         if (!q) {
             return res.status(400).json({
                 success: false,
@@ -77,11 +221,11 @@ const searchListings = async (req, res) => {
         // 2. If not enough results, then try regex search
         
         // Create a regex pattern for the search term
-        const searchRegex = new RegExp(q, 'i');
+        const searchRegex = new RegExp(escapeRegExp(q), 'i');
         
         // First attempt: Use text search which is fast and uses the text index
         let listings = await Event.find(
-            { $text: { $search: q } },
+            { $text: { $search: q }, ...halalFilter },
             { score: { $meta: 'textScore' } }
         )
         .select('name category description imageUrls location averageRating totalReviews tags')
@@ -94,7 +238,7 @@ const searchListings = async (req, res) => {
         .limit(limitNum);
         
         // Get total count for text search
-        let totalCount = await Event.countDocuments({ $text: { $search: q } });
+        let totalCount = await Event.countDocuments({ $text: { $search: q }, ...halalFilter });
         
         // If text search didn't return enough results, try regex search
         // This handles partial word matches better
@@ -111,6 +255,7 @@ const searchListings = async (req, res) => {
                     { 'location.zipCode': searchRegex },
                     { tags: searchRegex }
                 ],
+                ...halalFilter,
                 // Exclude items already found by text search
                 _id: { $nin: listings.map(l => l._id) }
             })
@@ -134,6 +279,7 @@ const searchListings = async (req, res) => {
                     { 'location.zipCode': searchRegex },
                     { tags: searchRegex }
                 ],
+                ...halalFilter,
                 _id: { $nin: listings.map(l => l._id) }
             });
             
@@ -164,7 +310,43 @@ const searchListings = async (req, res) => {
     }
 };
 
+// @desc    Suggest-as-you-type across listings, vendors, categories and cities
+//          (prefix matching, typo tolerance and synonyms such as mehndi/henna)
+// @route   GET /api/search/suggest?q=&limit=
+// @access  Public
+const suggest = async (req, res) => {
+    try {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const limit = Math.min(10, Math.max(1, parseInt(req.query.limit, 10) || 5));
+
+        if (!q) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query (q) is required.'
+            });
+        }
+
+        const suggestions = await searchSuggestService.suggest(q.slice(0, 100), { limit });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                query: q,
+                suggestions
+            }
+        });
+
+    } catch (error) {
+        console.error('Search suggest error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Internal server error during search suggestions.'
+        });
+    }
+};
+
 module.exports = {
     searchVendors,
-    searchListings
+    searchListings,
+    suggest
 }; 
\ No newline at end of file
@@ -1,6 +1,21 @@
 const UserEvent = require('../models/UserEvent');
 const Todo = require('../models/Todo');
+const GuestHousehold = require('../models/GuestHousehold');
+const UserEventActivity = require('../models/UserEventActivity');
 const mongoose = require('mongoose');
+const checklistService = require('../services/checklistService');
+const collaborationService = require('../services/collaborationService');
+
+// Planner fields customers edit directly. Budget lines and expenses, sub-events, collaborators
+// and task counts have their own routes and are kept in sync by the server.
+const PLANNER_FIELDS = [
+  'title', 'date', 'location', 'guests', 'budget', 'status', 'icon', 'isCustomEvent',
+  'customEventType', 'description', 'notes', 'eventType', 'theme', 'specialRequirements'
+];
+
+const pickPlannerFields = body => Object.fromEntries(
+  PLANNER_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
 
 // A simplified error handler
 const catchAsync = fn => {
@@ -24,8 +39,8 @@ exports.getAllUserEvents = catchAsync(async (req, res) => {
   const userId = req.user.id;
   const { status, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
 
-  // Build query
-  const query = { user: userId };
+  // Build query: own events and events shared with the user
+  const query = collaborationService.accessibleEventsQuery(userId);
   if (status && ['Active', 'Completed', 'Cancelled', 'Postponed'].includes(status)) {
     query.status = status;
   }
@@ -42,7 +57,10 @@ exports.getAllUserEvents = catchAsync(async (req, res) => {
     status: 'success',
     results: userEvents.length,
     data: {
-      userEvents
+      userEvents: userEvents.map(userEvent => ({
+        ...userEvent.toJSON(),
+        role: collaborationService.getRole(userEvent, userId)
+      }))
     }
   });
 });
@@ -69,19 +87,20 @@ exports.getUserEvent = catchAsync(async (req, res) => {
     });
   }
 
-  const userEvent = await UserEvent.findOne({ _id: id, user: userId });
+  const { userEvent, role, error } = await collaborationService.loadUserEvent(id, userId, 'viewer');
 
-  if (!userEvent) {
-    return res.status(404).json({
+  if (error) {
+    return res.status(error.statusCode).json({
       status: 'fail',
-      message: 'User event not found'
+      message: error.statusCode === 404 ? 'User event not found' : error.message
     });
   }
 
   res.status(200).json({
     status: 'success',
     data: {
-      userEvent
+      userEvent,
+      role
     }
   });
 });
@@ -100,7 +119,7 @@ exports.createUserEvent = catchAsync(async (req, res) => {
 
   const userId = req.user.id;
   const eventData = {
-    ...req.body,
+    ...pickPlannerFields(req.body),
     user: userId
   };
 
@@ -152,21 +171,31 @@ exports.updateUserEvent = catchAsync(async (req, res) => {
     });
   }
 
-  const userEvent = await UserEvent.findOneAndUpdate(
-    { _id: id, user: userId },
-    req.body,
+  // Owners and editors can update; sharing is managed through the collaborator routes
+  const access = await collaborationService.loadUserEvent(id, userId, 'editor');
+  if (access.error) {
+    return res.status(access.error.statusCode).json({
+      status: 'fail',
+      message: access.error.statusCode === 404 ? 'User event not found' : access.error.message
+    });
+  }
+
+  const updates = pickPlannerFields(req.body);
+  const userEvent = await UserEvent.findByIdAndUpdate(
+    id,
+    updates,
     {
       new: true,
       runValidators: true
     }
   );
 
-  if (!userEvent) {
-    return res.status(404).json({
-      status: 'fail',
-      message: 'User event not found'
-    });
-  }
+  await collaborationService.recordActivity(req, userEvent, {
+    action: 'event_updated',
+    summary: `${collaborationService.displayName(req.user)} updated the event details`,
+    target: { type: 'event', id: userEvent._id },
+    payload: { fields: Object.keys(updates) }
+  });
 
   res.status(200).json({
     status: 'success',
@@ -198,8 +227,9 @@ exports.deleteUserEvent = catchAsync(async (req, res) => {
     });
   }
 
-  // Delete associated todos first
+  // Delete associated todos and guest list first
   await Todo.deleteMany({ userEvent: id, user: userId });
+  await GuestHousehold.deleteMany({ userEvent: id, user: userId });
 
   const userEvent = await UserEvent.findOneAndDelete({ _id: id, user: userId });
 
@@ -210,32 +240,53 @@ exports.deleteUserEvent = catchAsync(async (req, res) => {
     });
   }
 
+  await UserEventActivity.deleteMany({ userEvent: userEvent._id });
+
   res.status(204).json({
     status: 'success',
     data: null
   });
 });
 
-// Helper function to calculate start date based on timeline phase
-const calculateStartDate = (eventDate, timelinePhase) => {
-  const event = new Date(eventDate);
-  const phases = {
-    '6+ months before': 6 * 30, // 6 months in days
-    '3-6 months before': 4.5 * 30, // 4.5 months in days
-    '1-3 months before': 2 * 30, // 2 months in days
-    '1 month before': 30, // 1 month in days
-    '1-2 weeks before': 10, // 1.5 weeks in days
-    '1 week before': 7, // 1 week in days
-    'Day of event': 0 // Same day
-  };
-  
-  const daysBefore = phases[timelinePhase] || 30;
-  const startDate = new Date(event);
-  startDate.setDate(startDate.getDate() - daysBefore);
-  return startDate;
-};
+// @desc    Preview the checklist the server would generate for an event, without saving
+// @route   POST /api/user-events/checklist/preview
+// @access  Private (Customer only)
+exports.previewChecklist = catchAsync(async (req, res) => {
+  if (req.user.role !== 'customer') {
+    return res.status(403).json({
+      status: 'fail',
+      message: 'Only customers can plan user events'
+    });
+  }
+
+  const { eventData = {}, enrich = false } = req.body;
+
+  if (!eventData.date || isNaN(new Date(eventData.date).getTime())) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'A valid event date is required'
+    });
+  }
+
+  let checklist = checklistService.generateChecklist({
+    eventType: eventData.eventType,
+    date: eventData.date,
+    guests: Number(eventData.guests) || 0,
+    budget: Number(eventData.budget) || 0
+  });
+  if (enrich) {
+    checklist = await checklistService.enrichChecklist(checklist, eventData);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      checklist
+    }
+  });
+});
 
-// @desc    Create AI-powered event with checklist
+// @desc    Create an event with a server-generated checklist
 // @route   POST /api/user-events/ai-create
 // @access  Private (Customer only)
 exports.createAIEvent = catchAsync(async (req, res) => {
@@ -246,41 +297,74 @@ exports.createAIEvent = catchAsync(async (req, res) => {
     });
   }
 
-  const { eventData, checklist } = req.body;
-  
+  // Any checklist sent by the client is ignored; the server owns checklist generation
+  const { eventData = {}, enrich = false } = req.body;
+  const fields = pickPlannerFields(eventData);
+
+  if (!fields.date || isNaN(new Date(fields.date).getTime())) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'A valid event date is required'
+    });
+  }
+
+  if (checklistService.daysUntil(fields.date) < 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Event date must be in the future'
+    });
+  }
+
+  let checklist = checklistService.generateChecklist({
+    eventType: fields.eventType,
+    date: fields.date,
+    guests: Number(fields.guests) || 0,
+    budget: Number(fields.budget) || 0
+  });
+  if (enrich) {
+    checklist = await checklistService.enrichChecklist(checklist, fields);
+  }
+
   // Create the event
   const userEvent = await UserEvent.create({
-    ...eventData,
+    ...fields,
     user: req.user.id,
     aiGenerated: true,
     checklistCategories: checklist.categories
   });
 
+  const tasks = checklist.categories.flatMap(category => category.tasks.map(task => ({ ...task, category: category.name })));
+  const vendorSuggestions = await checklistService.findSuggestedVendors(
+    tasks.map(task => task.vendorCategory),
+    userEvent.location
+  );
+
   // Create todos from checklist categories
-  const todos = [];
-  for (const category of checklist.categories) {
-    for (const task of category.tasks) {
-      const todo = await Todo.create({
-        userEvent: userEvent._id,
-        user: req.user.id,
-        taskName: task.taskName,
-        category: category.name,
-        timelinePhase: task.timelinePhase,
-        priority: task.priority,
-        description: task.description,
-        startDate: calculateStartDate(eventData.date, task.timelinePhase),
-        endDate: new Date(eventData.date),
-        aiGenerated: true
-      });
-      todos.push(todo);
-    }
-  }
+  const todos = await Todo.insertMany(tasks.map(task => ({
+    userEvent: userEvent._id,
+    user: req.user.id,
+    taskName: task.taskName,
+    category: task.category,
+    timelinePhase: task.timelinePhase,
+    priority: task.priority,
+    description: task.description,
+    ...checklistService.phaseDates(userEvent.date, task.timelinePhase),
+    vendorCategory: task.vendorCategory,
+    suggestedVendors: vendorSuggestions.get(task.vendorCategory) || [],
+    aiGenerated: true
+  })));
+
+  // insertMany skips the Todo save hook that keeps the counts in sync
+  userEvent.tasksTotal = todos.length;
+  userEvent.tasksDone = 0;
+  await userEvent.save();
 
   res.status(201).json({
     status: 'success',
     data: {
       userEvent,
-      todos
+      todos,
+      checklistSummary: checklist.summary
     }
   });
 });
@@ -1,6 +1,7 @@
 const User = require('../models/User');
 const Event = require('../models/Event');
-const { processAndUploadProfileImage } = require('../services/fileUploadService');
+const { processAndUploadProfileImage, uploadHalalCertificateDocuments } = require('../services/fileUploadService');
+const halalCertificationService = require('../services/halalCertificationService');
 const { validationResult } = require('express-validator');
 
 // Async error handling wrapper
@@ -112,41 +113,11 @@ exports.updateVendorGeneralProfile = catchAsync(async (req, res, next) => {
     }
   }
 
-  // Handle halal certification image upload if present
+  // Handle halal certification upload if present (PDF, image or DOCX, kept as uploaded)
+  let halalCertificationDocuments = [];
   if (req.files && req.files.halalCertificationImage) {
     try {
-      const halalCertFile = req.files.halalCertificationImage[0];
-      
-      // Check if it's an image file
-      if (halalCertFile.mimetype.startsWith('image/')) {
-        // Use image processing for image files
-        const certificationFileUrl = await processAndUploadProfileImage(halalCertFile, vendorId);
-        updateData.halalCertificationFile = certificationFileUrl;
-      } else {
-        // Use raw upload for non-image files (PDF, etc.)
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const extension = halalCertFile.originalname.split('.').pop();
-        const newFilename = `halal-certifications/${vendorId}-${uniqueSuffix}.${extension}`;
-
-        // Upload to S3 
-        const AWS = require('aws-sdk');
-        const s3 = new AWS.S3({
-          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-          secretAccessKey: process.env.AWS_SECRET_KEY,
-          region: process.env.AWS_REGION
-        });
-
-        await s3.upload({
-          Bucket: process.env.S3_BUCKET_NAME,
-          Key: newFilename,
-          Body: halalCertFile.buffer,
-          ContentType: halalCertFile.mimetype,
-          CacheControl: 'public, max-age=31536000'
-        }).promise();
-
-        const certificationFileUrl = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${newFilename}`;
-        updateData.halalCertificationFile = certificationFileUrl;
-      }
+      halalCertificationDocuments = await uploadHalalCertificateDocuments(req.files.halalCertificationImage, vendorId);
     } catch (error) {
       // Error uploading halal certification file
       return res.status(500).json({
@@ -208,31 +179,73 @@ exports.updateVendorGeneralProfile = catchAsync(async (req, res, next) => {
     vendor.vendorProfile.vendorProfileImage = updateData.vendorProfileImage;
   }
 
-  // Update halal certification fields if provided
-  if (updateData.hasHalalCert !== undefined) {
-    vendor.vendorProfile.halalCertification.hasHalalCert = updateData.hasHalalCert;
-  }
-
-  if (updateData.halalCertificationFile) {
-    vendor.vendorProfile.halalCertification.certificationFile = updateData.halalCertificationFile;
+  // A new certificate, or changed certificate details, goes to the admin review queue;
+  // the live certification only changes when an admin approves it
+  const cert = vendor.vendorProfile.halalCertification;
+  const certificateChanged = halalCertificationDocuments.length
+    || (updateData.certificateNumber && updateData.certificateNumber !== cert.certificateNumber)
+    || (updateData.issuingAuthority && updateData.issuingAuthority !== cert.issuingAuthority)
+    || (updateData.expiryDate && new Date(updateData.expiryDate).getTime() !== cert.expiryDate?.getTime());
+  if (certificateChanged) {
+    const { error } = halalCertificationService.applySubmission(vendor, {
+      documents: halalCertificationDocuments,
+      certificateNumber: updateData.certificateNumber,
+      issuingAuthority: updateData.issuingAuthority,
+      expiryDate: updateData.expiryDate
+    });
+    if (error) {
+      return res.status(error.statusCode).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
   }
 
-  if (updateData.certificateNumber) {
-    vendor.vendorProfile.halalCertification.certificateNumber = updateData.certificateNumber;
-  }
+  // Update booking rules (deposits, cancellation policy and refund tiers) if provided
+  if (updateData.bookingRules) {
+    let rulesData = updateData.bookingRules;
+    if (typeof rulesData === 'string') {
+      try {
+        rulesData = JSON.parse(rulesData);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'fail',
+          message: 'bookingRules must be valid JSON'
+        });
+      }
+    }
 
-  if (updateData.issuingAuthority) {
-    vendor.vendorProfile.halalCertification.issuingAuthority = updateData.issuingAuthority;
-  }
+    const allowedRules = ['minNoticeHours', 'cancellationPolicy', 'cancellationTiers', 'depositRequired', 'depositPercentage', 'paymentTerms'];
+    allowedRules.forEach(field => {
+      if (rulesData[field] !== undefined) {
+        vendor.vendorProfile.bookingRules[field] = rulesData[field];
+      }
+    });
 
-  if (updateData.expiryDate) {
-    vendor.vendorProfile.halalCertification.expiryDate = new Date(updateData.expiryDate);
+    const tiers = vendor.vendorProfile.bookingRules.cancellationTiers || [];
+    const tierDays = tiers.map(t => t.daysBeforeEvent);
+    if (new Set(tierDays).size !== tierDays.length) {
+      return res.status(400).json({
+        status: 'fail',
+        message: 'Each cancellation tier must use a different daysBeforeEvent'
+      });
+    }
   }
 
   // Save the vendor
   // Saving vendor profile
   
-  await vendor.save();
+  try {
+    await vendor.save();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'fail',
+        message: error.message
+      });
+    }
+    throw error;
+  }
   // Vendor profile saved successfully
 
   res.status(200).json({
@@ -251,3 +264,61 @@ exports.updateVendorGeneralProfile = catchAsync(async (req, res, next) => {
     }
   });
 });
+
+// @desc    Get the vendor's halal certification and the status of any certificate under review
+// @route   GET /api/vendor/halal-certification
+// @access  Private (Vendors only)
+exports.getHalalCertification = catchAsync(async (req, res, next) => {
+  const vendor = await User.findById(req.user.id).select('vendorProfile.halalCertification vendorProfile.halalVerifiedBadge');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      halalCertification: halalCertificationService.withDocumentUrls(vendor.vendorProfile.halalCertification),
+      halalVerifiedBadge: vendor.vendorProfile.halalVerifiedBadge
+    }
+  });
+});
+
+// @desc    Upload a halal certificate (documents, certificateNumber, issuingAuthority, expiryDate) for admin review
+// @route   POST /api/vendor/halal-certification
+// @access  Private (Vendors only)
+exports.submitHalalCertification = catchAsync(async (req, res, next) => {
+  const vendor = await User.findById(req.user.id);
+  const { certificateNumber, issuingAuthority, expiryDate } = req.body;
+
+  let documents = [];
+  if (req.files && req.files.length) {
+    try {
+      documents = await uploadHalalCertificateDocuments(req.files, vendor._id);
+    } catch (error) {
+      return res.status(500).json({
+        status: 'fail',
+        message: 'Failed to upload halal certificate'
+      });
+    }
+  }
+
+  const { error } = halalCertificationService.applySubmission(vendor, {
+    documents,
+    certificateNumber,
+    issuingAuthority,
+    expiryDate
+  });
+  if (error) {
+    return res.status(error.statusCode).json({
+      status: 'fail',
+      message: error.message
+    });
+  }
+
+  await vendor.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Halal certificate submitted for review',
+    data: {
+      halalCertification: halalCertificationService.withDocumentUrls(vendor.vendorProfile.halalCertification)
+    }
+  });
+});
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const auditService = require('../services/auditService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Id of the document a create request made, taken from the { data: { <name>: doc } } response
+const createdId = body => {
+  const created = Object.values(body?.data || {}).find(value => value && value._id);
+  return created ? String(created._id) : undefined;
+};
+
+const loadTarget = (audit, key) => {
+  if (!key || (audit.field === '_id' && !mongoose.Types.ObjectId.isValid(key))) {
+    return null;
+  }
+  // Trashed documents are still the target of restores and deletions
+  return mongoose.model(audit.model).findOne({ [audit.field]: key }).setOptions({ withDeleted: true }).lean();
+};
+
+const writeEntry = async (req, res) => {
+  const audit = req.audit || {};
+  const success = res.statusCode < 400;
+
+  let targetId = audit.id;
+  let changes = [];
+  if (audit.model && success) {
+    targetId = targetId || createdId(res.locals.auditResponse);
+    const after = await loadTarget(audit, targetId);
+    changes = auditService.diffDocuments(audit.before, after);
+  }
+
+  await auditService.record({
+    admin: req.user._id,
+    adminEmail: req.user.email,
+    action: audit.action || `${req.method} ${req.baseUrl}${req.route?.path || req.path}`,
+    method: req.method,
+    path: req.originalUrl,
+    statusCode: res.statusCode,
+    success,
+    target: audit.model ? { model: audit.model, id: targetId } : undefined,
+    changes,
+    requestBody: auditService.summarizeBody(req.body),
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+};
+
+/**
+ * Write an audit log entry for every mutating request once its response is sent.
+ * Mount after authentication; routes describe themselves with auditAction.
+ */
+exports.auditAdminActions = (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) return next();
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    res.locals.auditResponse = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    writeEntry(req, res).catch(() => {
+      // auditService.record reports its own failures
+    });
+  });
+  next();
+};
+
+/**
+ * Name the action of a route and the document it changes, so the audit entry
+ * carries the document's fields before and after the request.
+ * @param {string} action - e.g. 'user.update_role'
+ * @param {object} [target]
+ * @param {string|Function} [target.model] - Mongoose model name, or a function of the request returning it
+ * @param {string|null} [target.param='id'] - Route param holding the key; null for creates
+ * @param {string} [target.field='_id'] - Field the key is matched against
+ */
+exports.auditAction = (action, { model, param = 'id', field = '_id' } = {}) => async (req, res, next) => {
+  try {
+    const id = param ? req.params[param] : undefined;
+    const modelName = typeof model === 'function' ? model(req) : model;
+    req.audit = { action, model: modelName, field, id };
+    if (modelName && id) {
+      req.audit.before = await loadTarget(req.audit, id);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
 const { promisify } = require('util');
 const User = require('../models/User');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
 
 // A simplified error handler for this middleware
 const catchAsync = fn => {
@@ -9,7 +11,9 @@ const catchAsync = fn => {
   };
 };
 
-exports.protect = catchAsync(async (req, res, next) => {
+// Builds the authentication middleware. With allowSetupToken the short-lived
+// setup token from a login that still has to enroll in 2FA is accepted too.
+const authenticate = ({ allowSetupToken = false } = {}) => catchAsync(async (req, res, next) => {
   // 1) Get token and check if it exists
   let token;
   if (
@@ -37,6 +41,29 @@ exports.protect = catchAsync(async (req, res, next) => {
     });
   }
 
+  // Two-factor challenge tokens only unlock the 2FA endpoints
+  if (decoded.purpose) {
+    if (!(allowSetupToken && decoded.purpose === '2fa_setup')) {
+      return res.status(401).json({
+        status: 'fail',
+        message: 'Please complete two-factor authentication to continue.'
+      });
+    }
+    req.twoFactorSetup = true;
+  }
+
+  // Access tokens are tied to a device session, which can be revoked before the token expires
+  if (decoded.sid) {
+    if (!(await sessionService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        status: 'fail',
+        code: 'SESSION_REVOKED',
+        message: 'This session has been signed out. Please log in again.'
+      });
+    }
+    req.sessionId = decoded.sid;
+  }
+
   // 3) Check if user still exists
   const currentUser = await User.findById(decoded.userId);
   if (!currentUser) {
@@ -62,12 +89,26 @@ exports.protect = catchAsync(async (req, res, next) => {
     });
   }
 
+  // 6) Accounts that must use 2FA cannot use the API until they have enrolled
+  if (!allowSetupToken && twoFactorService.isRequiredFor(currentUser) && !currentUser.twoFactorEnabled) {
+    return res.status(403).json({
+      status: 'fail',
+      code: 'TWO_FACTOR_SETUP_REQUIRED',
+      message: 'Two-factor authentication is required for this account. Please log in again to set it up.'
+    });
+  }
+
   // Grant access to protected route
   req.user = currentUser;
  
   next();
 });
 
+exports.protect = authenticate();
+
+// For the 2FA enrollment endpoints
+exports.protectTwoFactorSetup = authenticate({ allowSetupToken: true });
+
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Record of one mutating admin request. Entries are append-only: they are
+// created by the admin audit middleware and can never be edited or removed.
+const auditLogSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Admin is required'],
+    index: true
+  },
+  // The admin's email at the time, kept if the account is later deleted
+  adminEmail: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    index: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number
+  },
+  success: {
+    type: Boolean,
+    default: false
+  },
+  target: {
+    model: String,
+    // Document id, or the key of documents addressed by another field (e.g. a commission rate's category)
+    id: String
+  },
+  // Fields that changed on the target: value before and after the request
+  changes: [
+    {
+      _id: false,
+      path: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }
+  ],
+  // Request body with secrets removed, for actions without a single target
+  requestBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'target.model': 1, 'target.id': 1, createdAt: -1 });
+
+const appendOnly = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  appendOnly
+);
+auditLogSchema.pre(['updateOne', 'deleteOne'], { document: true, query: false }, appendOnly);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const bookingSchema = new mongoose.Schema({
     customer: {
@@ -54,6 +55,11 @@ const bookingSchema = new mongoose.Schema({
             return this.isCustomListing;
         }
     },
+    // The customer's planner event this booking counts towards (see budgetService)
+    userEvent: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'UserEvent'
+    },
     eventDate: {
         type: Date,
         required: [true, 'Please provide an event date.']
@@ -82,12 +88,82 @@ const bookingSchema = new mongoose.Schema({
         enum: ['Pending', 'Confirmed', 'Cancelled', 'Completed'],
         default: 'Pending'
     },
+    // Set when a paid booking landed on a slot that was no longer available (e.g. taken during checkout)
+    availabilityConflict: {
+        type: Boolean,
+        default: false
+    },
     // Stripe payment metadata
     payment: {
         sessionId: { type: String },
+        // Cart snapshot item (CheckoutSession.cartItems._id) this booking was created from
+        checkoutItemId: { type: mongoose.Schema.ObjectId },
         paymentIntentId: { type: String },
         currency: { type: String, default: 'usd' },
-        amountPaid: { type: Number, default: 0 }
+        amountPaid: { type: Number, default: 0 },
+        // 'deposit' when the vendor's booking rules required a deposit at checkout
+        schedule: { type: String, enum: ['full', 'deposit'], default: 'full' },
+        depositAmount: { type: Number, default: 0 },
+        // Outstanding balance; 0 once the booking is fully paid
+        balanceAmount: { type: Number, default: 0 },
+        balanceDueDate: { type: Date },
+        balanceSessionId: { type: String },
+        balancePaymentIntentId: { type: String },
+        balanceRequestedAt: { type: Date },
+        balancePaidAt: { type: Date },
+        // Sales tax collected for this booking at checkout
+        taxAmount: { type: Number, default: 0 },
+        // Refunds issued when the booking is cancelled
+        refundStatus: {
+            type: String,
+            enum: ['none', 'pending', 'succeeded', 'failed'],
+            default: 'none'
+        },
+        refundAmount: { type: Number, default: 0 },
+        refundedAt: { type: Date },
+        refunds: [{
+            refundId: { type: String },
+            paymentIntentId: { type: String },
+            amount: { type: Number },
+            status: { type: String },
+            createdAt: { type: Date, default: Date.now }
+        }]
+    },
+    // Vendor payout through Stripe Connect, one transfer per payment received
+    // (commission is taken from the pre-tax amount; the platform keeps the tax)
+    payout: {
+        status: {
+            type: String,
+            enum: ['pending', 'awaiting_onboarding', 'transferred', 'failed', 'reversed'],
+            default: 'pending'
+        },
+        commissionRate: { type: Number },
+        grossAmount: { type: Number, default: 0 },
+        feeAmount: { type: Number, default: 0 },
+        netAmount: { type: Number, default: 0 },
+        transferredAmount: { type: Number, default: 0 },
+        reversedAmount: { type: Number, default: 0 },
+        lastError: { type: String },
+        transfers: [{
+            transferId: { type: String },
+            paymentIntentId: { type: String },
+            grossAmount: { type: Number },
+            feeAmount: { type: Number },
+            amount: { type: Number },
+            status: { type: String, enum: ['pending', 'transferred', 'failed'], default: 'pending' },
+            reversedAmount: { type: Number, default: 0 },
+            // Failed Stripe attempts; part of the idempotency key so a retry is a new request
+            attempts: { type: Number, default: 0 },
+            createdAt: { type: Date, default: Date.now }
+        }]
+    },
+    cancellation: {
+        cancelledBy: { type: mongoose.Schema.ObjectId, ref: 'User' },
+        cancelledByRole: { type: String, enum: ['customer', 'vendor', 'admin'] },
+        reason: { type: String, maxlength: [500, 'Cancellation reason cannot exceed 500 characters.'] },
+        cancelledAt: { type: Date },
+        daysBeforeEvent: { type: Number },
+        refundPercentage: { type: Number }
     },
     // Snapshots for auditing: customer, event (listing), and chosen package at time of booking
     customerSnapshot: {
@@ -122,6 +198,32 @@ const bookingSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
+bookingSchema.index({ 'payment.balanceAmount': 1, 'payment.balanceDueDate': 1 });
+// One booking per checkout cart item, so webhook retries cannot create duplicates
+bookingSchema.index(
+    { 'payment.sessionId': 1, 'payment.checkoutItemId': 1 },
+    { unique: true, partialFilterExpression: { 'payment.checkoutItemId': { $exists: true } } }
+);
+bookingSchema.index({ 'payment.refunds.refundId': 1 });
+bookingSchema.index({ vendor: 1, 'payout.status': 1 });
+
+// Payment progress shown to customers and vendors
+bookingSchema.virtual('paymentStatus').get(function() {
+    const payment = this.payment || {};
+    if (payment.refundAmount > 0) {
+        return payment.refundAmount >= (payment.amountPaid || 0) + (payment.taxAmount || 0)
+            ? 'refunded'
+            : 'partially_refunded';
+    }
+    if (payment.balanceAmount > 0) {
+        if (payment.balanceDueDate && payment.balanceDueDate < new Date()) {
+            return 'balance_overdue';
+        }
+        return 'deposit_paid';
+    }
+    return payment.amountPaid > 0 ? 'fully_paid' : 'unpaid';
+});
+
 // Populate customer and vendor details when finding a booking
 bookingSchema.pre(/^find/, function(next) {
     this.populate({
@@ -137,6 +239,37 @@ bookingSchema.pre(/^find/, function(next) {
     next();
 });
 
+// Keep the customer's planner budget in step with confirmed and paid bookings
+bookingSchema.pre('save', function(next) {
+    this.$locals.budgetChanged = this.isNew || ['status', 'totalPrice', 'payment.amountPaid', 'payment.refundAmount', 'userEvent']
+        .some(path => this.isModified(path));
+    next();
+});
+
+bookingSchema.post('save', async function() {
+    // Inside a transaction the booking can still roll back; the caller syncs after commit
+    if (!this.$locals.budgetChanged || this.$session()) return;
+    try {
+        await require('../services/budgetService').syncBookingExpense(this);
+    } catch (error) {
+        console.error('Failed to sync booking expense:', error.message, { booking: String(this._id) });
+    }
+});
+
+bookingSchema.post('findOneAndUpdate', async function(doc) {
+    if (!doc) return;
+    try {
+        const booking = await doc.constructor.findById(doc._id);
+        if (booking) {
+            await require('../services/budgetService').syncBookingExpense(booking);
+        }
+    } catch (error) {
+        console.error('Failed to sync booking expense:', error.message, { booking: String(doc._id) });
+    }
+});
+
+bookingSchema.plugin(softDelete);
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 module.exports = Booking; 
\ No newline at end of file
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const toolCallSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // JSON-encoded arguments, as produced by the model
+  arguments: {
+    type: String,
+    default: '{}'
+  }
+}, { _id: false });
+
+const chatbotMessageSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['user', 'assistant', 'tool'],
+    required: true
+  },
+  content: {
+    type: String,
+    default: ''
+  },
+  // Set on assistant messages that asked for tools to be run
+  toolCalls: {
+    type: [toolCallSchema],
+    default: undefined
+  },
+  // Set on tool messages: the call they answer
+  toolCallId: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A stored conversation with one of the assistants
+const chatbotThreadSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assistant: {
+    type: String,
+    enum: ['customer', 'vendor'],
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  messages: {
+    type: [chatbotMessageSchema],
+    default: []
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+chatbotThreadSchema.index({ user: 1, assistant: 1, lastMessageAt: -1 });
+
+const ChatbotThread = mongoose.model('ChatbotThread', chatbotThreadSchema);
+
+module.exports = ChatbotThread;
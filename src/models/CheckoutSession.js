@@ -27,6 +27,11 @@ const checkoutSessionSchema = new mongoose.Schema({
 		type: Number,
 		default: 0
 	},
+	// What was charged at checkout: deposits (or full prices) plus tax
+	amountDueNow: {
+		type: Number,
+		default: 0
+	},
 	taxAmount: {
 		type: Number,
 		default: 0
@@ -87,6 +92,13 @@ const checkoutSessionSchema = new mongoose.Schema({
 			},
 			attendees: { type: Number, required: true },
 			totalPrice: { type: Number, required: true },
+			// Server-computed tax for this item (from the listing's zip code)
+			taxRate: { type: Number, default: 0 },
+			taxAmount: { type: Number, default: 0 },
+			// Deposit schedule from the vendor's booking rules (balanceAmount 0 = paid in full)
+			depositAmount: { type: Number, default: 0 },
+			balanceAmount: { type: Number, default: 0 },
+			balanceDueDate: { type: Date },
 			display: {
 				name: String,
 				description: String
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Event = require('./Event');
+
+// Platform commission taken from vendor payouts. The 'default' row applies to
+// categories without their own rate.
+const commissionRateSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Category is required.'],
+    enum: ['default', ...Event.schema.path('category').enumValues],
+    unique: true
+  },
+  percentage: {
+    type: Number,
+    required: [true, 'Commission percentage is required.'],
+    min: [0, 'Commission percentage cannot be negative.'],
+    max: [100, 'Commission percentage cannot exceed 100.']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const CommissionRate = mongoose.model('CommissionRate', commissionRateSchema);
+
+module.exports = CommissionRate;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A request for a copy of a user's personal data. The archive is assembled in the
+// background, kept in export storage until expiresAt and downloaded with a one-off token.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  // Storage adapter holding the archive ('s3' or 'local') and its key there
+  storage: {
+    type: String
+  },
+  storageKey: {
+    type: String
+  },
+  fileName: {
+    type: String
+  },
+  size: {
+    type: Number
+  },
+  // Number of records in each file of the archive
+  counts: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // SHA-256 of the download token sent by email
+  downloadTokenHash: {
+    type: String,
+    select: false
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  downloadedAt: {
+    type: Date
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+const DataExport = mongoose.model('DataExport', dataExportSchema);
+
+module.exports = DataExport;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const RSVP_STATUSES = ['pending', 'attending', 'declined'];
+
+// Invitation of one guest to one sub-event (subEvent is empty for the event itself)
+const invitationSchema = new mongoose.Schema({
+  subEvent: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    enum: RSVP_STATUSES,
+    default: 'pending'
+  },
+  respondedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const guestSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Guest name is required'],
+    trim: true,
+    maxlength: [100, 'Guest name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [200, 'Guest email cannot exceed 200 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Guest phone cannot exceed 30 characters']
+  },
+  isChild: {
+    type: Boolean,
+    default: false
+  },
+  dietary: {
+    halal: { type: Boolean, default: false },
+    vegetarian: { type: Boolean, default: false },
+    nutAllergy: { type: Boolean, default: false }
+  },
+  dietaryNotes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Dietary notes cannot exceed 300 characters']
+  },
+  invitations: {
+    type: [invitationSchema],
+    default: []
+  }
+});
+
+// A party of guests invited together, sharing one RSVP link
+const guestHouseholdSchema = new mongoose.Schema({
+  userEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserEvent',
+    required: [true, 'User event is required'],
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Household name is required'],
+    trim: true,
+    maxlength: [150, 'Household name cannot exceed 150 characters']
+  },
+  side: {
+    type: String,
+    enum: ['bride', 'groom', 'both'],
+    default: 'both'
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [200, 'Household email cannot exceed 200 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Household phone cannot exceed 30 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  members: {
+    type: [guestSchema],
+    validate: {
+      validator: members => members.length > 0 && members.length <= 50,
+      message: 'A household needs between 1 and 50 guests'
+    }
+  },
+  // Public RSVP link token; only shown to the event owner
+  rsvpToken: {
+    type: String,
+    select: false
+  },
+  rsvpMessage: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'RSVP message cannot exceed 1000 characters']
+  },
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+guestHouseholdSchema.index({ userEvent: 1, name: 1 });
+guestHouseholdSchema.index({ rsvpToken: 1 }, { unique: true, sparse: true });
+
+guestHouseholdSchema.statics.RSVP_STATUSES = RSVP_STATUSES;
+
+const GuestHousehold = mongoose.model('GuestHousehold', guestHouseholdSchema);
+
+module.exports = GuestHousehold;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const invoiceSchema = new mongoose.Schema({
   vendor: {
@@ -219,6 +220,8 @@ invoiceSchema.statics.updateOverdueStatus = function() {
   );
 };
 
+invoiceSchema.plugin(softDelete);
+
 const Invoice = mongoose.model('Invoice', invoiceSchema);
 
 module.exports = Invoice; 
\ No newline at end of file
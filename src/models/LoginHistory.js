@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Entries older than this are removed by MongoDB
+const LOGIN_HISTORY_RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 180;
+
+// One sign-in attempt, successful or not
+const loginHistorySchema = new mongoose.Schema({
+  // Empty when the email did not match an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['invalid_password', 'invalid_2fa', 'account_locked', 'unknown_email', 'email_unverified', 'account_inactive']
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  // Hash of the user agent, used to recognize devices the user signed in from before
+  deviceHash: {
+    type: String
+  },
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  // Set when this failure locked the account
+  lockedUntil: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ user: 1, success: 1, deviceHash: 1 });
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
+
+module.exports = LoginHistory;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const slugify = require('slugify');
 
 const promotionalEventSchema = new mongoose.Schema({
   // Admin who created this promotional event
@@ -16,6 +17,13 @@ const promotionalEventSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Event title cannot exceed 200 characters.']
   },
+
+  // Public URL of the event, generated from the title and city
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   
   tagline: {
     type: String,
@@ -94,10 +102,17 @@ const promotionalEventSchema = new mongoose.Schema({
     min: [0, 'Ticket price cannot be negative.']
   },
   
+  // Tickets still for sale; purchases take from it and expired checkouts give back
   ticketsAvailable: {
     type: Number,
     min: [0, 'Tickets available cannot be negative.']
   },
+
+  ticketsSold: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   // Status and visibility
   isActive: {
@@ -126,6 +141,7 @@ const promotionalEventSchema = new mongoose.Schema({
 promotionalEventSchema.index({ title: 'text', description: 'text', 'location.city': 'text', 'location.state': 'text' });
 promotionalEventSchema.index({ date: 1 });
 promotionalEventSchema.index({ isActive: 1, isFeatured: 1 });
+promotionalEventSchema.index({ isActive: 1, 'location.city': 1, date: 1 });
 
 // Virtual for formatted date
 promotionalEventSchema.virtual('formattedDate').get(function() {
@@ -143,6 +159,47 @@ promotionalEventSchema.virtual('fullLocation').get(function() {
   return `${city}, ${state} ${zipCode}`;
 });
 
+// Tickets are sold when the event has a price and an inventory
+promotionalEventSchema.virtual('ticketsOnSale').get(function() {
+  return typeof this.ticketPrice === 'number' && typeof this.ticketsAvailable === 'number';
+});
+
+promotionalEventSchema.virtual('isSoldOut').get(function() {
+  return this.ticketsOnSale && this.ticketsAvailable <= 0;
+});
+
+// Generate the slug on first save and when the title or city changes
+promotionalEventSchema.pre('save', async function(next) {
+  try {
+    if (!this.slug || this.isModified('title') || this.isModified('location.city')) {
+      await this.generateUniqueSlug();
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+promotionalEventSchema.methods.generateUniqueSlug = async function() {
+  const PromotionalEvent = this.constructor;
+  const baseSlug = [this.title, this.location?.city]
+    .filter(Boolean)
+    .map(part => slugify(part, { lower: true, strict: true }))
+    .filter(Boolean)
+    .join('-') || 'event';
+
+  // Add part of ObjectId for uniqueness (last 6 characters)
+  const candidateSlug = `${baseSlug}-${this._id.toString().slice(-6)}`;
+  let finalSlug = candidateSlug;
+  let counter = 1;
+  while (await PromotionalEvent.exists({ slug: finalSlug, _id: { $ne: this._id } })) {
+    finalSlug = `${candidateSlug}-${counter}`;
+    counter++;
+  }
+
+  this.slug = finalSlug;
+};
+
 // Pre-save middleware to set featuredAt when isFeatured is set to true
 promotionalEventSchema.pre('save', function(next) {
   if (this.isModified('isFeatured') && this.isFeatured && !this.featuredAt) {
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// One step of the negotiation, kept for the conversation history
+const quoteHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['requested', 'quoted', 'countered', 'accepted', 'declined'],
+    required: true
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  price: {
+    type: Number
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters.']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const quoteRequestSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Quote request must belong to a customer.'],
+    index: true
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Quote request must be for a vendor.'],
+    index: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: [true, 'Quote request must be for a listing.']
+  },
+  eventDate: {
+    type: Date,
+    required: [true, 'Please provide an event date.']
+  },
+  eventTime: {
+    type: String,
+    required: [true, 'Please provide an event time.'],
+    validate: {
+      validator: function(v) {
+        // Validate time format (HH:MM AM/PM)
+        return /^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/i.test(v);
+      },
+      message: 'Event time must be in HH:MM AM/PM format (US timezone)'
+    }
+  },
+  attendees: {
+    type: Number,
+    required: [true, 'Please specify the number of attendees.'],
+    min: [1, 'Must have at least one attendee.']
+  },
+  budget: {
+    type: Number,
+    min: [0, 'Budget cannot be negative.']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters.']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'quoted', 'countered', 'accepted', 'declined'],
+    default: 'requested',
+    index: true
+  },
+  // The custom package the vendor created for the latest quote
+  customPackage: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  quotedPrice: {
+    type: Number,
+    min: [0, 'Quoted price cannot be negative.']
+  },
+  quoteExpiresAt: {
+    type: Date
+  },
+  counterPrice: {
+    type: Number,
+    min: [0, 'Counter price cannot be negative.']
+  },
+  // Cart item created when the customer accepted the quote
+  cartItemId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  history: {
+    type: [quoteHistorySchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+quoteRequestSchema.index({ customer: 1, createdAt: -1 });
+quoteRequestSchema.index({ vendor: 1, createdAt: -1 });
+
+// A quote that was not accepted before its validity ran out
+quoteRequestSchema.virtual('isExpired').get(function() {
+  return this.status === 'quoted' && !!this.quoteExpiresAt && this.quoteExpiresAt < new Date();
+});
+
+const QuoteRequest = mongoose.model('QuoteRequest', quoteRequestSchema);
+
+module.exports = QuoteRequest;
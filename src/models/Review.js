@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 const Event = require('./Event');
+const User = require('./User');
+
+// Customers can edit their review for this many days after posting it
+const REVIEW_EDIT_WINDOW_DAYS = parseInt(process.env.REVIEW_EDIT_WINDOW_DAYS, 10) || 14;
+
+const MAX_REVIEW_PHOTOS = 5;
+
+const moderationEntrySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['flag', 'hide', 'restore'],
+        required: true
+    },
+    by: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
 
 const reviewSchema = new mongoose.Schema({
     event: {
@@ -17,6 +46,15 @@ const reviewSchema = new mongoose.Schema({
         ref: 'User',
         required: [true, 'Review must belong to a customer.']
     },
+    // The completed booking that entitles the customer to review
+    booking: {
+        type: mongoose.Schema.ObjectId,
+        ref: 'Booking'
+    },
+    verifiedBooking: {
+        type: Boolean,
+        default: false
+    },
     rating: {
         type: Number,
         min: 1,
@@ -27,6 +65,40 @@ const reviewSchema = new mongoose.Schema({
         type: String,
         trim: true,
         maxlength: 500
+    },
+    photos: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: function(photos) {
+                return photos.length <= MAX_REVIEW_PHOTOS;
+            },
+            message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos.`
+        }
+    },
+    editedAt: {
+        type: Date
+    },
+    // One public reply from the vendor
+    vendorReply: {
+        comment: {
+            type: String,
+            trim: true,
+            maxlength: 1000
+        },
+        repliedAt: Date,
+        updatedAt: Date
+    },
+    // visible: shown publicly; flagged: shown but waiting for an admin; hidden: removed by an admin
+    status: {
+        type: String,
+        enum: ['visible', 'flagged', 'hidden'],
+        default: 'visible',
+        index: true
+    },
+    moderation: {
+        type: [moderationEntrySchema],
+        default: []
     }
 }, {
     timestamps: true,
@@ -36,6 +108,14 @@ const reviewSchema = new mongoose.Schema({
 
 reviewSchema.index({ event: 1, customer: 1 }, { unique: true });
 
+// Reviews that count towards ratings and are shown publicly
+const VISIBLE_FILTER = { status: { $ne: 'hidden' } };
+
+reviewSchema.virtual('editableUntil').get(function() {
+    if (!this.createdAt) return null;
+    return new Date(this.createdAt.getTime() + REVIEW_EDIT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+});
+
 reviewSchema.pre(/^find/, function(next) {
     this.populate({
         path: 'customer',
@@ -47,10 +127,26 @@ reviewSchema.pre(/^find/, function(next) {
     next();
 });
 
+/**
+ * Record a moderation action and update the review's status.
+ * @param {string} action - 'flag', 'hide' or 'restore'
+ * @param {object} params
+ * @param {string} params.by - User taking the action
+ * @param {string} [params.reason]
+ */
+reviewSchema.methods.moderate = function(action, { by, reason }) {
+    const nextStatus = { flag: 'flagged', hide: 'hidden', restore: 'visible' }[action];
+    this.status = nextStatus;
+    this.moderation.push({ action, by, reason });
+};
+
+const refId = value => (value && value._id ? value._id : value);
+
 reviewSchema.statics.calcAverageRatings = async function(eventId) {
+    eventId = refId(eventId);
     const stats = await this.aggregate([
         {
-            $match: { event: eventId }
+            $match: { event: new mongoose.Types.ObjectId(eventId), ...VISIBLE_FILTER }
         },
         {
             $group: {
@@ -74,16 +170,66 @@ reviewSchema.statics.calcAverageRatings = async function(eventId) {
     }
 };
 
-reviewSchema.post('save', function() {
-    this.constructor.calcAverageRatings(this.event);
+// Recalculate the vendor's overall rating and star breakdown from visible reviews
+reviewSchema.statics.calcVendorRatings = async function(vendorId) {
+    vendorId = refId(vendorId);
+    const stats = await this.aggregate([
+        {
+            $match: { vendor: new mongoose.Types.ObjectId(vendorId), ...VISIBLE_FILTER }
+        },
+        {
+            $group: {
+                _id: '$rating',
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    stats.forEach(stat => { counts[stat._id] = stat.count; });
+    const totalReviews = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const average = totalReviews
+        ? Object.entries(counts).reduce((sum, [stars, count]) => sum + stars * count, 0) / totalReviews
+        : 0;
+
+    await User.updateOne({ _id: vendorId }, {
+        $set: {
+            'vendorProfile.rating.average': Math.round(average * 10) / 10,
+            'vendorProfile.rating.totalReviews': totalReviews,
+            'vendorProfile.rating.breakdown': {
+                fiveStar: counts[5],
+                fourStar: counts[4],
+                threeStar: counts[3],
+                twoStar: counts[2],
+                oneStar: counts[1]
+            }
+        }
+    });
+};
+
+reviewSchema.statics.recalculateRatings = async function(review) {
+    await Promise.all([
+        this.calcAverageRatings(review.event),
+        this.calcVendorRatings(review.vendor)
+    ]);
+};
+
+reviewSchema.post('save', async function() {
+    await this.constructor.recalculateRatings(this);
 });
 
 reviewSchema.post(/^findOneAnd/, async function(doc) {
     if (doc) {
-        await doc.constructor.calcAverageRatings(doc.event);
+        await doc.constructor.recalculateRatings(doc);
     }
 });
 
+reviewSchema.plugin(softDelete);
+
 const Review = mongoose.model('Review', reviewSchema);
 
-module.exports = Review; 
\ No newline at end of file
+Review.VISIBLE_FILTER = VISIBLE_FILTER;
+Review.REVIEW_EDIT_WINDOW_DAYS = REVIEW_EDIT_WINDOW_DAYS;
+Review.MAX_REVIEW_PHOTOS = MAX_REVIEW_PHOTOS;
+
+module.exports = Review;
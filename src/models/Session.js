@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Each session is one refresh-token family: the token is
+// rotated on every refresh, and presenting a superseded token revokes the session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens already rotated out, kept for reuse detection
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'remote_logout', 'token_reuse', 'password_change', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One admission to a promotional event, issued from a paid TicketOrder
+const ticketSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TicketOrder',
+    required: [true, 'Ticket order is required'],
+    index: true
+  },
+  promotionalEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromotionalEvent',
+    required: [true, 'Promotional event is required']
+  },
+  holder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Ticket holder is required'],
+    index: true
+  },
+  // Position of the ticket within its order, so re-issuing an order never duplicates tickets
+  seq: {
+    type: Number,
+    required: true
+  },
+  // Short reference printed on the ticket
+  ticketNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['valid', 'checked_in'],
+    default: 'valid'
+  },
+  checkedInAt: {
+    type: Date
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ticketSchema.index({ order: 1, seq: 1 }, { unique: true });
+ticketSchema.index({ promotionalEvent: 1, status: 1 });
+
+const Ticket = mongoose.model('Ticket', ticketSchema);
+
+module.exports = Ticket;
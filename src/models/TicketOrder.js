@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A purchase of tickets to a promotional event. The tickets are reserved from the
+// event's inventory while the order is pending and issued once it is paid.
+const ticketOrderSchema = new mongoose.Schema({
+  promotionalEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromotionalEvent',
+    required: [true, 'Promotional event is required'],
+    index: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Buyer is required'],
+    index: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'At least one ticket is required']
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid', 'expired'],
+    default: 'pending'
+  },
+  stripeSessionId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  paymentIntentId: {
+    type: String
+  },
+  paidAt: {
+    type: Date
+  },
+  buyerSnapshot: {
+    fullName: String,
+    email: String
+  },
+  eventSnapshot: {
+    title: String,
+    date: Date,
+    time: String,
+    location: {
+      city: String,
+      state: String,
+      zipCode: String
+    }
+  }
+}, {
+  timestamps: true
+});
+
+ticketOrderSchema.index({ status: 1, createdAt: 1 });
+
+const TicketOrder = mongoose.model('TicketOrder', ticketOrderSchema);
+
+module.exports = TicketOrder;
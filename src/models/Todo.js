@@ -32,6 +32,11 @@ const todoSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Member name cannot exceed 100 characters']
   },
+  // Owner or collaborator of the user event responsible for the task
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   status: {
     type: String,
     enum: ['pending', 'in-progress', 'completed'],
@@ -64,6 +69,11 @@ const todoSchema = new mongoose.Schema({
     enum: ['high', 'medium', 'low'],
     default: 'medium'
   },
+  // Marketplace category (Event.category) of the vendors suggested for this task
+  vendorCategory: {
+    type: String,
+    trim: true
+  },
   suggestedVendors: {
     type: [mongoose.Schema.Types.ObjectId],
     ref: 'User',
@@ -72,6 +82,11 @@ const todoSchema = new mongoose.Schema({
   aiGenerated: {
     type: Boolean,
     default: false
+  },
+  // End date each reminder was last sent for; moving the end date re-arms them
+  reminders: {
+    dueSoonFor: Date,
+    overdueFor: Date
   }
 }, {
   timestamps: true,
@@ -83,6 +98,8 @@ const todoSchema = new mongoose.Schema({
 todoSchema.index({ userEvent: 1, createdAt: -1 });
 todoSchema.index({ user: 1, status: 1 });
 todoSchema.index({ userEvent: 1, status: 1 });
+todoSchema.index({ assignedTo: 1, status: 1 });
+todoSchema.index({ status: 1, endDate: 1 });
 todoSchema.index({ dueDate: 1 });
 todoSchema.index({ priority: 1 });
 
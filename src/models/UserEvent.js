@@ -1,5 +1,133 @@
 const mongoose = require('mongoose');
 
+// Planned spend for one budget category
+const budgetItemSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Budget category is required'],
+    trim: true,
+    maxlength: [100, 'Budget category cannot exceed 100 characters']
+  },
+  planned: {
+    type: Number,
+    default: 0,
+    min: [0, 'Planned amount cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+});
+
+// Money committed to or paid for the event, entered by hand or kept in sync with a booking
+const expenseSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    required: [true, 'Expense category is required'],
+    trim: true,
+    maxlength: [100, 'Expense category cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Expense description cannot exceed 200 characters']
+  },
+  // Total agreed amount
+  committed: {
+    type: Number,
+    default: 0,
+    min: [0, 'Committed amount cannot be negative']
+  },
+  // Part of the committed amount already paid
+  paid: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'booking'],
+    default: 'manual'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  date: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// One function of a multi-day celebration (e.g. mehndi, nikah, walima) that guests are invited to separately
+const subEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Sub-event name is required'],
+    trim: true,
+    maxlength: [100, 'Sub-event name cannot exceed 100 characters']
+  },
+  date: {
+    type: Date
+  },
+  time: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Sub-event time cannot exceed 50 characters']
+  },
+  venue: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Sub-event venue cannot exceed 500 characters']
+  }
+});
+
+// Someone the owner plans the event with; invited by email and linked to an account on acceptance
+const collaboratorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Collaborator email is required'],
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: ['editor', 'viewer'],
+    default: 'editor'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  // Hash of the emailed invitation token
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acceptedAt: {
+    type: Date
+  }
+});
+
 const userEventSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -74,7 +202,7 @@ const userEventSchema = new mongoose.Schema({
   },
   eventType: {
     type: String,
-    enum: ['Wedding', 'Birthday', 'Graduation', 'Corporate', 'Engagement', 'Anniversary', 'Other'],
+    enum: ['Wedding', 'Nikah', 'Mehndi', 'Walima', 'Engagement', 'Aqiqah', 'Birthday', 'Graduation', 'Corporate', 'Anniversary', 'Other'],
     default: 'Other'
   },
   theme: {
@@ -90,6 +218,25 @@ const userEventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // People planning the event with the owner (see collaborationService)
+  collaborators: {
+    type: [collaboratorSchema],
+    default: []
+  },
+  // Functions guests are invited to; guests are invited to the event itself when empty
+  subEvents: {
+    type: [subEventSchema],
+    default: []
+  },
+  // Budget tracker: planned amounts per category and actual spend
+  budgetItems: {
+    type: [budgetItemSchema],
+    default: []
+  },
+  expenses: {
+    type: [expenseSchema],
+    default: []
+  },
   checklistCategories: {
     type: [{
       name: String,
@@ -102,7 +249,9 @@ const userEventSchema = new mongoose.Schema({
           enum: ['high', 'medium', 'low'],
           default: 'medium'
         },
-        description: String
+        description: String,
+        // Marketplace category (Event.category) that can help with the task
+        vendorCategory: String
       }]
     }],
     default: []
@@ -118,6 +267,9 @@ userEventSchema.index({ user: 1, createdAt: -1 });
 userEventSchema.index({ user: 1, status: 1 });
 userEventSchema.index({ user: 1, date: 1 });
 userEventSchema.index({ status: 1 });
+userEventSchema.index({ 'expenses.booking': 1 });
+userEventSchema.index({ 'collaborators.user': 1 });
+userEventSchema.index({ 'collaborators.inviteTokenHash': 1 });
 
 // Virtual for formatted date
 userEventSchema.virtual('formattedDate').get(function() {
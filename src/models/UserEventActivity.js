@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One change to a shared user event, shown in the event's activity feed
+const userEventActivitySchema = new mongoose.Schema({
+  userEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserEvent',
+    required: [true, 'User event is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: [
+      'event_updated',
+      'todo_created',
+      'todo_updated',
+      'todo_completed',
+      'todo_reopened',
+      'todo_deleted',
+      'todo_assigned',
+      'collaborator_invited',
+      'collaborator_joined',
+      'collaborator_updated',
+      'collaborator_removed',
+      'budget_updated',
+      'guests_updated'
+    ]
+  },
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Summary cannot exceed 300 characters']
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['event', 'todo', 'collaborator', 'budget', 'guests']
+    },
+    id: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userEventActivitySchema.index({ userEvent: 1, createdAt: -1 });
+
+const UserEventActivity = mongoose.model('UserEventActivity', userEventActivitySchema);
+
+module.exports = UserEventActivity;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = /^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/i;
+
+// Opening hours for a single day of the week (0 = Sunday ... 6 = Saturday)
+const workingHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: [true, 'Day of week is required.'],
+    min: 0,
+    max: 6
+  },
+  isOpen: {
+    type: Boolean,
+    default: true
+  },
+  openTime: {
+    type: String,
+    default: '09:00 AM',
+    validate: {
+      validator: v => TIME_FORMAT.test(v),
+      message: 'Open time must be in HH:MM AM/PM format'
+    }
+  },
+  closeTime: {
+    type: String,
+    default: '11:00 PM',
+    validate: {
+      validator: v => TIME_FORMAT.test(v),
+      message: 'Close time must be in HH:MM AM/PM format'
+    }
+  }
+}, { _id: false });
+
+// A blackout range. When `event` is empty the block applies to every listing of the vendor.
+const blockedDateSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: [true, 'Blocked date start is required.']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Blocked date end is required.']
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters.']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Per-listing override of how many bookings a listing can take on a single day
+const listingCapacitySchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  maxBookingsPerDay: {
+    type: Number,
+    required: true,
+    min: [1, 'Max bookings per day must be at least 1.']
+  }
+}, { _id: false });
+
+const vendorAvailabilitySchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Availability must belong to a vendor.'],
+    unique: true
+  },
+  // Empty means the vendor has not restricted their hours
+  workingHours: {
+    type: [workingHoursSchema],
+    default: []
+  },
+  blockedDates: {
+    type: [blockedDateSchema],
+    default: []
+  },
+  // Default number of bookings each listing can take per day
+  maxBookingsPerDay: {
+    type: Number,
+    default: 1,
+    min: [1, 'Max bookings per day must be at least 1.']
+  },
+  listingCapacity: {
+    type: [listingCapacitySchema],
+    default: []
+  },
+  // Bumped by every booking transaction for the vendor, so concurrent checkouts
+  // conflict and retry instead of both counting the same free slot
+  bookingLock: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+vendorAvailabilitySchema.index({ 'blockedDates.startDate': 1, 'blockedDates.endDate': 1 });
+
+// Returns the stored availability for a vendor, or an unsaved default document
+vendorAvailabilitySchema.statics.getForVendor = async function(vendorId) {
+  const availability = await this.findOne({ vendor: vendorId });
+  return availability || new this({ vendor: vendorId });
+};
+
+// Find the blackout (if any) covering the given day for a listing
+vendorAvailabilitySchema.methods.findBlock = function(dayStart, eventId) {
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+  return this.blockedDates.find(block => {
+    const appliesToListing = !block.event || (eventId && block.event.equals(eventId));
+    return appliesToListing && block.startDate < dayEnd && block.endDate >= dayStart;
+  }) || null;
+};
+
+vendorAvailabilitySchema.methods.getCapacityForListing = function(eventId) {
+  const override = this.listingCapacity.find(c => eventId && c.event.equals(eventId));
+  return override ? override.maxBookingsPerDay : this.maxBookingsPerDay;
+};
+
+vendorAvailabilitySchema.methods.getWorkingHoursForDay = function(dayOfWeek) {
+  if (!this.workingHours.length) return null;
+  return this.workingHours.find(h => h.dayOfWeek === dayOfWeek) || { dayOfWeek, isOpen: false };
+};
+
+const VendorAvailability = mongoose.model('VendorAvailability', vendorAvailabilitySchema);
+
+module.exports = VendorAvailability;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Ledger of Stripe webhook events, keyed by Stripe's event id so a delivery is processed once
+const webhookEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing',
+    index: true
+  },
+  // The full Stripe event, kept so failed events can be replayed
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  processedAt: {
+    type: Date
+  },
+  lastReplayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Read operations that hide soft-deleted documents unless asked not to
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'countDocuments',
+  'distinct'
+];
+
+/**
+ * Soft deletion for a schema: documents get deletedAt/deletedBy/deletedWith
+ * and are hidden from queries and aggregations until restored or purged.
+ *
+ * To include deleted documents, pass the `withDeleted` query option
+ * (`Model.find().withDeleted()`, or `{ withDeleted: true }` for aggregate),
+ * or filter on `deletedAt` yourself, e.g. `{ deletedAt: { $ne: null } }` for the trash.
+ * @param {mongoose.Schema} schema
+ */
+function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // The user whose account deletion took this document with it; restoring the account restores it
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: { sparse: true }
+    },
+    // Set when the purge kept the document (e.g. paid bookings) but stripped its personal data
+    anonymizedAt: {
+      type: Date
+    }
+  });
+
+  schema.query.withDeleted = function() {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.pre(FILTERED_QUERIES, function(next) {
+    if (!this.getOptions().withDeleted && !Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    if (this.options.withDeleted) return next();
+    const pipeline = this.pipeline();
+    // $geoNear has to stay the first stage
+    const at = pipeline[0] && pipeline[0].$geoNear ? 1 : 0;
+    pipeline.splice(at, 0, { $match: { deletedAt: null } });
+    next();
+  });
+
+  /**
+   * Move the document to the trash.
+   * @param {string} [deletedBy] - User performing the deletion
+   * @param {string} [deletedWith] - Account whose deletion this is part of
+   */
+  schema.methods.softDelete = function(deletedBy, deletedWith) {
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    this.deletedWith = deletedWith;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    this.deletedWith = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  /**
+   * Move every matching document to the trash.
+   * @param {object} filter
+   * @param {object} [options] - { deletedBy, deletedWith }
+   * @returns {Promise<object>} The update result
+   */
+  schema.statics.softDeleteMany = function(filter, { deletedBy, deletedWith } = {}) {
+    return this.updateMany(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy, deletedWith } }
+    );
+  };
+}
+
+module.exports = softDeletePlugin;
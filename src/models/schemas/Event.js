@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify'); // A library to create URL-friendly slugs
+const { geocodeZip, hasCoordinates } = require('../../utils/geo');
+const softDelete = require('../plugins/softDelete');
 
 // Sub-schema for Packages
 const packageSchema = new mongoose.Schema({
@@ -220,6 +222,11 @@ const eventSchema = new mongoose.Schema({
     zipCode: { type: String, required: true, trim: true },
     country: { type: String, default: 'United States', trim: true }
   },
+  // Coordinates of the listing's zip code, used for radius search
+  geo: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+  },
   reviews: [reviewSchema],
   averageRating: {
     type: Number,
@@ -264,6 +271,31 @@ eventSchema.index(
   { name: 'EventTextIndex', weights: { name: 10, tags: 5, 'location.city': 2, 'location.state': 2 } }
 );
 
+// Geospatial index for radius search
+eventSchema.index({ geo: '2dsphere' });
+
+// Keep the listing's coordinates in sync with its zip code
+eventSchema.pre('save', function(next) {
+  if (this.isModified('location') || !hasCoordinates(this.geo)) {
+    const point = geocodeZip(this.location?.zipCode);
+    this.geo = point || undefined;
+  }
+  next();
+});
+
+eventSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const fields = update.$set || update;
+  const zipCode = fields['location.zipCode'] || fields.location?.zipCode;
+  if (zipCode) {
+    const point = geocodeZip(zipCode);
+    if (point) {
+      fields.geo = point;
+    }
+  }
+  next();
+});
+
 // Mongoose Middleware to create a slug from the name, location, and vendor before saving
 eventSchema.pre('save', async function(next) {
   try {
@@ -338,6 +370,14 @@ eventSchema.pre('save', function(next) {
 });
 
 
+// Rebuild the search suggestion index after listings change.
+// Required lazily because the service itself depends on this model.
+const markSuggestIndexStale = () => require('../../services/searchSuggestService').markStale();
+eventSchema.post('save', markSuggestIndexStale);
+eventSchema.post(['findOneAndUpdate', 'updateOne', 'updateMany', 'findOneAndDelete', 'deleteOne', 'deleteMany'], markSuggestIndexStale);
+
+eventSchema.plugin(softDelete);
+
 const Event = mongoose.model('Event', eventSchema);
 
 module.exports = Event; 
\ No newline at end of file
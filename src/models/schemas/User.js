@@ -2,6 +2,33 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
 const findZone = require("zipcode-to-timezone");
+const { geocodeZip, hasCoordinates } = require("../../utils/geo");
+const softDelete = require("../plugins/softDelete");
+
+// A halal certificate file uploaded by a vendor
+const halalDocumentSchema = new mongoose.Schema(
+  {
+    // Private S3 key; documents uploaded before they were made private only have a public url
+    key: {
+      type: String,
+    },
+    url: {
+      type: String,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    contentType: {
+      type: String,
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -106,10 +133,100 @@ const userSchema = new mongoose.Schema(
       default: false,
     },
 
+    // TOTP two-factor authentication (secrets are encrypted, recovery codes hashed)
+    twoFactor: {
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret waiting for the first code during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so a code cannot be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+
     lastLogin: {
       type: Date,
     },
 
+    // Failed sign-in counter and progressive lockout (see loginSecurityService)
+    loginSecurity: {
+      type: {
+        failedAttempts: {
+          type: Number,
+          default: 0,
+        },
+        lockUntil: {
+          type: Date,
+        },
+        // Lockouts since the last successful sign-in; each one lasts longer
+        lockCount: {
+          type: Number,
+          default: 0,
+        },
+      },
+      select: false,
+    },
+
+    // Planner todo reminders and email digests (see todoReminderService)
+    notificationPreferences: {
+      // In-app reminders for todos due soon or overdue
+      todoReminders: {
+        type: Boolean,
+        default: true,
+      },
+      // Daily email digest of todos due soon or overdue
+      todoDigestEmail: {
+        type: Boolean,
+        default: true,
+      },
+      // How many days before a todo's end date it counts as due soon
+      reminderDaysBefore: {
+        type: Number,
+        default: 2,
+        min: 0,
+        max: 14,
+      },
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          default: "22:00",
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Quiet hours must be in HH:MM format"],
+        },
+        end: {
+          type: String,
+          default: "08:00",
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Quiet hours must be in HH:MM format"],
+        },
+      },
+      // IANA time zone for quiet hours and the digest time
+      timezone: {
+        type: String,
+        trim: true,
+      },
+      // Local date (YYYY-MM-DD) of the last digest, so each day gets one
+      lastDigestOn: {
+        type: String,
+      },
+    },
+
     emailVerificationToken: {
       type: String,
       select: false,
@@ -217,6 +334,12 @@ const userSchema = new mongoose.Schema(
             required: true,
             min: [0, 'Total price cannot be negative.']
           },
+          // Set when the item comes from an accepted quote; the price is locked until expiresAt
+          quoteRequest: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'QuoteRequest',
+          },
+          expiresAt: { type: Date },
           addedAt: { type: Date, default: Date.now },
         },
       ],
@@ -410,6 +533,7 @@ const userSchema = new mongoose.Schema(
           ],
           default: "unverified",
         },
+        // Set once each renewal reminder for the current certificate has been sent
         renewalReminders: {
           thirtyDays: {
             type: Boolean,
@@ -424,6 +548,46 @@ const userSchema = new mongoose.Schema(
             default: false,
           },
         },
+        // Documents of the approved certificate (certificationFile is the first one)
+        documents: [halalDocumentSchema],
+        // Certificate uploaded by the vendor and waiting for admin review; it
+        // replaces the live certificate fields above only when approved
+        submission: {
+          documents: [halalDocumentSchema],
+          certificateNumber: {
+            type: String,
+            trim: true,
+          },
+          issuingAuthority: {
+            type: String,
+            trim: true,
+          },
+          expiryDate: {
+            type: Date,
+          },
+          submittedAt: {
+            type: Date,
+          },
+        },
+        review: {
+          status: {
+            type: String,
+            enum: ["none", "pending", "approved", "rejected"],
+            default: "none",
+          },
+          notes: {
+            type: String,
+            trim: true,
+            maxlength: [1000, "Review notes cannot exceed 1000 characters"],
+          },
+          reviewedAt: {
+            type: Date,
+          },
+          reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        },
       },
 
       // Trust & Verification Badges
@@ -523,6 +687,24 @@ const userSchema = new mongoose.Schema(
             "Cancellation policy cannot exceed 1000 characters",
           ],
         },
+        // Structured refund tiers: cancelling at least `daysBeforeEvent` days
+        // before the event refunds `refundPercentage` of what was paid
+        cancellationTiers: [
+          {
+            _id: false,
+            daysBeforeEvent: {
+              type: Number,
+              required: [true, "Days before event is required"],
+              min: [0, "Days before event cannot be negative"],
+            },
+            refundPercentage: {
+              type: Number,
+              required: [true, "Refund percentage is required"],
+              min: [0, "Refund percentage cannot be negative"],
+              max: [100, "Refund percentage cannot exceed 100"],
+            },
+          },
+        ],
         depositRequired: {
           type: Number,
           min: [0, "Deposit required cannot be negative"],
@@ -538,6 +720,28 @@ const userSchema = new mongoose.Schema(
         },
       },
 
+      // Stripe Connect (Express) account used to pay the vendor out
+      stripeConnect: {
+        accountId: {
+          type: String,
+        },
+        detailsSubmitted: {
+          type: Boolean,
+          default: false,
+        },
+        chargesEnabled: {
+          type: Boolean,
+          default: false,
+        },
+        payoutsEnabled: {
+          type: Boolean,
+          default: false,
+        },
+        onboardedAt: {
+          type: Date,
+        },
+      },
+
       // Reviews & Ratings
       rating: {
         average: {
@@ -659,6 +863,9 @@ userSchema.index({ "vendorProfile.rating.average": -1 });
 userSchema.index({ "vendorProfile.isFeatured": -1, createdAt: -1 });
 userSchema.index({ "vendorProfile.geo": "2dsphere" });
 userSchema.index({ "vendorProfile.halalCertification.status": 1 });
+userSchema.index({ "vendorProfile.halalCertification.status": 1, "vendorProfile.halalCertification.expiryDate": 1 });
+userSchema.index({ "vendorProfile.halalCertification.review.status": 1, "vendorProfile.halalCertification.submission.submittedAt": 1 });
+userSchema.index({ "vendorProfile.stripeConnect.accountId": 1 }, { sparse: true });
 userSchema.index({ "customerProfile.preferences.categories": 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ "socialLogin.googleId": 1 }, { sparse: true });
@@ -714,7 +921,20 @@ userSchema.pre("save", function (next) {
       }
     }
 
-    // 2. Check for profile completion
+    // 2. Keep geo coordinates in sync with the business zip code for radius search
+    if (
+      this.vendorProfile.businessAddress &&
+      this.vendorProfile.businessAddress.zipCode &&
+      (this.isModified("vendorProfile.businessAddress") ||
+        !hasCoordinates(this.vendorProfile.geo))
+    ) {
+      const point = geocodeZip(this.vendorProfile.businessAddress.zipCode);
+      if (point) {
+        this.vendorProfile.geo = point;
+      }
+    }
+
+    // 3. Check for profile completion
     const { businessName, ownerName, businessAddress, timezone } =
       this.vendorProfile;
     
@@ -905,6 +1125,14 @@ userSchema.set("toJSON", {
       }
     }
 
+    // Never expose two-factor secrets or recovery code hashes
+    if (ret.twoFactor) {
+      delete ret.twoFactor.secret;
+      delete ret.twoFactor.pendingSecret;
+      delete ret.twoFactor.recoveryCodes;
+      delete ret.twoFactor.lastUsedStep;
+    }
+
     // Also remove the internal version key for a cleaner output
     delete ret.__v;
 
@@ -912,6 +1140,40 @@ userSchema.set("toJSON", {
   },
 });
 
+// Rebuild the search suggestion index when a vendor's public details change
+// or the vendor is deleted or restored.
+// Required lazily because the service itself depends on this model.
+const markSuggestIndexStale = () =>
+  require("../../services/searchSuggestService").markStale();
+
+userSchema.pre("save", function (next) {
+  this.$locals.vendorSearchFieldsChanged =
+    this.role === "vendor" &&
+    (this.isNew ||
+      this.isModified("vendorProfile.businessName") ||
+      this.isModified("vendorProfile.vendorProfileImage") ||
+      this.isModified("vendorProfile.businessAddress") ||
+      this.isModified("isActive") ||
+      this.isModified("deletedAt"));
+  next();
+});
+
+userSchema.post("save", function () {
+  if (this.$locals.vendorSearchFieldsChanged) {
+    markSuggestIndexStale();
+  }
+});
+
+userSchema.post(["findOneAndDelete", "deleteOne"], markSuggestIndexStale);
+
+userSchema.post("findOneAndUpdate", function (doc) {
+  if (doc && doc.role === "vendor") {
+    markSuggestIndexStale();
+  }
+});
+
+userSchema.plugin(softDelete);
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
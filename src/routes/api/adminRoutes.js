@@ -2,13 +2,15 @@ const express = require('express');
 const router = express.Router();
 const { protect, restrictTo } = require('../../middleware/authMiddleware');
 const { uploadInMemory } = require('../../services/fileUploadService');
+const { auditAdminActions, auditAction } = require('../../middleware/auditMiddleware');
+const { TRASH_MODELS } = require('../../services/softDeleteService');
 
 const {
   getOverview,
   // Users
   listUsers, getUser, updateUserStatus, updateUserVerification, updateUserRole, deleteUser,
   // Vendors
-  updateVendorFlags, updateVendorHalal,
+  updateVendorFlags, updateVendorHalal, listHalalCertificationReviews, reviewHalalCertification,
   // Vendor Verification
   listVendorsForVerification, updateVendorVerification, listVendorsForSelection,
   // Events
@@ -18,7 +20,7 @@ const {
   // Invoices
   listInvoices, getInvoice, updateInvoiceStatus, deleteInvoice,
   // Reviews
-  listReviews, deleteReview,
+  listReviews, moderateReview, deleteReview,
   // Newsletter
   listNewsletter, updateNewsletter, deleteNewsletter,
   // Contacts
@@ -32,11 +34,24 @@ const {
   // Promotional Events
   listPromotionalEvents, getPromotionalEvent, createPromotionalEvent,
   updatePromotionalEvent, deletePromotionalEvent, togglePromotionalEventFeatured,
-  togglePromotionalEventActive
+  togglePromotionalEventActive,
+  // Stripe webhook events
+  listWebhookEvents, getWebhookEvent, replayWebhookEvent,
+  // Payouts & commission
+  listPayouts, retryPayout, listCommissionRates, updateCommissionRate, deleteCommissionRate,
+  // Geo
+  backfillGeo,
+  getCronStatus,
+  runCronJob,
+  // Audit log
+  listAuditLog,
+  // Trash
+  listTrash,
+  restoreFromTrash
 } = require('../../controllers/adminController');
 
-// All routes here are admin-only
-router.use(protect, restrictTo('admin'));
+// All routes here are admin-only, and every change an admin makes is written to the audit log
+router.use(protect, restrictTo('admin'), auditAdminActions);
 
 // Overview / analytics
 router.get('/overview', getOverview);
@@ -45,76 +60,107 @@ router.get('/overview', getOverview);
 router.get('/users', listUsers);
 router.get('/users/:id', getUser);
 router.get('/users/:id/deletion-impact', getUserDeletionImpact);
-router.patch('/users/:id/status', updateUserStatus);
-router.patch('/users/:id/verification', updateUserVerification);
-router.patch('/users/:id/role', updateUserRole);
-router.delete('/users/:id', deleteUser);
+router.patch('/users/:id/status', auditAction('user.update_status', { model: 'User' }), updateUserStatus);
+router.patch('/users/:id/verification', auditAction('user.update_verification', { model: 'User' }), updateUserVerification);
+router.patch('/users/:id/role', auditAction('user.update_role', { model: 'User' }), updateUserRole);
+router.delete('/users/:id', auditAction('user.delete', { model: 'User' }), deleteUser);
 
 // Vendors
-router.patch('/vendors/:id/flags', updateVendorFlags);
-router.patch('/vendors/:id/halal', updateVendorHalal);
+router.patch('/vendors/:id/flags', auditAction('vendor.update_flags', { model: 'User' }), updateVendorFlags);
+router.patch('/vendors/:id/halal', auditAction('vendor.update_halal', { model: 'User' }), updateVendorHalal);
+
+// Halal certificate review queue (?status=pending|approved|rejected); decision is approve or reject with notes
+router.get('/vendors/halal-reviews', listHalalCertificationReviews);
+router.post('/vendors/:id/halal/review', auditAction('vendor.review_halal', { model: 'User' }), reviewHalalCertification);
 
 // Vendor Verification
 router.get('/vendors/verification', listVendorsForVerification);
 router.get('/vendors/selection', listVendorsForSelection);
-router.patch('/vendors/:id/verification', updateVendorVerification);
+router.patch('/vendors/:id/verification', auditAction('vendor.update_verification', { model: 'User' }), updateVendorVerification);
 
 // Events (Listings)
 router.get('/events', listEvents);
-router.post('/events', uploadInMemory.array('images', 10), createEventForVendor);
-router.patch('/events/:id', updateEvent);
-router.delete('/events/:id', deleteEvent);
-router.patch('/events/:id/featured', toggleEventFeatured);
+router.post('/events', auditAction('event.create', { model: 'Event', param: null }), uploadInMemory.array('images', 10), createEventForVendor);
+router.patch('/events/:id', auditAction('event.update', { model: 'Event' }), updateEvent);
+router.delete('/events/:id', auditAction('event.delete', { model: 'Event' }), deleteEvent);
+router.patch('/events/:id/featured', auditAction('event.update_featured', { model: 'Event' }), toggleEventFeatured);
 
 // Bookings
 router.get('/bookings', listBookings);
 router.get('/bookings/:id', getBooking);
-router.patch('/bookings/:id/status', updateBookingStatus);
-router.delete('/bookings/:id', deleteBooking);
+router.patch('/bookings/:id/status', auditAction('booking.update_status', { model: 'Booking' }), updateBookingStatus);
+router.delete('/bookings/:id', auditAction('booking.delete', { model: 'Booking' }), deleteBooking);
 
 // Invoices
 router.get('/invoices', listInvoices);
 router.get('/invoices/:id', getInvoice);
-router.patch('/invoices/:id/status', updateInvoiceStatus);
-router.delete('/invoices/:id', deleteInvoice);
+router.patch('/invoices/:id/status', auditAction('invoice.update_status', { model: 'Invoice' }), updateInvoiceStatus);
+router.delete('/invoices/:id', auditAction('invoice.delete', { model: 'Invoice' }), deleteInvoice);
 
 // Reviews
 router.get('/reviews', listReviews);
-router.delete('/reviews/:id', deleteReview);
+router.patch('/reviews/:id/moderation', auditAction('review.moderate', { model: 'Review' }), moderateReview);
+router.delete('/reviews/:id', auditAction('review.delete', { model: 'Review' }), deleteReview);
 
 // Newsletter subscribers
 router.get('/newsletter', listNewsletter);
-router.patch('/newsletter/:id', updateNewsletter);
-router.delete('/newsletter/:id', deleteNewsletter);
+router.patch('/newsletter/:id', auditAction('newsletter.update', { model: 'Newsletter' }), updateNewsletter);
+router.delete('/newsletter/:id', auditAction('newsletter.delete', { model: 'Newsletter' }), deleteNewsletter);
 
 // Contact submissions (support)
 router.get('/contacts', listContacts);
 router.get('/contacts/:id', getContact);
-router.patch('/contacts/:id', updateContact);
-router.delete('/contacts/:id', deleteContact);
+router.patch('/contacts/:id', auditAction('contact.update', { model: 'ContactUs' }), updateContact);
+router.delete('/contacts/:id', auditAction('contact.delete', { model: 'ContactUs' }), deleteContact);
 
 // Broadcast notification (system-wide)
-router.post('/notifications/broadcast', broadcastNotification);
+router.post('/notifications/broadcast', auditAction('notification.broadcast'), broadcastNotification);
 
 // User Events (Planners)
 router.get('/user-events', listUserEvents);
 router.get('/user-events/:id', getUserEvent);
-router.patch('/user-events/:id', updateUserEvent);
-router.delete('/user-events/:id', deleteUserEvent);
+router.patch('/user-events/:id', auditAction('user_event.update', { model: 'UserEvent' }), updateUserEvent);
+router.delete('/user-events/:id', auditAction('user_event.delete', { model: 'UserEvent' }), deleteUserEvent);
 
 // Todos
 router.get('/todos', listTodos);
-router.patch('/todos/:id', updateTodo);
-router.delete('/todos/:id', deleteTodo);
+router.patch('/todos/:id', auditAction('todo.update', { model: 'Todo' }), updateTodo);
+router.delete('/todos/:id', auditAction('todo.delete', { model: 'Todo' }), deleteTodo);
 
 // Promotional Events
 router.get('/promotional-events', listPromotionalEvents);
 router.get('/promotional-events/:id', getPromotionalEvent);
-router.post('/promotional-events', uploadInMemory.array('images', 10), createPromotionalEvent);
-router.patch('/promotional-events/:id', updatePromotionalEvent);
-router.delete('/promotional-events/:id', deletePromotionalEvent);
-router.patch('/promotional-events/:id/featured', togglePromotionalEventFeatured);
-router.patch('/promotional-events/:id/active', togglePromotionalEventActive);
+router.post('/promotional-events', auditAction('promotional_event.create', { model: 'PromotionalEvent', param: null }), uploadInMemory.array('images', 10), createPromotionalEvent);
+router.patch('/promotional-events/:id', auditAction('promotional_event.update', { model: 'PromotionalEvent' }), updatePromotionalEvent);
+router.delete('/promotional-events/:id', auditAction('promotional_event.delete', { model: 'PromotionalEvent' }), deletePromotionalEvent);
+router.patch('/promotional-events/:id/featured', auditAction('promotional_event.update_featured', { model: 'PromotionalEvent' }), togglePromotionalEventFeatured);
+router.patch('/promotional-events/:id/active', auditAction('promotional_event.update_active', { model: 'PromotionalEvent' }), togglePromotionalEventActive);
+
+// Stripe webhook event ledger
+router.get('/webhook-events', listWebhookEvents);
+router.get('/webhook-events/:id', getWebhookEvent);
+router.post('/webhook-events/:id/replay', auditAction('webhook_event.replay', { model: 'WebhookEvent' }), replayWebhookEvent);
+
+// Vendor payouts & platform commission
+router.get('/payouts', listPayouts);
+router.post('/payouts/:bookingId/retry', auditAction('payout.retry', { model: 'Booking', param: 'bookingId' }), retryPayout);
+router.get('/commission-rates', listCommissionRates);
+router.put('/commission-rates/:category', auditAction('commission_rate.update', { model: 'CommissionRate', param: 'category', field: 'category' }), updateCommissionRate);
+router.delete('/commission-rates/:category', auditAction('commission_rate.delete', { model: 'CommissionRate', param: 'category', field: 'category' }), deleteCommissionRate);
+
+// Re-run zip code geocoding for vendors and listings missing coordinates
+router.post('/geo/backfill', auditAction('geo.backfill'), backfillGeo);
+
+// Scheduled jobs: status and on-demand runs
+router.get('/cron', getCronStatus);
+router.post('/cron/:job/run', auditAction('cron.run'), runCronJob);
+
+// Audit log of admin changes (?admin=&action=&targetModel=&targetId=&success=&from=&to=&format=csv)
+router.get('/audit-log', listAuditLog);
+
+// Trash of soft-deleted records (:model is users|events|bookings|reviews|invoices), kept until the retention purge
+router.get('/trash/:model', listTrash);
+router.post('/trash/:model/:id/restore', auditAction('trash.restore', { model: req => TRASH_MODELS[req.params.model]?.modelName }), restoreFromTrash);
 
 module.exports = router;
 
@@ -11,8 +11,32 @@ const {
   resendVerificationEmail,
   changePassword
 } = require('../../controllers/auth/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../../controllers/auth/twoFactorController');
+const {
+  refreshSession,
+  logout,
+  getSessions,
+  deleteSession
+} = require('../../controllers/auth/sessionController');
+const {
+  requestDataExport,
+  listDataExports,
+  getDataExport,
+  downloadDataExport
+} = require('../../controllers/auth/dataExportController');
 const User = require('../../models/User');
-const { protect: authMiddleware } = require('../../middleware/authMiddleware');
+const { protect: authMiddleware, protectTwoFactorSetup } = require('../../middleware/authMiddleware');
+const twoFactorService = require('../../services/twoFactorService');
+const sessionService = require('../../services/sessionService');
+const loginSecurityService = require('../../services/loginSecurityService');
+const todoReminderService = require('../../services/todoReminderService');
 
 const {
   validateCustomerSignup,
@@ -23,7 +47,6 @@ const {
   validateChangePassword
 } = require('../../validators/authValidators');
 const passport = require('passport');
-const jwt = require('jsonwebtoken');
 
 // Rate limiting middleware
 const rateLimit = require('express-rate-limit');
@@ -33,19 +56,35 @@ const passwordResetLimiter = rateLimit({
   message: 'Too many password reset attempts. Please try again in an hour.'
 });
 
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 attempts per 15 minutes
+  message: 'Too many verification attempts. Please try again later.'
+});
+
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 refreshes per 15 minutes
+  message: 'Too many session refresh requests. Please try again later.'
+});
+
 const emailVerificationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 5, // 5 requests per hour
   message: 'Too many verification email requests. Please try again in an hour.'
 });
 
-// Generate JWT Token
-// This helper function can be moved to a shared utility file later
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
-};
+const dataExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 requests per hour
+  message: 'Too many data export requests. Please try again in an hour.'
+});
+
+const dataExportDownloadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 downloads per 15 minutes
+  message: 'Too many download attempts. Please try again later.'
+});
 
 // @route   POST /api/auth/signup/customer
 // @desc    Register a new customer
@@ -62,6 +101,58 @@ router.post('/signup/vendor', validateVendorSignup, signupVendor);
 // @access  Public
 router.post('/login', validateLogin, login);
 
+// Sessions (one per signed-in device)
+// @route   POST /api/auth/refresh
+// @desc    Rotate the refresh token and get a new access token
+// @access  Public (refresh token)
+router.post('/refresh', refreshLimiter, refreshSession);
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the current device
+// @access  Private
+router.post('/logout', authMiddleware, logout);
+
+// @route   GET /api/auth/sessions
+// @desc    List signed-in devices
+// @access  Private
+router.get('/sessions', authMiddleware, getSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out a device remotely
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, deleteSession);
+
+// Two-factor authentication (TOTP)
+// @route   POST /api/auth/2fa/verify
+// @desc    Finish a login with an authenticator or recovery code
+// @access  Public (challenge token from /login)
+router.post('/2fa/verify', twoFactorLimiter, verifyTwoFactorLogin);
+
+// @route   GET /api/auth/2fa/status
+// @desc    Two-factor status of the current user
+// @access  Private
+router.get('/2fa/status', authMiddleware, getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Create a TOTP secret and otpauth URI
+// @access  Private (or the setup token from /login for accounts that require 2FA)
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm setup with a code and receive recovery codes
+// @access  Private (or the setup token from /login for accounts that require 2FA)
+router.post('/2fa/enable', twoFactorLimiter, protectTwoFactorSetup, enableTwoFactor);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/2fa/disable', twoFactorLimiter, authMiddleware, disableTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Generate a new set of recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', twoFactorLimiter, authMiddleware, regenerateRecoveryCodes);
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -149,16 +240,39 @@ router.get('/google/vendor', (req, res, next) => {
 // @access  Public
 router.get('/google/callback',
   passport.authenticate('google', { session: false, failureRedirect: '/api/auth/google/failure' }),
-  (req, res) => {
+  async (req, res) => {
     // On successful authentication, the user object is attached to req.user
-    const token = generateToken(req.user._id);
+    let responseData;
+    if (req.user.twoFactorEnabled) {
+      // Finish with POST /api/auth/2fa/verify like a password login
+      responseData = {
+        type: 'GOOGLE_AUTH_2FA_REQUIRED',
+        challengeToken: twoFactorService.createChallengeToken(req.user._id, 'login')
+      };
+    } else if (twoFactorService.isRequiredFor(req.user)) {
+      responseData = {
+        type: 'GOOGLE_AUTH_2FA_SETUP_REQUIRED',
+        setupToken: twoFactorService.createChallengeToken(req.user._id, 'setup')
+      };
+    } else {
+      let tokens;
+      try {
+        tokens = await sessionService.createSession(req.user, req);
+        await loginSecurityService.recordSuccessfulLogin(req.user, req);
+      } catch (error) {
+        return res.redirect('/api/auth/google/failure');
+      }
+      const { token, refreshToken, expiresIn } = tokens;
 
-    // Create a response object with authentication data
-    const responseData = {
-      type: 'GOOGLE_AUTH_SUCCESS',
-      user: req.user,
-      token: token
-    };
+      // Create a response object with authentication data
+      responseData = {
+        type: 'GOOGLE_AUTH_SUCCESS',
+        user: req.user,
+        token: token,
+        refreshToken,
+        expiresIn
+      };
+    }
 
     // Send the data back to the parent window (frontend)
     const htmlResponse = `
@@ -445,4 +559,113 @@ router.put('/profile', authMiddleware, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// @route   GET /api/auth/notification-preferences
+// @desc    Get todo reminder and digest preferences
+// @access  Private
+router.get('/notification-preferences', authMiddleware, async (req, res) => {
+  const { lastDigestOn, ...preferences } = todoReminderService.getPreferences(req.user);
+  res.json({
+    success: true,
+    data: {
+      preferences
+    }
+  });
+});
+
+// @route   PUT /api/auth/notification-preferences
+// @desc    Update todo reminder and digest preferences, quiet hours and time zone
+// @access  Private
+router.put('/notification-preferences', authMiddleware, async (req, res) => {
+  try {
+    const { todoReminders, todoDigestEmail, reminderDaysBefore, quietHours, timezone } = req.body;
+    const updates = {};
+
+    if (todoReminders !== undefined) updates['notificationPreferences.todoReminders'] = Boolean(todoReminders);
+    if (todoDigestEmail !== undefined) updates['notificationPreferences.todoDigestEmail'] = Boolean(todoDigestEmail);
+
+    if (reminderDaysBefore !== undefined) {
+      const days = Number(reminderDaysBefore);
+      if (!Number.isInteger(days) || days < 0 || days > 14) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reminder days must be a whole number from 0 to 14'
+        });
+      }
+      updates['notificationPreferences.reminderDaysBefore'] = days;
+    }
+
+    if (quietHours !== undefined) {
+      if (quietHours === null || typeof quietHours !== 'object' || Array.isArray(quietHours)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quiet hours must be an object with enabled, start and end'
+        });
+      }
+      if (quietHours.enabled !== undefined) {
+        updates['notificationPreferences.quietHours.enabled'] = Boolean(quietHours.enabled);
+      }
+      for (const field of ['start', 'end']) {
+        if (quietHours[field] === undefined) continue;
+        if (!TIME_OF_DAY.test(quietHours[field])) {
+          return res.status(400).json({
+            success: false,
+            message: 'Quiet hours must use HH:MM (24-hour) times'
+          });
+        }
+        updates[`notificationPreferences.quietHours.${field}`] = quietHours[field];
+      }
+    }
+
+    if (timezone !== undefined) {
+      if (!todoReminderService.isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unknown time zone'
+        });
+      }
+      updates['notificationPreferences.timezone'] = timezone;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true });
+    const { lastDigestOn, ...preferences } = todoReminderService.getPreferences(user);
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: {
+        preferences
+      }
+    });
+  } catch (error) {
+    console.error('Notification preferences update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences'
+    });
+  }
+});
+
+// Personal data export
+// @route   POST /api/auth/data-export
+// @desc    Request a ZIP of the user's personal data; a download link is emailed when it is ready
+// @access  Private
+router.post('/data-export', dataExportLimiter, authMiddleware, requestDataExport);
+
+// @route   GET /api/auth/data-export
+// @desc    List recent data exports
+// @access  Private
+router.get('/data-export', authMiddleware, listDataExports);
+
+// @route   GET /api/auth/data-export/:id
+// @desc    Poll the status of a data export
+// @access  Private
+router.get('/data-export/:id', authMiddleware, getDataExport);
+
+// @route   GET /api/auth/data-export/:id/download?token=
+// @desc    Download a ready data export
+// @access  Public (download token from the email)
+router.get('/data-export/:id/download', dataExportDownloadLimiter, downloadDataExport);
+
+module.exports = router;
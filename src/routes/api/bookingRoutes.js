@@ -6,6 +6,8 @@ const {
   getCustomerBookings,
   getVendorBookings,
   getBookingDetails,
+  payBalance,
+  cancelBooking,
   updateBookingStatus,
   getBookedVendors,
   createVendorBooking,
@@ -18,6 +20,7 @@ const {
 router.post('/', protect, restrictTo('customer'), bookEvent);
 router.get('/my-bookings', protect, restrictTo('customer'), getCustomerBookings);
 router.get('/booked-vendors', protect, restrictTo('customer'), getBookedVendors);
+router.post('/:id/pay-balance', protect, restrictTo('customer'), payBalance);
 
 // --- Vendor Routes ---
 // This route is protected and for vendors only
@@ -28,6 +31,8 @@ router.delete('/vendor-delete/:id', protect, restrictTo('vendor'), deleteVendorB
 router.patch('/:id/status', protect, restrictTo('vendor'), updateBookingStatus);
 
 // --- Shared Routes ---
+// Customers and vendors can cancel a booking they are involved in
+router.post('/:id/cancel', protect, restrictTo('customer', 'vendor'), cancelBooking);
 // This route is for both customers and vendors to view a specific booking they are involved in
 router.get('/:id', protect, getBookingDetails);
 
@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { vendorChatbot, customerChatbot } = require('../../controllers/chatbotController');
+const {
+  vendorChatbot,
+  customerChatbot,
+  getThreads,
+  getThread,
+  deleteThread
+} = require('../../controllers/chatbotController');
 const { protect, restrictTo } = require('../../middleware/authMiddleware');
 
 // Vendor chatbot endpoint - requires authentication and vendor role
@@ -9,4 +15,9 @@ router.post('/vendor-chat', protect, restrictTo('vendor'), vendorChatbot);
 // Customer chatbot endpoint - requires authentication (any user can use)
 router.post('/customer-chat', protect, customerChatbot);
 
+// Stored conversations of the current user
+router.get('/threads', protect, getThreads);
+router.get('/threads/:id', protect, getThread);
+router.delete('/threads/:id', protect, deleteThread);
+
 module.exports = router;
@@ -13,6 +13,7 @@ const {
   getSimilarEvents,
   getTopCategories
 } = require('../../controllers/eventController');
+const { getEventAvailability } = require('../../controllers/availabilityController');
 const { uploadInMemory } = require('../../services/fileUploadService');
 
 
@@ -38,6 +39,9 @@ router.get('/:id', getEvent);
 // Get similar events based on location
 router.get('/:id/similar', getSimilarEvents);
 
+// Get the booking calendar for a listing (?month=YYYY-MM)
+router.get('/:id/availability', getEventAvailability);
+
 // --- NESTED REVIEW ROUTES ---
 // This will forward all routes starting with /:eventId/reviews to the reviewRouter
 router.use('/:eventId/reviews', reviewRouter);
@@ -8,6 +8,7 @@ const cartRoutes = require('./cartRoutes');
 const favoriteRoutes = require('./favoriteRoutes');
 const searchRoutes = require('./searchRoutes');
 const customPackageRoutes = require('./customPackageRoutes');
+const quoteRoutes = require('./quoteRoutes');
 const newsletterRoutes = require('./newsletterRoutes');
 const contactUsRoutes = require('./contactUsRoutes');
 const todoRoutes = require('./todoRoutes');
@@ -26,6 +27,8 @@ const paymentRoutes = require('./paymentRoutes');
 const taxRoutes = require('./taxRoutes');
 const blogRoutes = require('./blogRoutes');
 const marketplaceRoutes = require('./marketplaceRoutes');
+const rsvpRoutes = require('./rsvpRoutes');
+const promotionalEventRoutes = require('./promotionalEventRoutes');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -50,6 +53,7 @@ router.use('/cart', cartRoutes);
 router.use('/favorites', favoriteRoutes);
 router.use('/search', searchRoutes);
 router.use('/custom-packages', customPackageRoutes);
+router.use('/quotes', quoteRoutes);
 router.use('/newsletter', newsletterRoutes);
 router.use('/contact-us', contactUsRoutes);
 router.use('/todos', todoRoutes);
@@ -68,5 +72,7 @@ router.use('/payments', paymentRoutes);
 router.use('/tax', taxRoutes);
 router.use('/blogs', blogRoutes);
 router.use('/marketplace', marketplaceRoutes);
+router.use('/rsvp', rsvpRoutes);
+router.use('/promotional-events', promotionalEventRoutes);
 
 module.exports = router; 
\ No newline at end of file
@@ -3,7 +3,7 @@ const router = express.Router();
 const { getAllEvents } = require('../../controllers/eventController');
 
 // @route   GET /api/marketplace/listings
-// @desc    Get all marketplace listings with filtering and sorting
+// @desc    Get all marketplace listings with filtering, sorting and facet counts (facets=true)
 // @access  Public
 router.get('/listings', getAllEvents);
 
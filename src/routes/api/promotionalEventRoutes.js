@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const { protect, restrictTo } = require('../../middleware/authMiddleware');
+const {
+  listPromotionalEvents,
+  getPromotionalEvent,
+  purchaseTickets,
+  getTicketOrder,
+  getMyTickets,
+  checkInTicket
+} = require('../../controllers/promotionalEventController');
+
+const ticketPurchaseLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 checkouts per 15 minutes
+  message: 'Too many ticket purchases. Please try again later.'
+});
+
+// @route   GET /api/promotional-events
+// @desc    Upcoming, featured or by-city promotional events
+// @access  Public
+router.get('/', listPromotionalEvents);
+
+// @route   GET /api/promotional-events/tickets/mine
+// @desc    The user's tickets with their QR codes
+// @access  Private
+router.get('/tickets/mine', protect, getMyTickets);
+
+// @route   GET /api/promotional-events/orders/:orderId
+// @desc    A ticket order and its tickets
+// @access  Private
+router.get('/orders/:orderId', protect, getTicketOrder);
+
+// @route   GET /api/promotional-events/:slug
+// @desc    Promotional event details
+// @access  Public
+router.get('/:slug', getPromotionalEvent);
+
+// @route   POST /api/promotional-events/:id/tickets
+// @desc    Buy tickets through Stripe Checkout
+// @access  Private (Customer only)
+router.post('/:id/tickets', protect, restrictTo('customer'), ticketPurchaseLimiter, purchaseTickets);
+
+// @route   POST /api/promotional-events/:id/check-in
+// @desc    Validate a scanned ticket and mark it as used
+// @access  Private (Admin only)
+router.post('/:id/check-in', protect, restrictTo('admin'), checkInTicket);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { protect, restrictTo } = require('../../middleware/authMiddleware');
+const {
+  createQuoteRequest,
+  getMyQuotes,
+  getQuote,
+  respondToQuote,
+  counterQuote,
+  acceptQuote,
+  declineQuote
+} = require('../../controllers/quoteController');
+
+router.use(protect);
+
+// Quote requests sent (customers) or received (vendors)
+router.route('/')
+  .get(restrictTo('customer', 'vendor'), getMyQuotes)
+  .post(restrictTo('customer'), createQuoteRequest);
+
+router.get('/:id', restrictTo('customer', 'vendor'), getQuote);
+
+// Negotiation steps
+router.post('/:id/respond', restrictTo('vendor'), respondToQuote);
+router.post('/:id/counter', restrictTo('customer'), counterQuote);
+router.post('/:id/accept', restrictTo('customer'), acceptQuote);
+router.post('/:id/decline', restrictTo('customer', 'vendor'), declineQuote);
+
+module.exports = router;
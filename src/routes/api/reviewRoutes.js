@@ -2,22 +2,36 @@ const express = require('express');
 // Allow review routes to access params from parent routers (e.g., :eventId)
 const router = express.Router({ mergeParams: true });
 const { protect, restrictTo } = require('../../middleware/authMiddleware');
+const { uploadReviewPhotos } = require('../../services/fileUploadService');
 const { 
   addReview,
+  updateReview,
   getEventReviews,
   deleteReview,
+  replyToReview,
+  deleteReviewReply,
+  flagReview,
   getEventReviewSummary
 } = require('../../controllers/reviewController');
 
 
 router.route('/')
   .get(getEventReviews) // GET /api/events/:eventId/reviews
-  .post(protect, restrictTo('customer'), addReview); // POST /api/events/:eventId/reviews
+  .post(protect, restrictTo('customer'), uploadReviewPhotos, addReview); // POST /api/events/:eventId/reviews
 
 // AI Review Summary for a specific event
 router.get('/summary', getEventReviewSummary);
 
 router.route('/:reviewId')
+  .patch(protect, restrictTo('customer'), uploadReviewPhotos, updateReview) // PATCH /api/events/:eventId/reviews/:reviewId
   .delete(protect, deleteReview); // DELETE /api/events/:eventId/reviews/:reviewId
 
+// Vendor's public reply to a review
+router.route('/:reviewId/reply')
+  .put(protect, restrictTo('vendor'), replyToReview)
+  .delete(protect, restrictTo('vendor'), deleteReviewReply);
+
+// Report a review to the moderation queue
+router.post('/:reviewId/flag', protect, flagReview);
+
 module.exports = router; 
\ No newline at end of file
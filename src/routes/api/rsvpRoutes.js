@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const rsvpController = require('../../controllers/rsvpController');
+
+const rsvpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 requests per 15 minutes
+  message: 'Too many RSVP requests. Please try again later.'
+});
+
+// Public RSVP links sent to guests; the token identifies the household, no login needed
+router.route('/:token')
+  .get(rsvpLimiter, rsvpController.getInvitation)
+  .post(rsvpLimiter, rsvpController.respondToInvitation);
+
+module.exports = router;
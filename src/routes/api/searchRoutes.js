@@ -1,16 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { searchVendors, searchListings } = require('../../controllers/searchController');
+const { searchVendors, searchListings, suggest } = require('../../controllers/searchController');
 
 // @route   GET /api/search/vendors
-// @desc    Search for vendors
+// @desc    Search for vendors (q, or lat/lng or near=zipCode with radius in miles)
 // @access  Public
 router.get('/vendors', searchVendors);
 
 // @route   GET /api/search/listings
-// @desc    Search for listings (events)
+// @desc    Search for listings (events) (q, or lat/lng or near=zipCode with radius in miles)
 // @access  Public
 router.get('/listings', searchListings);
 
+// @route   GET /api/search/suggest
+// @desc    Autocomplete suggestions grouped by listings, vendors, categories and cities
+// @access  Public
+router.get('/suggest', suggest);
+
 module.exports = router; 
 //yes
\ No newline at end of file
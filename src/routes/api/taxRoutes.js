@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const taxService = require('../../services/taxService');
+const User = require('../../models/User');
+const { protect, restrictTo } = require('../../middleware/authMiddleware');
 
 /**
  * @route   GET /api/tax/calculate
@@ -82,4 +84,40 @@ router.get('/rates', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/tax/cart-quote
+ * @desc    Quote tax for the current cart using each listing's location
+ * @access  Private (Customers only)
+ */
+router.get('/cart-quote', protect, restrictTo('customer'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).populate({
+      path: 'customerProfile.customerCart.event',
+      select: 'name location'
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const cart = user.customerProfile?.customerCart || [];
+    const quote = taxService.calculateCartTax(cart);
+
+    res.json({
+      success: true,
+      data: quote
+    });
+
+  } catch (error) {
+    console.error('Cart tax quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during tax calculation'
+    });
+  }
+});
+
 module.exports = router;
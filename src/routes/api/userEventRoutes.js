@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const userEventController = require('../../controllers/userEventController');
 const eventTodoController = require('../../controllers/eventTodoController');
+const eventBudgetController = require('../../controllers/eventBudgetController');
+const guestController = require('../../controllers/guestController');
+const collaboratorController = require('../../controllers/collaboratorController');
 const { protect } = require('../../middleware/authMiddleware');
 
 // Apply authentication middleware to all routes
@@ -16,14 +19,75 @@ router.route('/')
 router.route('/ai-create')
   .post(userEventController.createAIEvent);
 
+// Server-generated checklist preview
+router.route('/checklist/preview')
+  .post(userEventController.previewChecklist);
+
 router.route('/stats')
   .get(userEventController.getEventStats);
 
+// Accept an invitation to plan someone else's event
+router.route('/invitations/:token/accept')
+  .post(collaboratorController.acceptInvitation);
+
 router.route('/:id')
   .get(userEventController.getUserEvent)
   .put(userEventController.updateUserEvent)
   .delete(userEventController.deleteUserEvent);
 
+// Budget tracker routes
+router.route('/:id/budget')
+  .get(eventBudgetController.getBudget);
+
+router.route('/:id/budget/items')
+  .put(eventBudgetController.updateBudgetItems);
+
+router.route('/:id/budget/expenses')
+  .post(eventBudgetController.addExpense);
+
+router.route('/:id/budget/expenses/:expenseId')
+  .put(eventBudgetController.updateExpense)
+  .delete(eventBudgetController.deleteExpense);
+
+router.route('/:id/budget/bookings/:bookingId')
+  .put(eventBudgetController.linkBooking);
+
+// Collaboration routes
+router.route('/:id/collaborators')
+  .get(collaboratorController.getCollaborators)
+  .post(collaboratorController.inviteCollaborator);
+
+router.route('/:id/collaborators/:collaboratorId')
+  .put(collaboratorController.updateCollaborator)
+  .delete(collaboratorController.removeCollaborator);
+
+router.route('/:id/activity')
+  .get(collaboratorController.getActivity);
+
+// Guest list and RSVP routes
+router.route('/:id/sub-events')
+  .put(guestController.updateSubEvents);
+
+router.route('/:id/guests')
+  .get(guestController.getGuests)
+  .post(guestController.createHousehold);
+
+router.route('/:id/guests/headcount')
+  .get(guestController.getHeadcount);
+
+router.route('/:id/guests/import')
+  .post(guestController.importGuests);
+
+router.route('/:id/guests/export')
+  .get(guestController.exportGuests);
+
+router.route('/:id/guests/:householdId')
+  .put(guestController.updateHousehold)
+  .delete(guestController.deleteHousehold);
+
+router.route('/:id/guests/:householdId/rsvp-link')
+  .post(guestController.regenerateRsvpLink);
+
 
 
 // Priority todos route (for dashboard)
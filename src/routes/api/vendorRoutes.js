@@ -2,8 +2,20 @@ const express = require('express');
 const router = express.Router();
 const { protect, restrictTo } = require('../../middleware/authMiddleware');
 const { getVendorReviews } = require('../../controllers/reviewController');
-const { getCurrentVendorProfile, updateVendorGeneralProfile } = require('../../controllers/vendorController');
-const { uploadInMemory } = require('../../services/fileUploadService');
+const {
+  getCurrentVendorProfile,
+  updateVendorGeneralProfile,
+  getHalalCertification,
+  submitHalalCertification
+} = require('../../controllers/vendorController');
+const {
+  getMyAvailability,
+  updateMyAvailability,
+  addBlockedDate,
+  removeBlockedDate
+} = require('../../controllers/availabilityController');
+const { startOnboarding, getPayoutAccount, getPayouts } = require('../../controllers/payoutController');
+const { uploadInMemory, uploadHalalDocuments } = require('../../services/fileUploadService');
 const { validateVendorGeneralProfile } = require('../../validators/vendorValidators');
 
 // All routes in this file are protected and restricted to vendors
@@ -18,7 +30,24 @@ router.put('/profile/general', uploadInMemory.fields([
   { name: 'halalCertificationImage', maxCount: 1 }
 ]), validateVendorGeneralProfile, updateVendorGeneralProfile);
 
+// Halal certification: current certificate and review status; uploads wait for admin review
+router.route('/halal-certification')
+  .get(getHalalCertification)
+  .post(uploadHalalDocuments, submitHalalCertification);
+
 // GET /api/vendor/reviews - Fetches all reviews for the logged-in vendor
 router.get('/reviews', getVendorReviews);
 
+// Availability calendar: working hours, capacity and blocked dates
+router.route('/availability')
+  .get(getMyAvailability)
+  .put(updateMyAvailability);
+router.post('/availability/blocked-dates', addBlockedDate);
+router.delete('/availability/blocked-dates/:blockId', removeBlockedDate);
+
+// Payouts: Stripe Connect onboarding and the payout ledger
+router.get('/payouts', getPayouts);
+router.get('/payouts/account', getPayoutAccount);
+router.post('/payouts/onboarding', startOnboarding);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Field names whose values never go into the audit log
+const SECRET_FIELD = /password|token|secret|recoverycodes|otp/i;
+
+// Bookkeeping fields that change on every save
+const IGNORED_PATHS = new Set(['updatedAt', '__v']);
+
+// Limits so one request cannot produce an oversized entry
+const MAX_CHANGES = 200;
+const MAX_VALUE_LENGTH = 2000;
+const MAX_BODY_LENGTH = 10000;
+
+const isPlainObject = value => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Date)
+  && !(value instanceof mongoose.Types.ObjectId)
+  && !Buffer.isBuffer(value);
+
+/**
+ * Copy of a value with secret fields replaced by "[redacted]".
+ * @param {*} value
+ * @returns {*}
+ */
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!isPlainObject(value)) return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+    key,
+    SECRET_FIELD.test(key) ? '[redacted]' : redact(field)
+  ]));
+}
+
+// A leaf value as stored in the log; long values are cut
+const normalize = value => {
+  if (value === undefined) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return '[binary]';
+
+  const text = JSON.stringify(value);
+  if (text && text.length > MAX_VALUE_LENGTH) {
+    return `${text.slice(0, MAX_VALUE_LENGTH)}... [truncated]`;
+  }
+  return value;
+};
+
+// Flatten a document into dot paths; arrays are compared as a whole
+const flatten = (value, prefix = '', out = {}) => {
+  if (!isPlainObject(value) || (prefix && SECRET_FIELD.test(prefix.split('.').pop()))) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  for (const [key, field] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (IGNORED_PATHS.has(path)) continue;
+    flatten(field, path, out);
+  }
+  return out;
+};
+
+/**
+ * Fields that differ between two versions of a document.
+ * A null `before` is a creation and a null `after` a deletion.
+ * Secret fields show as "[redacted]" and only that they changed is recorded.
+ * @param {object|null} before - Plain object (lean) version before the change
+ * @param {object|null} after - Plain object (lean) version after the change
+ * @returns {Array<{path: string, before: *, after: *}>}
+ */
+function diffDocuments(before, after) {
+  const beforePaths = flatten(before || {});
+  const afterPaths = flatten(after || {});
+  const paths = [...new Set([...Object.keys(beforePaths), ...Object.keys(afterPaths)])].sort();
+
+  const changes = [];
+  for (const path of paths) {
+    const from = normalize(beforePaths[path]);
+    const to = normalize(afterPaths[path]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    const secret = SECRET_FIELD.test(path.split('.').pop());
+    changes.push({
+      path,
+      before: secret && from !== null ? '[redacted]' : from,
+      after: secret && to !== null ? '[redacted]' : to
+    });
+    if (changes.length >= MAX_CHANGES) break;
+  }
+  return changes;
+}
+
+/**
+ * Request body as kept on an audit entry: secrets removed, bounded in size.
+ * @param {object} body
+ * @returns {object|undefined}
+ */
+function summarizeBody(body) {
+  if (!isPlainObject(body) || !Object.keys(body).length) return undefined;
+  const safe = redact(body);
+  const text = JSON.stringify(safe);
+  return text.length > MAX_BODY_LENGTH ? { truncated: text.slice(0, MAX_BODY_LENGTH) } : safe;
+}
+
+/**
+ * Append an entry to the audit log. Never throws: a failed write must not undo
+ * an admin action that already happened.
+ * @param {object} entry - AuditLog fields
+ * @returns {Promise<object|null>}
+ */
+async function record(entry) {
+  try {
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Failed to write audit log entry:', error.message, { action: entry.action, admin: String(entry.admin) });
+    return null;
+  }
+}
+
+module.exports = {
+  redact,
+  diffDocuments,
+  summarizeBody,
+  record
+};
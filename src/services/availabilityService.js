@@ -0,0 +1,202 @@
+const Booking = require('../models/Booking');
+const VendorAvailability = require('../models/VendorAvailability');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bookings in these statuses hold a slot on the vendor's calendar
+const ACTIVE_BOOKING_STATUSES = ['Pending', 'Confirmed'];
+
+/**
+ * Normalize a date (Date, ISO string or YYYY-MM-DD) to midnight UTC of that day
+ * @param {Date|string} date - The date to normalize
+ * @returns {Date|null} Start of the day in UTC, or null when the date is invalid
+ */
+function startOfDayUTC(date) {
+  const parsed = new Date(date);
+  if (isNaN(parsed.getTime())) return null;
+  return new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate()));
+}
+
+/**
+ * Convert an "HH:MM AM/PM" time to minutes since midnight
+ * @param {string} time - Time in 12-hour format
+ * @returns {number|null} Minutes since midnight, or null when the format is invalid
+ */
+function timeToMinutes(time) {
+  const match = /^(0?[1-9]|1[0-2]):([0-5][0-9]) (AM|PM)$/i.exec((time || '').trim());
+  if (!match) return null;
+  let hours = parseInt(match[1], 10) % 12;
+  if (match[3].toUpperCase() === 'PM') hours += 12;
+  return hours * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Count bookings that hold a slot for a listing on a given day
+ * @param {string|ObjectId} eventId - The listing
+ * @param {Date} dayStart - Midnight UTC of the day
+ * @param {string|ObjectId} [excludeBookingId] - Booking to ignore (when re-checking an existing booking)
+ * @param {ClientSession} [session] - Transaction to count in
+ * @returns {Promise<number>}
+ */
+function countBookingsForDay(eventId, dayStart, excludeBookingId, session) {
+  const query = {
+    event: eventId,
+    status: { $in: ACTIVE_BOOKING_STATUSES },
+    eventDate: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) }
+  };
+  if (excludeBookingId) query._id = { $ne: excludeBookingId };
+  return Booking.countDocuments(query).session(session || null);
+}
+
+/**
+ * Check whether a listing can take a booking on the requested date and time.
+ * Consulted by direct bookings, the cart, checkout and the Stripe webhook.
+ * @param {object} params
+ * @param {object} params.event - Event document (needs _id and vendor)
+ * @param {Date|string} params.eventDate - Requested date
+ * @param {string} [params.eventTime] - Requested time in HH:MM AM/PM format
+ * @param {string|ObjectId} [params.excludeBookingId] - Booking to ignore in the capacity count
+ * @param {object} [params.availability] - Preloaded VendorAvailability document
+ * @param {ClientSession} [params.session] - Transaction the booking is created in; the vendor's
+ *   availability is locked in it so a concurrent transaction cannot take the same slot
+ * @returns {Promise<object>} { available, reason, code }
+ */
+async function checkAvailability({ event, eventDate, eventTime, excludeBookingId, availability, session }) {
+  const dayStart = startOfDayUTC(eventDate);
+  if (!dayStart) {
+    return { available: false, code: 'INVALID_DATE', reason: 'Invalid event date.' };
+  }
+
+  if (dayStart < startOfDayUTC(new Date())) {
+    return { available: false, code: 'PAST_DATE', reason: 'Event date cannot be in the past.' };
+  }
+
+  const vendorId = event.vendor?._id || event.vendor;
+  let settings = availability;
+  if (session) {
+    settings = await VendorAvailability.findOneAndUpdate(
+      { vendor: vendorId },
+      { $inc: { bookingLock: 1 } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, session }
+    );
+  }
+  settings = settings || await VendorAvailability.getForVendor(vendorId);
+
+  const block = settings.findBlock(dayStart, event._id);
+  if (block) {
+    return {
+      available: false,
+      code: 'DATE_BLOCKED',
+      reason: block.reason ? `The vendor is unavailable on this date: ${block.reason}` : 'The vendor is unavailable on this date.'
+    };
+  }
+
+  const hours = settings.getWorkingHoursForDay(dayStart.getUTCDay());
+  if (hours) {
+    if (!hours.isOpen) {
+      return { available: false, code: 'CLOSED', reason: 'The vendor does not take bookings on this day of the week.' };
+    }
+    const requested = timeToMinutes(eventTime);
+    if (eventTime && requested !== null) {
+      const opens = timeToMinutes(hours.openTime);
+      const closes = timeToMinutes(hours.closeTime);
+      if (requested < opens || requested > closes) {
+        return {
+          available: false,
+          code: 'OUTSIDE_HOURS',
+          reason: `The vendor only takes bookings between ${hours.openTime} and ${hours.closeTime} on this day.`
+        };
+      }
+    }
+  }
+
+  const capacity = settings.getCapacityForListing(event._id);
+  const booked = await countBookingsForDay(event._id, dayStart, excludeBookingId, session);
+  if (booked >= capacity) {
+    return { available: false, code: 'FULLY_BOOKED', reason: 'This listing is fully booked on the selected date.' };
+  }
+
+  return { available: true, code: 'AVAILABLE', reason: null, remaining: capacity - booked };
+}
+
+/**
+ * Build a day-by-day calendar for a listing for one month
+ * @param {object} event - Event document (needs _id and vendor)
+ * @param {string} [month] - Month in YYYY-MM format, defaults to the current month
+ * @returns {Promise<object|null>} Calendar, or null when the month is invalid
+ */
+async function getMonthAvailability(event, month) {
+  const now = new Date();
+  let year = now.getUTCFullYear();
+  let monthIndex = now.getUTCMonth();
+
+  if (month) {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(month);
+    if (!match) return null;
+    year = parseInt(match[1], 10);
+    monthIndex = parseInt(match[2], 10) - 1;
+  }
+
+  const monthStart = new Date(Date.UTC(year, monthIndex, 1));
+  const monthEnd = new Date(Date.UTC(year, monthIndex + 1, 1));
+  const today = startOfDayUTC(now);
+
+  const vendorId = event.vendor?._id || event.vendor;
+  const settings = await VendorAvailability.getForVendor(vendorId);
+  const capacity = settings.getCapacityForListing(event._id);
+
+  const bookingCounts = await Booking.aggregate([
+    {
+      $match: {
+        event: event._id,
+        status: { $in: ACTIVE_BOOKING_STATUSES },
+        eventDate: { $gte: monthStart, $lt: monthEnd }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$eventDate' } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+  const countsByDay = new Map(bookingCounts.map(b => [b._id, b.count]));
+
+  const days = [];
+  for (let day = monthStart; day < monthEnd; day = new Date(day.getTime() + DAY_MS)) {
+    const key = day.toISOString().slice(0, 10);
+    const booked = countsByDay.get(key) || 0;
+    const hours = settings.getWorkingHoursForDay(day.getUTCDay());
+    const block = settings.findBlock(day, event._id);
+
+    let status = 'available';
+    if (day < today) status = 'past';
+    else if (block) status = 'blocked';
+    else if (hours && !hours.isOpen) status = 'closed';
+    else if (booked >= capacity) status = 'full';
+
+    days.push({
+      date: key,
+      status,
+      booked,
+      capacity,
+      hours: hours && hours.isOpen ? { openTime: hours.openTime, closeTime: hours.closeTime } : null,
+      reason: block ? block.reason || null : null
+    });
+  }
+
+  return {
+    month: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+    capacity,
+    days
+  };
+}
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  startOfDayUTC,
+  timeToMinutes,
+  countBookingsForDay,
+  checkAvailability,
+  getMonthAvailability
+};
@@ -0,0 +1,233 @@
+const UserEvent = require('../models/UserEvent');
+const Booking = require('../models/Booking');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const refId = value => (value && value._id ? value._id : value);
+
+const roundMoney = amount => Math.round((Number(amount) || 0) * 100) / 100;
+
+const categoryKey = category => String(category || 'Other').trim().toLowerCase();
+
+/**
+ * Amount the customer has actually spent on a booking (payments less refunds).
+ * @param {object} booking
+ * @returns {number}
+ */
+function netPaid(booking) {
+  return roundMoney(Math.max((booking.payment?.amountPaid || 0) - (booking.payment?.refundAmount || 0), 0));
+}
+
+/**
+ * The planner event a booking belongs to: the one it is linked to, otherwise the
+ * customer's active event closest to the booking date (within a day). A match
+ * found by date is stored on the booking so later changes go to the same event.
+ * @param {object} booking
+ * @returns {Promise<object|null>} UserEvent document
+ */
+async function resolveUserEvent(booking) {
+  const customerId = refId(booking.customer);
+
+  if (booking.userEvent) {
+    return UserEvent.findOne({ _id: refId(booking.userEvent), user: customerId });
+  }
+
+  // A booking that was already synced stays with its event
+  const synced = await UserEvent.findOne({ user: customerId, 'expenses.booking': booking._id });
+  if (synced) return synced;
+
+  const eventDate = new Date(booking.eventDate).getTime();
+  const candidates = await UserEvent.find({
+    user: customerId,
+    status: 'Active',
+    date: { $gte: new Date(eventDate - DAY_MS), $lte: new Date(eventDate + DAY_MS) }
+  });
+  if (!candidates.length) return null;
+
+  const [userEvent] = candidates.sort((a, b) => Math.abs(a.date - eventDate) - Math.abs(b.date - eventDate));
+  await Booking.updateOne({ _id: booking._id }, { $set: { userEvent: userEvent._id } });
+  return userEvent;
+}
+
+/**
+ * Planned vs committed vs paid per category, with over-budget warnings.
+ * Categories are matched case-insensitively.
+ * @param {object} userEvent
+ * @returns {object} { totalBudget, planned, committed, paid, remaining, overBudget, categories, warnings }
+ */
+function summarizeBudget(userEvent) {
+  const lines = new Map();
+  const line = category => {
+    const key = categoryKey(category);
+    if (!lines.has(key)) {
+      lines.set(key, { category: String(category || 'Other').trim(), planned: 0, committed: 0, paid: 0 });
+    }
+    return lines.get(key);
+  };
+
+  for (const item of userEvent.budgetItems || []) {
+    line(item.category).planned += item.planned || 0;
+  }
+  for (const expense of userEvent.expenses || []) {
+    const entry = line(expense.category);
+    entry.committed += expense.committed || 0;
+    entry.paid += expense.paid || 0;
+  }
+
+  const categories = [...lines.values()].map(entry => {
+    const planned = roundMoney(entry.planned);
+    const committed = roundMoney(entry.committed);
+    return {
+      category: entry.category,
+      planned,
+      committed,
+      paid: roundMoney(entry.paid),
+      remaining: roundMoney(planned - committed),
+      overBudget: planned > 0 && committed > planned,
+      // Spend in a category that has no planned amount
+      unplanned: planned === 0 && committed > 0
+    };
+  });
+
+  const planned = roundMoney(categories.reduce((sum, entry) => sum + entry.planned, 0));
+  const committed = roundMoney(categories.reduce((sum, entry) => sum + entry.committed, 0));
+  const paid = roundMoney(categories.reduce((sum, entry) => sum + entry.paid, 0));
+  // The event's overall budget, or the sum of the category plans when none is set
+  const totalBudget = roundMoney(userEvent.budget || planned);
+  const overBudget = totalBudget > 0 && committed > totalBudget;
+
+  const warnings = categories
+    .filter(entry => entry.overBudget)
+    .map(entry => ({
+      category: entry.category,
+      planned: entry.planned,
+      committed: entry.committed,
+      overBy: roundMoney(entry.committed - entry.planned)
+    }));
+  if (overBudget) {
+    warnings.unshift({ category: null, planned: totalBudget, committed, overBy: roundMoney(committed - totalBudget) });
+  }
+
+  return {
+    totalBudget,
+    planned,
+    committed,
+    paid,
+    remaining: roundMoney(totalBudget - committed),
+    overBudget,
+    categories,
+    warnings
+  };
+}
+
+/**
+ * Notify the customer about categories (or the whole event) that have just gone over budget.
+ * Only new overruns are notified, so a category that stays over budget is reported once.
+ * @param {object} userEvent
+ * @param {object} before - summarizeBudget result before the change
+ * @param {object} after - summarizeBudget result after the change
+ * @returns {Promise<void>}
+ */
+async function notifyNewOverruns(userEvent, before, after) {
+  const wasOver = new Set(before.warnings.map(warning => (warning.category === null ? null : categoryKey(warning.category))));
+  const newWarnings = after.warnings.filter(warning => (
+    !wasOver.has(warning.category === null ? null : categoryKey(warning.category))
+  ));
+  if (!newWarnings.length) return;
+
+  const lines = newWarnings.map(warning => (warning.category === null
+    ? `total budget by $${warning.overBy.toFixed(2)}`
+    : `${warning.category} by $${warning.overBy.toFixed(2)}`));
+
+  try {
+    await Notification.create({
+      recipient: userEvent.user,
+      sender: userEvent.user,
+      type: 'event_update',
+      title: 'Over Budget',
+      message: `"${userEvent.title}" is over budget: ${lines.join(', ')}.`.slice(0, 500),
+      data: { userEventId: userEvent._id, warnings: newWarnings },
+      actionUrl: `/planner/${userEvent._id}?tab=budget`,
+      priority: 'high'
+    });
+  } catch (notificationError) {
+    // Failed to notify the customer about the overrun
+  }
+}
+
+/**
+ * Apply a change to a planner event's budget, save it and notify new overruns.
+ * @param {object} userEvent - UserEvent document
+ * @param {Function} change - Mutates the document
+ * @returns {Promise<object>} The budget summary after the change
+ */
+async function applyBudgetChange(userEvent, change) {
+  const before = summarizeBudget(userEvent);
+  change(userEvent);
+  await userEvent.save();
+  const after = summarizeBudget(userEvent);
+  await notifyNewOverruns(userEvent, before, after);
+  return after;
+}
+
+/**
+ * Create, update or remove the expense that mirrors a booking on the customer's planner event.
+ * A booking counts once it is confirmed or money has been paid; cancelled bookings
+ * keep only the non-refunded part of what was paid.
+ * Callers log and carry on when this fails: the booking change stands, and the
+ * expense is rebuilt from the booking the next time it changes.
+ * @param {object} booking
+ * @returns {Promise<object|null>} The budget summary, or null when no planner event matches
+ */
+async function syncBookingExpense(booking) {
+  const userEvent = await resolveUserEvent(booking);
+  if (!userEvent) return null;
+
+  const paid = netPaid(booking);
+  const counts = ['Confirmed', 'Completed'].includes(booking.status) || paid > 0;
+  const committed = booking.status === 'Cancelled'
+    ? paid
+    : roundMoney(Math.max(booking.totalPrice || 0, paid));
+
+  const existing = userEvent.expenses.find(expense => expense.booking && expense.booking.equals(booking._id));
+
+  if (!counts || committed === 0) {
+    if (!existing) return summarizeBudget(userEvent);
+    return applyBudgetChange(userEvent, doc => doc.expenses.pull(existing._id));
+  }
+
+  let category = existing?.category;
+  if (!category) {
+    const listing = booking.event ? await Event.findById(refId(booking.event)).select('category') : null;
+    category = listing?.category || 'Other';
+  }
+
+  const values = {
+    category,
+    description: booking.eventSnapshot?.name || booking.customEventName || 'Booking',
+    committed,
+    paid,
+    source: 'booking',
+    booking: booking._id,
+    vendor: refId(booking.vendor),
+    date: booking.eventDate
+  };
+
+  return applyBudgetChange(userEvent, doc => {
+    if (existing) {
+      existing.set(values);
+    } else {
+      doc.expenses.push(values);
+    }
+  });
+}
+
+module.exports = {
+  netPaid,
+  resolveUserEvent,
+  summarizeBudget,
+  applyBudgetChange,
+  syncBookingExpense
+};
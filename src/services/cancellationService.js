@@ -0,0 +1,342 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const EmailService = require('./emailService');
+const payoutService = require('./payoutService');
+const { getStripe } = require('../config/stripe');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when a vendor has not configured cancellation tiers
+const DEFAULT_CANCELLATION_TIERS = [
+  { daysBeforeEvent: 30, refundPercentage: 100 },
+  { daysBeforeEvent: 14, refundPercentage: 50 },
+  { daysBeforeEvent: 0, refundPercentage: 0 }
+];
+
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Work out the refund for cancelling a booking.
+ * Customers are refunded according to the vendor's cancellation tiers; when the
+ * vendor (or an admin) cancels, the customer gets everything back.
+ * @param {object} params
+ * @param {object} params.booking - Booking document
+ * @param {object} [params.bookingRules] - vendorProfile.bookingRules of the vendor
+ * @param {string} params.cancelledByRole - 'customer', 'vendor' or 'admin'
+ * @param {Date} [params.now] - Reference time, defaults to now
+ * @returns {object} { daysBeforeEvent, refundPercentage, refundableAmount, refundAmount }
+ */
+function calculateRefund({ booking, bookingRules, cancelledByRole, now = new Date() }) {
+  const payment = booking.payment || {};
+  const refundableAmount = roundCurrency((payment.amountPaid || 0) + (payment.taxAmount || 0) - (payment.refundAmount || 0));
+  const daysBeforeEvent = Math.max(0, Math.floor((new Date(booking.eventDate).getTime() - now.getTime()) / DAY_MS));
+
+  let refundPercentage = 100;
+  if (cancelledByRole === 'customer') {
+    const tiers = bookingRules?.cancellationTiers?.length ? bookingRules.cancellationTiers : DEFAULT_CANCELLATION_TIERS;
+    const tier = [...tiers]
+      .sort((a, b) => b.daysBeforeEvent - a.daysBeforeEvent)
+      .find(t => daysBeforeEvent >= t.daysBeforeEvent);
+    refundPercentage = tier ? tier.refundPercentage : 0;
+  }
+
+  return {
+    daysBeforeEvent,
+    refundPercentage,
+    refundableAmount: Math.max(0, refundableAmount),
+    refundAmount: Math.max(0, roundCurrency(refundableAmount * refundPercentage / 100))
+  };
+}
+
+/**
+ * Refund an amount across the payments of a booking, latest payment first.
+ * Checkout payments can cover several bookings, so each refund is a partial
+ * refund of the payment intent. Idempotency keys make retries safe.
+ * @param {object} booking - Booking document
+ * @param {number} amount - Amount to refund
+ * @returns {Promise<Array>} Refunds created, each { refundId, paymentIntentId, amount, status }
+ */
+async function issueStripeRefunds(booking, amount) {
+  const stripe = getStripe();
+  const payment = booking.payment;
+  const sources = [];
+
+  if (payment.balancePaymentIntentId && payment.balancePaidAt) {
+    const balancePaid = roundCurrency((payment.amountPaid || 0) - (payment.depositAmount || 0));
+    sources.push({ paymentIntentId: payment.balancePaymentIntentId, available: balancePaid });
+  }
+  if (payment.paymentIntentId) {
+    const initialPaid = roundCurrency((payment.amountPaid || 0) + (payment.taxAmount || 0) - (sources[0]?.available || 0));
+    sources.push({ paymentIntentId: payment.paymentIntentId, available: initialPaid });
+  }
+
+  const refunds = [];
+  let remaining = roundCurrency(amount);
+
+  for (const source of sources) {
+    if (remaining <= 0) break;
+    const portion = roundCurrency(Math.min(remaining, source.available));
+    if (portion <= 0) continue;
+
+    const refund = await stripe.refunds.create({
+      payment_intent: source.paymentIntentId,
+      amount: Math.round(portion * 100),
+      metadata: { bookingId: booking._id.toString() }
+    }, {
+      idempotencyKey: `booking-cancel-${booking._id}-${source.paymentIntentId}`
+    });
+
+    refunds.push({
+      refundId: refund.id,
+      paymentIntentId: source.paymentIntentId,
+      amount: portion,
+      status: refund.status
+    });
+    remaining = roundCurrency(remaining - portion);
+  }
+
+  return refunds;
+}
+
+// Summarize the status of all refunds on a booking
+function getRefundStatus(refunds) {
+  if (!refunds.length) return 'none';
+  if (refunds.some(r => ['failed', 'canceled'].includes(r.status))) return 'failed';
+  if (refunds.every(r => r.status === 'succeeded')) return 'succeeded';
+  return 'pending';
+}
+
+/**
+ * Notify the customer and vendor that a booking was cancelled (best-effort)
+ * @param {object} booking - Cancelled booking
+ * @param {object} actor - The user who cancelled ({ id, role })
+ */
+async function notifyCancellation(booking, actor) {
+  const customerId = booking.customer._id;
+  const vendorId = booking.vendor._id;
+  const eventName = booking.eventSnapshot?.name || booking.event?.name || 'your booking';
+  const refundAmount = booking.payment.refundAmount || 0;
+  const currency = booking.payment.currency || 'usd';
+  const refundText = refundAmount > 0
+    ? ` A refund of ${EmailService.formatCurrency(refundAmount, currency)} has been issued.`
+    : ' No refund applies under the cancellation policy.';
+
+  const recipients = [
+    {
+      id: customerId,
+      email: booking.customer.email || booking.customerSnapshot?.email,
+      name: booking.customer.customerProfile?.fullName || booking.customerSnapshot?.fullName,
+      actionUrl: '/customer_profile_dash?tab=My%20Orders'
+    },
+    {
+      id: vendorId,
+      email: booking.vendor.email,
+      name: booking.vendor.vendorProfile?.businessName,
+      actionUrl: '/profile_listing?tab=Bookings'
+    }
+  ];
+
+  for (const recipient of recipients) {
+    try {
+      await Notification.create({
+        recipient: recipient.id,
+        sender: actor.id,
+        type: 'booking',
+        title: 'Booking Cancelled',
+        message: `The booking for "${eventName}" on ${new Date(booking.eventDate).toLocaleDateString()} was cancelled by the ${booking.cancellation.cancelledByRole}.${refundText}`,
+        data: { bookingId: booking._id, refundAmount },
+        actionUrl: recipient.actionUrl,
+        priority: 'high'
+      });
+    } catch (notificationError) {
+      // Failed to create cancellation notification
+    }
+
+    await EmailService.sendBookingCancellationEmail({
+      toEmail: recipient.email,
+      recipientName: recipient.name,
+      eventName,
+      eventDate: booking.eventDate,
+      eventTime: booking.eventTime,
+      cancelledByRole: booking.cancellation.cancelledByRole,
+      reason: booking.cancellation.reason,
+      refundAmount,
+      currency
+    });
+  }
+}
+
+/**
+ * Cancel a booking and refund the customer according to the cancellation policy.
+ * @param {object} booking - Booking document (Pending or Confirmed)
+ * @param {object} params
+ * @param {object} params.actor - The user cancelling ({ id, role })
+ * @param {string} [params.reason] - Reason given for the cancellation
+ * @returns {Promise<object>} { booking, refund } where refund is the calculation from calculateRefund
+ * @throws {Error} With `refundFailed` set when Stripe rejects the refund before anything was refunded
+ */
+async function cancelBooking(booking, { actor, reason }) {
+  const vendor = await User.findById(booking.vendor._id).select('vendorProfile.bookingRules');
+  const refund = calculateRefund({
+    booking,
+    bookingRules: vendor?.vendorProfile?.bookingRules,
+    cancelledByRole: actor.role
+  });
+
+  let refunds = [];
+  let refundError = null;
+  if (refund.refundAmount > 0) {
+    try {
+      refunds = await issueStripeRefunds(booking, refund.refundAmount);
+    } catch (error) {
+      refundError = error;
+    }
+    if (refundError && !refunds.length) {
+      const err = new Error(`Refund could not be issued: ${refundError.message}`);
+      err.refundFailed = true;
+      throw err;
+    }
+  }
+
+  const refundedAmount = roundCurrency(refunds.reduce((sum, r) => sum + r.amount, 0));
+
+  // Close an open balance checkout so it cannot be paid after the cancellation
+  if (booking.payment.balanceSessionId && booking.payment.balanceAmount > 0) {
+    try {
+      await getStripe().checkout.sessions.expire(booking.payment.balanceSessionId);
+    } catch (expireError) {
+      // Already completed or expired; a payment that still arrives is refunded by refundLateBalancePayment
+    }
+  }
+
+  booking.status = 'Cancelled';
+  booking.cancellation = {
+    cancelledBy: actor.id,
+    cancelledByRole: actor.role,
+    reason,
+    cancelledAt: new Date(),
+    daysBeforeEvent: refund.daysBeforeEvent,
+    refundPercentage: refund.refundPercentage
+  };
+  // Nothing more is owed on a cancelled booking
+  booking.payment.balanceAmount = 0;
+  booking.payment.refunds.push(...refunds);
+  booking.payment.refundAmount = roundCurrency((booking.payment.refundAmount || 0) + refundedAmount);
+  booking.payment.refundStatus = refundError ? 'failed' : getRefundStatus(booking.payment.refunds);
+  if (booking.payment.refundStatus === 'succeeded') {
+    booking.payment.refundedAt = new Date();
+  }
+  await booking.save();
+
+  if (refundedAmount > 0) {
+    try {
+      await payoutService.reverseForRefund(booking, refundedAmount);
+    } catch (payoutError) {
+      // Reversal failure is recorded on booking.payout.lastError
+    }
+  }
+
+  await notifyCancellation(booking, actor);
+
+  return { booking, refund: { ...refund, refundAmount: refundedAmount } };
+}
+
+/**
+ * Refund in full a balance payment that completed after its booking was cancelled.
+ * The payment is not added to amountPaid, so payouts and later refunds ignore it;
+ * the refund is kept on the booking's refund ledger.
+ * @param {object} booking - Cancelled Booking document
+ * @param {object} session - The completed balance Checkout Session
+ * @returns {Promise<object>} The booking
+ */
+async function refundLateBalancePayment(booking, session) {
+  const paymentIntentId = session.payment_intent;
+  if (!paymentIntentId || booking.payment.refunds.some(r => r.paymentIntentId === paymentIntentId)) {
+    return booking;
+  }
+
+  const refund = await getStripe().refunds.create({
+    payment_intent: paymentIntentId,
+    metadata: { bookingId: booking._id.toString(), reason: 'booking_cancelled' }
+  }, {
+    idempotencyKey: `booking-late-balance-${booking._id}-${paymentIntentId}`
+  });
+
+  const amount = roundCurrency((refund.amount || session.amount_total || 0) / 100);
+  booking.payment.refunds.push({ refundId: refund.id, paymentIntentId, amount, status: refund.status });
+  booking.payment.refundStatus = getRefundStatus(booking.payment.refunds);
+  await booking.save();
+
+  try {
+    await Notification.create({
+      recipient: booking.customer._id,
+      sender: booking.vendor._id,
+      type: 'payment',
+      title: 'Balance Payment Refunded',
+      message: `Your balance payment of ${EmailService.formatCurrency(amount, booking.payment.currency)} for "${booking.eventSnapshot?.name || 'your booking'}" was refunded because the booking had been cancelled.`,
+      data: { bookingId: booking._id, amount },
+      actionUrl: '/customer_profile_dash?tab=My%20Orders'
+    });
+  } catch (notificationError) {
+    // Failed to notify customer about the refund
+  }
+
+  return booking;
+}
+
+/**
+ * Sync refund statuses from a `charge.refunded` webhook.
+ * @param {object} charge - The Stripe charge
+ * @returns {Promise<number>} Number of bookings updated
+ */
+async function syncRefundsForCharge(charge) {
+  if (!charge.payment_intent) return 0;
+
+  const stripe = getStripe();
+  const { data: stripeRefunds } = await stripe.refunds.list({ payment_intent: charge.payment_intent, limit: 100 });
+  const statusById = new Map(stripeRefunds.map(r => [r.id, r.status]));
+  if (!statusById.size) return 0;
+
+  const bookings = await Booking.find({ 'payment.refunds.refundId': { $in: [...statusById.keys()] } });
+  for (const booking of bookings) {
+    for (const refund of booking.payment.refunds) {
+      if (statusById.has(refund.refundId)) {
+        refund.status = statusById.get(refund.refundId);
+      }
+    }
+
+    const previousStatus = booking.payment.refundStatus;
+    booking.payment.refundStatus = getRefundStatus(booking.payment.refunds);
+    if (booking.payment.refundStatus === 'succeeded' && !booking.payment.refundedAt) {
+      booking.payment.refundedAt = new Date();
+    }
+    await booking.save();
+
+    if (previousStatus !== 'succeeded' && booking.payment.refundStatus === 'succeeded') {
+      try {
+        await Notification.create({
+          recipient: booking.customer._id,
+          sender: booking.vendor._id,
+          type: 'payment',
+          title: 'Refund Processed',
+          message: `Your refund of ${EmailService.formatCurrency(booking.payment.refundAmount, booking.payment.currency)} for "${booking.eventSnapshot?.name || 'your booking'}" has been processed.`,
+          data: { bookingId: booking._id, refundAmount: booking.payment.refundAmount },
+          actionUrl: '/customer_profile_dash?tab=My%20Orders'
+        });
+      } catch (notificationError) {
+        // Failed to notify customer about the refund
+      }
+    }
+  }
+
+  return bookings.length;
+}
+
+module.exports = {
+  DEFAULT_CANCELLATION_TIERS,
+  calculateRefund,
+  cancelBooking,
+  refundLateBalancePayment,
+  syncRefundsForCharge
+};
@@ -0,0 +1,182 @@
+const OpenAI = require('openai');
+
+/*
+ * A chatbot provider produces the assistant's next message for a conversation:
+ *
+ *   provider.complete({ messages, tools }) -> Promise<{ content, toolCalls }>
+ *
+ * messages:  [{ role: 'system' | 'user' | 'assistant' | 'tool', content, toolCalls?, toolCallId? }]
+ * tools:     [{ name, description, parameters }] (parameters is a JSON schema)
+ * toolCalls: [{ id, name, arguments }] (arguments is a JSON string), empty for a final answer
+ */
+
+/**
+ * OpenAI chat completions with function calling.
+ * @param {object} [options]
+ * @param {string} [options.model]
+ * @returns {object} Provider
+ */
+function createOpenAIProvider({ model = process.env.CHATBOT_MODEL || 'gpt-4o' } = {}) {
+  let client = null;
+
+  // Initialize the OpenAI client only when needed
+  const getClient = () => {
+    if (!client) {
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error('OPENAI_API_KEY environment variable is required');
+      }
+      client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+      });
+    }
+    return client;
+  };
+
+  const toOpenAIMessage = message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  };
+
+  return {
+    name: 'openai',
+    async complete({ messages, tools = [] }) {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages: messages.map(toOpenAIMessage),
+        ...(tools.length > 0 && {
+          tools: tools.map(tool => ({ type: 'function', function: tool }))
+        }),
+        max_tokens: 800,
+        temperature: 0.7,
+      });
+
+      const message = completion.choices[0]?.message || {};
+      return {
+        content: message.content || '',
+        toolCalls: (message.tool_calls || [])
+          .filter(call => call.type === 'function')
+          .map(call => ({ id: call.id, name: call.function.name, arguments: call.function.arguments }))
+      };
+    }
+  };
+}
+
+// Words too generic to pick a tool by
+const STUB_STOP_WORDS = ['get', 'my', 'list', 'find'];
+
+const stem = word => word.toLowerCase().slice(0, 5);
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * When the last message is from the user it calls the first tool whose name
+ * (or one of its enum values) appears in the message, filling arguments it can
+ * recognize from the tool's schema. After tool results it summarizes them;
+ * otherwise it replies with a fixed message.
+ * @returns {object} Provider
+ */
+function createStubProvider() {
+  const pickTool = (text, tools) => {
+    const words = new Set((text.match(/[a-z]+/gi) || []).map(stem));
+    return tools.find(tool => {
+      const nameWords = tool.name.split('_').filter(word => !STUB_STOP_WORDS.includes(word));
+      const enumValues = Object.values(tool.parameters?.properties || {}).flatMap(property => property.enum || []);
+      return nameWords.some(word => words.has(stem(word)))
+        || enumValues.some(value => text.toLowerCase().includes(value.toLowerCase()));
+    });
+  };
+
+  const extractArguments = (text, tool) => {
+    const args = {};
+    for (const [key, property] of Object.entries(tool.parameters?.properties || {})) {
+      if (property.enum) {
+        const value = property.enum.find(option => text.toLowerCase().includes(option.toLowerCase()));
+        if (value) args[key] = value;
+      } else if (key === 'city') {
+        const city = text.match(/\bin ([A-Z][a-zA-Z]+(?: [A-Z][a-zA-Z]+)*)/);
+        if (city) args.city = city[1];
+      } else if (property.type === 'number' && /budget|price|max/i.test(key)) {
+        const amount = text.match(/\$\s?([\d,]+)|under ([\d,]+)/i);
+        if (amount) args[key] = Number((amount[1] || amount[2]).replace(/,/g, ''));
+      }
+    }
+    return args;
+  };
+
+  const summarize = result => {
+    if (result.error) return `- ${result.error}`;
+    if (Array.isArray(result.results)) {
+      if (!result.results.length) return '- Nothing matched.';
+      return result.results
+        .map(item => `- ${item.name || item.listing || item.customer || JSON.stringify(item)}`)
+        .join('\n');
+    }
+    return Object.entries(result)
+      .filter(([, value]) => value === null || typeof value !== 'object')
+      .map(([key, value]) => `- ${key}: ${value}`)
+      .join('\n');
+  };
+
+  return {
+    name: 'stub',
+    async complete({ messages, tools = [] }) {
+      const last = messages[messages.length - 1];
+
+      if (last?.role === 'tool') {
+        const toolResults = [];
+        for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+          toolResults.unshift(messages[i]);
+        }
+        const sections = toolResults.map(message => {
+          let result;
+          try {
+            result = JSON.parse(message.content);
+          } catch (error) {
+            result = { error: 'Unreadable tool result' };
+          }
+          return summarize(result);
+        });
+        return { content: `Here is what I found:\n${sections.join('\n')}`, toolCalls: [] };
+      }
+
+      const text = last?.content || '';
+      const tool = pickTool(text, tools);
+      if (tool) {
+        return {
+          content: '',
+          toolCalls: [{ id: `stub_call_${messages.length}`, name: tool.name, arguments: JSON.stringify(extractArguments(text, tool)) }]
+        };
+      }
+
+      return { content: `I'm Mehfil's assistant. You said: "${text}"`, toolCalls: [] };
+    }
+  };
+}
+
+/**
+ * The provider selected by CHATBOT_PROVIDER ('openai' or 'stub').
+ * Defaults to the stub when NODE_ENV=test and OpenAI otherwise.
+ * @returns {object} Provider
+ */
+function createProviderFromEnv() {
+  const name = process.env.CHATBOT_PROVIDER || (process.env.NODE_ENV === 'test' ? 'stub' : 'openai');
+  return name === 'stub' ? createStubProvider() : createOpenAIProvider();
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createStubProvider,
+  createProviderFromEnv
+};
@@ -0,0 +1,226 @@
+const ChatbotThread = require('../models/ChatbotThread');
+const { createProviderFromEnv } = require('./chatbotProviders');
+const { getToolDefinitions, runTool } = require('./chatbotTools');
+
+// Earlier messages sent back to the model on each turn
+const HISTORY_LIMIT = parseInt(process.env.CHATBOT_HISTORY_LIMIT, 10) || 20;
+// Messages kept on a thread; older ones are dropped so threads stay well under the document size limit
+const MAX_STORED_MESSAGES = 200;
+// Tool rounds allowed per turn before the model must answer
+const MAX_TOOL_ROUNDS = 3;
+// Tool results are cut to this many characters before going back to the model
+const MAX_TOOL_RESULT_LENGTH = 8000;
+
+const VENDOR_SYSTEM_PROMPT = `You are Mehfil's AI Vendor Assistant, designed exclusively to help vendors succeed on the Mehfil event planning platform. Your role is strictly limited to Mehfil-related assistance.
+
+**STRICT BOUNDARIES - You can ONLY help with:**
+
+1. **Mehfil Platform Features**: Profile management, listing optimization, booking system, messaging, reviews, analytics, and platform navigation.
+
+2. **Vendor Business on Mehfil**: How to attract customers, respond to inquiries, manage bookings, handle payments, and grow your business specifically on Mehfil.
+
+3. **Event Planning Industry (Mehfil Context)**: Trends, best practices, and advice relevant to vendors offering services through Mehfil.
+
+4. **Profile & Listing Optimization**: Creating compelling vendor profiles, adding photos, writing descriptions, setting up packages, and optimizing listings for better visibility on Mehfil.
+
+**IMPORTANT RESTRICTIONS:**
+- You CANNOT help with general writing tasks (essays, articles, creative writing)
+- You CANNOT provide academic assistance or homework help
+- You CANNOT assist with tasks unrelated to Mehfil or event planning
+- You CANNOT provide medical, legal, or financial advice
+- You CANNOT help with coding, programming, or technical tasks outside of Mehfil platform usage
+- You CANNOT assist with personal tasks or general life advice
+
+**Response Guidelines:**
+- If a user asks for help outside these boundaries, politely redirect them to focus on Mehfil-related questions
+- Always format responses using markdown for better readability
+- Use **bold** for key points and **important features**
+- Use *italic* for tips and suggestions
+- Use bullet points for lists and steps
+- Use ## headers for different sections
+- Use > blockquotes for important tips or platform features
+
+**Example Redirect Response:**
+"I'm here specifically to help you succeed on the Mehfil platform! I can assist you with optimizing your vendor profile, managing bookings, attracting customers, and growing your business on Mehfil. What would you like to know about your Mehfil vendor account or event planning services?"
+
+**Your Data Tools:**
+- Use the booking, review and analytics tools to answer questions about this vendor's own business instead of guessing
+- Only ever discuss the signed-in vendor's own data
+
+Remember: You are Mehfil's vendor assistant only. Stay focused on helping vendors succeed within the Mehfil ecosystem.`;
+
+const CUSTOMER_SYSTEM_PROMPT = `You are Mehfil's AI Customer Support Assistant, designed exclusively to help customers navigate and succeed on the Mehfil event planning platform. Your role is strictly limited to Mehfil-related assistance.
+
+**STRICT BOUNDARIES - You can ONLY help with:**
+
+1. **Mehfil Platform Navigation**: How to use the website, browse vendors, search for services, and navigate different sections.
+
+2. **Vendor Discovery & Booking**: Finding vendors by category, reading profiles and reviews, comparing options, and booking services through Mehfil.
+
+3. **Event Planning on Mehfil**: Tips for planning events using Mehfil's platform, understanding vendor categories, and making informed decisions.
+
+4. **Account & Payment Support**: Managing customer accounts, understanding payment processes, booking confirmations, and platform-related technical issues.
+
+5. **Mehfil Features**: Understanding how to use messaging, reviews, favorites, and other platform features effectively.
+
+**IMPORTANT RESTRICTIONS:**
+- You CANNOT help with general writing tasks (essays, articles, creative writing)
+- You CANNOT provide academic assistance or homework help
+- You CANNOT assist with tasks unrelated to Mehfil or event planning
+- You CANNOT provide medical, legal, or financial advice
+- You CANNOT help with coding, programming, or technical tasks outside of Mehfil platform usage
+- You CANNOT assist with personal tasks or general life advice
+- You CANNOT provide detailed event planning advice outside of using Mehfil's platform
+
+**Response Guidelines:**
+- If a user asks for help outside these boundaries, politely redirect them to focus on Mehfil-related questions
+- Always format responses using markdown for better readability
+- Use **bold** for important points and **key features**
+- Use *italic* for tips and suggestions
+- Use bullet points for lists and steps
+- Use ## headers for different sections
+- Use > blockquotes for important tips or platform features
+- Use \`code\` for technical terms or platform features
+
+**Example Redirect Response:**
+"I'm here specifically to help you with the Mehfil platform! I can assist you with finding vendors, making bookings, navigating the website, and getting the most out of your Mehfil experience. What would you like to know about using Mehfil for your event planning needs?"
+
+**Communication Style:**
+- Be warm, professional, and encouraging
+- Use clear, simple language that's easy to understand
+- Provide step-by-step guidance when needed
+- Be patient and thorough in explanations
+
+**Your Data Tools:**
+- Use the listing search tool whenever the customer is looking for vendors, so recommendations come from real Mehfil listings
+- Never invent vendors, prices or ratings; if the search finds nothing, say so and suggest widening the search
+
+Remember: You are Mehfil's customer assistant only. Stay focused on helping customers succeed within the Mehfil ecosystem.`;
+
+const SYSTEM_PROMPTS = {
+  customer: CUSTOMER_SYSTEM_PROMPT,
+  vendor: VENDOR_SYSTEM_PROMPT
+};
+
+let provider = null;
+
+/**
+ * The provider used for completions, created from the environment on first use.
+ * @returns {object}
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+}
+
+/**
+ * Replace the provider, e.g. with the stub provider in tests.
+ * @param {object} nextProvider - See chatbotProviders
+ */
+function setProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+// The most recent messages, starting at a user message so no tool
+// result is sent without the call that asked for it
+const recentHistory = (messages, limit = HISTORY_LIMIT) => {
+  const recent = messages.slice(-limit);
+  const start = recent.findIndex(message => message.role === 'user');
+  return start === -1 ? [] : recent.slice(start);
+};
+
+const toProviderMessage = message => ({
+  role: message.role,
+  content: message.content,
+  toolCalls: message.toolCalls,
+  toolCallId: message.toolCallId
+});
+
+/**
+ * Add a user message to a thread, let the assistant answer (running any tools
+ * it asks for) and save everything to the thread.
+ * @param {object} params
+ * @param {object} params.thread - ChatbotThread document
+ * @param {object} params.user - The signed-in user, passed to tools
+ * @param {string} params.message - The user's message
+ * @returns {Promise<string>} The assistant's reply
+ */
+async function respond({ thread, user, message }) {
+  const tools = getToolDefinitions(thread.assistant);
+  const history = recentHistory(thread.messages).map(toProviderMessage);
+
+  thread.messages.push({ role: 'user', content: message });
+  if (!thread.title) {
+    thread.title = message.length > 60 ? `${message.slice(0, 57)}...` : message;
+  }
+
+  const conversation = [
+    { role: 'system', content: SYSTEM_PROMPTS[thread.assistant] },
+    ...history,
+    { role: 'user', content: message }
+  ];
+
+  let reply = '';
+  for (let round = 0; ; round++) {
+    // Out of tool rounds: offer no tools so the model has to answer
+    const completion = await getProvider().complete({
+      messages: conversation,
+      tools: round < MAX_TOOL_ROUNDS ? tools : []
+    });
+
+    if (!completion.toolCalls?.length || round >= MAX_TOOL_ROUNDS) {
+      reply = completion.content || 'Sorry, I could not process your request.';
+      break;
+    }
+
+    const assistantMessage = { role: 'assistant', content: completion.content || '', toolCalls: completion.toolCalls };
+    conversation.push(assistantMessage);
+    thread.messages.push(assistantMessage);
+
+    for (const call of completion.toolCalls) {
+      const result = await runTool(thread.assistant, call.name, call.arguments, { user });
+      const toolMessage = {
+        role: 'tool',
+        toolCallId: call.id,
+        content: JSON.stringify(result).slice(0, MAX_TOOL_RESULT_LENGTH)
+      };
+      conversation.push(toolMessage);
+      thread.messages.push(toolMessage);
+    }
+  }
+
+  thread.messages.push({ role: 'assistant', content: reply });
+  if (thread.messages.length > MAX_STORED_MESSAGES) {
+    thread.messages = recentHistory(thread.messages, MAX_STORED_MESSAGES);
+  }
+  thread.lastMessageAt = new Date();
+  await thread.save();
+
+  return reply;
+}
+
+/**
+ * The messages of a thread as shown to the user (tool traffic left out).
+ * @param {object} thread
+ * @returns {object[]}
+ */
+function visibleMessages(thread) {
+  return thread.messages
+    .filter(message => message.role === 'user' || (message.role === 'assistant' && !message.toolCalls?.length))
+    .map(message => ({
+      id: message._id,
+      role: message.role,
+      content: message.content,
+      createdAt: message.createdAt
+    }));
+}
+
+module.exports = {
+  SYSTEM_PROMPTS,
+  getProvider,
+  setProvider,
+  respond,
+  visibleMessages
+};
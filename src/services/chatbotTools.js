@@ -0,0 +1,259 @@
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const viewTrackingService = require('./viewTrackingService');
+const { MIN_PRICE_EXPRESSION } = require('../utils/eventPricing');
+
+const MAX_RESULTS = 10;
+
+const escapeRegExp = string => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const clampLimit = (limit, fallback = 5) => Math.min(Math.max(parseInt(limit, 10) || fallback, 1), MAX_RESULTS);
+
+// Tools the assistants can call. Each handler gets the parsed arguments and
+// { user } (the signed-in user), and returns a JSON-serializable result.
+const TOOLS = {
+  search_listings: {
+    assistants: ['customer'],
+    description: 'Search Mehfil vendor listings by service category, city, state and budget. Returns the best rated matches with their starting price.',
+    parameters: {
+      type: 'object',
+      properties: {
+        category: {
+          type: 'string',
+          enum: Event.schema.path('category').enumValues,
+          description: 'Service category'
+        },
+        city: { type: 'string', description: 'City name, e.g. Houston' },
+        state: { type: 'string', description: 'US state, e.g. TX' },
+        maxBudget: { type: 'number', description: 'Highest acceptable starting price in USD' },
+        limit: { type: 'integer', description: `Number of results (1-${MAX_RESULTS})` }
+      }
+    },
+    handler: async ({ category, city, state, maxBudget, limit }) => {
+      const match = {};
+      if (category) match.category = category;
+      if (city) match['location.city'] = { $regex: `^${escapeRegExp(String(city).trim())}$`, $options: 'i' };
+      if (state) match['location.state'] = { $regex: `^${escapeRegExp(String(state).trim())}$`, $options: 'i' };
+
+      const pipeline = [
+        { $match: match },
+        { $addFields: { minPrice: MIN_PRICE_EXPRESSION } }
+      ];
+      if (Number(maxBudget) > 0) {
+        pipeline.push({ $match: { minPrice: { $ne: null, $lte: Number(maxBudget) } } });
+      }
+      pipeline.push(
+        { $sort: { averageRating: -1, totalReviews: -1, createdAt: -1 } },
+        { $limit: clampLimit(limit) },
+        {
+          $project: {
+            name: 1,
+            slug: 1,
+            category: 1,
+            city: '$location.city',
+            state: '$location.state',
+            startingPrice: '$minPrice',
+            averageRating: 1,
+            totalReviews: 1
+          }
+        }
+      );
+
+      const results = await Event.aggregate(pipeline);
+      return { count: results.length, results };
+    }
+  },
+
+  get_my_bookings: {
+    assistants: ['vendor'],
+    description: "List the vendor's own bookings, optionally filtered by status. Upcoming bookings come first.",
+    parameters: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: Booking.schema.path('status').enumValues,
+          description: 'Only bookings with this status'
+        },
+        upcomingOnly: { type: 'boolean', description: 'Only bookings whose event date has not passed' },
+        limit: { type: 'integer', description: `Number of results (1-${MAX_RESULTS})` }
+      }
+    },
+    handler: async ({ status, upcomingOnly, limit }, { user }) => {
+      const filter = { vendor: user._id };
+      if (status) filter.status = status;
+      if (upcomingOnly) filter.eventDate = { $gte: new Date() };
+
+      const [bookings, countsByStatus] = await Promise.all([
+        Booking.find(filter).sort({ eventDate: upcomingOnly ? 1 : -1 }).limit(clampLimit(limit)),
+        Booking.aggregate([
+          { $match: { vendor: user._id } },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      return {
+        countsByStatus: Object.fromEntries(countsByStatus.map(row => [row._id, row.count])),
+        results: bookings.map(booking => ({
+          id: booking._id,
+          listing: booking.event?.name || booking.customEventName,
+          customer: booking.customer?.customerProfile?.fullName,
+          eventDate: booking.eventDate,
+          eventTime: booking.eventTime,
+          attendees: booking.attendees,
+          totalPrice: booking.totalPrice,
+          status: booking.status
+        }))
+      };
+    }
+  },
+
+  get_my_reviews: {
+    assistants: ['vendor'],
+    description: "The vendor's most recent reviews and overall rating.",
+    parameters: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: `Number of reviews (1-${MAX_RESULTS})` }
+      }
+    },
+    handler: async ({ limit }, { user }) => {
+      const reviews = await Review.find({ vendor: user._id, ...Review.VISIBLE_FILTER })
+        .sort({ createdAt: -1 })
+        .limit(clampLimit(limit));
+
+      return {
+        rating: user.vendorProfile?.rating || null,
+        results: reviews.map(review => ({
+          listing: review.event?.name,
+          customer: review.customer?.customerProfile?.fullName,
+          rating: review.rating,
+          comment: review.comment,
+          replied: !!review.vendorReply?.comment,
+          createdAt: review.createdAt
+        }))
+      };
+    }
+  },
+
+  get_my_analytics: {
+    assistants: ['vendor'],
+    description: "Profile views, bookings, revenue and listing counts for the vendor's business.",
+    parameters: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', description: 'Period for the view statistics in days (default 30)' }
+      }
+    },
+    handler: async ({ days }, { user }) => {
+      const period = Math.min(Math.max(parseInt(days, 10) || 30, 1), 365);
+
+      const [views, bookingStats, listings] = await Promise.all([
+        viewTrackingService.getVendorViewAnalytics(user._id, period),
+        Booking.aggregate([
+          { $match: { vendor: user._id } },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              completed: { $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, 1, 0] } },
+              revenue: { $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, '$totalPrice', 0] } }
+            }
+          }
+        ]),
+        Event.countDocuments({ vendor: user._id })
+      ]);
+
+      return {
+        periodDays: period,
+        views: views.success ? views.data.summary : null,
+        bookings: {
+          total: bookingStats[0]?.total || 0,
+          completed: bookingStats[0]?.completed || 0
+        },
+        completedRevenue: bookingStats[0]?.revenue || 0,
+        listings,
+        rating: user.vendorProfile?.rating || null
+      };
+    }
+  }
+};
+
+/**
+ * Tool definitions offered to an assistant.
+ * @param {string} assistant - 'customer' or 'vendor'
+ * @returns {object[]} [{ name, description, parameters }]
+ */
+function getToolDefinitions(assistant) {
+  return Object.entries(TOOLS)
+    .filter(([, tool]) => tool.assistants.includes(assistant))
+    .map(([name, tool]) => ({ name, description: tool.description, parameters: tool.parameters }));
+}
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean'
+};
+
+/**
+ * Check model-supplied arguments against a tool's parameter schema.
+ * @param {object} parameters - The tool's JSON schema
+ * @param {*} args - Parsed arguments
+ * @returns {string|null} What is wrong, or null when the arguments are usable
+ */
+function validateArguments(parameters, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return 'Tool arguments must be an object';
+  }
+  for (const [key, value] of Object.entries(args)) {
+    const schema = parameters.properties?.[key];
+    if (!schema) return `Unknown argument: ${key}`;
+    if (value === null || value === undefined) continue;
+    if (!TYPE_CHECKS[schema.type](value)) return `${key} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`;
+    if (schema.enum && !schema.enum.includes(value)) return `${key} must be one of: ${schema.enum.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Run a tool the model asked for. Failures are returned to the model rather than thrown.
+ * @param {string} assistant - 'customer' or 'vendor'
+ * @param {string} name - Tool name
+ * @param {string} rawArguments - JSON-encoded arguments
+ * @param {object} context - { user }
+ * @returns {Promise<object>}
+ */
+async function runTool(assistant, name, rawArguments, context) {
+  const tool = TOOLS[name];
+  if (!tool || !tool.assistants.includes(assistant)) {
+    return { error: `Unknown tool: ${name}` };
+  }
+
+  let args;
+  try {
+    args = rawArguments ? JSON.parse(rawArguments) : {};
+  } catch (error) {
+    return { error: 'Tool arguments were not valid JSON' };
+  }
+
+  args = args ?? {};
+  const invalid = validateArguments(tool.parameters, args);
+  if (invalid) {
+    return { error: invalid };
+  }
+
+  try {
+    return await tool.handler(args, context);
+  } catch (error) {
+    return { error: 'The tool failed to run' };
+  }
+}
+
+module.exports = {
+  getToolDefinitions,
+  validateArguments,
+  runTool
+};
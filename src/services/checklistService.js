@@ -0,0 +1,346 @@
+const Event = require('../models/Event');
+const { createProviderFromEnv } = require('./chatbotProviders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Todo.timelinePhase values in order, with the window of each phase in days before the event
+const PHASES = [
+  { phase: '6+ months before', startDays: 240, dueDays: 180 },
+  { phase: '3-6 months before', startDays: 180, dueDays: 90 },
+  { phase: '1-3 months before', startDays: 90, dueDays: 30 },
+  { phase: '1 month before', startDays: 30, dueDays: 14 },
+  { phase: '1-2 weeks before', startDays: 14, dueDays: 7 },
+  { phase: '1 week before', startDays: 7, dueDays: 1 },
+  { phase: 'Day of event', startDays: 0, dueDays: 0 }
+];
+
+const CHECKLIST_CATEGORIES = {
+  'Planning & Budget': '📋',
+  'Guests & Invitations': '✉️',
+  'Venue': '🏛️',
+  'Food & Drinks': '🍽️',
+  'Attire & Beauty': '💄',
+  'Photo & Video': '📸',
+  'Decor & Entertainment': '🎉',
+  'Ceremony': '🕌',
+  'Final Details': '✅'
+};
+
+const WEDDING_TYPES = ['Wedding', 'Walima', 'Nikah', 'Mehndi', 'Engagement'];
+
+// Budget per guest (USD) below which a budget is tight, and from which it is premium
+const TIGHT_BUDGET_PER_GUEST = 40;
+const PREMIUM_BUDGET_PER_GUEST = 150;
+const LARGE_EVENT_GUESTS = 150;
+
+// Most AI-suggested tasks added on top of the rule-based checklist
+const MAX_ENRICHED_TASKS = 5;
+
+/*
+ * Task templates. Optional rules:
+ *   types        - only for these UserEvent.eventType values
+ *   minGuests    - only when at least this many guests are expected
+ *   budgetTiers  - only for these budget tiers ('tight', 'standard', 'premium')
+ *   vendorCategory - marketplace category (Event.category) that can do the task
+ */
+const TASK_TEMPLATES = [
+  // Planning & Budget
+  { taskName: 'Set the overall budget', category: 'Planning & Budget', phase: '6+ months before', priority: 'high', description: 'Agree on a total budget and split it across venue, food, decor and other vendors.' },
+  { taskName: 'Compare package deals from several vendors', category: 'Planning & Budget', phase: '3-6 months before', priority: 'medium', description: 'Ask vendors for bundled packages and off-peak discounts before committing.', budgetTiers: ['tight'] },
+  { taskName: 'Hire a wedding planner', category: 'Planning & Budget', phase: '6+ months before', priority: 'medium', description: 'A planner coordinates vendors and the timeline so the family can enjoy the day.', types: ['Wedding', 'Walima'], budgetTiers: ['premium'], vendorCategory: 'Wedding Planner' },
+  { taskName: 'Hire an event planner', category: 'Planning & Budget', phase: '3-6 months before', priority: 'medium', description: 'Bring in a planner to manage logistics for a large event.', types: ['Corporate', 'Birthday', 'Graduation', 'Anniversary', 'Aqiqah', 'Other'], minGuests: LARGE_EVENT_GUESTS, vendorCategory: 'Event Planner' },
+  { taskName: 'Define event goals and agenda', category: 'Planning & Budget', phase: '3-6 months before', priority: 'high', description: 'Write down what the event should achieve and draft the running order.', types: ['Corporate'] },
+
+  // Guests & Invitations
+  { taskName: 'Draft the guest list', category: 'Guests & Invitations', phase: '6+ months before', priority: 'high', description: 'List guests from both sides of the family and friends to size the venue and catering.' },
+  { taskName: 'Send invitations', category: 'Guests & Invitations', phase: '1-3 months before', priority: 'high', description: 'Send invitations with RSVP details and a reply-by date.' },
+  { taskName: 'Send calendar invites and collect registrations', category: 'Guests & Invitations', phase: '1-3 months before', priority: 'high', description: 'Register attendees and note dietary needs and accessibility requirements.', types: ['Corporate'] },
+  { taskName: 'Follow up on missing RSVPs', category: 'Guests & Invitations', phase: '1-2 weeks before', priority: 'medium', description: 'Call or message guests who have not replied yet.' },
+
+  // Venue
+  { taskName: 'Book the venue', category: 'Venue', phase: '6+ months before', priority: 'high', description: 'Visit venues that fit the guest count and reserve the date with a deposit.', minGuests: 20, vendorCategory: 'Venue Management' },
+  { taskName: 'Arrange guest parking or valet', category: 'Venue', phase: '1 month before', priority: 'medium', description: 'Check parking capacity at the venue and book valet service if needed.', minGuests: LARGE_EVENT_GUESTS },
+  { taskName: 'Arrange AV equipment and presentation setup', category: 'Venue', phase: '1-3 months before', priority: 'high', description: 'Confirm projectors, microphones and Wi-Fi with the venue.', types: ['Corporate'] },
+  { taskName: 'Plan seating and the stage for the couple', category: 'Venue', phase: '1-2 weeks before', priority: 'medium', description: 'Finalize the seating chart, family tables and stage layout.', types: ['Wedding', 'Walima'] },
+
+  // Food & Drinks
+  { taskName: 'Book the caterer', category: 'Food & Drinks', phase: '3-6 months before', priority: 'high', description: 'Schedule tastings and confirm the menu and per-guest pricing.', vendorCategory: 'Catering' },
+  { taskName: 'Confirm halal sourcing with the caterer', category: 'Food & Drinks', phase: '1-3 months before', priority: 'high', description: 'Ask for halal certification and how meat is sourced and prepared.', vendorCategory: 'Catering' },
+  { taskName: 'Order desserts and the cake', category: 'Food & Drinks', phase: '1 month before', priority: 'medium', description: 'Choose mithai, desserts or a cake and confirm delivery time.', vendorCategory: 'Desserts' },
+  { taskName: 'Arrange a drinks service', category: 'Food & Drinks', phase: '1 month before', priority: 'low', description: 'Book a chai, mocktail or beverage station.', minGuests: 50, vendorCategory: 'Drinks' },
+  { taskName: 'Confirm the final headcount with the caterer', category: 'Food & Drinks', phase: '1-2 weeks before', priority: 'high', description: 'Send final numbers and dietary requirements to the caterer.', vendorCategory: 'Catering' },
+
+  // Attire & Beauty
+  { taskName: 'Shop for outfits', category: 'Attire & Beauty', phase: '6+ months before', priority: 'high', description: 'Order bridal and groom outfits early to leave time for alterations.', types: ['Wedding', 'Walima', 'Nikah'] },
+  { taskName: 'Book a makeup artist and schedule a trial', category: 'Attire & Beauty', phase: '3-6 months before', priority: 'high', description: 'Book makeup for the main events and try the look in advance.', types: WEDDING_TYPES, vendorCategory: 'Makeup' },
+  { taskName: 'Book a hair stylist', category: 'Attire & Beauty', phase: '1-3 months before', priority: 'medium', description: 'Reserve hair styling for the event day.', types: WEDDING_TYPES, vendorCategory: 'Hair' },
+  { taskName: 'Book the henna artist', category: 'Attire & Beauty', phase: '1-3 months before', priority: 'high', description: 'Reserve a henna artist for the bride and guests.', types: ['Mehndi', 'Wedding'], vendorCategory: 'Henna' },
+  { taskName: 'Order the engagement rings', category: 'Attire & Beauty', phase: '3-6 months before', priority: 'high', description: 'Choose and size the rings.', types: ['Engagement'] },
+
+  // Photo & Video
+  { taskName: 'Book a photographer', category: 'Photo & Video', phase: '3-6 months before', priority: 'medium', description: 'Review portfolios and agree on coverage hours and deliverables.', vendorCategory: 'Photography' },
+  { taskName: 'Book a videographer', category: 'Photo & Video', phase: '3-6 months before', priority: 'medium', description: 'Book video coverage and a highlights reel.', types: ['Wedding', 'Walima', 'Mehndi'], budgetTiers: ['standard', 'premium'], vendorCategory: 'Videography' },
+  { taskName: 'Share a shot list with the photographer', category: 'Photo & Video', phase: '1-2 weeks before', priority: 'low', description: 'List must-have family groupings and moments.' },
+
+  // Decor & Entertainment
+  { taskName: 'Plan the decor', category: 'Decor & Entertainment', phase: '1-3 months before', priority: 'medium', description: 'Pick colors, florals and stage decor and book a decorator.', vendorCategory: 'Decor' },
+  { taskName: 'Choose a theme', category: 'Decor & Entertainment', phase: '1-3 months before', priority: 'medium', description: 'Choose a theme to guide decor, cake and invitations.', types: ['Birthday'] },
+  { taskName: 'Book entertainment', category: 'Decor & Entertainment', phase: '1-3 months before', priority: 'medium', description: 'Book a DJ, dhol players, games or performers.', types: ['Birthday', 'Mehndi', 'Wedding', 'Graduation', 'Anniversary'], vendorCategory: 'Entertainment' },
+  { taskName: 'Plan the baraat entrance', category: 'Decor & Entertainment', phase: '1 month before', priority: 'medium', description: 'Arrange music, transport and the order of the procession.', types: ['Wedding'] },
+  { taskName: 'Prepare a slideshow of memories', category: 'Decor & Entertainment', phase: '1 month before', priority: 'low', description: 'Collect photos from family and friends for a slideshow.', types: ['Anniversary', 'Graduation'] },
+  { taskName: 'Prepare party favors', category: 'Decor & Entertainment', phase: '1-2 weeks before', priority: 'low', description: 'Assemble favors or goodie bags for guests.', types: ['Birthday'] },
+
+  // Ceremony
+  { taskName: 'Arrange the officiant and witnesses', category: 'Ceremony', phase: '3-6 months before', priority: 'high', description: 'Confirm the imam or qazi and two witnesses for the nikah.', types: ['Nikah', 'Wedding'] },
+  { taskName: 'Prepare nikah documents and agree on the mahr', category: 'Ceremony', phase: '1 month before', priority: 'high', description: 'Gather IDs and the marriage contract, and confirm local registration requirements.', types: ['Nikah', 'Wedding'] },
+  { taskName: 'Plan the ring ceremony', category: 'Ceremony', phase: '1 month before', priority: 'medium', description: 'Decide who speaks, the order of the ceremony and any duas.', types: ['Engagement'] },
+  { taskName: 'Arrange the sacrifice and meat distribution', category: 'Ceremony', phase: '1 month before', priority: 'high', description: 'Arrange the animals and plan how the meat is shared with family and those in need.', types: ['Aqiqah'] },
+  { taskName: 'Plan the naming and head shaving', category: 'Ceremony', phase: '1-2 weeks before', priority: 'medium', description: 'Decide who will be present and prepare for the charity given by the weight of the hair.', types: ['Aqiqah'] },
+
+  // Final Details
+  { taskName: 'Prepare name badges and signage', category: 'Final Details', phase: '1-2 weeks before', priority: 'medium', description: 'Print badges, directional signs and the agenda.', types: ['Corporate'] },
+  { taskName: 'Confirm arrival times with every vendor', category: 'Final Details', phase: '1 week before', priority: 'high', description: 'Share the venue address, contact person and setup times with vendors.' },
+  { taskName: 'Prepare final vendor payments', category: 'Final Details', phase: '1 week before', priority: 'medium', description: 'Set aside remaining balances and tips in labeled envelopes.' },
+  { taskName: 'Coordinate setup and the running order', category: 'Final Details', phase: 'Day of event', priority: 'high', description: 'Have a point person on site to greet vendors and keep the schedule.' }
+];
+
+const phaseIndex = phase => PHASES.findIndex(entry => entry.phase === phase);
+
+/**
+ * Budget tier from the budget per expected guest.
+ * @param {number} budget
+ * @param {number} guests
+ * @returns {string} 'tight', 'standard' or 'premium'
+ */
+function getBudgetTier(budget, guests) {
+  if (!budget || !guests) return 'standard';
+  const perGuest = budget / guests;
+  if (perGuest < TIGHT_BUDGET_PER_GUEST) return 'tight';
+  if (perGuest >= PREMIUM_BUDGET_PER_GUEST) return 'premium';
+  return 'standard';
+}
+
+/**
+ * Whole days from now until the event.
+ * @param {Date|string} date
+ * @param {Date} [now]
+ * @returns {number}
+ */
+function daysUntil(date, now = new Date()) {
+  return Math.floor((new Date(date).getTime() - now.getTime()) / DAY_MS);
+}
+
+/**
+ * The phase a task can still be done in. Phases whose deadline has already
+ * passed move to the first phase that is still ahead.
+ * @param {string} phase
+ * @param {number} remainingDays
+ * @returns {string}
+ */
+function feasiblePhase(phase, remainingDays) {
+  const index = phaseIndex(phase);
+  for (let i = index; i < PHASES.length; i++) {
+    if (PHASES[i].dueDays < remainingDays || i === PHASES.length - 1) {
+      return PHASES[i].phase;
+    }
+  }
+  return phase;
+}
+
+/**
+ * Start and end dates for a task in a phase, never before today.
+ * @param {Date|string} eventDate
+ * @param {string} phase
+ * @param {Date} [now]
+ * @returns {object} { startDate, endDate }
+ */
+function phaseDates(eventDate, phase, now = new Date()) {
+  const event = new Date(eventDate).getTime();
+  const { startDays, dueDays } = PHASES[phaseIndex(phase)] || PHASES[phaseIndex('1 month before')];
+  const startDate = new Date(Math.max(event - startDays * DAY_MS, Math.min(now.getTime(), event)));
+  const endDate = new Date(Math.max(event - dueDays * DAY_MS, startDate.getTime()));
+  return { startDate, endDate };
+}
+
+/**
+ * Generate a checklist from the rule-based templates. Works offline.
+ * @param {object} params
+ * @param {string} params.eventType - UserEvent.eventType
+ * @param {Date|string} params.date - Event date
+ * @param {number} [params.guests]
+ * @param {number} [params.budget]
+ * @param {Date} [params.now]
+ * @returns {object} { categories: [{ name, icon, tasks }], summary }
+ */
+function generateChecklist({ eventType = 'Other', date, guests = 0, budget = 0, now = new Date() }) {
+  const remainingDays = daysUntil(date, now);
+  const budgetTier = getBudgetTier(budget, guests);
+  let compressedTasks = 0;
+
+  const tasks = TASK_TEMPLATES
+    .filter(template => !template.types || template.types.includes(eventType))
+    .filter(template => !template.minGuests || guests >= template.minGuests)
+    .filter(template => !template.budgetTiers || template.budgetTiers.includes(budgetTier))
+    .map(template => {
+      const timelinePhase = feasiblePhase(template.phase, remainingDays);
+      const compressed = timelinePhase !== template.phase;
+      if (compressed) compressedTasks++;
+      return {
+        taskName: template.taskName,
+        category: template.category,
+        timelinePhase,
+        // Anything that should already have been done is now urgent
+        priority: compressed ? 'high' : template.priority,
+        description: template.description,
+        vendorCategory: template.vendorCategory
+      };
+    })
+    .sort((a, b) => phaseIndex(a.timelinePhase) - phaseIndex(b.timelinePhase));
+
+  const categories = Object.entries(CHECKLIST_CATEGORIES)
+    .map(([name, icon]) => ({
+      name,
+      icon,
+      tasks: tasks
+        .filter(item => item.category === name)
+        .map(({ category, ...item }) => item)
+    }))
+    .filter(category => category.tasks.length > 0);
+
+  return {
+    categories,
+    summary: {
+      eventType,
+      daysUntilEvent: remainingDays,
+      budgetTier,
+      totalTasks: tasks.length,
+      compressedTasks
+    }
+  };
+}
+
+const escapeRegExp = string => string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Top rated vendors per marketplace category, preferring the event's city.
+ * @param {string[]} vendorCategories - Event.category values
+ * @param {string} [location] - UserEvent.location, e.g. "Houston, TX"
+ * @param {number} [perCategory=3]
+ * @returns {Promise<Map<string, ObjectId[]>>} category -> vendor ids
+ */
+async function findSuggestedVendors(vendorCategories, location, perCategory = 3) {
+  const suggestions = new Map();
+  const categories = [...new Set(vendorCategories.filter(Boolean))];
+  if (!categories.length) return suggestions;
+
+  const city = (location || '').split(',')[0].trim();
+
+  const topVendors = async cityFilter => Event.aggregate([
+    { $match: { category: { $in: categories }, ...cityFilter } },
+    { $sort: { averageRating: -1, totalReviews: -1 } },
+    { $group: { _id: { category: '$category', vendor: '$vendor' }, rating: { $first: '$averageRating' } } },
+    { $sort: { rating: -1 } },
+    { $group: { _id: '$_id.category', vendors: { $push: '$_id.vendor' } } },
+    { $project: { vendors: { $slice: ['$vendors', perCategory] } } }
+  ]);
+
+  const local = city
+    ? await topVendors({ 'location.city': { $regex: `^${escapeRegExp(city)}$`, $options: 'i' } })
+    : [];
+  local.forEach(row => suggestions.set(row._id, row.vendors));
+
+  // Fall back to the whole marketplace for categories with no local vendor
+  const missing = categories.filter(category => !suggestions.has(category));
+  if (missing.length) {
+    const everywhere = await topVendors({});
+    everywhere
+      .filter(row => missing.includes(row._id))
+      .forEach(row => suggestions.set(row._id, row.vendors));
+  }
+
+  return suggestions;
+}
+
+/**
+ * Ask the configured LLM provider for a few extra tasks and merge them in.
+ * Optional: any failure leaves the rule-based checklist unchanged.
+ * @param {object} checklist - Output of generateChecklist
+ * @param {object} eventInfo - { eventType, guests, budget, theme, specialRequirements }
+ * @param {object} [options]
+ * @param {object} [options.provider] - See chatbotProviders; defaults to the environment's
+ * @returns {Promise<object>} The checklist, with summary.enrichedTasks set
+ */
+async function enrichChecklist(checklist, eventInfo, { provider = createProviderFromEnv() } = {}) {
+  const existing = new Set(checklist.categories.flatMap(category => category.tasks.map(task => task.taskName.toLowerCase())));
+  let added = 0;
+
+  try {
+    const completion = await provider.complete({
+      messages: [
+        {
+          role: 'system',
+          content: 'You help plan events on Mehfil. Reply with a JSON array only, no prose.'
+        },
+        {
+          role: 'user',
+          content: `Suggest up to ${MAX_ENRICHED_TASKS} extra planning tasks missing from this checklist.
+Event: ${JSON.stringify({
+    eventType: eventInfo.eventType,
+    guests: eventInfo.guests,
+    budget: eventInfo.budget,
+    theme: eventInfo.theme,
+    specialRequirements: eventInfo.specialRequirements
+  })}
+Existing tasks: ${JSON.stringify([...existing])}
+Each item: {"taskName": string, "category": one of ${JSON.stringify(Object.keys(CHECKLIST_CATEGORIES))}, "timelinePhase": one of ${JSON.stringify(PHASES.map(entry => entry.phase))}, "priority": "high" | "medium" | "low", "description": string}`
+        }
+      ]
+    });
+
+    const match = (completion.content || '').match(/\[[\s\S]*\]/);
+    const suggestions = match ? JSON.parse(match[0]) : [];
+
+    for (const suggestion of Array.isArray(suggestions) ? suggestions : []) {
+      if (added >= MAX_ENRICHED_TASKS) break;
+      const taskName = typeof suggestion?.taskName === 'string' ? suggestion.taskName.trim().slice(0, 200) : '';
+      if (!taskName || existing.has(taskName.toLowerCase())) continue;
+
+      const categoryName = CHECKLIST_CATEGORIES[suggestion.category] ? suggestion.category : 'Planning & Budget';
+      const timelinePhase = phaseIndex(suggestion.timelinePhase) !== -1
+        ? feasiblePhase(suggestion.timelinePhase, checklist.summary.daysUntilEvent)
+        : '1 month before';
+
+      let category = checklist.categories.find(item => item.name === categoryName);
+      if (!category) {
+        category = { name: categoryName, icon: CHECKLIST_CATEGORIES[categoryName], tasks: [] };
+        checklist.categories.push(category);
+      }
+      category.tasks.push({
+        taskName,
+        timelinePhase,
+        priority: ['high', 'medium', 'low'].includes(suggestion.priority) ? suggestion.priority : 'medium',
+        description: typeof suggestion.description === 'string' ? suggestion.description.slice(0, 1000) : undefined
+      });
+      existing.add(taskName.toLowerCase());
+      added++;
+    }
+  } catch (error) {
+    // The rule-based checklist stands on its own
+  }
+
+  checklist.summary.totalTasks += added;
+  checklist.summary.enrichedTasks = added;
+  return checklist;
+}
+
+module.exports = {
+  PHASES,
+  CHECKLIST_CATEGORIES,
+  getBudgetTier,
+  daysUntil,
+  feasiblePhase,
+  phaseDates,
+  generateChecklist,
+  findSuggestedVendors,
+  enrichChecklist
+};
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const UserEvent = require('../models/UserEvent');
+const UserEventActivity = require('../models/UserEventActivity');
+
+/*
+ * Roles on a user event:
+ *   owner  - UserEvent.user; everything, including sharing and deleting the event
+ *   editor - changes the plan, todos, budget and guest list
+ *   viewer - read-only
+ */
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const MAX_COLLABORATORS = 20;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Socket.io room that receives a user event's live updates.
+ * @param {string|object} userEventId
+ * @returns {string}
+ */
+const roomName = userEventId => `user_event_${userEventId}`;
+
+/**
+ * A user's role on a user event.
+ * @param {object} userEvent
+ * @param {string|object} userId
+ * @returns {'owner'|'editor'|'viewer'|null}
+ */
+function getRole(userEvent, userId) {
+  if (!userEvent || !userId) return null;
+  const id = String(userId);
+  const ownerId = userEvent.user?._id || userEvent.user;
+  if (String(ownerId) === id) return 'owner';
+
+  const collaborator = (userEvent.collaborators || []).find(current => (
+    current.status === 'accepted' && current.user && String(current.user._id || current.user) === id
+  ));
+  return collaborator ? collaborator.role : null;
+}
+
+/**
+ * Whether a role meets the required one.
+ * @param {string|null} role
+ * @param {string} minRole
+ * @returns {boolean}
+ */
+const hasRole = (role, minRole) => Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minRole];
+
+/**
+ * Query for the user events a user owns or has joined.
+ * @param {string|object} userId
+ * @returns {object}
+ */
+function accessibleEventsQuery(userId) {
+  return {
+    $or: [
+      { user: userId },
+      { collaborators: { $elemMatch: { user: userId, status: 'accepted' } } }
+    ]
+  };
+}
+
+/**
+ * Load a user event the user can access with at least minRole.
+ * Events the user has no access to are reported as not found.
+ * @param {string} userEventId
+ * @param {string|object} userId
+ * @param {string} [minRole='viewer']
+ * @returns {Promise<{userEvent?: object, role?: string, error?: {statusCode: number, message: string}}>}
+ */
+async function loadUserEvent(userEventId, userId, minRole = 'viewer') {
+  if (!mongoose.Types.ObjectId.isValid(userEventId)) {
+    return { error: { statusCode: 400, message: 'Invalid event ID' } };
+  }
+
+  const userEvent = await UserEvent.findOne({ _id: userEventId, ...accessibleEventsQuery(userId) });
+  const role = getRole(userEvent, userId);
+  if (!userEvent || !role) {
+    return { error: { statusCode: 404, message: 'Event not found' } };
+  }
+  if (!hasRole(role, minRole)) {
+    return {
+      error: {
+        statusCode: 403,
+        message: minRole === 'owner'
+          ? 'Only the event owner can do this'
+          : 'You have view-only access to this event'
+      }
+    };
+  }
+
+  return { userEvent, role };
+}
+
+/**
+ * Whether a user can be assigned todos on a user event (the owner or an accepted collaborator who can edit).
+ * @param {object} userEvent
+ * @param {string|object} userId
+ * @returns {boolean}
+ */
+const canBeAssigned = (userEvent, userId) => hasRole(getRole(userEvent, userId), 'editor');
+
+/**
+ * Add (or refresh) a pending invitation on a user event. The caller saves the document.
+ * @param {object} userEvent - UserEvent document
+ * @param {object} invitation
+ * @param {string} invitation.email
+ * @param {string} invitation.role - 'editor' or 'viewer'
+ * @param {string|object} invitation.invitedBy
+ * @returns {{collaborator: object, token: string}|{error: string}}
+ */
+function addInvitation(userEvent, { email, role, invitedBy }) {
+  const normalized = String(email || '').trim().toLowerCase();
+  const existing = userEvent.collaborators.find(collaborator => collaborator.email === normalized);
+
+  if (existing && existing.status === 'accepted') {
+    return { error: 'This person is already collaborating on the event' };
+  }
+  if (!existing && userEvent.collaborators.length >= MAX_COLLABORATORS) {
+    return { error: `An event can have at most ${MAX_COLLABORATORS} collaborators` };
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const values = {
+    email: normalized,
+    role,
+    status: 'pending',
+    inviteTokenHash: hashToken(token),
+    invitedBy,
+    invitedAt: new Date()
+  };
+
+  if (existing) {
+    existing.set(values);
+    return { collaborator: existing, token };
+  }
+  userEvent.collaborators.push(values);
+  return { collaborator: userEvent.collaborators[userEvent.collaborators.length - 1], token };
+}
+
+/**
+ * Find the user event and pending collaborator behind an invitation token.
+ * @param {string} token
+ * @returns {Promise<{userEvent: object, collaborator: object}|null>}
+ */
+async function findInvitation(token) {
+  const tokenHash = hashToken(token);
+  const userEvent = await UserEvent.findOne({ 'collaborators.inviteTokenHash': tokenHash })
+    .select('+collaborators.inviteTokenHash');
+  const collaborator = userEvent?.collaborators.find(current => (
+    current.inviteTokenHash === tokenHash && current.status === 'pending'
+  ));
+  return collaborator ? { userEvent, collaborator } : null;
+}
+
+/**
+ * Record a change in the event's activity feed and push it to everyone viewing the event.
+ * Never throws; the feed must not fail the change itself.
+ * @param {object} req - Express request (actor and socket service)
+ * @param {object} userEvent
+ * @param {object} activity
+ * @param {string} activity.action
+ * @param {string} activity.summary
+ * @param {object} [activity.target] - { type, id }
+ * @param {object} [activity.payload] - Extra data for live clients, not stored
+ * @returns {Promise<object|null>} The activity
+ */
+async function recordActivity(req, userEvent, { action, summary, target, payload }) {
+  try {
+    const activity = await UserEventActivity.create({
+      userEvent: userEvent._id,
+      actor: req.user?._id,
+      action,
+      summary: summary ? String(summary).slice(0, 300) : undefined,
+      target
+    });
+
+    const socketService = req.app?.get('socketService');
+    if (socketService) {
+      socketService.emitToUserEvent(userEvent._id, 'user_event_activity', {
+        userEventId: userEvent._id,
+        activity: {
+          ...activity.toObject(),
+          actor: {
+            _id: req.user._id,
+            name: req.user.customerProfile?.fullName || req.user.email
+          }
+        },
+        ...(payload && { payload })
+      });
+    }
+    return activity;
+  } catch (error) {
+    // The change stands even if the feed entry fails
+    return null;
+  }
+}
+
+/**
+ * Display name of the current user for feed summaries.
+ * @param {object} user
+ * @returns {string}
+ */
+const displayName = user => user?.customerProfile?.fullName || user?.email || 'Someone';
+
+module.exports = {
+  ROLE_RANK,
+  MAX_COLLABORATORS,
+  hashToken,
+  roomName,
+  getRole,
+  hasRole,
+  accessibleEventsQuery,
+  loadUserEvent,
+  canBeAssigned,
+  addInvitation,
+  findInvitation,
+  recordActivity,
+  displayName
+};
@@ -1,5 +1,11 @@
 const cron = require('node-cron');
 const viewTrackingService = require('./viewTrackingService');
+const paymentScheduleService = require('./paymentScheduleService');
+const todoReminderService = require('./todoReminderService');
+const ticketService = require('./ticketService');
+const softDeleteService = require('./softDeleteService');
+const dataExportService = require('./dataExportService');
+const halalCertificationService = require('./halalCertificationService');
 
 class CronService {
   constructor() {
@@ -13,6 +19,19 @@ class CronService {
     
     // Daily view count aggregation at 2 AM
     this.scheduleViewCountAggregation();
+
+    // Daily balance payment requests for deposit bookings at 9 AM
+    this.scheduleBalancePaymentRequests();
+
+    // Hourly todo reminders and digests, sent by each user's local time
+    this.scheduleTodoReminders();
+    this.scheduleTodoDigests();
+
+    // Hourly release of ticket reservations whose checkout was never completed
+    this.scheduleTicketReservationCleanup();
+    this.scheduleSoftDeletePurge();
+    this.scheduleDataExportCleanup();
+    this.scheduleHalalCertificationExpiry();
     
     // Cron jobs initialized
   }
@@ -61,6 +80,188 @@ class CronService {
     }
   }
 
+  // Schedule daily balance payment requests for bookings paid by deposit
+  scheduleBalancePaymentRequests() {
+    // Run daily at 9 AM UTC
+    const job = cron.schedule('0 9 * * *', async () => {
+      try {
+        await paymentScheduleService.requestDueBalances();
+      } catch (error) {
+        // Error requesting balance payments
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('balancePaymentRequests', job);
+  }
+
+  // Manually trigger balance payment requests (for testing)
+  async triggerBalancePaymentRequests() {
+    try {
+      return await paymentScheduleService.requestDueBalances();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Schedule hourly due-soon and overdue todo reminders; hourly so reminders held back by quiet hours go out soon after
+  scheduleTodoReminders() {
+    // Run every hour at :15 UTC
+    const job = cron.schedule('15 * * * *', async () => {
+      try {
+        await todoReminderService.sendTodoReminders();
+      } catch (error) {
+        // Error sending todo reminders
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('todoReminders', job);
+  }
+
+  // Manually trigger todo reminders (for testing)
+  async triggerTodoReminders() {
+    try {
+      return await todoReminderService.sendTodoReminders();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Schedule todo digest emails; hourly so each user gets theirs in the morning of their own time zone
+  scheduleTodoDigests() {
+    // Run every hour at :30 UTC
+    const job = cron.schedule('30 * * * *', async () => {
+      try {
+        await todoReminderService.sendDailyDigests();
+      } catch (error) {
+        // Error sending todo digests
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('todoDigests', job);
+  }
+
+  // Manually trigger todo digests (for testing)
+  async triggerTodoDigests() {
+    try {
+      return await todoReminderService.sendDailyDigests();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Schedule hourly release of stale ticket reservations (Stripe's expiry webhook handles the usual case)
+  scheduleTicketReservationCleanup() {
+    // Run every hour at :45 UTC
+    const job = cron.schedule('45 * * * *', async () => {
+      try {
+        await ticketService.releaseStaleOrders();
+      } catch (error) {
+        // Error releasing ticket reservations
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('ticketReservationCleanup', job);
+  }
+
+  // Manually trigger ticket reservation cleanup (for testing)
+  async triggerTicketReservationCleanup() {
+    try {
+      return await ticketService.releaseStaleOrders();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Schedule daily purge of trashed records past the retention period
+  scheduleSoftDeletePurge() {
+    // Run daily at 3:30 AM UTC
+    const job = cron.schedule('30 3 * * *', async () => {
+      try {
+        await softDeleteService.purgeExpired();
+      } catch (error) {
+        // Error purging trashed records
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('softDeletePurge', job);
+  }
+
+  // Manually trigger the trash purge (for testing)
+  async triggerSoftDeletePurge() {
+    try {
+      return await softDeleteService.purgeExpired();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Schedule hourly removal of expired data export archives
+  scheduleDataExportCleanup() {
+    // Run every hour at :50 UTC
+    const job = cron.schedule('50 * * * *', async () => {
+      try {
+        await dataExportService.cleanupExports();
+      } catch (error) {
+        // Error cleaning up data exports
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('dataExportCleanup', job);
+  }
+
+  // Manually trigger data export cleanup (for testing)
+  async triggerDataExportCleanup() {
+    try {
+      return await dataExportService.cleanupExports();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Schedule daily halal certificate expiry and renewal reminders
+  scheduleHalalCertificationExpiry() {
+    // Run daily at 6 AM UTC
+    const job = cron.schedule('0 6 * * *', async () => {
+      try {
+        await halalCertificationService.processExpirations();
+      } catch (error) {
+        // Error processing halal certificate expiry
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    this.jobs.set('halalCertificationExpiry', job);
+  }
+
+  // Manually trigger halal certificate expiry and reminders (for testing)
+  async triggerHalalCertificationExpiry() {
+    try {
+      return await halalCertificationService.processExpirations();
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
   // Stop all cron jobs
   stop() {
     // Stopping all cron jobs
@@ -75,9 +276,11 @@ class CronService {
   getStatus() {
     const status = {};
     this.jobs.forEach((job, name) => {
+      const state = job.getStatus();
       status[name] = {
-        running: job.running,
-        nextDate: job.nextDate()
+        status: state,
+        running: state === 'running',
+        nextDate: job.getNextRun()
       };
     });
     return status;
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const Message = require('../models/Message');
+const Review = require('../models/Review');
+const UserEvent = require('../models/UserEvent');
+const Todo = require('../models/Todo');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const EmailService = require('./emailService');
+const auditService = require('./auditService');
+const { getStorage } = require('./dataExportStorage');
+const { createZip } = require('../utils/zip');
+const { toCsv } = require('../utils/csv');
+
+// Hours a finished archive can be downloaded before it is deleted
+const DOWNLOAD_HOURS = parseInt(process.env.DATA_EXPORT_DOWNLOAD_HOURS, 10) || 48;
+
+// Exports a user can request per rolling day
+const DAILY_LIMIT = 3;
+
+// Jobs still pending or processing after this long were lost (e.g. a restart) and are failed
+const STALE_MINUTES = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Id of a reference whether or not it was populated
+const idOf = value => (value && value._id ? value._id : value);
+
+const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// CSV columns per file: [header, path or function of the record]
+const CSV_COLUMNS = {
+  bookings: [
+    ['id', '_id'],
+    ['listing', b => b.eventSnapshot?.name || b.customEventName || b.event?.name],
+    ['package', b => b.packageSnapshot?.name || b.packageName],
+    ['customer', b => idOf(b.customer)],
+    ['vendor', b => idOf(b.vendor)],
+    ['eventDate', 'eventDate'],
+    ['eventTime', 'eventTime'],
+    ['attendees', 'attendees'],
+    ['status', 'status'],
+    ['totalPrice', 'totalPrice'],
+    ['currency', 'payment.currency'],
+    ['amountPaid', 'payment.amountPaid'],
+    ['balanceAmount', 'payment.balanceAmount'],
+    ['refundAmount', 'payment.refundAmount'],
+    ['bookedAt', 'bookingDate']
+  ],
+  cart: [
+    ['listing', c => idOf(c.event)],
+    ['packageType', 'packageType'],
+    ['package', c => idOf(c.package)],
+    ['eventDate', 'eventDate']
+  ],
+  favorites: [
+    ['listing', f => idOf(f.event)],
+    ['addedAt', 'addedAt']
+  ],
+  messages: [
+    ['id', '_id'],
+    ['conversationId', 'conversationId'],
+    ['sender', m => idOf(m.sender)],
+    ['receiver', m => idOf(m.receiver)],
+    ['type', 'messageType'],
+    ['content', 'content'],
+    ['isRead', 'isRead'],
+    ['sentAt', 'createdAt']
+  ],
+  reviews: [
+    ['id', '_id'],
+    ['listing', r => idOf(r.event)],
+    ['vendor', r => idOf(r.vendor)],
+    ['customer', r => idOf(r.customer)],
+    ['rating', 'rating'],
+    ['comment', 'comment'],
+    ['vendorReply', 'vendorReply.comment'],
+    ['status', 'status'],
+    ['createdAt', 'createdAt']
+  ],
+  todos: [
+    ['id', '_id'],
+    ['userEvent', t => idOf(t.userEvent)],
+    ['task', 'taskName'],
+    ['category', 'category'],
+    ['priority', 'priority'],
+    ['status', 'status'],
+    ['startDate', 'startDate'],
+    ['endDate', 'endDate'],
+    ['completedAt', 'completedAt'],
+    ['description', 'description']
+  ],
+  invoices: [
+    ['id', '_id'],
+    ['invoiceNumber', 'invoiceNumber'],
+    ['clientName', 'clientName'],
+    ['invoiceDate', 'invoiceDate'],
+    ['dueDate', 'dueDate'],
+    ['subtotal', 'subtotal'],
+    ['taxAmount', 'taxAmount'],
+    ['total', 'total'],
+    ['status', 'status'],
+    ['paidAt', 'paidAt']
+  ],
+  notifications: [
+    ['id', '_id'],
+    ['type', 'type'],
+    ['title', 'title'],
+    ['message', 'message'],
+    ['isRead', 'isRead'],
+    ['createdAt', 'createdAt']
+  ]
+};
+
+const csvFor = (name, records) => {
+  const columns = CSV_COLUMNS[name];
+  return toCsv(
+    columns.map(([header]) => header),
+    records.map(record => columns.map(([, column]) => {
+      const value = typeof column === 'function' ? column(record) : get(record, column);
+      return value && typeof value === 'object' && !(value instanceof Date) ? String(value) : value;
+    }))
+  );
+};
+
+/**
+ * Everything the platform holds about a user, by archive file name.
+ * @param {object} user - User document
+ * @returns {Promise<object>}
+ */
+async function collectUserData(user) {
+  const userId = user._id;
+  const profile = await User.findById(userId).lean();
+  const { customerCart = [], favorites = [] } = profile.customerProfile || {};
+  if (profile.customerProfile) {
+    delete profile.customerProfile.customerCart;
+    delete profile.customerProfile.favorites;
+  }
+
+  const [bookings, messages, reviews, userEvents, todos, invoices, notifications] = await Promise.all([
+    Booking.find({ $or: [{ customer: userId }, { vendor: userId }] }).sort({ createdAt: -1 }).lean(),
+    Message.find({ $or: [{ sender: userId }, { receiver: userId }] }).sort({ createdAt: 1 }).lean(),
+    Review.find({ $or: [{ customer: userId }, { vendor: userId }] }).sort({ createdAt: -1 }).lean(),
+    UserEvent.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Todo.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Invoice.find({ vendor: userId }).sort({ createdAt: -1 }).lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean()
+  ]);
+
+  return {
+    // Secrets are not selected by default; redact anything that slips through
+    profile: auditService.redact(profile),
+    bookings,
+    cart: customerCart,
+    favorites,
+    messages,
+    reviews,
+    userEvents,
+    todos,
+    invoices,
+    notifications
+  };
+}
+
+/**
+ * Build the ZIP archive: one JSON file per section, plus CSV for tabular sections.
+ * @param {object} data - Output of collectUserData
+ * @param {Date} [exportedAt]
+ * @returns {{ buffer: Buffer, counts: object }}
+ */
+function buildArchive(data, exportedAt = new Date()) {
+  const entries = [];
+  const counts = {};
+
+  for (const [name, value] of Object.entries(data)) {
+    entries.push({ name: `${name}.json`, data: JSON.stringify(value, null, 2) });
+    if (Array.isArray(value)) {
+      counts[name] = value.length;
+      if (CSV_COLUMNS[name]) {
+        entries.push({ name: `csv/${name}.csv`, data: csvFor(name, value) });
+      }
+    }
+  }
+
+  entries.unshift({
+    name: 'README.txt',
+    data: [
+      'Mehfil personal data export',
+      `Exported at: ${exportedAt.toISOString()}`,
+      '',
+      'Each section of your data is a JSON file; bookings, cart, favorites, messages,',
+      'reviews, todos, invoices and notifications are also in the csv folder.',
+      ...Object.entries(counts).map(([name, count]) => `${name}: ${count} record(s)`)
+    ].join('\r\n')
+  });
+
+  return { buffer: createZip(entries, { date: exportedAt }), counts };
+}
+
+/**
+ * Queue a data export for a user; the archive is assembled in the background.
+ * @param {object} user - User document
+ * @returns {Promise<object>} { dataExport } or { error: { statusCode, message, dataExport } }
+ */
+async function requestExport(user) {
+  const inProgress = await DataExport.findOne({ user: user._id, status: { $in: ['pending', 'processing'] } });
+  if (inProgress) {
+    return { error: { statusCode: 409, message: 'Your data export is already being prepared', dataExport: inProgress } };
+  }
+
+  const recent = await DataExport.countDocuments({
+    user: user._id,
+    createdAt: { $gte: new Date(Date.now() - 24 * HOUR_MS) }
+  });
+  if (recent >= DAILY_LIMIT) {
+    return { error: { statusCode: 429, message: `You can request up to ${DAILY_LIMIT} data exports a day. Please try again later.` } };
+  }
+
+  const dataExport = await DataExport.create({ user: user._id });
+  setImmediate(() => {
+    processExport(dataExport._id).catch(error => {
+      console.error('Data export failed:', error.message, { dataExport: String(dataExport._id) });
+    });
+  });
+
+  return { dataExport };
+}
+
+/**
+ * Assemble, store and email one export. Claims the job first, so it runs once.
+ * @param {string} dataExportId
+ * @returns {Promise<object|null>} The finished export, or null if it was already claimed
+ */
+async function processExport(dataExportId) {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: dataExportId, status: 'pending' },
+    { $set: { status: 'processing', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  try {
+    const user = await User.findById(dataExport.user);
+    if (!user) throw new Error('User not found');
+
+    const now = new Date();
+    const { buffer, counts } = buildArchive(await collectUserData(user), now);
+
+    const storage = getStorage();
+    const fileName = `mehfil-data-${now.toISOString().slice(0, 10)}.zip`;
+    const storageKey = `${user._id}-${dataExport._id}.zip`;
+    await storage.save(storageKey, buffer, 'application/zip');
+
+    const token = crypto.randomBytes(32).toString('hex');
+    Object.assign(dataExport, {
+      status: 'ready',
+      storage: storage.name,
+      storageKey,
+      fileName,
+      size: buffer.length,
+      counts,
+      downloadTokenHash: hashToken(token),
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + DOWNLOAD_HOURS * HOUR_MS)
+    });
+    await dataExport.save();
+
+    await EmailService.sendDataExportReadyEmail({
+      toEmail: user.email,
+      exportId: dataExport._id,
+      token,
+      expiresAt: dataExport.expiresAt
+    });
+
+    return dataExport;
+  } catch (error) {
+    dataExport.status = 'failed';
+    dataExport.error = error.message;
+    await dataExport.save();
+    throw error;
+  }
+}
+
+/**
+ * Open a ready export for download with the emailed token.
+ * @param {string} dataExportId
+ * @param {string} token
+ * @returns {Promise<object>} { dataExport, stream } or { error: { statusCode, message } }
+ */
+async function openDownload(dataExportId, token) {
+  const dataExport = await DataExport.findById(dataExportId).select('+downloadTokenHash');
+  const valid = dataExport && dataExport.downloadTokenHash && token
+    && crypto.timingSafeEqual(Buffer.from(hashToken(String(token))), Buffer.from(dataExport.downloadTokenHash));
+  if (!valid) {
+    return { error: { statusCode: 404, message: 'Download link is invalid' } };
+  }
+
+  if (dataExport.status !== 'ready' || dataExport.expiresAt <= new Date()) {
+    return { error: { statusCode: 410, message: 'This download link has expired. Please request a new export.' } };
+  }
+
+  dataExport.downloadedAt = new Date();
+  await dataExport.save();
+
+  return { dataExport, stream: getStorage(dataExport.storage).read(dataExport.storageKey) };
+}
+
+/**
+ * Delete archives past their download window and fail jobs that never finished.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} { success, expired, failed }
+ */
+async function cleanupExports({ now = new Date() } = {}) {
+  const due = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } });
+
+  let expired = 0;
+  for (const dataExport of due) {
+    try {
+      await getStorage(dataExport.storage).remove(dataExport.storageKey);
+      const result = await DataExport.updateOne(
+        { _id: dataExport._id, status: 'ready' },
+        { $set: { status: 'expired' }, $unset: { downloadTokenHash: 1 } }
+      );
+      expired += result.modifiedCount;
+    } catch (error) {
+      console.error('Failed to remove expired data export:', error.message, { dataExport: String(dataExport._id) });
+    }
+  }
+
+  const stale = await DataExport.updateMany(
+    {
+      status: { $in: ['pending', 'processing'] },
+      createdAt: { $lte: new Date(now.getTime() - STALE_MINUTES * 60 * 1000) }
+    },
+    { $set: { status: 'failed', error: 'Export did not finish' } }
+  );
+
+  return { success: true, expired, failed: stale.modifiedCount };
+}
+
+module.exports = {
+  DOWNLOAD_HOURS,
+  DAILY_LIMIT,
+  collectUserData,
+  buildArchive,
+  requestExport,
+  processExport,
+  openDownload,
+  cleanupExports
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AWS = require('aws-sdk');
+
+// Where export archives are kept until they expire: 's3' (private objects in S3_BUCKET_NAME)
+// or 'local' (files under DATA_EXPORT_DIR). Defaults to S3 when a bucket is configured.
+const STORAGE = process.env.DATA_EXPORT_STORAGE || (process.env.S3_BUCKET_NAME ? 's3' : 'local');
+
+const KEY_PREFIX = 'data-exports/';
+
+let s3;
+const getS3 = () => {
+  if (!s3) {
+    s3 = new AWS.S3({
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_KEY,
+      region: process.env.AWS_REGION
+    });
+  }
+  return s3;
+};
+
+const s3Storage = {
+  name: 's3',
+
+  async save(key, buffer, contentType) {
+    await getS3().putObject({
+      Bucket: process.env.S3_BUCKET_NAME,
+      Key: `${KEY_PREFIX}${key}`,
+      Body: buffer,
+      ContentType: contentType,
+      ServerSideEncryption: 'AES256'
+    }).promise();
+  },
+
+  read(key) {
+    return getS3().getObject({ Bucket: process.env.S3_BUCKET_NAME, Key: `${KEY_PREFIX}${key}` }).createReadStream();
+  },
+
+  async remove(key) {
+    await getS3().deleteObject({ Bucket: process.env.S3_BUCKET_NAME, Key: `${KEY_PREFIX}${key}` }).promise();
+  }
+};
+
+const localDir = () => process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), 'mehfil-data-exports');
+
+// Keys are generated by the export service, but never let one leave the export directory
+const localPath = key => path.join(localDir(), path.basename(key));
+
+const localStorage = {
+  name: 'local',
+
+  async save(key, buffer) {
+    await fs.promises.mkdir(localDir(), { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(localPath(key), buffer, { mode: 0o600 });
+  },
+
+  read(key) {
+    return fs.createReadStream(localPath(key));
+  },
+
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+const ADAPTERS = {
+  s3: s3Storage,
+  local: localStorage
+};
+
+/**
+ * Storage adapter for export archives: { name, save(key, buffer, contentType), read(key) -> stream, remove(key) }.
+ * @param {string} [name] - Adapter an export was stored with; defaults to the configured one
+ * @returns {object}
+ */
+function getStorage(name = STORAGE) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown data export storage: ${name}`);
+  }
+  return adapter;
+}
+
+module.exports = {
+  getStorage
+};
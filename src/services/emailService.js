@@ -1,7 +1,24 @@
-const transporter = require('../config/email');
+let transporter = require('../config/email');
 const emailTemplate = require('./emailTemplate');
 
+// The user agent is client-controlled, so it is escaped before going into the HTML
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 class EmailService {
+  // Swap the transport, e.g. for one that records messages in tests.
+  // Anything with a nodemailer-style sendMail(message) works.
+  static setTransport(transport) {
+    transporter = transport;
+  }
+
+  static getTransport() {
+    return transporter;
+  }
+
   static formatCurrency(amount, currency = 'usd') {
     try {
       return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(Number(amount || 0));
@@ -117,6 +134,88 @@ class EmailService {
     }
   }
 
+  static async sendBalanceDueEmail({ toEmail, customerName, eventName, eventDate, balanceAmount, balanceDueDate, currency = 'usd', paymentUrl }) {
+    const title = 'Your Balance Payment is Due';
+
+    const details = `
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align:left;">
+        <div style="margin-bottom: 8px;"><strong>Booking:</strong> ${escapeHtml(eventName || 'Event booking')}</div>
+        <div style="margin-bottom: 8px;"><strong>Event Date:</strong> ${eventDate ? new Date(eventDate).toLocaleDateString() : '-'}</div>
+        <div style="margin-bottom: 8px;"><strong>Balance Due:</strong> ${this.formatCurrency(balanceAmount, currency)}</div>
+        <div style="margin-bottom: 8px;"><strong>Due By:</strong> ${balanceDueDate ? new Date(balanceDueDate).toLocaleDateString() : '-'}</div>
+      </div>
+    `;
+
+    const content = `
+      <p style="text-align:left;">Hi ${escapeHtml(customerName || 'there')},</p>
+      <p style="text-align:left;">Your deposit secured this booking. The remaining balance is now due so your vendor can finalize everything for your event.</p>
+      ${details}
+      <p style="text-align:left; color:#777; font-size:13px;">This payment link expires after 24 hours. You can always get a new one from <strong>My Orders</strong> in your dashboard.</p>
+    `;
+
+    const button = { text: 'Pay Balance', url: paymentUrl };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: 'Balance Payment Due - Mehfil',
+      html,
+    };
+
+    try {
+      const info = await transporter.sendMail(message);
+
+      return true;
+    } catch (error) {
+      // Error sending balance due email
+      return false;
+    }
+  }
+
+  static async sendBookingCancellationEmail({ toEmail, recipientName, eventName, eventDate, eventTime, cancelledByRole, reason, refundAmount = 0, currency = 'usd' }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const title = 'Booking Cancelled';
+
+    const details = `
+      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0; text-align:left;">
+        <div style="margin-bottom: 8px;"><strong>Booking:</strong> ${escapeHtml(eventName || 'Event booking')}</div>
+        <div style="margin-bottom: 8px;"><strong>Event Date:</strong> ${eventDate ? new Date(eventDate).toLocaleDateString() : '-'}${eventTime ? ` at ${escapeHtml(eventTime)}` : ''}</div>
+        <div style="margin-bottom: 8px;"><strong>Cancelled By:</strong> ${escapeHtml(cancelledByRole || '-')}</div>
+        <div style="margin-bottom: 8px;"><strong>Reason:</strong> ${escapeHtml(reason || 'No specific reason provided')}</div>
+        <div style="margin-bottom: 8px;"><strong>Refund:</strong> ${refundAmount > 0 ? this.formatCurrency(refundAmount, currency) : 'No refund'}</div>
+      </div>
+    `;
+
+    const content = `
+      <p style="text-align:left;">Hi ${escapeHtml(recipientName || 'there')},</p>
+      <p style="text-align:left;">The following booking has been cancelled.</p>
+      ${details}
+      <p style="text-align:left; color:#777; font-size:13px;">Refunds usually reach the original payment method within 5-10 business days.</p>
+    `;
+
+    const button = { text: 'View Dashboard', url: frontendUrl };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: 'Booking Cancelled - Mehfil',
+      html,
+    };
+
+    try {
+      const info = await transporter.sendMail(message);
+
+      return true;
+    } catch (error) {
+      // Error sending booking cancellation email
+      return false;
+    }
+  }
+
   static async sendPasswordResetEmail(email, resetToken, origin) {
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
     const resetUrl = `${frontendUrl}/reset-password/${resetToken}`;
@@ -230,6 +329,273 @@ class EmailService {
   }
 
 
+  static async sendNewDeviceLoginEmail({ toEmail, userAgent, ip, loggedInAt = new Date() }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const title = 'New Sign-in to Your Account';
+    const content = `
+      <p>We noticed a sign-in to your Mehfil account from a device we haven't seen before.</p>
+      <div style="text-align:left; background:#f9f9fb; border-radius:8px; padding:16px; margin: 16px 0; color:#555; font-size:14px;">
+        <div><strong>When:</strong> ${new Date(loggedInAt).toUTCString()}</div>
+        <div><strong>Device:</strong> ${escapeHtml(userAgent || 'Unknown device')}</div>
+        <div><strong>IP address:</strong> ${escapeHtml(ip || 'Unknown')}</div>
+      </div>
+      <p>If this was you, you can ignore this email.</p>
+      <p>If you don't recognize this sign-in, sign out the device from your account's security settings and change your password right away.</p>
+    `;
+
+    const button = {
+      text: 'Review Devices',
+      url: `${frontendUrl}/account/security`
+    };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: 'New sign-in to your account - Mehfil',
+      html,
+    };
+
+    try {
+      await transporter.sendMail(message);
+      return true;
+    } catch (error) {
+      // Error sending new device sign-in email
+      // Do not throw to avoid failing the login
+      return false;
+    }
+  }
+
+  static async sendCollaboratorInviteEmail({ toEmail, inviterName, eventTitle, eventDate, role, inviteToken }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const title = `You're Invited to Help Plan ${escapeHtml(eventTitle)}`;
+    const content = `
+      <p>${escapeHtml(inviterName || 'A Mehfil user')} has invited you to plan <strong>${escapeHtml(eventTitle)}</strong> together on Mehfil.</p>
+      <div style="text-align:left; background:#f9f9fb; border-radius:8px; padding:16px; margin: 16px 0; color:#555; font-size:14px;">
+        <div><strong>Event date:</strong> ${eventDate ? new Date(eventDate).toDateString() : 'To be decided'}</div>
+        <div><strong>Your access:</strong> ${role === 'editor' ? 'Can edit the plan and tasks' : 'Can view the plan'}</div>
+      </div>
+      <p>Sign in or create a customer account with this email address to accept the invitation.</p>
+    `;
+
+    const button = {
+      text: 'Accept Invitation',
+      url: `${frontendUrl}/planner/invitations/${inviteToken}`
+    };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `Help plan ${eventTitle} - Mehfil`,
+      html,
+    };
+
+    try {
+      await transporter.sendMail(message);
+      return true;
+    } catch (error) {
+      // Error sending collaborator invitation email
+      return false;
+    }
+  }
+
+  static async sendTodoDigestEmail({ toEmail, recipientName, overdue = [], dueSoon = [] }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const title = 'Your Planning Tasks for Today';
+
+    const taskList = (heading, color, todos) => {
+      if (!todos.length) return '';
+      const rows = todos.map(todo => `
+        <li style="margin-bottom: 6px;">
+          <strong>${escapeHtml(todo.taskName)}</strong>
+          <span style="color:#777;"> - ${escapeHtml(todo.eventTitle || 'Your event')}, due ${new Date(todo.endDate).toDateString()}</span>
+        </li>
+      `).join('');
+      return `
+        <h3 style="color:${color}; margin: 20px 0 8px 0; font-size: 16px; text-align:left;">${heading} (${todos.length})</h3>
+        <ul style="text-align:left; padding-left: 20px; color:#333; font-size:14px;">${rows}</ul>
+      `;
+    };
+
+    const content = `
+      <p style="text-align:left;">Hi ${escapeHtml(recipientName || 'there')},</p>
+      <p style="text-align:left;">Here is what needs your attention in your event plans.</p>
+      ${taskList('Overdue', '#d32f2f', overdue)}
+      ${taskList('Due soon', '#1976d2', dueSoon)}
+      <p style="text-align:left; color:#777; font-size:13px;">You can change reminder settings and quiet hours in your account's notification preferences.</p>
+    `;
+
+    const button = { text: 'Open My Planner', url: `${frontendUrl}/planner` };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `${overdue.length ? `${overdue.length} overdue, ` : ''}${dueSoon.length} due soon - Mehfil Planner`,
+      html,
+    };
+
+    try {
+      await transporter.sendMail(message);
+      return true;
+    } catch (error) {
+      // Error sending todo digest email
+      return false;
+    }
+  }
+
+  static async sendTicketEmail({ toEmail, buyerName, event = {}, tickets = [], totalAmount = 0, currency = 'usd' }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const title = `Your Tickets for ${escapeHtml(event.title || 'your event')}`;
+    const location = event.location ? `${event.location.city}, ${event.location.state}` : '';
+
+    const ticketRows = tickets.map((ticket, index) => `
+      <li style="margin-bottom: 8px;">
+        <strong>Ticket ${index + 1}</strong> &middot; ${escapeHtml(ticket.ticketNumber)}
+        &middot; <a href="${ticket.url}" style="color:#1976d2;">Show QR code</a>
+      </li>
+    `).join('');
+
+    const content = `
+      <p style="text-align:left;">Hi ${escapeHtml(buyerName || 'there')},</p>
+      <p style="text-align:left;">You're going to <strong>${escapeHtml(event.title || 'the event')}</strong>. Show each ticket's QR code at the entrance; every code admits one person once.</p>
+      <div style="text-align:left; background:#f9f9fb; border-radius:8px; padding:16px; margin: 16px 0; color:#555; font-size:14px;">
+        <div><strong>Date:</strong> ${event.date ? new Date(event.date).toDateString() : 'To be announced'}${event.time ? ` at ${escapeHtml(event.time)}` : ''}</div>
+        ${location ? `<div><strong>Location:</strong> ${escapeHtml(location)}</div>` : ''}
+        <div><strong>Total paid:</strong> ${this.formatCurrency(totalAmount, currency)}</div>
+      </div>
+      <ul style="text-align:left; padding-left: 20px; color:#333; font-size:14px;">${ticketRows}</ul>
+      <p style="text-align:left; color:#777; font-size:13px;">Keep these links private: anyone with a ticket's QR code can use it to get in.</p>
+    `;
+
+    const button = { text: 'View My Tickets', url: `${frontendUrl}/tickets` };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: `Your tickets for ${event.title || 'your event'} - Mehfil`,
+      html,
+    };
+
+    try {
+      await transporter.sendMail(message);
+      return true;
+    } catch (error) {
+      // Error sending ticket email
+      // Do not throw to avoid failing webhook flow
+      return false;
+    }
+  }
+
+  static async sendDataExportReadyEmail({ toEmail, exportId, token, expiresAt }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const title = 'Your Mehfil Data Export Is Ready';
+    const content = `
+      <p>The copy of your personal data you requested is ready. It includes your profile, bookings, cart, favorites, messages, reviews, planner events, todos, invoices and notifications as JSON and CSV files in a ZIP archive.</p>
+      <p>The download link works until <strong>${new Date(expiresAt).toUTCString()}</strong>. After that the archive is deleted and you can request a new export from your account settings.</p>
+      <p style="color:#777; font-size:13px;">Anyone with this link can download your data, so please don't forward this email. If you didn't request an export, change your password.</p>
+    `;
+
+    const button = {
+      text: 'Download My Data',
+      url: `${frontendUrl}/account/data-export/${exportId}?token=${token}`
+    };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: toEmail,
+      subject: 'Your data export is ready - Mehfil',
+      html,
+    };
+
+    try {
+      await transporter.sendMail(message);
+      return true;
+    } catch (error) {
+      // Error sending data export email
+      return false;
+    }
+  }
+
+  static async sendHalalCertificationReviewEmail({ vendorEmail, businessName, approved, notes, expiryDate }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const title = approved ? 'Your Halal Certificate Is Approved' : 'Your Halal Certificate Needs Attention';
+    const content = approved
+      ? `
+      <p>Good news: the halal certificate for <strong>${escapeHtml(businessName || 'your business')}</strong> has been verified. Your listings now show the Halal Verified badge and appear in halal-certified search results.</p>
+      <p>The certificate is valid until <strong>${new Date(expiryDate).toDateString()}</strong>. We'll remind you before then so you can upload the renewed certificate in time.</p>
+    `
+      : `
+      <p>We couldn't verify the halal certificate you uploaded for <strong>${escapeHtml(businessName || 'your business')}</strong>.</p>
+      <div style="text-align:left; background:#f9f9fb; border-radius:8px; padding:16px; margin: 16px 0; color:#555; font-size:14px;">
+        <strong>Reviewer notes:</strong> ${escapeHtml(notes || 'Please contact support for more details.')}
+      </div>
+      <p>Please upload a corrected certificate from your vendor profile.</p>
+    `;
+
+    const button = { text: 'View Certification', url: `${frontendUrl}/vendor/profile` };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: vendorEmail,
+      subject: `${approved ? 'Halal certificate approved' : 'Halal certificate not approved'} - Mehfil`,
+      html,
+    };
+
+    try {
+      await transporter.sendMail(message);
+      return true;
+    } catch (error) {
+      // Error sending halal certification review email
+      return false;
+    }
+  }
+
+  static async sendHalalCertificationExpiryEmail({ vendorEmail, businessName, expiryDate, daysLeft }) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const expired = daysLeft <= 0;
+    const when = daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`;
+    const title = expired ? 'Your Halal Certificate Has Expired' : `Your Halal Certificate Expires ${when}`;
+    const content = expired
+      ? `
+      <p>The halal certificate for <strong>${escapeHtml(businessName || 'your business')}</strong> expired on ${new Date(expiryDate).toDateString()}. The Halal Verified badge has been removed from your listings and they no longer appear in halal-certified search results.</p>
+      <p>Upload your renewed certificate and we'll restore the badge once it is verified.</p>
+    `
+      : `
+      <p>The halal certificate for <strong>${escapeHtml(businessName || 'your business')}</strong> expires on <strong>${new Date(expiryDate).toDateString()}</strong>.</p>
+      <p>Upload your renewed certificate before then to keep the Halal Verified badge on your listings without a gap.</p>
+    `;
+
+    const button = { text: 'Upload Renewed Certificate', url: `${frontendUrl}/vendor/profile` };
+
+    const html = emailTemplate(title, content, button);
+
+    const message = {
+      from: `"Mehfil" <${process.env.EMAIL_USER}>`,
+      to: vendorEmail,
+      subject: `${expired ? 'Your halal certificate has expired' : `Your halal certificate expires ${when}`} - Mehfil`,
+      html,
+    };
+
+    try {
+      await transporter.sendMail(message);
+      return true;
+    } catch (error) {
+      // Error sending halal certification expiry email
+      return false;
+    }
+  }
+
   static async sendVendorVerificationRequestEmail({ 
     vendorEmail, 
     vendorName, 
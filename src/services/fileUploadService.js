@@ -25,6 +25,29 @@ const fileFilter = (req, file, cb) => {
 
 exports.uploadInMemory = multer({ storage: memoryStorage, fileFilter });
 
+// Upload middleware for up to maxCount files of at most maxMb each in one field.
+// Upload errors (too large, too many, wrong type) are answered with a 400 instead of a server error.
+const limitedArrayUpload = (field, maxCount, maxMb, label) => {
+  const upload = multer({
+    storage: memoryStorage,
+    fileFilter,
+    limits: { fileSize: maxMb * 1024 * 1024, files: maxCount }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) return next();
+      res.status(400).json({
+        status: 'fail',
+        message: error.code === 'LIMIT_FILE_SIZE' ? `Each ${label} must be ${maxMb}MB or smaller` : error.message
+      });
+    });
+  };
+};
+
+exports.uploadHalalDocuments = limitedArrayUpload('documents', 5, 10, 'certificate document');
+exports.uploadReviewPhotos = limitedArrayUpload('photos', 5, 10, 'photo');
+
 
 // 2. Image Processing and S3 Upload Logic
 const s3 = new AWS.S3({
@@ -398,4 +421,110 @@ exports.processAndUploadBlogImages = async (files, adminId) => {
         // Error processing/uploading blog images
         throw new Error('Failed to process and upload blog images');
     }
-};
\ No newline at end of file
+};
+
+// 9. Review Photos Upload Logic
+exports.processAndUploadReviewImages = async (files, userId) => {
+    try {
+        const uploadedUrls = await Promise.all(
+            files.map(async (file, index) => {
+                // Create a unique filename for the optimized review photo
+                const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9) + '-' + index;
+                const newFilename = `reviews/${userId}-${uniqueSuffix}.webp`;
+
+                // Process the image: resize and convert to WebP with optimized settings
+                const processedBuffer = await sharp(file.buffer)
+                    .resize({ 
+                        width: 1600, 
+                        height: 1600, 
+                        fit: 'inside', 
+                        withoutEnlargement: true 
+                    }) // Resize to max dimensions for review photos
+                    .webp({ 
+                        quality: 80,
+                        effort: 4, // Higher compression effort for smaller file size
+                        nearLossless: false // Better compression
+                    }) // Convert to WebP with 80% quality
+                    .toBuffer();
+
+                // Upload to S3
+                await s3.upload({
+                    Bucket: process.env.S3_BUCKET_NAME,
+                    Key: newFilename,
+                    Body: processedBuffer,
+                    ContentType: 'image/webp',
+                    CacheControl: 'public, max-age=31536000' // Cache for 1 year
+                }).promise();
+
+                // Return the public URL of the uploaded file
+                return `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${newFilename}`;
+            })
+        );
+
+        return uploadedUrls;
+    } catch (error) {
+        // Error processing/uploading review photos
+        throw new Error('Failed to process and upload review photos');
+    }
+};
+
+// 10. Halal Certificate Document Upload Logic
+// Certificates are kept as uploaded (PDF, image or DOCX) so reviewers see the original document.
+// They are private objects; reviewers open them through short-lived signed URLs.
+exports.uploadHalalCertificateDocuments = async (files, vendorId) => {
+    try {
+        const documents = await Promise.all(
+            files.map(async (file, index) => {
+                // Create a unique filename for the certificate document
+                const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9) + '-' + index;
+                const extension = file.originalname.split('.').pop();
+                const newFilename = `halal-certifications/${vendorId}-${uniqueSuffix}.${extension}`;
+
+                // Upload to S3
+                await s3.upload({
+                    Bucket: process.env.S3_BUCKET_NAME,
+                    Key: newFilename,
+                    Body: file.buffer,
+                    ContentType: file.mimetype,
+                    ACL: 'private',
+                    ServerSideEncryption: 'AES256',
+                    CacheControl: 'private, no-store'
+                }).promise();
+
+                return {
+                    key: newFilename,
+                    fileName: file.originalname,
+                    contentType: file.mimetype
+                };
+            })
+        );
+
+        return documents;
+    } catch (error) {
+        // Error uploading halal certificate documents
+        throw new Error('Failed to upload halal certificate documents');
+    }
+};
+
+// 11. Signed URL for a halal certificate document
+// Private documents get a link valid for 15 minutes; older documents only have their public URL
+exports.getHalalDocumentUrl = (document) => {
+    if (!document?.key) return document?.url || null;
+    return s3.getSignedUrl('getObject', {
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: document.key,
+        Expires: 15 * 60
+    });
+};
+
+// 12. Remove files uploaded by this service, given their public URLs (e.g. after a failed save)
+exports.deleteUploadedFiles = async (urls) => {
+    const prefix = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/`;
+    const keys = urls.filter(url => url.startsWith(prefix)).map(url => ({ Key: url.slice(prefix.length) }));
+    if (!keys.length) return;
+
+    await s3.deleteObjects({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Delete: { Objects: keys, Quiet: true }
+    }).promise();
+};
@@ -0,0 +1,124 @@
+const User = require('../models/User');
+const Event = require('../models/Event');
+const { METERS_PER_MILE, geocodeZip, hasCoordinates } = require('../utils/geo');
+
+const DEFAULT_RADIUS_MILES = 25;
+const MAX_RADIUS_MILES = 500;
+
+/**
+ * Read radius search parameters from a request query.
+ * Accepts either `lat` + `lng` or `near=<zipCode>`, plus an optional `radius` in miles.
+ * @param {object} query - req.query
+ * @returns {object|null} null when no location was given, `{ error }` when it is invalid,
+ *   otherwise `{ point, radiusMiles, maxDistance }` with maxDistance in meters
+ */
+function parseGeoQuery(query = {}) {
+  const { lat, lng, near, radius } = query;
+  if (lat === undefined && lng === undefined && !near) {
+    return null;
+  }
+
+  let point;
+  if (near) {
+    point = geocodeZip(near);
+    if (!point) {
+      return { error: `Could not find a location for zip code "${near}".` };
+    }
+  } else {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: 'Please provide a valid lat and lng.' };
+    }
+    point = { type: 'Point', coordinates: [longitude, latitude] };
+  }
+
+  let radiusMiles = DEFAULT_RADIUS_MILES;
+  if (radius !== undefined) {
+    radiusMiles = parseFloat(radius);
+    if (isNaN(radiusMiles) || radiusMiles <= 0) {
+      return { error: 'Radius must be a positive number of miles.' };
+    }
+    radiusMiles = Math.min(radiusMiles, MAX_RADIUS_MILES);
+  }
+
+  return { point, radiusMiles, maxDistance: radiusMiles * METERS_PER_MILE };
+}
+
+/**
+ * Build the $geoNear stage for a radius search. Results come back sorted by
+ * distance with a `distance` field in miles. Must be the first stage of the pipeline.
+ * @param {object} geo - Result of parseGeoQuery
+ * @param {object} options
+ * @param {string} options.key - The 2dsphere-indexed field
+ * @param {object} [options.query] - Extra filter applied alongside the distance
+ * @returns {object} The $geoNear stage
+ */
+function geoNearStage(geo, { key, query = {} }) {
+  return {
+    $geoNear: {
+      near: geo.point,
+      key,
+      distanceField: 'distance',
+      maxDistance: geo.maxDistance,
+      distanceMultiplier: 1 / METERS_PER_MILE,
+      spherical: true,
+      query
+    }
+  };
+}
+
+// Round distances for display (miles, one decimal)
+const roundDistanceStage = { $addFields: { distance: { $round: ['$distance', 1] } } };
+
+/**
+ * Geocode vendors and listings that have a zip code but no coordinates yet.
+ * Safe to run repeatedly; only missing coordinates are filled in.
+ * @returns {Promise<object>} { vendors: { updated, skipped }, events: { updated, skipped } }
+ */
+async function backfillGeo() {
+  const result = {
+    vendors: { updated: 0, skipped: 0 },
+    events: { updated: 0, skipped: 0 }
+  };
+
+  const vendors = await User.find({
+    role: 'vendor',
+    'vendorProfile.businessAddress.zipCode': { $nin: [null, ''] }
+  }).select('vendorProfile.businessAddress.zipCode vendorProfile.geo');
+
+  for (const vendor of vendors) {
+    if (hasCoordinates(vendor.vendorProfile.geo)) continue;
+    const point = geocodeZip(vendor.vendorProfile.businessAddress.zipCode);
+    if (!point) {
+      result.vendors.skipped++;
+      continue;
+    }
+    // updateOne skips the profile-completion hooks (and their emails)
+    await User.updateOne({ _id: vendor._id }, { $set: { 'vendorProfile.geo': point } });
+    result.vendors.updated++;
+  }
+
+  const events = await Event.find({ 'geo.coordinates': { $exists: false } }).select('location.zipCode');
+
+  for (const event of events) {
+    const point = geocodeZip(event.location?.zipCode);
+    if (!point) {
+      result.events.skipped++;
+      continue;
+    }
+    await Event.updateOne({ _id: event._id }, { $set: { geo: point } });
+    result.events.updated++;
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_RADIUS_MILES,
+  MAX_RADIUS_MILES,
+  parseGeoQuery,
+  geoNearStage,
+  roundDistanceStage,
+  backfillGeo
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const GuestHousehold = require('../models/GuestHousehold');
+const UserEvent = require('../models/UserEvent');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+// Marketplace categories (Event.category) priced per head
+const CATERING_CATEGORIES = ['Food', 'Drinks', 'Desserts'];
+
+const DIETARY_FLAGS = ['halal', 'vegetarian', 'nutAllergy'];
+const SIDES = ['bride', 'groom', 'both'];
+const MAX_IMPORT_ROWS = 2000;
+
+// Key for an invitation's sub-event; the event itself when there is none
+const MAIN_EVENT = 'main';
+const subEventKey = subEvent => (subEvent ? String(subEvent) : MAIN_EVENT);
+
+// Whether two dates fall on the same UTC day; an invalid date matches nothing
+const sameDay = (a, b) => {
+  const first = new Date(a);
+  const second = new Date(b);
+  if (isNaN(first.getTime()) || isNaN(second.getTime())) return false;
+  return first.toISOString().slice(0, 10) === second.toISOString().slice(0, 10);
+};
+
+/**
+ * Random token for a household's public RSVP link.
+ * @returns {string}
+ */
+function generateRsvpToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Public RSVP URL for a token.
+ * @param {string} token
+ * @returns {string}
+ */
+function rsvpUrl(token) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/rsvp/${token}`;
+}
+
+/**
+ * The functions guests can be invited to: the event's sub-events, or the event itself.
+ * @param {object} userEvent
+ * @returns {Array<{key: string, id: object|null, name: string, date: Date}>}
+ */
+function invitableEvents(userEvent) {
+  if (userEvent.subEvents?.length) {
+    return userEvent.subEvents.map(subEvent => ({
+      key: String(subEvent._id),
+      id: subEvent._id,
+      name: subEvent.name,
+      date: subEvent.date || userEvent.date
+    }));
+  }
+  return [{ key: MAIN_EVENT, id: null, name: userEvent.title, date: userEvent.date }];
+}
+
+/**
+ * Build invitations for the given sub-event keys, keeping earlier responses.
+ * Unknown keys are ignored; no keys means every invitable event.
+ * @param {object} userEvent
+ * @param {string[]} [keys]
+ * @param {object[]} [existing] - Current invitations
+ * @returns {object[]}
+ */
+function buildInvitations(userEvent, keys, existing = []) {
+  const events = invitableEvents(userEvent);
+  const wanted = keys && keys.length
+    ? events.filter(event => keys.map(String).includes(event.key))
+    : events;
+
+  return wanted.map(event => {
+    const previous = existing.find(invitation => subEventKey(invitation.subEvent) === event.key);
+    return previous
+      ? { subEvent: event.id, status: previous.status, respondedAt: previous.respondedAt }
+      : { subEvent: event.id, status: 'pending' };
+  });
+}
+
+/**
+ * Guest counts per sub-event and for the whole event.
+ * "expected" counts guests who have not declined (attending or still pending).
+ * @param {object} userEvent
+ * @param {object[]} households
+ * @returns {object} { totals, subEvents }
+ */
+function computeHeadcount(userEvent, households) {
+  const emptyCounts = () => ({
+    invited: 0,
+    attending: 0,
+    declined: 0,
+    pending: 0,
+    expected: 0,
+    children: 0,
+    dietary: DIETARY_FLAGS.reduce((counts, flag) => ({ ...counts, [flag]: 0 }), {}),
+    bySide: SIDES.reduce((counts, side) => ({ ...counts, [side]: 0 }), {})
+  });
+
+  const events = invitableEvents(userEvent);
+  const perEvent = new Map(events.map(event => [event.key, emptyCounts()]));
+  const totals = { households: households.length, guests: 0, attending: 0, declined: 0, pending: 0, expected: 0 };
+
+  for (const household of households) {
+    for (const member of household.members) {
+      const invitations = member.invitations.filter(invitation => perEvent.has(subEventKey(invitation.subEvent)));
+      totals.guests++;
+
+      for (const invitation of invitations) {
+        const counts = perEvent.get(subEventKey(invitation.subEvent));
+        counts.invited++;
+        counts[invitation.status]++;
+        if (invitation.status === 'declined') continue;
+
+        counts.expected++;
+        if (member.isChild) counts.children++;
+        DIETARY_FLAGS.forEach(flag => {
+          if (member.dietary?.[flag]) counts.dietary[flag]++;
+        });
+        counts.bySide[household.side || 'both']++;
+      }
+
+      // A guest counts once for the event: attending anything, or declined everything
+      const statuses = invitations.map(invitation => invitation.status);
+      if (statuses.includes('attending')) {
+        totals.attending++;
+      } else if (statuses.length && statuses.every(status => status === 'declined')) {
+        totals.declined++;
+      } else {
+        totals.pending++;
+      }
+    }
+  }
+  totals.expected = totals.attending + totals.pending;
+
+  return {
+    totals,
+    subEvents: events.map(event => ({
+      id: event.id,
+      name: event.name,
+      date: event.date,
+      ...perEvent.get(event.key)
+    }))
+  };
+}
+
+/**
+ * Headcount for a user event, loaded from its guest list.
+ * @param {object} userEvent
+ * @returns {Promise<object>}
+ */
+async function getHeadcount(userEvent) {
+  const households = await GuestHousehold.find({ userEvent: userEvent._id }).lean();
+  return computeHeadcount(userEvent, households);
+}
+
+/**
+ * Keep UserEvent.guests equal to the expected headcount once a guest list exists.
+ * @param {object} userEvent - UserEvent document
+ * @returns {Promise<object>} The headcount
+ */
+async function syncGuestCount(userEvent) {
+  const headcount = await getHeadcount(userEvent);
+  if (headcount.totals.guests > 0 && userEvent.guests !== headcount.totals.expected) {
+    await UserEvent.updateOne({ _id: userEvent._id }, { $set: { guests: headcount.totals.expected } });
+    userEvent.guests = headcount.totals.expected;
+  }
+  return headcount;
+}
+
+/**
+ * Attendee count to suggest when booking a caterer for an event: the expected
+ * headcount of the sub-event on the booking date, or of the whole event.
+ * Falls back to UserEvent.guests when there is no guest list.
+ * @param {object} userEvent
+ * @param {object} [options]
+ * @param {Date|string} [options.date] - Booking date
+ * @returns {Promise<number>}
+ */
+async function suggestAttendees(userEvent, { date } = {}) {
+  const headcount = await getHeadcount(userEvent);
+  if (!headcount.totals.guests) {
+    return userEvent.guests || 0;
+  }
+
+  if (date && userEvent.subEvents?.length) {
+    const sameDayEvents = headcount.subEvents.filter(subEvent => subEvent.date && sameDay(subEvent.date, date));
+    if (sameDayEvents.length) {
+      return Math.max(...sameDayEvents.map(subEvent => subEvent.expected));
+    }
+  }
+  return headcount.totals.expected;
+}
+
+const yes = value => ['yes', 'y', 'true', '1', 'x'].includes(String(value || '').trim().toLowerCase());
+
+/**
+ * Turn guest-list CSV rows into households. Rows with the same household name are
+ * grouped; a row without one becomes its own household. The "events" column lists
+ * sub-event names separated by ";" (empty means all of them).
+ *
+ * Columns: household, side, name, email, phone, child, halal, vegetarian, nut allergy, dietary notes, events
+ * @param {object} userEvent
+ * @param {string} text - CSV document
+ * @returns {{households: object[], errors: Array<{row: number, message: string}>}}
+ */
+function parseGuestCsv(userEvent, text) {
+  const rows = parseCsv(text);
+  const errors = [];
+  const households = new Map();
+  const events = invitableEvents(userEvent);
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return { households: [], errors: [{ row: 0, message: `A guest list import is limited to ${MAX_IMPORT_ROWS} rows` }] };
+  }
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // After the header row, 1-based
+    const name = row.name || row.guest || '';
+    if (!name) {
+      errors.push({ row: rowNumber, message: 'Guest name is required' });
+      return;
+    }
+
+    const side = (row.side || 'both').toLowerCase();
+    if (!SIDES.includes(side)) {
+      errors.push({ row: rowNumber, message: `Side must be one of: ${SIDES.join(', ')}` });
+      return;
+    }
+
+    const eventNames = (row.events || '').split(';').map(value => value.trim().toLowerCase()).filter(Boolean);
+    const unknown = eventNames.filter(eventName => !events.some(event => event.name.toLowerCase() === eventName));
+    if (unknown.length) {
+      errors.push({ row: rowNumber, message: `Unknown sub-event: ${unknown.join(', ')}` });
+      return;
+    }
+    const keys = events
+      .filter(event => eventNames.includes(event.name.toLowerCase()))
+      .map(event => event.key);
+
+    const householdName = row.household || name;
+    const groupKey = householdName.toLowerCase();
+    if (!households.has(groupKey)) {
+      households.set(groupKey, {
+        userEvent: userEvent._id,
+        user: userEvent.user,
+        name: householdName,
+        side,
+        email: row.email || undefined,
+        phone: row.phone || undefined,
+        members: []
+      });
+    }
+
+    households.get(groupKey).members.push({
+      name,
+      email: row.email || undefined,
+      phone: row.phone || undefined,
+      isChild: yes(row.child),
+      dietary: {
+        halal: yes(row.halal),
+        vegetarian: yes(row.vegetarian),
+        nutAllergy: yes(row['nut allergy'] || row.nutallergy)
+      },
+      dietaryNotes: row['dietary notes'] || undefined,
+      invitations: buildInvitations(userEvent, keys)
+    });
+  });
+
+  return { households: [...households.values()], errors };
+}
+
+/**
+ * Guest list as CSV, one row per guest with an RSVP column per sub-event.
+ * The output can be imported again.
+ * @param {object} userEvent
+ * @param {object[]} households
+ * @returns {string}
+ */
+function guestListToCsv(userEvent, households) {
+  const events = invitableEvents(userEvent);
+  const headers = [
+    'household', 'side', 'name', 'email', 'phone', 'child',
+    'halal', 'vegetarian', 'nut allergy', 'dietary notes', 'events',
+    ...events.map(event => `rsvp: ${event.name}`)
+  ];
+  const flag = value => (value ? 'yes' : '');
+
+  const rows = [];
+  for (const household of households) {
+    for (const member of household.members) {
+      const byKey = new Map(member.invitations.map(invitation => [subEventKey(invitation.subEvent), invitation]));
+      rows.push([
+        household.name,
+        household.side,
+        member.name,
+        member.email,
+        member.phone,
+        flag(member.isChild),
+        flag(member.dietary?.halal),
+        flag(member.dietary?.vegetarian),
+        flag(member.dietary?.nutAllergy),
+        member.dietaryNotes,
+        events.filter(event => byKey.has(event.key)).map(event => event.name).join(';'),
+        ...events.map(event => byKey.get(event.key)?.status || '')
+      ]);
+    }
+  }
+
+  return toCsv(headers, rows);
+}
+
+module.exports = {
+  CATERING_CATEGORIES,
+  DIETARY_FLAGS,
+  SIDES,
+  MAIN_EVENT,
+  subEventKey,
+  generateRsvpToken,
+  rsvpUrl,
+  invitableEvents,
+  buildInvitations,
+  computeHeadcount,
+  getHeadcount,
+  syncGuestCount,
+  suggestAttendees,
+  parseGuestCsv,
+  guestListToCsv
+};
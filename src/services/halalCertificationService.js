@@ -0,0 +1,243 @@
+const User = require('../models/User');
+const EmailService = require('./emailService');
+const { getHalalDocumentUrl } = require('./fileUploadService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CERT = 'vendorProfile.halalCertification';
+
+// Renewal reminders, most urgent first; each is sent once per certificate
+const REMINDERS = [
+  { flag: 'oneDayBefore', days: 1 },
+  { flag: 'sevenDays', days: 7 },
+  { flag: 'thirtyDays', days: 30 }
+];
+
+/**
+ * Query matching vendors with a verified certificate that has not expired yet.
+ * @param {Date} [now]
+ * @returns {object}
+ */
+const certifiedVendorFilter = (now = new Date()) => ({
+  role: 'vendor',
+  [`${CERT}.status`]: 'certified',
+  [`${CERT}.expiryDate`]: { $gt: now }
+});
+
+/**
+ * certifiedVendorFilter as an aggregation expression on a user document, for
+ * pipelines that need to compute it (e.g. the search facets) rather than match on it.
+ * @param {Date} [now]
+ * @returns {object}
+ */
+const certifiedVendorExpression = (now = new Date()) => ({
+  $and: Object.entries(certifiedVendorFilter(now)).map(([path, condition]) => (
+    condition && typeof condition === 'object' && !(condition instanceof Date)
+      ? { $and: Object.entries(condition).map(([operator, value]) => ({ [operator]: [`$${path}`, value] })) }
+      : { $eq: [`$${path}`, condition] }
+  ))
+});
+
+/**
+ * Copy of a certification with a viewable url on every document, for API responses.
+ * Private documents get a short-lived signed URL.
+ * @param {object} cert - vendorProfile.halalCertification (document or plain object)
+ * @returns {object}
+ */
+function withDocumentUrls(cert) {
+  if (!cert) return cert;
+  const plain = cert.toObject ? cert.toObject() : cert;
+  const sign = (documents = []) => documents.map(document => ({ ...document, url: getHalalDocumentUrl(document) }));
+  return {
+    ...plain,
+    documents: sign(plain.documents),
+    submission: plain.submission && { ...plain.submission, documents: sign(plain.submission.documents) }
+  };
+}
+
+/**
+ * Put an uploaded certificate up for admin review. Mutates the vendor; the caller saves.
+ * The live certificate is left as it is until the submission is approved.
+ * @param {object} vendor - Vendor User document
+ * @param {object} submission
+ * @param {Array<object>} [submission.documents] - Uploaded files ({ key, fileName, contentType })
+ * @param {string} [submission.certificateNumber]
+ * @param {string} [submission.issuingAuthority]
+ * @param {string|Date} [submission.expiryDate]
+ * @returns {object} {} or { error: { statusCode, message } }
+ */
+function applySubmission(vendor, { documents = [], certificateNumber, issuingAuthority, expiryDate } = {}) {
+  const cert = vendor.vendorProfile.halalCertification;
+  const pending = cert.review?.status === 'pending' ? cert.submission : null;
+
+  // Details sent without a new file amend the pending submission, or resubmit the current certificate
+  let submittedDocuments = documents;
+  if (!submittedDocuments.length && pending?.documents?.length) submittedDocuments = pending.documents;
+  if (!submittedDocuments.length && cert.certificationFile) submittedDocuments = [{ url: cert.certificationFile }];
+  if (!submittedDocuments.length) {
+    return { error: { statusCode: 400, message: 'Please upload your halal certificate' } };
+  }
+
+  const expiry = expiryDate ? new Date(expiryDate) : (pending?.expiryDate || null);
+  if (!expiry || Number.isNaN(expiry.getTime())) {
+    return { error: { statusCode: 400, message: 'Certificate expiry date is required' } };
+  }
+  if (expiry <= new Date()) {
+    return { error: { statusCode: 400, message: 'This certificate has already expired' } };
+  }
+
+  cert.submission = {
+    documents: submittedDocuments,
+    certificateNumber: certificateNumber ?? pending?.certificateNumber ?? cert.certificateNumber,
+    issuingAuthority: issuingAuthority ?? pending?.issuingAuthority ?? cert.issuingAuthority,
+    expiryDate: expiry,
+    submittedAt: new Date()
+  };
+  cert.review = { status: 'pending' };
+  return {};
+}
+
+/**
+ * Approve or reject a vendor's pending certificate and email them the outcome.
+ * Approval makes the submission the live certificate and restores the Halal Verified badge.
+ * @param {string} vendorId
+ * @param {object} decision
+ * @param {string} decision.decision - 'approve' or 'reject'
+ * @param {string} [decision.notes] - Required when rejecting
+ * @param {string} decision.reviewedBy - Admin user id
+ * @returns {Promise<object>} { vendor } or { error: { statusCode, message } }
+ */
+async function reviewSubmission(vendorId, { decision, notes, reviewedBy }) {
+  if (!['approve', 'reject'].includes(decision)) {
+    return { error: { statusCode: 400, message: 'Decision must be approve or reject' } };
+  }
+  if (decision === 'reject' && !notes?.trim()) {
+    return { error: { statusCode: 400, message: 'Please give the vendor a reason for the rejection' } };
+  }
+
+  const vendor = await User.findOne({ _id: vendorId, role: 'vendor' });
+  if (!vendor) return { error: { statusCode: 404, message: 'Vendor not found' } };
+
+  const cert = vendor.vendorProfile.halalCertification;
+  if (cert.review?.status !== 'pending') {
+    return { error: { statusCode: 409, message: 'This vendor has no certificate waiting for review' } };
+  }
+
+  const now = new Date();
+  const { submission } = cert;
+  if (decision === 'approve') {
+    if (!submission.expiryDate || submission.expiryDate <= now) {
+      return { error: { statusCode: 400, message: 'The submitted certificate has expired; ask the vendor for a current one' } };
+    }
+    Object.assign(cert, {
+      hasHalalCert: true,
+      documents: submission.documents,
+      // Only older, public documents have a url to show here
+      certificationFile: submission.documents[0]?.url || null,
+      certificateNumber: submission.certificateNumber,
+      issuingAuthority: submission.issuingAuthority,
+      expiryDate: submission.expiryDate,
+      verifiedByAdmin: true,
+      verificationDate: now,
+      status: 'certified',
+      renewalReminders: { thirtyDays: false, sevenDays: false, oneDayBefore: false }
+    });
+    vendor.vendorProfile.halalVerifiedBadge = true;
+  }
+  cert.review = {
+    status: decision === 'approve' ? 'approved' : 'rejected',
+    notes: notes?.trim(),
+    reviewedAt: now,
+    reviewedBy
+  };
+
+  await vendor.save({ validateBeforeSave: false });
+
+  await EmailService.sendHalalCertificationReviewEmail({
+    vendorEmail: vendor.email,
+    businessName: vendor.vendorProfile.businessName,
+    approved: decision === 'approve',
+    notes: cert.review.notes,
+    expiryDate: cert.expiryDate
+  });
+
+  return { vendor };
+}
+
+/**
+ * Daily run: expire certificates past their expiry date, removing the Halal Verified
+ * badge, and send each 30/7/1-day renewal reminder once. Every vendor is claimed with
+ * a conditional update before emailing, so overlapping runs cannot send twice.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} { success, expired, reminders }
+ */
+async function processExpirations({ now = new Date() } = {}) {
+  const dueToExpire = await User.find({
+    role: 'vendor',
+    [`${CERT}.status`]: 'certified',
+    [`${CERT}.expiryDate`]: { $lte: now }
+  }).select('email vendorProfile.businessName vendorProfile.halalCertification.expiryDate');
+
+  let expired = 0;
+  for (const vendor of dueToExpire) {
+    const result = await User.updateOne(
+      { _id: vendor._id, [`${CERT}.status`]: 'certified' },
+      { $set: { [`${CERT}.status`]: 'expired', 'vendorProfile.halalVerifiedBadge': false } }
+    );
+    if (!result.modifiedCount) continue;
+
+    expired++;
+    await EmailService.sendHalalCertificationExpiryEmail({
+      vendorEmail: vendor.email,
+      businessName: vendor.vendorProfile.businessName,
+      expiryDate: vendor.vendorProfile.halalCertification.expiryDate,
+      daysLeft: 0
+    });
+  }
+
+  const reminders = {};
+  for (const [index, { flag, days }] of REMINDERS.entries()) {
+    reminders[flag] = 0;
+    const vendors = await User.find({
+      role: 'vendor',
+      [`${CERT}.status`]: 'certified',
+      [`${CERT}.expiryDate`]: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+      [`${CERT}.renewalReminders.${flag}`]: { $ne: true }
+    }).select('email vendorProfile.businessName vendorProfile.halalCertification.expiryDate');
+
+    // A later reminder makes the earlier ones moot (e.g. a certificate approved 5 days before expiry)
+    const claimed = Object.fromEntries(
+      REMINDERS.slice(index).map(reminder => [`${CERT}.renewalReminders.${reminder.flag}`, true])
+    );
+
+    for (const vendor of vendors) {
+      const result = await User.updateOne(
+        { _id: vendor._id, [`${CERT}.renewalReminders.${flag}`]: { $ne: true } },
+        { $set: claimed }
+      );
+      if (!result.modifiedCount) continue;
+
+      const expiryDate = vendor.vendorProfile.halalCertification.expiryDate;
+      reminders[flag]++;
+      await EmailService.sendHalalCertificationExpiryEmail({
+        vendorEmail: vendor.email,
+        businessName: vendor.vendorProfile.businessName,
+        expiryDate,
+        daysLeft: Math.max(1, Math.ceil((expiryDate - now) / DAY_MS))
+      });
+    }
+  }
+
+  return { success: true, expired, reminders };
+}
+
+module.exports = {
+  REMINDERS,
+  certifiedVendorFilter,
+  certifiedVendorExpression,
+  withDocumentUrls,
+  applySubmission,
+  reviewSubmission,
+  processExpirations
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginHistory = require('../models/LoginHistory');
+const EmailService = require('./emailService');
+
+// Failed attempts allowed before the account is locked
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS, 10) || 5;
+// The first lockout lasts this long; each further one doubles, up to the maximum
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+
+// Failures that count towards a lockout; the others are only recorded
+const COUNTED_FAILURES = ['invalid_password', 'invalid_2fa'];
+
+const clientInfo = req => {
+  const userAgent = (req.get('user-agent') || '').slice(0, 500);
+  return {
+    ip: req.ip,
+    userAgent,
+    deviceHash: crypto.createHash('sha256').update(userAgent).digest('hex')
+  };
+};
+
+/**
+ * How long the next lockout lasts.
+ * @param {number} lockCount - Lockouts since the last successful sign-in
+ * @returns {number} Minutes
+ */
+function lockoutMinutes(lockCount) {
+  return Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockCount, LOCKOUT_MAX_MINUTES);
+}
+
+/**
+ * Whether the account is currently locked. The user must be loaded with +loginSecurity.
+ * @param {object} user
+ * @returns {object} { locked, lockedUntil }
+ */
+function getLockStatus(user) {
+  const lockUntil = user.loginSecurity?.lockUntil;
+  if (lockUntil && lockUntil > new Date()) {
+    return { locked: true, lockedUntil: lockUntil };
+  }
+  return { locked: false, lockedUntil: null };
+}
+
+/**
+ * Record a failed sign-in and lock the account once too many have failed in a row.
+ * @param {object} params
+ * @param {object} [params.user] - Matching account, if any
+ * @param {string} [params.email] - Email that was tried
+ * @param {object} params.req - Express request
+ * @param {string} params.reason - See LoginHistory.failureReason
+ * @returns {Promise<object>} { locked, lockedUntil, attemptsRemaining }
+ */
+async function recordFailedLogin({ user, email, req, reason }) {
+  let lockedUntil = null;
+  let attemptsRemaining = null;
+
+  if (user && COUNTED_FAILURES.includes(reason)) {
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      { $inc: { 'loginSecurity.failedAttempts': 1 } },
+      { new: true }
+    ).select('+loginSecurity');
+
+    const { failedAttempts = 0, lockCount = 0 } = updated?.loginSecurity || {};
+
+    if (failedAttempts >= MAX_FAILED_LOGIN_ATTEMPTS) {
+      const until = new Date(Date.now() + lockoutMinutes(lockCount) * 60 * 1000);
+      // Conditional so concurrent failures only lock (and escalate) once
+      const result = await User.updateOne(
+        { _id: user._id, 'loginSecurity.failedAttempts': { $gte: MAX_FAILED_LOGIN_ATTEMPTS } },
+        {
+          $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockUntil': until },
+          $inc: { 'loginSecurity.lockCount': 1 }
+        }
+      );
+      if (result.modifiedCount > 0) {
+        lockedUntil = until;
+      }
+    } else {
+      attemptsRemaining = MAX_FAILED_LOGIN_ATTEMPTS - failedAttempts;
+    }
+  }
+
+  await LoginHistory.create({
+    user: user?._id,
+    email: email || user?.email,
+    success: false,
+    failureReason: reason,
+    lockedUntil,
+    ...clientInfo(req)
+  });
+
+  return { locked: !!lockedUntil, lockedUntil, attemptsRemaining };
+}
+
+/**
+ * Record a successful sign-in, clear the failure counters and email the user
+ * when the device has not been used with the account before.
+ * @param {object} user
+ * @param {object} req - Express request
+ * @returns {Promise<object>} { newDevice }
+ */
+async function recordSuccessfulLogin(user, req) {
+  const info = clientInfo(req);
+
+  const [knownDevice, signedInBefore] = await Promise.all([
+    LoginHistory.exists({ user: user._id, success: true, deviceHash: info.deviceHash }),
+    LoginHistory.exists({ user: user._id, success: true })
+  ]);
+  // The very first sign-in is not news to anyone
+  const newDevice = !knownDevice && !!signedInBefore;
+
+  await Promise.all([
+    User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockCount': 0 },
+        $unset: { 'loginSecurity.lockUntil': '' }
+      }
+    ),
+    LoginHistory.create({
+      user: user._id,
+      email: user.email,
+      success: true,
+      newDevice,
+      ...info
+    })
+  ]);
+
+  if (newDevice) {
+    // Not awaited; the email never holds up or fails the login
+    EmailService.sendNewDeviceLoginEmail({
+      toEmail: user.email,
+      userAgent: info.userAgent,
+      ip: info.ip
+    });
+  }
+
+  return { newDevice };
+}
+
+/**
+ * Most recent sign-in attempts for an account.
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<object[]>}
+ */
+async function getLoginHistory(userId, { limit = 50 } = {}) {
+  return LoginHistory.find({ user: userId })
+    .select('-deviceHash -__v')
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+module.exports = {
+  MAX_FAILED_LOGIN_ATTEMPTS,
+  lockoutMinutes,
+  getLockStatus,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  getLoginHistory
+};
@@ -0,0 +1,235 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const EmailService = require('./emailService');
+const payoutService = require('./payoutService');
+const cancellationService = require('./cancellationService');
+const { getStripe } = require('../config/stripe');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The balance is due this many days before the event date
+const BALANCE_DUE_DAYS = parseInt(process.env.BALANCE_DUE_DAYS, 10) || 14;
+
+// The balance payment link is sent this many days before the balance is due
+const BALANCE_REQUEST_LEAD_DAYS = parseInt(process.env.BALANCE_REQUEST_LEAD_DAYS, 10) || 3;
+
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Work out how a booking is paid under the vendor's booking rules.
+ * `depositPercentage` takes precedence over the fixed `depositRequired` amount.
+ * Bookings whose balance would already be due are charged in full.
+ * @param {object} params
+ * @param {number} params.totalPrice - Price of the booking (before tax)
+ * @param {Date|string} params.eventDate - Date of the event
+ * @param {object} [params.bookingRules] - vendorProfile.bookingRules of the vendor
+ * @param {Date} [params.now] - Reference time, defaults to now
+ * @returns {object} { schedule, amountDueNow, depositAmount, balanceAmount, balanceDueDate }
+ */
+function calculatePaymentSchedule({ totalPrice, eventDate, bookingRules, now = new Date() }) {
+  const total = roundCurrency(Number(totalPrice) || 0);
+  const fullPayment = {
+    schedule: 'full',
+    amountDueNow: total,
+    depositAmount: 0,
+    balanceAmount: 0,
+    balanceDueDate: null
+  };
+
+  const percentage = Number(bookingRules?.depositPercentage) || 0;
+  const fixedAmount = Number(bookingRules?.depositRequired) || 0;
+
+  let depositAmount = 0;
+  if (percentage > 0) {
+    depositAmount = roundCurrency(total * percentage / 100);
+  } else if (fixedAmount > 0) {
+    depositAmount = roundCurrency(fixedAmount);
+  }
+
+  if (depositAmount <= 0 || depositAmount >= total) {
+    return fullPayment;
+  }
+
+  const eventTime = new Date(eventDate).getTime();
+  if (isNaN(eventTime)) {
+    return fullPayment;
+  }
+
+  const balanceDueDate = new Date(eventTime - BALANCE_DUE_DAYS * DAY_MS);
+  if (balanceDueDate <= now) {
+    return fullPayment;
+  }
+
+  return {
+    schedule: 'deposit',
+    amountDueNow: depositAmount,
+    depositAmount,
+    balanceAmount: roundCurrency(total - depositAmount),
+    balanceDueDate
+  };
+}
+
+/**
+ * Create a Stripe Checkout session for the outstanding balance of a booking.
+ * Any earlier balance session that is still open is expired so the balance
+ * cannot be paid twice.
+ * @param {object} booking - Booking document with an outstanding balance
+ * @returns {Promise<object>} The Stripe Checkout session
+ */
+async function createBalanceCheckoutSession(booking) {
+  const stripe = getStripe();
+  const currency = booking.payment?.currency || (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+  const eventName = booking.eventSnapshot?.name || booking.event?.name || 'Event booking';
+
+  if (booking.payment.balanceSessionId) {
+    try {
+      const previous = await stripe.checkout.sessions.retrieve(booking.payment.balanceSessionId);
+      if (previous.status === 'open') {
+        await stripe.checkout.sessions.expire(previous.id);
+      }
+    } catch (error) {
+      // Previous balance session could not be expired
+    }
+  }
+
+  const session = await stripe.checkout.sessions.create({
+    mode: 'payment',
+    payment_method_types: ['card'],
+    line_items: [
+      {
+        price_data: {
+          currency,
+          product_data: {
+            name: eventName,
+            description: `Remaining balance for booking on ${new Date(booking.eventDate).toLocaleDateString()}`
+          },
+          unit_amount: Math.round(booking.payment.balanceAmount * 100)
+        },
+        quantity: 1
+      }
+    ],
+    success_url: `${process.env.FRONTEND_URL}/order-confirmation?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${process.env.FRONTEND_URL}/customer_profile_dash?tab=My%20Orders`,
+    metadata: {
+      type: 'booking_balance',
+      bookingId: booking._id.toString(),
+      userId: (booking.customer?._id || booking.customer).toString()
+    }
+  });
+
+  booking.payment.balanceSessionId = session.id;
+  booking.payment.balanceRequestedAt = new Date();
+  await booking.save();
+
+  return session;
+}
+
+/**
+ * Record a completed balance payment from a `checkout.session.completed` webhook.
+ * @param {object} session - The Stripe Checkout session
+ * @returns {Promise<object|null>} The updated booking, or null when nothing was outstanding
+ */
+async function markBalancePaid(session) {
+  const booking = await Booking.findById(session.metadata?.bookingId);
+  // The booking was cancelled while its balance checkout was open: give the money back
+  if (booking?.status === 'Cancelled') {
+    return cancellationService.refundLateBalancePayment(booking, session);
+  }
+  if (!booking || !(booking.payment?.balanceAmount > 0)) {
+    return null;
+  }
+
+  const paid = typeof session.amount_total === 'number'
+    ? session.amount_total / 100
+    : booking.payment.balanceAmount;
+
+  booking.payment.amountPaid = roundCurrency((booking.payment.amountPaid || 0) + paid);
+  booking.payment.balanceAmount = 0;
+  booking.payment.balanceSessionId = session.id;
+  booking.payment.balancePaymentIntentId = session.payment_intent;
+  booking.payment.balancePaidAt = new Date();
+  await booking.save();
+
+  try {
+    await payoutService.syncPayout(booking);
+  } catch (payoutError) {
+    // Payout will be retried from the admin payouts report
+  }
+
+  try {
+    await Notification.create({
+      recipient: booking.vendor._id,
+      sender: booking.customer._id,
+      type: 'payment',
+      title: 'Balance Paid',
+      message: `The remaining balance for "${booking.eventSnapshot?.name || 'your listing'}" has been paid.`,
+      data: { bookingId: booking._id, amount: paid },
+      actionUrl: '/profile_listing?tab=Bookings'
+    });
+  } catch (notificationError) {
+    // Failed to notify vendor about the balance payment
+  }
+
+  return booking;
+}
+
+/**
+ * Send balance payment links for bookings whose balance falls due soon.
+ * Each booking is requested once; customers can get a fresh link from
+ * POST /api/bookings/:id/pay-balance.
+ * @returns {Promise<object>} { success, requested, failed }
+ */
+async function requestDueBalances() {
+  const cutoff = new Date(Date.now() + BALANCE_REQUEST_LEAD_DAYS * DAY_MS);
+  const bookings = await Booking.find({
+    status: { $in: ['Pending', 'Confirmed'] },
+    'payment.balanceAmount': { $gt: 0 },
+    'payment.balanceRequestedAt': null,
+    'payment.balanceDueDate': { $lte: cutoff }
+  });
+
+  let requested = 0;
+  let failed = 0;
+
+  for (const booking of bookings) {
+    try {
+      const session = await createBalanceCheckoutSession(booking);
+
+      await EmailService.sendBalanceDueEmail({
+        toEmail: booking.customer?.email || booking.customerSnapshot?.email,
+        customerName: booking.customer?.customerProfile?.fullName || booking.customerSnapshot?.fullName,
+        eventName: booking.eventSnapshot?.name || booking.event?.name,
+        eventDate: booking.eventDate,
+        balanceAmount: booking.payment.balanceAmount,
+        balanceDueDate: booking.payment.balanceDueDate,
+        currency: booking.payment.currency,
+        paymentUrl: session.url
+      });
+
+      await Notification.create({
+        recipient: booking.customer._id,
+        sender: booking.vendor._id,
+        type: 'payment',
+        title: 'Balance Payment Due',
+        message: `The remaining balance for "${booking.eventSnapshot?.name || 'your booking'}" is due by ${booking.payment.balanceDueDate.toLocaleDateString()}.`,
+        data: { bookingId: booking._id, amount: booking.payment.balanceAmount },
+        actionUrl: '/customer_profile_dash?tab=My%20Orders',
+        priority: 'high'
+      });
+
+      requested++;
+    } catch (error) {
+      failed++;
+    }
+  }
+
+  return { success: true, requested, failed };
+}
+
+module.exports = {
+  BALANCE_DUE_DAYS,
+  calculatePaymentSchedule,
+  createBalanceCheckoutSession,
+  markBalancePaid,
+  requestDueBalances
+};
@@ -0,0 +1,252 @@
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const CommissionRate = require('../models/CommissionRate');
+const { getStripe } = require('../config/stripe');
+
+// Used when no 'default' commission rate has been saved by an admin
+const parsedCommission = parseFloat(process.env.PLATFORM_COMMISSION_PERCENT);
+const DEFAULT_COMMISSION_PERCENT = isNaN(parsedCommission) ? 10 : parsedCommission;
+
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Look up the platform commission for a listing category
+ * @param {string} [category] - Event category
+ * @returns {Promise<number>} Commission percentage
+ */
+async function getCommissionRate(category) {
+  const rates = await CommissionRate.find({ category: { $in: [category, 'default'].filter(Boolean) } });
+  const specific = rates.find(r => r.category === category);
+  const fallback = rates.find(r => r.category === 'default');
+  if (specific) return specific.percentage;
+  if (fallback) return fallback.percentage;
+  return DEFAULT_COMMISSION_PERCENT;
+}
+
+// Recompute the payout summary from its transfers
+function summarizePayout(payout) {
+  const transfers = payout.transfers;
+  payout.grossAmount = roundCurrency(transfers.reduce((sum, t) => sum + t.grossAmount, 0));
+  payout.feeAmount = roundCurrency(transfers.reduce((sum, t) => sum + t.feeAmount, 0));
+  payout.netAmount = roundCurrency(transfers.reduce((sum, t) => sum + t.amount, 0));
+  payout.transferredAmount = roundCurrency(transfers.filter(t => t.status === 'transferred').reduce((sum, t) => sum + t.amount, 0));
+  payout.reversedAmount = roundCurrency(transfers.reduce((sum, t) => sum + (t.reversedAmount || 0), 0));
+
+  if (transfers.some(t => t.status === 'failed')) {
+    payout.status = 'failed';
+  } else if (transfers.some(t => t.status === 'pending' && t.amount > 0)) {
+    payout.status = payout.status === 'awaiting_onboarding' ? 'awaiting_onboarding' : 'pending';
+  } else if (payout.transferredAmount > 0 && payout.reversedAmount >= payout.transferredAmount) {
+    payout.status = 'reversed';
+  } else if (payout.transferredAmount > 0) {
+    payout.status = 'transferred';
+  } else {
+    payout.status = 'pending';
+  }
+}
+
+// Payments received for a booking, as { paymentIntentId, grossAmount } (pre-tax)
+function getReceivedPayments(booking) {
+  const payment = booking.payment || {};
+  const payments = [];
+
+  if (payment.paymentIntentId && payment.amountPaid > 0) {
+    const initial = payment.schedule === 'deposit' ? payment.depositAmount : payment.amountPaid;
+    payments.push({ paymentIntentId: payment.paymentIntentId, grossAmount: roundCurrency(initial) });
+  }
+  if (payment.balancePaymentIntentId && payment.balancePaidAt) {
+    payments.push({
+      paymentIntentId: payment.balancePaymentIntentId,
+      grossAmount: roundCurrency(payment.amountPaid - (payment.depositAmount || 0))
+    });
+  }
+
+  return payments;
+}
+
+/**
+ * Transfer a single pending payout to the vendor's connected account
+ * @param {object} booking - Booking document
+ * @param {object} transfer - Pending entry of booking.payout.transfers
+ * @param {string} accountId - Vendor's Stripe Connect account
+ */
+async function createTransfer(booking, transfer, accountId) {
+  const stripe = getStripe();
+  // Tie the transfer to the charge so it only runs once the funds are available
+  const paymentIntent = await stripe.paymentIntents.retrieve(transfer.paymentIntentId);
+
+  const stripeTransfer = await stripe.transfers.create({
+    amount: Math.round(transfer.amount * 100),
+    currency: booking.payment?.currency || 'usd',
+    destination: accountId,
+    source_transaction: paymentIntent.latest_charge || undefined,
+    transfer_group: `booking_${booking._id}`,
+    metadata: { bookingId: booking._id.toString() }
+  }, {
+    idempotencyKey: `payout-${booking._id}-${transfer._id}-${transfer.attempts || 0}`
+  });
+
+  transfer.transferId = stripeTransfer.id;
+  transfer.status = 'transferred';
+}
+
+/**
+ * Make sure every payment received for a booking has a payout entry and
+ * transfer whatever is pending. Safe to call repeatedly.
+ * @param {object} booking - Booking document
+ * @returns {Promise<object>} The booking's payout
+ */
+async function syncPayout(booking) {
+  const payout = booking.payout;
+  const payments = getReceivedPayments(booking);
+  const missing = payments.filter(p => !payout.transfers.some(t => t.paymentIntentId === p.paymentIntentId));
+
+  if (missing.length) {
+    if (payout.commissionRate === undefined || payout.commissionRate === null) {
+      const event = await Event.findById(booking.event?._id || booking.event).select('category');
+      payout.commissionRate = await getCommissionRate(event?.category);
+    }
+    for (const p of missing) {
+      const feeAmount = roundCurrency(p.grossAmount * payout.commissionRate / 100);
+      payout.transfers.push({
+        paymentIntentId: p.paymentIntentId,
+        grossAmount: p.grossAmount,
+        feeAmount,
+        amount: roundCurrency(p.grossAmount - feeAmount),
+        status: 'pending'
+      });
+    }
+  }
+
+  const pending = payout.transfers.filter(t => t.status !== 'transferred' && t.amount > 0);
+  if (pending.length) {
+    const vendor = await User.findById(booking.vendor._id || booking.vendor).select('vendorProfile.stripeConnect');
+    const connect = vendor?.vendorProfile?.stripeConnect;
+
+    if (!connect?.accountId || !connect.payoutsEnabled) {
+      payout.status = 'awaiting_onboarding';
+    } else {
+      payout.status = 'pending';
+      payout.lastError = undefined;
+      for (const transfer of pending) {
+        try {
+          await createTransfer(booking, transfer, connect.accountId);
+        } catch (error) {
+          transfer.status = 'failed';
+          payout.lastError = error.message;
+          // Stripe replays the stored error for a reused key, so the next retry needs a new one.
+          // Keep the key when no response came back, in case the transfer went through.
+          if (error.statusCode) {
+            transfer.attempts = (transfer.attempts || 0) + 1;
+          }
+        }
+      }
+    }
+  }
+
+  summarizePayout(payout);
+  await booking.save();
+  return payout;
+}
+
+/**
+ * Take back the vendor's share of a refund. Transferred money is reversed on
+ * Stripe; money not yet transferred is reduced so it is never sent.
+ * @param {object} booking - Booking document
+ * @param {number} refundAmount - Amount refunded to the customer (including tax)
+ * @returns {Promise<object>} The booking's payout
+ */
+async function reverseForRefund(booking, refundAmount) {
+  const payout = booking.payout;
+  const payment = booking.payment || {};
+  const paidWithTax = (payment.amountPaid || 0) + (payment.taxAmount || 0);
+  if (!payout.grossAmount || !paidWithTax || refundAmount <= 0) return payout;
+
+  // Tax is refunded by the platform; only the pre-tax share comes back from the vendor
+  const refundedPrice = refundAmount * (payment.amountPaid || 0) / paidWithTax;
+  const ratio = Math.min(1, refundedPrice / payout.grossAmount);
+  const stripe = getStripe();
+
+  for (const transfer of payout.transfers) {
+    const reverseAmount = roundCurrency(transfer.amount * ratio);
+    if (reverseAmount <= 0) continue;
+
+    if (transfer.status === 'transferred') {
+      try {
+        await stripe.transfers.createReversal(transfer.transferId, {
+          amount: Math.round(reverseAmount * 100),
+          metadata: { bookingId: booking._id.toString() }
+        }, {
+          idempotencyKey: `payout-reversal-${booking._id}-${transfer._id}`
+        });
+        transfer.reversedAmount = roundCurrency((transfer.reversedAmount || 0) + reverseAmount);
+      } catch (error) {
+        payout.lastError = `Reversal failed: ${error.message}`;
+      }
+    } else {
+      transfer.grossAmount = roundCurrency(transfer.grossAmount * (1 - ratio));
+      transfer.feeAmount = roundCurrency(transfer.feeAmount * (1 - ratio));
+      transfer.amount = roundCurrency(transfer.grossAmount - transfer.feeAmount);
+    }
+  }
+
+  summarizePayout(payout);
+  await booking.save();
+  return payout;
+}
+
+/**
+ * Keep a vendor's Connect status in sync from an `account.updated` webhook and
+ * release payouts that were waiting for onboarding.
+ * @param {object} account - The Stripe account
+ * @returns {Promise<number>} Number of bookings whose payouts were retried
+ */
+async function handleAccountUpdated(account) {
+  const vendor = await User.findOne({ 'vendorProfile.stripeConnect.accountId': account.id });
+  if (!vendor) return 0;
+
+  const connect = vendor.vendorProfile.stripeConnect;
+  const wasEnabled = connect.payoutsEnabled;
+  connect.detailsSubmitted = !!account.details_submitted;
+  connect.chargesEnabled = !!account.charges_enabled;
+  connect.payoutsEnabled = !!account.payouts_enabled;
+  if (connect.payoutsEnabled && !connect.onboardedAt) {
+    connect.onboardedAt = new Date();
+  }
+  await vendor.save();
+
+  if (wasEnabled || !connect.payoutsEnabled) return 0;
+  return releaseHeldPayouts(vendor._id);
+}
+
+/**
+ * Retry payouts for a vendor that are waiting for onboarding or failed
+ * @param {string|ObjectId} vendorId - Vendor
+ * @returns {Promise<number>} Number of bookings processed
+ */
+async function releaseHeldPayouts(vendorId) {
+  const bookings = await Booking.find({
+    vendor: vendorId,
+    'payout.status': { $in: ['awaiting_onboarding', 'failed'] }
+  });
+
+  for (const booking of bookings) {
+    try {
+      await syncPayout(booking);
+    } catch (error) {
+      // Payout stays held; the failure is visible in the payouts report
+    }
+  }
+
+  return bookings.length;
+}
+
+module.exports = {
+  DEFAULT_COMMISSION_PERCENT,
+  getCommissionRate,
+  syncPayout,
+  reverseForRefund,
+  handleAccountUpdated,
+  releaseHeldPayouts
+};
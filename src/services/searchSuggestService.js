@@ -0,0 +1,252 @@
+const User = require('../models/User');
+const Event = require('../models/Event');
+
+// The index is rebuilt at least this often even without change notifications
+const INDEX_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Terms that mean the same thing to our customers; any one finds the others
+const SYNONYM_GROUPS = [
+  ['mehndi', 'mehendi', 'mendhi', 'henna'],
+  ['nikah', 'nikkah', 'wedding', 'shaadi', 'shadi', 'marriage'],
+  ['dholki', 'dholak', 'sangeet'],
+  ['walima', 'valima', 'reception'],
+  ['baraat', 'barat'],
+  ['aqiqah', 'aqeeqah'],
+  ['catering', 'caterer', 'food'],
+  ['photography', 'photographer', 'photos'],
+  ['videography', 'videographer', 'video'],
+  ['decor', 'decoration', 'decorations']
+];
+
+const SYNONYMS = new Map();
+for (const group of SYNONYM_GROUPS) {
+  for (const term of group) {
+    SYNONYMS.set(term, group.filter(other => other !== term));
+  }
+}
+
+let index = null;
+let builtAt = 0;
+let stale = true;
+let building = null;
+
+/**
+ * Lowercase, strip accents and punctuation.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const tokenize = text => normalize(text).split(' ').filter(Boolean);
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest
+ * @returns {number} The distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a term of this length
+const allowedEdits = length => (length >= 7 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * How well one query term matches one indexed token.
+ * The last term of the query may be incomplete, so it also matches as a prefix.
+ * @returns {number} 0 when there is no match
+ */
+function scoreToken(term, token, isLastTerm) {
+  if (token === term) return 3;
+  if (isLastTerm && token.startsWith(term)) return 2;
+
+  const edits = allowedEdits(term.length);
+  if (!edits) return 0;
+  if (editDistance(term, token, edits) <= edits) return 1.5;
+  // Typo inside a word that is still being typed
+  if (isLastTerm && token.length > term.length && editDistance(term, token.slice(0, term.length), edits) <= edits) {
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * Score an index entry against the query terms. Every term has to match
+ * (directly or through a synonym) for the entry to be suggested.
+ * @returns {number} 0 when the entry does not match
+ */
+function scoreEntry(entry, terms) {
+  let total = 0;
+  for (let i = 0; i < terms.length; i++) {
+    const isLastTerm = i === terms.length - 1;
+    const candidates = [{ term: terms[i], weight: 1 }]
+      .concat((SYNONYMS.get(terms[i]) || []).map(term => ({ term, weight: 0.8 })));
+
+    let best = 0;
+    for (const { term, weight } of candidates) {
+      for (const token of entry.tokens) {
+        best = Math.max(best, scoreToken(term, token, isLastTerm) * weight);
+      }
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  // Prefer entries whose label starts with the query
+  if (entry.normalized.startsWith(terms.join(' '))) total += 1;
+  return total;
+}
+
+/**
+ * Load listings, vendors, categories and cities into memory.
+ * @returns {Promise<object>} { listings, vendors, categories, cities }
+ */
+async function buildIndex() {
+  const [events, vendors] = await Promise.all([
+    Event.find({}).select('name slug category location.city location.state imageUrls tags').lean(),
+    User.find({ role: 'vendor', isActive: { $ne: false }, 'vendorProfile.businessName': { $nin: [null, ''] } })
+      .select('vendorProfile.businessName vendorProfile.vendorProfileImage vendorProfile.businessAddress.city vendorProfile.businessAddress.state')
+      .lean()
+  ]);
+
+  const entry = (label, extraText, data) => ({
+    label,
+    normalized: normalize(label),
+    tokens: [...new Set(tokenize(`${label} ${extraText || ''}`))],
+    data
+  });
+
+  const listings = events.map(event => entry(event.name, (event.tags || []).join(' '), {
+    id: event._id,
+    name: event.name,
+    slug: event.slug,
+    category: event.category,
+    city: event.location?.city,
+    state: event.location?.state,
+    imageUrl: Array.isArray(event.imageUrls) && event.imageUrls.length > 0 ? event.imageUrls[0] : null
+  }));
+
+  const vendorEntries = vendors.map(vendor => entry(vendor.vendorProfile.businessName, '', {
+    id: vendor._id,
+    businessName: vendor.vendorProfile.businessName,
+    profileImage: vendor.vendorProfile.vendorProfileImage || null,
+    city: vendor.vendorProfile.businessAddress?.city,
+    state: vendor.vendorProfile.businessAddress?.state
+  }));
+
+  const listingCounts = new Map();
+  const cityCounts = new Map();
+  for (const event of events) {
+    listingCounts.set(event.category, (listingCounts.get(event.category) || 0) + 1);
+    if (event.location?.city) {
+      const key = `${normalize(event.location.city)}|${normalize(event.location.state)}`;
+      const city = cityCounts.get(key) || { city: event.location.city, state: event.location.state, count: 0 };
+      city.count++;
+      cityCounts.set(key, city);
+    }
+  }
+
+  const categories = Event.schema.path('category').enumValues.map(category => entry(category, '', {
+    value: category,
+    count: listingCounts.get(category) || 0
+  }));
+
+  const cities = [...cityCounts.values()].map(city => entry(city.city, city.state, city));
+
+  return { listings, vendors: vendorEntries, categories, cities };
+}
+
+/**
+ * Get the in-process index, rebuilding it when it is stale.
+ * Concurrent callers share a single rebuild.
+ * @returns {Promise<object>}
+ */
+async function getIndex() {
+  if (index && !stale && Date.now() - builtAt < INDEX_MAX_AGE_MS) {
+    return index;
+  }
+  if (!building) {
+    stale = false;
+    building = buildIndex()
+      .then(result => {
+        index = result;
+        builtAt = Date.now();
+        return result;
+      })
+      .finally(() => {
+        building = null;
+      });
+    // Retry on the next request; also keeps a failed background rebuild from going unhandled
+    building.catch(() => {
+      stale = true;
+    });
+  }
+  // Serve the previous index while a rebuild is in flight
+  return index || building;
+}
+
+/**
+ * Flag the index for a rebuild on the next suggest request.
+ * Called from the Event and User model hooks.
+ */
+function markStale() {
+  stale = true;
+}
+
+/**
+ * Suggest listings, vendors, categories and cities for a partial query.
+ * @param {string} q - What the user typed so far
+ * @param {object} [options]
+ * @param {number} [options.limit=5] - Suggestions per group
+ * @returns {Promise<object>} { listings, vendors, categories, cities }
+ */
+async function suggest(q, { limit = 5 } = {}) {
+  const terms = tokenize(q);
+  const empty = { listings: [], vendors: [], categories: [], cities: [] };
+  if (!terms.length) return empty;
+
+  const current = await getIndex();
+  const rank = entries => entries
+    .map(entry => ({ entry, score: scoreEntry(entry, terms) }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label))
+    .slice(0, limit)
+    .map(result => result.entry.data);
+
+  return {
+    listings: rank(current.listings),
+    vendors: rank(current.vendors),
+    categories: rank(current.categories),
+    cities: rank(current.cities)
+  };
+}
+
+module.exports = {
+  SYNONYM_GROUPS,
+  normalize,
+  editDistance,
+  suggest,
+  markStale
+};
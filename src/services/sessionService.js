@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; the refresh token keeps the device signed in
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// lastSeenAt is only written when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+// Superseded refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found even
+// when the secret is a superseded one
+const createRefreshToken = sessionId => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const clientInfo = req => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: req.ip
+});
+
+/**
+ * Sign an access token bound to a session.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+}
+
+const issueTokens = (session, refreshToken) => ({
+  token: signAccessToken(session.user.toString(), session._id.toString()),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  sessionId: session._id
+});
+
+/**
+ * Start a session for a device that has just signed in.
+ * @param {object} user
+ * @param {object} req - Express request, for the user agent and IP
+ * @returns {Promise<object>} { token, refreshToken, expiresIn, sessionId }
+ */
+async function createSession(user, req) {
+  const session = new Session({
+    user: user._id,
+    ...clientInfo(req),
+    expiresAt: refreshExpiry(),
+    refreshTokenHash: 'pending'
+  });
+  const refreshToken = createRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return issueTokens(session, refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting a token that was already rotated out means it leaked, so the
+ * whole session (token family) is revoked.
+ * @param {string} refreshToken
+ * @param {object} req - Express request, for the user agent and IP
+ * @returns {Promise<object>} The new tokens, or { error: 'invalid' | 'reused' | 'revoked' }
+ */
+async function rotateSession(refreshToken, req) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) {
+    return { error: 'invalid' };
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHashes');
+  if (!session || session.expiresAt <= new Date()) {
+    return { error: 'invalid' };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.refreshTokenHash !== presentedHash) {
+    if (!session.previousTokenHashes.includes(presentedHash)) {
+      return { error: 'invalid' };
+    }
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'token_reuse';
+      await session.save();
+    }
+    return { error: 'reused' };
+  }
+
+  if (session.revokedAt) {
+    return { error: 'revoked' };
+  }
+
+  // Only one of two concurrent refreshes with the same token wins the swap
+  const nextToken = createRefreshToken(session._id);
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        ...clientInfo(req),
+        lastSeenAt: new Date(),
+        expiresAt: refreshExpiry()
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: 'invalid' };
+  }
+
+  return issueTokens(updated, nextToken);
+}
+
+/**
+ * Whether the session behind an access token can still be used.
+ * Also bumps lastSeenAt now and then.
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt lastSeenAt').lean();
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return false;
+  }
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    Session.updateOne({ _id: sessionId }, { $set: { lastSeenAt: new Date() } }).catch(() => {});
+  }
+  return true;
+}
+
+/**
+ * The user's active sessions, most recently used first.
+ * @param {string} userId
+ * @returns {Promise<object[]>}
+ */
+async function listSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip lastSeenAt createdAt expiresAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+}
+
+/**
+ * Revoke one of a user's sessions.
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {string} reason - See Session.revokedReason
+ * @returns {Promise<boolean>} false when the user has no such active session
+ */
+async function revokeSession(userId, sessionId, reason) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user, optionally keeping the current one.
+ * @param {string} userId
+ * @param {string} reason - See Session.revokedReason
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId]
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason, { exceptSessionId } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('./sessionService');
+const collaborationService = require('./collaborationService');
 const Message = require('../models/Message');
 const Notification = require('../models/Notification');
 
@@ -26,7 +28,16 @@ class SocketService {
 
      
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+
+        // Two-factor challenge tokens do not grant a session
+        if (decoded.purpose) {
+          return next(new Error('Authentication error'));
+        }
+
+        // Signed-out sessions cannot reconnect with an access token that has not expired yet
+        if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+          return next(new Error('Authentication error'));
+        }
         
         // Check for both possible field names (userId from auth, id from some tokens)
         const userId = decoded.userId || decoded.id;
@@ -45,6 +56,7 @@ class SocketService {
 
         socket.userId = user._id.toString();
         socket.userRole = user.role;
+        socket.sessionId = decoded.sid;
         
         next();
       } catch (error) {
@@ -100,6 +112,19 @@ class SocketService {
         await this.handleGetNotifications(socket, data);
       });
 
+      // Live updates for a shared user event (planner)
+      socket.on('join_user_event', async (data) => {
+
+        await this.handleJoinUserEvent(socket, data);
+      });
+
+      socket.on('leave_user_event', (data) => {
+
+        if (data?.userEventId) {
+          socket.leave(collaborationService.roomName(data.userEventId));
+        }
+      });
+
       // Handle disconnect
       socket.on('disconnect', (reason) => {
      
@@ -316,6 +341,44 @@ class SocketService {
     return this.userSockets.size;
   }
 
+  // Disconnect the sockets opened with a session that has been signed out
+  disconnectSession(sessionId) {
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.sessionId === String(sessionId)) {
+        socket.emit('session_revoked');
+        socket.disconnect(true);
+      }
+    }
+  }
+
+  // Join the room of a user event the socket's user owns or collaborates on
+  async handleJoinUserEvent(socket, data) {
+    try {
+      const { userEventId } = data || {};
+      const { userEvent, role, error } = await collaborationService.loadUserEvent(userEventId, socket.userId);
+
+      if (error) {
+        socket.emit('user_event_error', { userEventId, message: error.message });
+        return;
+      }
+
+      socket.join(collaborationService.roomName(userEvent._id));
+      socket.emit('user_event_joined', { userEventId: userEvent._id, role });
+    } catch (error) {
+      socket.emit('user_event_error', { message: 'Failed to join event' });
+    }
+  }
+
+  // Send an update to everyone viewing a user event
+  emitToUserEvent(userEventId, event, data) {
+    this.io.to(collaborationService.roomName(userEventId)).emit(event, data);
+  }
+
+  // Stop a user's sockets receiving a user event's updates, e.g. after losing access
+  removeUserFromUserEvent(userId, userEventId) {
+    this.io.in(`user_${userId}`).socketsLeave(collaborationService.roomName(userEventId));
+  }
+
   // Broadcast notification to user
   broadcastNotification(notification) {
     const recipientId = notification.recipient._id 
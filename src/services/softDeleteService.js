@@ -0,0 +1,338 @@
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const Review = require('../models/Review');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const Message = require('../models/Message');
+const CheckoutSession = require('../models/CheckoutSession');
+const ViewCount = require('../models/ViewCount');
+const UserEvent = require('../models/UserEvent');
+const UserEventActivity = require('../models/UserEventActivity');
+const Todo = require('../models/Todo');
+const GuestHousehold = require('../models/GuestHousehold');
+const LoginHistory = require('../models/LoginHistory');
+const Session = require('../models/Session');
+const ChatbotThread = require('../models/ChatbotThread');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted record stays in the trash before the purge
+const RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS, 10) || 30;
+
+// Models with a trash, by the name used in admin URLs
+const TRASH_MODELS = {
+  users: User,
+  events: Event,
+  bookings: Booking,
+  reviews: Review,
+  invoices: Invoice
+};
+
+// Bookings with money on them are financial records: the purge anonymizes them instead of deleting
+const PAID_BOOKING = { 'payment.amountPaid': { $gt: 0 } };
+
+const IN_TRASH = { deletedAt: { $ne: null }, anonymizedAt: null };
+
+const purgeDate = deletedAt => (deletedAt ? new Date(deletedAt.getTime() + RETENTION_DAYS * DAY_MS) : null);
+
+// Records that belong to an account, per role, and are trashed with it
+const ownedRecords = user => (user.role === 'vendor'
+  ? [
+    [Event, { vendor: user._id }],
+    [Booking, { vendor: user._id }],
+    [Review, { vendor: user._id }],
+    [Invoice, { vendor: user._id }]
+  ]
+  : [
+    [Booking, { customer: user._id }],
+    [Review, { customer: user._id }]
+  ]);
+
+const recalculateRatings = async reviews => {
+  for (const review of reviews) {
+    try {
+      await Review.recalculateRatings(review);
+    } catch (error) {
+      // Ratings are recalculated on the next review change
+    }
+  }
+};
+
+/**
+ * Move an account and the records it owns to the trash and sign it out everywhere.
+ * Nothing is removed until the purge, so restoreAccount can bring all of it back.
+ * @param {object} user - User document
+ * @param {object} [options]
+ * @param {string} [options.deletedBy] - Who deleted the account (the user themself, or an admin)
+ * @returns {Promise<object>} Number of records trashed per model
+ */
+async function deleteAccount(user, { deletedBy } = {}) {
+  const reviews = await Review.find(user.role === 'vendor' ? { vendor: user._id } : { customer: user._id })
+    .select('event vendor');
+
+  const trashed = {};
+  for (const [Model, filter] of ownedRecords(user)) {
+    const result = await Model.softDeleteMany(filter, { deletedBy, deletedWith: user._id });
+    trashed[Model.modelName] = result.modifiedCount;
+  }
+
+  await recalculateRatings(reviews);
+  await Session.deleteMany({ user: user._id });
+  await user.softDelete(deletedBy);
+
+  return trashed;
+}
+
+/**
+ * Bring back a trashed account and everything trashed along with it.
+ * @param {object} user - Trashed User document
+ * @returns {Promise<object>} Number of records restored per model
+ */
+async function restoreAccount(user) {
+  await user.restore();
+
+  const restored = {};
+  for (const Model of [Event, Booking, Review, Invoice]) {
+    const result = await Model.updateMany(
+      { ...IN_TRASH, deletedWith: user._id },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1, deletedWith: 1 } }
+    );
+    restored[Model.modelName] = result.modifiedCount;
+  }
+
+  const reviews = await Review.find(user.role === 'vendor' ? { vendor: user._id } : { customer: user._id })
+    .select('event vendor');
+  await recalculateRatings(reviews);
+
+  return restored;
+}
+
+/**
+ * List what is in one model's trash, most recently deleted first.
+ * @param {string} model - Key of TRASH_MODELS
+ * @param {object} [options] - { page, limit }
+ * @returns {Promise<object>} { items, total }
+ */
+async function listTrash(model, { page = 1, limit = 20 } = {}) {
+  const Model = TRASH_MODELS[model];
+  const [items, total] = await Promise.all([
+    Model.find(IN_TRASH)
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(model === 'users' ? 'email role deletedAt deletedBy deletedWith' : undefined)
+      .populate('deletedBy', 'email role')
+      .lean(),
+    Model.countDocuments(IN_TRASH)
+  ]);
+
+  return {
+    items: items.map(item => ({ ...item, purgeAfter: purgeDate(item.deletedAt) })),
+    total
+  };
+}
+
+/**
+ * Restore one trashed record. Records trashed with an account come back with the account.
+ * @param {string} model - Key of TRASH_MODELS
+ * @param {string} id
+ * @returns {Promise<object>} { item, restored } or { error: { statusCode, message } }
+ */
+async function restoreFromTrash(model, id) {
+  const Model = TRASH_MODELS[model];
+  const item = await Model.findOne({ _id: id, ...IN_TRASH });
+  if (!item) {
+    return { error: { statusCode: 404, message: 'Nothing to restore: the record is not in the trash' } };
+  }
+
+  if (model === 'users') {
+    const restored = await restoreAccount(item);
+    return { item, restored };
+  }
+
+  if (item.deletedWith && await User.exists({ _id: item.deletedWith, deletedAt: { $ne: null } })) {
+    return { error: { statusCode: 409, message: 'This record was deleted with its account; restore the account instead' } };
+  }
+
+  await item.restore();
+  if (model === 'reviews') {
+    await recalculateRatings([item]);
+  }
+  return { item, restored: { [Model.modelName]: 1 } };
+}
+
+/**
+ * What deleting an account does now, and what the purge will later do with it.
+ * @param {object} user - User document
+ * @returns {Promise<object>}
+ */
+async function getDeletionImpact(user) {
+  const ownerFilter = user.role === 'vendor' ? { vendor: user._id } : { customer: user._id };
+  const records = ownedRecords(user);
+
+  const softDeleted = {};
+  for (const [Model, filter] of records) {
+    softDeleted[Model.modelName] = await Model.countDocuments(filter);
+  }
+
+  const paidBookings = await Booking.countDocuments({ ...ownerFilter, ...PAID_BOOKING });
+  const anonymized = { account: paidBookings > 0, bookings: paidBookings };
+  if (user.role === 'vendor') {
+    anonymized.events = (await Booking.distinct('event', { ...ownerFilter, ...PAID_BOOKING })).length;
+    anonymized.invoices = await Invoice.countDocuments({ vendor: user._id, status: 'paid' });
+  }
+
+  const [notifications, messages, loginHistory, chatbotThreads, userEvents, todos, guestHouseholds, viewCounts] = await Promise.all([
+    Notification.countDocuments({ $or: [{ recipient: user._id }, { sender: user._id }] }),
+    Message.countDocuments({ $or: [{ sender: user._id }, { receiver: user._id }] }),
+    LoginHistory.countDocuments({ user: user._id }),
+    ChatbotThread.countDocuments({ user: user._id }),
+    UserEvent.countDocuments({ user: user._id }),
+    Todo.countDocuments({ user: user._id }),
+    GuestHousehold.countDocuments({ user: user._id }),
+    user.role === 'vendor' ? ViewCount.countDocuments({ vendorId: user._id }) : 0
+  ]);
+
+  return {
+    retentionDays: RETENTION_DAYS,
+    purgeAfter: purgeDate(new Date()),
+    // Hidden at once and restorable until the purge
+    softDeleted: { User: 1, ...softDeleted },
+    // Removed at once
+    removedNow: { sessions: await Session.countDocuments({ user: user._id }) },
+    // Kept by the purge with personal data stripped, because paid bookings refer to them
+    anonymizedOnPurge: anonymized,
+    // Removed by the purge
+    deletedOnPurge: {
+      account: paidBookings === 0,
+      bookings: softDeleted.Booking - paidBookings,
+      reviews: softDeleted.Review,
+      ...(user.role === 'vendor' && {
+        events: softDeleted.Event - anonymized.events,
+        invoices: softDeleted.Invoice - anonymized.invoices,
+        viewCounts
+      }),
+      notifications,
+      messages,
+      loginHistory,
+      chatbotThreads,
+      userEvents,
+      todos,
+      guestHouseholds
+    }
+  };
+}
+
+// Personal and planning data of a purged account that is never kept
+const removeAccountData = async userId => {
+  const userEventIds = await UserEvent.find({ user: userId }).distinct('_id');
+  await Promise.all([
+    Notification.deleteMany({ $or: [{ recipient: userId }, { sender: userId }] }),
+    Message.deleteMany({ $or: [{ sender: userId }, { receiver: userId }] }),
+    CheckoutSession.deleteMany({ user: userId }),
+    ViewCount.deleteMany({ vendorId: userId }),
+    LoginHistory.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    ChatbotThread.deleteMany({ user: userId }),
+    UserEventActivity.deleteMany({ userEvent: { $in: userEventIds } }),
+    UserEvent.deleteMany({ user: userId }),
+    Todo.deleteMany({ user: userId }),
+    GuestHousehold.deleteMany({ user: userId }),
+    // Remove the user from events shared with them
+    UserEvent.updateMany({ 'collaborators.user': userId }, { $pull: { collaborators: { user: userId } } }),
+    Todo.updateMany({ assignedTo: userId }, { $unset: { assignedTo: 1 } }),
+    // Embedded legacy reviews and custom packages made for the user
+    Event.updateMany({ 'reviews.user': userId }, { $pull: { reviews: { user: userId } } }),
+    Event.updateMany({ 'customPackages.createdFor': userId }, { $pull: { customPackages: { createdFor: userId } } })
+  ]);
+};
+
+/**
+ * Permanently remove trashed records older than the retention period. Records that
+ * paid bookings depend on are kept, stripped of personal data, so financial history survives.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} { success, deleted, anonymized } counts per model
+ */
+async function purgeExpired({ now = new Date() } = {}) {
+  const expired = { deletedAt: { $ne: null, $lte: new Date(now.getTime() - RETENTION_DAYS * DAY_MS) }, anonymizedAt: null };
+  const deleted = {};
+  const anonymized = {};
+
+  // Bookings: paid ones keep their amounts but lose the customer's details
+  const keptBookings = await Booking.updateMany(
+    { ...expired, ...PAID_BOOKING },
+    {
+      $set: { anonymizedAt: now, 'customerSnapshot.fullName': 'Deleted user' },
+      $unset: {
+        'customerSnapshot.email': 1,
+        'customerSnapshot.phoneNumber': 1,
+        'customerSnapshot.location': 1
+      }
+    }
+  );
+  anonymized.bookings = keptBookings.modifiedCount;
+  deleted.bookings = (await Booking.deleteMany({ ...expired, 'payment.amountPaid': { $not: { $gt: 0 } } })).deletedCount;
+
+  deleted.reviews = (await Review.deleteMany(expired)).deletedCount;
+
+  // Paid invoices are the vendor's accounting records
+  const keptInvoices = await Invoice.updateMany(
+    { ...expired, status: 'paid' },
+    { $set: { anonymizedAt: now, clientName: 'Deleted client' } }
+  );
+  anonymized.invoices = keptInvoices.modifiedCount;
+  deleted.invoices = (await Invoice.deleteMany({ ...expired, status: { $ne: 'paid' } })).deletedCount;
+
+  // Listings that paid bookings point to stay (hidden) so the bookings still resolve
+  const bookedEvents = await Booking.distinct('event', PAID_BOOKING).setOptions({ withDeleted: true });
+  const keptEvents = await Event.updateMany({ ...expired, _id: { $in: bookedEvents } }, { $set: { anonymizedAt: now } });
+  anonymized.events = keptEvents.modifiedCount;
+  deleted.events = (await Event.deleteMany({ ...expired, _id: { $nin: bookedEvents } })).deletedCount;
+
+  deleted.users = 0;
+  anonymized.users = 0;
+  const users = await User.find(expired).select('_id role');
+  for (const user of users) {
+    await removeAccountData(user._id);
+
+    const hasPaidBookings = await Booking.exists({ $or: [{ customer: user._id }, { vendor: user._id }], ...PAID_BOOKING })
+      .setOptions({ withDeleted: true });
+    if (hasPaidBookings) {
+      await User.updateOne({ _id: user._id }, {
+        $set: { anonymizedAt: now, email: `deleted-${user._id}@deleted.invalid`, isActive: false },
+        $unset: {
+          password: 1,
+          phoneNumber: 1,
+          socialLogin: 1,
+          twoFactor: 1,
+          loginSecurity: 1,
+          notificationPreferences: 1,
+          customerProfile: 1,
+          'vendorProfile.ownerName': 1,
+          'vendorProfile.businessAddress': 1,
+          'vendorProfile.vendorProfileImage': 1,
+          'vendorProfile.socialLinks': 1
+        }
+      });
+      anonymized.users++;
+    } else {
+      await User.deleteOne({ _id: user._id });
+      deleted.users++;
+    }
+  }
+
+  return { success: true, deleted, anonymized };
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  TRASH_MODELS,
+  deleteAccount,
+  restoreAccount,
+  listTrash,
+  restoreFromTrash,
+  getDeletionImpact,
+  purgeExpired
+};
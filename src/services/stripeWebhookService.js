@@ -0,0 +1,325 @@
+const CheckoutSession = require('../models/CheckoutSession');
+const User = require('../models/User');
+const Event = require('../models/Event');
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const WebhookEvent = require('../models/WebhookEvent');
+const EmailService = require('./emailService');
+const paymentScheduleService = require('./paymentScheduleService');
+const cancellationService = require('./cancellationService');
+const payoutService = require('./payoutService');
+const budgetService = require('./budgetService');
+const ticketService = require('./ticketService');
+const { checkAvailability } = require('./availabilityService');
+const { withTransaction } = require('../utils/transaction');
+
+// A "processing" ledger entry older than this is assumed to be from a crashed worker
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Claim a Stripe event for processing.
+ * Returns null when the event was already processed or another delivery is
+ * still working on it.
+ * @param {object} event - Verified Stripe event
+ * @returns {Promise<object|null>} The WebhookEvent ledger entry
+ */
+async function claimEvent(event) {
+  try {
+    return await WebhookEvent.create({
+      eventId: event.id,
+      type: event.type,
+      payload: event,
+      status: 'processing',
+      attempts: 1
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return WebhookEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+}
+
+/**
+ * Create the bookings for a paid cart checkout.
+ * Bookings are keyed by Checkout session id + cart snapshot item, so a retried
+ * event never creates a second booking. Booking creation, the checkout status
+ * and clearing the cart commit together.
+ * @param {object} session - The Stripe Checkout session
+ * @returns {Promise<Array>} Bookings created by this call
+ */
+async function handleCheckoutCompleted(session) {
+  const checkout = await CheckoutSession.findOne({ stripeSessionId: session.id });
+  if (!checkout) return [];
+
+  const customer = await User.findById(checkout.user).select('email phoneNumber customerProfile.fullName customerProfile.location');
+  const currency = (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+
+  const { created, conflicts } = await withTransaction(async (dbSession) => {
+    const created = [];
+    const conflicts = [];
+
+    await CheckoutSession.updateOne(
+      { _id: checkout._id },
+      { status: 'completed', paymentIntentId: session.payment_intent },
+      { session: dbSession }
+    );
+
+    for (const item of checkout.cartItems) {
+      const existing = await Booking.exists({
+        'payment.sessionId': session.id,
+        'payment.checkoutItemId': item._id
+      }).session(dbSession);
+      if (existing) continue;
+
+      const eventDoc = await Event.findById(item.eventId).select('name imageUrls location vendor').populate({ path: 'vendor', select: 'vendorProfile.businessName' });
+      // The slot may have been taken while the customer was paying; keep the booking
+      // but hold it as Pending and flag it so the vendor can resolve the conflict
+      const slot = eventDoc
+        ? await checkAvailability({ event: eventDoc, eventDate: item.eventDate, eventTime: item.eventTime, session: dbSession })
+        : { available: true };
+      const packageSnapshot = {
+        name: item.display?.description || 'Package',
+        description: undefined,
+        price: item.totalPrice,
+        includes: []
+      };
+
+      const [booking] = await Booking.create([{
+        customer: checkout.user,
+        vendor: item.vendorId,
+        event: item.eventId,
+        package: item.packageId,
+        packageType: item.packageType,
+        eventDate: item.eventDate,
+        eventTime: item.eventTime,
+        attendees: item.attendees,
+        totalPrice: item.totalPrice,
+        status: slot.available ? 'Confirmed' : 'Pending',
+        availabilityConflict: !slot.available,
+        payment: {
+          sessionId: session.id,
+          checkoutItemId: item._id,
+          paymentIntentId: session.payment_intent,
+          currency,
+          amountPaid: item.balanceAmount > 0
+            ? item.depositAmount
+            : Number(item.totalPrice) || 0,
+          schedule: item.balanceAmount > 0 ? 'deposit' : 'full',
+          depositAmount: item.depositAmount || 0,
+          balanceAmount: item.balanceAmount || 0,
+          balanceDueDate: item.balanceDueDate,
+          taxAmount: item.taxAmount || 0
+        },
+        customerSnapshot: {
+          fullName: customer?.customerProfile?.fullName,
+          email: customer?.email,
+          phoneNumber: customer?.phoneNumber,
+          location: customer?.customerProfile?.location || {}
+        },
+        eventSnapshot: {
+          name: eventDoc?.name,
+          location: eventDoc?.location,
+          imageUrl: Array.isArray(eventDoc?.imageUrls) && eventDoc.imageUrls.length ? eventDoc.imageUrls[0] : null,
+          vendorBusinessName: eventDoc?.vendor?.vendorProfile?.businessName
+        },
+        packageSnapshot
+      }], { session: dbSession });
+
+      created.push(booking);
+      if (!slot.available) {
+        conflicts.push({ booking, item, eventName: eventDoc?.name, slot });
+      }
+    }
+
+    // Clear the user's cart
+    await User.updateOne(
+      { _id: checkout.user },
+      { $set: { 'customerProfile.customerCart': [] } },
+      { session: dbSession }
+    );
+
+    return { created, conflicts };
+  });
+
+  // Side effects run once the bookings are committed, and only for bookings created now
+  for (const { booking, item, eventName, slot } of conflicts) {
+    try {
+      await Notification.create({
+        recipient: item.vendorId,
+        sender: checkout.user,
+        type: 'booking',
+        title: 'Booking Needs Attention',
+        message: `A paid booking for "${eventName || 'your listing'}" conflicts with your calendar: ${slot.reason}`,
+        data: { bookingId: booking._id, eventId: item.eventId, eventDate: item.eventDate, code: slot.code },
+        actionUrl: '/profile_listing?tab=Bookings',
+        priority: 'high'
+      });
+    } catch (notificationError) {
+      // Failed to notify vendor about the availability conflict
+    }
+  }
+
+  // Pay vendors their share; failures stay on the booking for the payouts report
+  for (const booking of created) {
+    try {
+      await payoutService.syncPayout(booking);
+    } catch (payoutError) {
+      // Payout will be retried from the admin payouts report
+    }
+  }
+
+  // Bookings saved inside the transaction skip the budget hook, so add them to the customer's planner here
+  for (const booking of created) {
+    try {
+      await budgetService.syncBookingExpense(booking);
+    } catch (budgetError) {
+      console.error('Failed to sync booking expense:', budgetError.message, { booking: String(booking._id) });
+    }
+  }
+
+  if (created.length) {
+    // Send booking confirmation email (best-effort)
+    try {
+      const subtotal = checkout.subtotal || checkout.cartItems.reduce((sum, it) => sum + (Number(it.totalPrice) || 0), 0);
+      const tax = checkout.taxAmount || 0;
+      const total = checkout.totalAmount || subtotal + tax;
+      await EmailService.sendBookingConfirmationEmail({
+        toEmail: customer?.email,
+        customerName: customer?.customerProfile?.fullName || 'Customer',
+        sessionId: session.id,
+        currency,
+        items: checkout.cartItems,
+        subtotal,
+        tax,
+        total
+      });
+    } catch (emailErr) {
+      // Failed to send booking confirmation email
+    }
+  }
+
+  return created;
+}
+
+/**
+ * Apply a verified Stripe event. Every handler must be safe to run more than once.
+ * @param {object} event - Stripe event
+ */
+async function processStripeEvent(event) {
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+
+      // Follow-up payment of a booking's outstanding balance
+      if (session.metadata?.type === 'booking_balance') {
+        await paymentScheduleService.markBalancePaid(session);
+        break;
+      }
+
+      // Tickets to a promotional event
+      if (session.metadata?.type === 'promotional_tickets') {
+        await ticketService.markOrderPaid(session);
+        break;
+      }
+
+      await handleCheckoutCompleted(session);
+      break;
+    }
+    case 'checkout.session.expired': {
+      const session = event.data.object;
+      if (session.metadata?.type === 'promotional_tickets') {
+        // Put the reserved tickets back on sale
+        await ticketService.releaseOrder({ stripeSessionId: session.id });
+        break;
+      }
+      await CheckoutSession.findOneAndUpdate({ stripeSessionId: session.id, status: 'pending' }, { status: 'expired' });
+      break;
+    }
+    case 'charge.refunded': {
+      await cancellationService.syncRefundsForCharge(event.data.object);
+      break;
+    }
+    case 'account.updated': {
+      await payoutService.handleAccountUpdated(event.data.object);
+      break;
+    }
+    case 'checkout.session.async_payment_failed':
+    case 'checkout.session.failed':
+    default:
+      break;
+  }
+}
+
+/**
+ * Process a ledger entry and record the outcome on it
+ * @param {object} ledgerEntry - WebhookEvent document claimed for processing
+ * @returns {Promise<object>} The updated ledger entry
+ * @throws The processing error, after it has been recorded
+ */
+async function runLedgerEntry(ledgerEntry) {
+  try {
+    await processStripeEvent(ledgerEntry.payload);
+    ledgerEntry.status = 'processed';
+    ledgerEntry.processedAt = new Date();
+    ledgerEntry.lastError = undefined;
+    await ledgerEntry.save();
+    return ledgerEntry;
+  } catch (error) {
+    ledgerEntry.status = 'failed';
+    ledgerEntry.lastError = error.message;
+    await ledgerEntry.save();
+    throw error;
+  }
+}
+
+/**
+ * Handle a verified webhook delivery exactly once
+ * @param {object} event - Verified Stripe event
+ * @returns {Promise<object>} { duplicate } - true when the event was already handled or in progress
+ */
+async function handleEvent(event) {
+  const ledgerEntry = await claimEvent(event);
+  if (!ledgerEntry) {
+    return { duplicate: true };
+  }
+  await runLedgerEntry(ledgerEntry);
+  return { duplicate: false };
+}
+
+/**
+ * Re-run a failed webhook event on an admin's request
+ * @param {string} id - WebhookEvent id
+ * @param {string} adminId - Admin replaying the event
+ * @returns {Promise<object|null>} The updated ledger entry, or null when it cannot be replayed
+ */
+async function replayEvent(id, adminId) {
+  const ledgerEntry = await WebhookEvent.findOneAndUpdate(
+    { _id: id, status: 'failed' },
+    { $set: { status: 'processing', lastReplayedBy: adminId }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!ledgerEntry) return null;
+
+  try {
+    await runLedgerEntry(ledgerEntry);
+  } catch (error) {
+    // Failure is recorded on the ledger entry
+  }
+  return ledgerEntry;
+}
+
+module.exports = {
+  handleEvent,
+  processStripeEvent,
+  replayEvent
+};
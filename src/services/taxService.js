@@ -178,9 +178,74 @@ function calculateTotalWithTax(subtotal, taxRate) {
   return Math.round((subtotal + taxAmount) * 100) / 100; // Round to 2 decimal places
 }
 
+/**
+ * Compute the authoritative tax quote for a customer's cart.
+ * Tax is calculated per item from the listing's location.zipCode and then
+ * grouped by zip code, so checkout never depends on figures sent by the client.
+ * @param {Array} cartItems - Cart items with `event` populated (needs location.zipCode) and `totalPrice`
+ * @returns {object} { items, subtotal, taxAmount, total, taxBreakdown }
+ */
+function calculateCartTax(cartItems = []) {
+  const items = [];
+  const breakdownByZip = new Map();
+  let subtotal = 0;
+  let taxAmount = 0;
+
+  for (const item of cartItems) {
+    if (!item.event) continue;
+
+    const itemSubtotal = Number(item.totalPrice) || 0;
+    const zipCode = item.event.location?.zipCode || null;
+    const taxInfo = getTaxInfoFromZipCode(zipCode);
+    const taxRate = taxInfo.error ? 0 : taxInfo.taxRate;
+    const itemTax = calculateTaxAmount(itemSubtotal, taxRate);
+
+    items.push({
+      cartItemId: item._id,
+      eventId: item.event._id,
+      zipCode,
+      state: taxInfo.state,
+      taxRate,
+      subtotal: itemSubtotal,
+      taxAmount: itemTax,
+      taxError: taxInfo.error || null
+    });
+
+    subtotal += itemSubtotal;
+    taxAmount += itemTax;
+
+    if (!taxInfo.error) {
+      const cleanZipCode = zipCode.toString().replace(/[^0-9]/g, '');
+      const group = breakdownByZip.get(cleanZipCode) || {
+        zipCode: cleanZipCode,
+        state: taxInfo.state,
+        city: taxInfo.city,
+        taxRate,
+        subtotal: 0,
+        taxAmount: 0
+      };
+      group.subtotal = Math.round((group.subtotal + itemSubtotal) * 100) / 100;
+      group.taxAmount = Math.round((group.taxAmount + itemTax) * 100) / 100;
+      breakdownByZip.set(cleanZipCode, group);
+    }
+  }
+
+  subtotal = Math.round(subtotal * 100) / 100;
+  taxAmount = Math.round(taxAmount * 100) / 100;
+
+  return {
+    items,
+    subtotal,
+    taxAmount,
+    total: Math.round((subtotal + taxAmount) * 100) / 100,
+    taxBreakdown: Array.from(breakdownByZip.values())
+  };
+}
+
 module.exports = {
   getTaxInfoFromZipCode,
   calculateTaxAmount,
   calculateTotalWithTax,
+  calculateCartTax,
   STATE_TAX_RATES
 };
@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const PromotionalEvent = require('../models/PromotionalEvent');
+const TicketOrder = require('../models/TicketOrder');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const EmailService = require('./emailService');
+const { getStripe } = require('../config/stripe');
+
+// Most tickets one order can buy
+const MAX_TICKETS_PER_ORDER = parseInt(process.env.MAX_TICKETS_PER_ORDER, 10) || 10;
+
+// Stripe keeps a Checkout session open for at least 30 minutes; the reservation lasts as long
+const CHECKOUT_TTL_MS = 30 * 60 * 1000;
+
+// Pending orders older than this lost their checkout (e.g. the server stopped before creating it)
+const STALE_ORDER_MS = 2 * 60 * 60 * 1000;
+
+const roundCurrency = amount => Math.round(amount * 100) / 100;
+
+// Tickets signed with an empty key could be forged by anyone, so refuse to sign without one
+const signingSecret = () => {
+  const secret = process.env.TICKET_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('TICKET_SIGNING_SECRET (or JWT_SECRET) environment variable is required to sign tickets');
+  }
+  return secret;
+};
+
+const sign = value => crypto.createHmac('sha256', signingSecret()).update(value).digest('base64url');
+
+/**
+ * The QR code content of a ticket: ticket id, event id and a signature over both,
+ * so door staff can check a ticket without trusting anything else it says.
+ * @param {object} ticket
+ * @returns {string}
+ */
+function signTicket(ticket) {
+  const payload = `${ticket._id}.${ticket.promotionalEvent?._id || ticket.promotionalEvent}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Read a signed QR payload.
+ * @param {string} code
+ * @returns {{ticketId: string, eventId: string}|null} null when malformed or the signature does not match
+ */
+function verifyTicketCode(code) {
+  const match = /^([a-f0-9]{24})\.([a-f0-9]{24})\.([A-Za-z0-9_-]+)$/.exec(String(code || '').trim());
+  if (!match) return null;
+
+  const [, ticketId, eventId, signature] = match;
+  const expected = Buffer.from(sign(`${ticketId}.${eventId}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+  return { ticketId, eventId };
+}
+
+const ticketUrl = (ticket, code) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  return `${frontendUrl}/tickets/${ticket._id}?code=${encodeURIComponent(code)}`;
+};
+
+/**
+ * A ticket as shown to its holder, with the QR payload to render.
+ * @param {object} ticket
+ * @returns {object}
+ */
+function serializeTicket(ticket) {
+  const data = ticket.toObject ? ticket.toObject() : { ...ticket };
+  const code = signTicket(ticket);
+  return {
+    ...data,
+    qrCode: code,
+    url: ticketUrl(ticket, code)
+  };
+}
+
+/**
+ * Put reserved tickets back on sale. Only the call that moves the order out of
+ * pending returns the tickets, so repeated expiry events are harmless.
+ * @param {object} filter - Matches one order, e.g. { _id } or { stripeSessionId }
+ * @returns {Promise<object|null>} The expired order, or null when it was not pending
+ */
+async function releaseOrder(filter) {
+  const order = await TicketOrder.findOneAndUpdate(
+    { ...filter, status: 'pending' },
+    { $set: { status: 'expired' } },
+    { new: true }
+  );
+  if (!order) return null;
+
+  await PromotionalEvent.updateOne(
+    { _id: order.promotionalEvent },
+    { $inc: { ticketsAvailable: order.quantity, ticketsSold: -order.quantity } }
+  );
+  return order;
+}
+
+/**
+ * Create the tickets of a paid order and email them to the buyer.
+ * Tickets are keyed by order + position, so running this again only fills in missing ones.
+ * @param {object} order - TicketOrder document
+ * @param {object} [options]
+ * @param {boolean} [options.sendEmail=true]
+ * @returns {Promise<object[]>} The order's tickets
+ */
+async function issueTickets(order, { sendEmail = true } = {}) {
+  for (let seq = 1; seq <= order.quantity; seq++) {
+    await Ticket.updateOne(
+      { order: order._id, seq },
+      {
+        $setOnInsert: {
+          promotionalEvent: order.promotionalEvent,
+          holder: order.buyer,
+          ticketNumber: crypto.randomBytes(5).toString('hex').toUpperCase()
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  const tickets = await Ticket.find({ order: order._id }).sort({ seq: 1 });
+
+  if (sendEmail && order.buyerSnapshot?.email) {
+    await EmailService.sendTicketEmail({
+      toEmail: order.buyerSnapshot.email,
+      buyerName: order.buyerSnapshot.fullName,
+      event: order.eventSnapshot,
+      tickets: tickets.map(ticket => ({ ticketNumber: ticket.ticketNumber, url: ticketUrl(ticket, signTicket(ticket)) })),
+      totalAmount: order.totalAmount,
+      currency: order.currency
+    });
+  }
+
+  return tickets;
+}
+
+/**
+ * Reserve tickets for a buyer and start paying for them. Inventory is taken with one
+ * conditional update, so concurrent buyers cannot oversell; free tickets are issued at once.
+ * @param {object} params
+ * @param {string} params.eventId - PromotionalEvent id
+ * @param {string} params.buyerId
+ * @param {number} params.quantity
+ * @returns {Promise<object>} { order, checkoutUrl } or { order, tickets } for free events, or { error: { statusCode, message } }
+ */
+async function purchaseTickets({ eventId, buyerId, quantity }) {
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_TICKETS_PER_ORDER) {
+    return { error: { statusCode: 400, message: `You can buy between 1 and ${MAX_TICKETS_PER_ORDER} tickets at a time` } };
+  }
+
+  const event = await PromotionalEvent.findOne({ _id: eventId, isActive: true });
+  if (!event) {
+    return { error: { statusCode: 404, message: 'Event not found' } };
+  }
+  if (!event.ticketsOnSale) {
+    return { error: { statusCode: 400, message: 'Tickets are not sold for this event' } };
+  }
+  if (event.date < new Date(new Date().setHours(0, 0, 0, 0))) {
+    return { error: { statusCode: 400, message: 'This event has already taken place' } };
+  }
+
+  const reserved = await PromotionalEvent.findOneAndUpdate(
+    { _id: event._id, isActive: true, ticketsAvailable: { $gte: quantity } },
+    { $inc: { ticketsAvailable: -quantity, ticketsSold: quantity } },
+    { new: true }
+  );
+  if (!reserved) {
+    const current = await PromotionalEvent.findById(event._id).select('ticketsAvailable');
+    const left = current?.ticketsAvailable || 0;
+    return {
+      error: {
+        statusCode: 409,
+        message: left > 0 ? `Only ${left} ticket${left === 1 ? '' : 's'} left` : 'This event is sold out'
+      }
+    };
+  }
+
+  const buyer = await User.findById(buyerId).select('email customerProfile.fullName');
+  const currency = (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+  const unitPrice = roundCurrency(event.ticketPrice);
+
+  let order;
+  try {
+    order = await TicketOrder.create({
+      promotionalEvent: event._id,
+      buyer: buyerId,
+      quantity,
+      unitPrice,
+      totalAmount: roundCurrency(unitPrice * quantity),
+      currency,
+      buyerSnapshot: {
+        fullName: buyer?.customerProfile?.fullName,
+        email: buyer?.email
+      },
+      eventSnapshot: {
+        title: event.title,
+        date: event.date,
+        time: event.time,
+        location: event.location
+      }
+    });
+  } catch (error) {
+    await PromotionalEvent.updateOne({ _id: event._id }, { $inc: { ticketsAvailable: quantity, ticketsSold: -quantity } });
+    throw error;
+  }
+
+  if (order.totalAmount === 0) {
+    order.status = 'paid';
+    order.paidAt = new Date();
+    await order.save();
+    const tickets = await issueTickets(order);
+    return { order, tickets };
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  try {
+    const stripe = getStripe();
+    const session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      payment_method_types: ['card'],
+      line_items: [
+        {
+          price_data: {
+            currency,
+            product_data: {
+              name: event.title,
+              description: `Ticket for ${event.date.toDateString()} in ${event.location.city}, ${event.location.state}`
+            },
+            unit_amount: Math.round(unitPrice * 100)
+          },
+          quantity
+        }
+      ],
+      customer_email: buyer?.email,
+      expires_at: Math.floor((Date.now() + CHECKOUT_TTL_MS) / 1000) + 60,
+      success_url: `${frontendUrl}/tickets/orders/${order._id}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${frontendUrl}/promotional-events/${event.slug || event._id}`,
+      metadata: {
+        type: 'promotional_tickets',
+        ticketOrderId: order._id.toString(),
+        userId: buyerId.toString()
+      }
+    });
+
+    order.stripeSessionId = session.id;
+    await order.save();
+    return { order, checkoutUrl: session.url };
+  } catch (error) {
+    await releaseOrder({ _id: order._id });
+    throw error;
+  }
+}
+
+/**
+ * Record a paid ticket checkout from a `checkout.session.completed` webhook and issue the tickets.
+ * @param {object} session - The Stripe Checkout session
+ * @returns {Promise<object[]>} Tickets of the order, or [] when the order is unknown
+ */
+async function markOrderPaid(session) {
+  const paidFields = { status: 'paid', paidAt: new Date(), paymentIntentId: session.payment_intent };
+
+  let order = await TicketOrder.findOneAndUpdate(
+    { _id: session.metadata?.ticketOrderId, stripeSessionId: session.id, status: 'pending' },
+    { $set: paidFields },
+    { new: true }
+  );
+  if (order) {
+    return issueTickets(order);
+  }
+
+  order = await TicketOrder.findOne({ _id: session.metadata?.ticketOrderId, stripeSessionId: session.id });
+  if (!order) return [];
+
+  if (order.status === 'expired') {
+    // Paid after the reservation was released: the buyer keeps the tickets, taken from what is left
+    const claimed = await TicketOrder.findOneAndUpdate(
+      { _id: order._id, status: 'expired' },
+      { $set: paidFields },
+      { new: true }
+    );
+    if (!claimed) return Ticket.find({ order: order._id }).sort({ seq: 1 });
+    await PromotionalEvent.updateOne({ _id: order.promotionalEvent }, [
+      {
+        $set: {
+          ticketsAvailable: { $max: [0, { $subtract: ['$ticketsAvailable', order.quantity] }] },
+          ticketsSold: { $add: ['$ticketsSold', order.quantity] }
+        }
+      }
+    ]);
+    return issueTickets(claimed);
+  }
+
+  // Already paid: a retried delivery only fills in tickets a crash left out
+  return issueTickets(order, { sendEmail: false });
+}
+
+/**
+ * Release reservations whose checkout never completed and was never expired by Stripe.
+ * @returns {Promise<object>} { success, released }
+ */
+async function releaseStaleOrders() {
+  const stale = await TicketOrder.find({
+    status: 'pending',
+    createdAt: { $lt: new Date(Date.now() - STALE_ORDER_MS) }
+  }).select('_id');
+
+  let released = 0;
+  for (const { _id } of stale) {
+    if (await releaseOrder({ _id })) released++;
+  }
+  return { success: true, released };
+}
+
+/**
+ * Admit the holder of a signed ticket. Each ticket can be checked in once.
+ * @param {object} params
+ * @param {string} params.eventId - Event being checked in to
+ * @param {string} params.code - QR payload from the ticket
+ * @param {string} params.staffId - User scanning the ticket
+ * @returns {Promise<object>} { ticket } or { error: { statusCode, message, ticket? } }
+ */
+async function checkInTicket({ eventId, code, staffId }) {
+  const parsed = verifyTicketCode(code);
+  if (!parsed) {
+    return { error: { statusCode: 400, message: 'This is not a valid ticket' } };
+  }
+  if (parsed.eventId !== String(eventId)) {
+    return { error: { statusCode: 400, message: 'This ticket is for a different event' } };
+  }
+
+  const ticket = await Ticket.findOneAndUpdate(
+    { _id: parsed.ticketId, promotionalEvent: eventId, status: 'valid' },
+    { $set: { status: 'checked_in', checkedInAt: new Date(), checkedInBy: staffId } },
+    { new: true }
+  ).populate('order', 'buyerSnapshot quantity');
+  if (ticket) {
+    return { ticket };
+  }
+
+  const existing = await Ticket.findOne({ _id: parsed.ticketId, promotionalEvent: eventId })
+    .populate('order', 'buyerSnapshot quantity');
+  if (!existing) {
+    return { error: { statusCode: 404, message: 'Ticket not found' } };
+  }
+  return {
+    error: {
+      statusCode: 409,
+      message: `Ticket already checked in at ${existing.checkedInAt.toISOString()}`,
+      ticket: existing
+    }
+  };
+}
+
+module.exports = {
+  MAX_TICKETS_PER_ORDER,
+  signTicket,
+  verifyTicketCode,
+  serializeTicket,
+  purchaseTickets,
+  markOrderPaid,
+  releaseOrder,
+  releaseStaleOrders,
+  issueTickets,
+  checkInTicket
+};
@@ -0,0 +1,296 @@
+const Todo = require('../models/Todo');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const EmailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time zone for users who have not chosen one
+const DEFAULT_TIMEZONE = process.env.TODO_REMINDER_DEFAULT_TIMEZONE || 'America/New_York';
+
+// Local hour from which the daily digest is sent
+const DIGEST_HOUR = parseInt(process.env.TODO_DIGEST_HOUR, 10) || 8;
+
+// Todos ending within this many days appear in the digest's "due soon" list
+const DIGEST_LOOKAHEAD_DAYS = 7;
+
+// Reminder lead times are capped by the preference schema (0-14 days)
+const MAX_REMINDER_DAYS = 14;
+
+// Todos overdue for longer than this are left out of reminders and digests
+const OVERDUE_LOOKBACK_DAYS = 30;
+
+const DEFAULT_PREFERENCES = {
+  todoReminders: true,
+  todoDigestEmail: true,
+  reminderDaysBefore: 2,
+  quietHours: { enabled: false, start: '22:00', end: '08:00' }
+};
+
+/**
+ * A user's notification preferences with defaults filled in.
+ * @param {object} user
+ * @returns {object}
+ */
+function getPreferences(user) {
+  const preferences = user?.notificationPreferences || {};
+  return {
+    ...DEFAULT_PREFERENCES,
+    ...(preferences.toObject ? preferences.toObject() : preferences),
+    quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...(preferences.quietHours?.toObject?.() || preferences.quietHours) },
+    timezone: isValidTimezone(preferences.timezone) ? preferences.timezone : DEFAULT_TIMEZONE
+  };
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows.
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calendar date and minutes past midnight of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {{dateKey: string, minutes: number}}
+ */
+function localTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((values, part) => ({ ...values, [part.type]: part.value }), {});
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+const toMinutes = hhmm => {
+  const [hours, minutes] = String(hhmm).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether it is currently within the user's quiet hours. Windows may cross midnight (e.g. 22:00-08:00).
+ * @param {object} preferences - From getPreferences
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isQuietTime(preferences, now) {
+  const { enabled, start, end } = preferences.quietHours;
+  if (!enabled) return false;
+
+  const { minutes } = localTime(now, preferences.timezone);
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  if (from === to) return false;
+  return from < to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+}
+
+/**
+ * Which reminder a todo needs now, if any.
+ * @param {object} todo
+ * @param {object} preferences
+ * @param {Date} now
+ * @returns {'overdue'|'due_soon'|null}
+ */
+function reminderKind(todo, preferences, now) {
+  const endTime = new Date(todo.endDate).getTime();
+  if (endTime < now.getTime()) return 'overdue';
+  if (endTime <= now.getTime() + preferences.reminderDaysBefore * DAY_MS) return 'due_soon';
+  return null;
+}
+
+// Whoever is responsible for a todo: its assignee, otherwise the event owner
+const recipientOf = todo => String(todo.assignedTo || todo.user);
+
+/**
+ * Open todos of active events ending between the overdue lookback and the cutoff.
+ * @param {Date} now
+ * @param {Date} cutoff
+ * @param {object} [filter] - Extra conditions on the todos
+ * @returns {Promise<object[]>}
+ */
+async function findOpenTodos(now, cutoff, filter = {}) {
+  const todos = await Todo.find({
+    ...filter,
+    status: { $ne: 'completed' },
+    endDate: { $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_DAYS * DAY_MS), $lte: cutoff }
+  })
+    .populate('userEvent', 'title status')
+    .select('taskName endDate priority user assignedTo userEvent reminders')
+    .lean();
+
+  return todos.filter(todo => todo.userEvent && todo.userEvent.status === 'Active');
+}
+
+const loadRecipients = async ids => {
+  const users = await User.find({ _id: { $in: ids }, isActive: { $ne: false } })
+    .select('email role customerProfile.fullName notificationPreferences')
+    .lean();
+  return new Map(users.map(user => [String(user._id), user]));
+};
+
+/**
+ * Create in-app reminders for todos that are due soon or overdue.
+ * Each reminder is sent once per todo end date, so restarts and re-runs do not repeat it;
+ * reminders held back by quiet hours go out on the first run after them.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} { success, reminded, skipped }
+ */
+async function sendTodoReminders({ now = new Date() } = {}) {
+  // Skip todos whose reminder for the current end date has already been sent
+  const todos = await findOpenTodos(now, new Date(now.getTime() + MAX_REMINDER_DAYS * DAY_MS), {
+    $or: [
+      { endDate: { $lt: now }, $expr: { $ne: ['$reminders.overdueFor', '$endDate'] } },
+      { endDate: { $gte: now }, $expr: { $ne: ['$reminders.dueSoonFor', '$endDate'] } }
+    ]
+  });
+  const recipients = await loadRecipients([...new Set(todos.map(recipientOf))]);
+
+  let reminded = 0;
+  let skipped = 0;
+
+  for (const todo of todos) {
+    const recipient = recipients.get(recipientOf(todo));
+    if (!recipient) continue;
+
+    const preferences = getPreferences(recipient);
+    const kind = reminderKind(todo, preferences, now);
+    if (!kind || !preferences.todoReminders) continue;
+
+    if (isQuietTime(preferences, now)) {
+      skipped++;
+      continue;
+    }
+
+    // Claim the reminder first; only the run that flips the marker sends it
+    const field = kind === 'overdue' ? 'reminders.overdueFor' : 'reminders.dueSoonFor';
+    const claim = await Todo.updateOne(
+      { _id: todo._id, [field]: { $ne: todo.endDate } },
+      { $set: { [field]: todo.endDate } }
+    );
+    if (!claim.modifiedCount) continue;
+
+    try {
+      const dueDate = new Date(todo.endDate).toDateString();
+      await Notification.create({
+        recipient: recipient._id,
+        sender: todo.user,
+        type: 'reminder',
+        title: kind === 'overdue' ? 'Task Overdue' : 'Task Due Soon',
+        message: kind === 'overdue'
+          ? `"${todo.taskName}" for ${todo.userEvent.title} was due ${dueDate}.`.slice(0, 500)
+          : `"${todo.taskName}" for ${todo.userEvent.title} is due ${dueDate}.`.slice(0, 500),
+        data: { userEventId: todo.userEvent._id, todoId: todo._id, kind },
+        actionUrl: `/planner/${todo.userEvent._id}?tab=tasks`,
+        priority: kind === 'overdue' || todo.priority === 'high' ? 'high' : 'medium'
+      });
+      reminded++;
+    } catch (error) {
+      // Release the claim so the next run tries again
+      await Todo.updateOne({ _id: todo._id }, { $unset: { [field]: 1 } });
+    }
+  }
+
+  return { success: true, reminded, skipped };
+}
+
+/**
+ * Email each user one digest a day of their overdue todos and those due in the next week.
+ * Sent from DIGEST_HOUR local time, outside quiet hours; the day is recorded on the user
+ * before sending so restarts and concurrent runs do not send a second one.
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @returns {Promise<object>} { success, sent, skipped, failed }
+ */
+async function sendDailyDigests({ now = new Date() } = {}) {
+  const todos = await findOpenTodos(now, new Date(now.getTime() + DIGEST_LOOKAHEAD_DAYS * DAY_MS));
+
+  const byRecipient = new Map();
+  for (const todo of todos) {
+    const key = recipientOf(todo);
+    if (!byRecipient.has(key)) byRecipient.set(key, []);
+    byRecipient.get(key).push(todo);
+  }
+  const recipients = await loadRecipients([...byRecipient.keys()]);
+
+  let sent = 0;
+  let skipped = 0;
+  let failed = 0;
+
+  for (const [recipientId, recipientTodos] of byRecipient) {
+    const recipient = recipients.get(recipientId);
+    if (!recipient || !recipient.email) continue;
+
+    const preferences = getPreferences(recipient);
+    if (!preferences.todoDigestEmail) continue;
+
+    const { dateKey, minutes } = localTime(now, preferences.timezone);
+    if (minutes < DIGEST_HOUR * 60 || isQuietTime(preferences, now)) {
+      skipped++;
+      continue;
+    }
+
+    const claim = await User.updateOne(
+      { _id: recipient._id, 'notificationPreferences.lastDigestOn': { $ne: dateKey } },
+      { $set: { 'notificationPreferences.lastDigestOn': dateKey } }
+    );
+    if (!claim.modifiedCount) continue;
+
+    const toItem = todo => ({ taskName: todo.taskName, eventTitle: todo.userEvent.title, endDate: todo.endDate });
+    const byDate = (a, b) => new Date(a.endDate) - new Date(b.endDate);
+    const overdue = recipientTodos.filter(todo => new Date(todo.endDate) < now).sort(byDate).map(toItem);
+    const dueSoon = recipientTodos.filter(todo => new Date(todo.endDate) >= now).sort(byDate).map(toItem);
+
+    const delivered = await EmailService.sendTodoDigestEmail({
+      toEmail: recipient.email,
+      recipientName: recipient.customerProfile?.fullName,
+      overdue,
+      dueSoon
+    });
+
+    if (delivered) {
+      sent++;
+    } else {
+      failed++;
+      // Let a later run retry today's digest
+      await User.updateOne(
+        { _id: recipient._id, 'notificationPreferences.lastDigestOn': dateKey },
+        { $unset: { 'notificationPreferences.lastDigestOn': 1 } }
+      );
+    }
+  }
+
+  return { success: true, sent, skipped, failed };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DIGEST_HOUR,
+  getPreferences,
+  isValidTimezone,
+  localTime,
+  isQuietTime,
+  reminderKind,
+  sendTodoReminders,
+  sendDailyDigests
+};
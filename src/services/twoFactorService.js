@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Roles that must have two-factor authentication turned on
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes from one period either side to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRES_IN = '5m';
+const SETUP_EXPIRES_IN = '15m';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Mehfil';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// Key used to encrypt TOTP secrets at rest
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM).
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext in hex
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret.
+ * @param {string} stored - Output of encryptSecret
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate a new random base32 TOTP secret (160 bits).
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The TOTP code (RFC 6238, HMAC-SHA1) for a secret at a given time step.
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (Unix seconds / 30)
+ * @returns {string} Zero padded code
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Check a TOTP code against a secret.
+ * A code is only accepted once: pass the last accepted step to reject replays.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {object} [options]
+ * @param {number} [options.lastUsedStep] - Step of the last accepted code
+ * @param {number} [options.now] - Reference time in ms
+ * @returns {number|null} The matching time step, or null when the code is invalid
+ */
+function verifyCode(secret, code, { lastUsedStep = -1, now = Date.now() } = {}) {
+  const clean = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) return null;
+
+  const step = currentStep(now);
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (candidate <= lastUsedStep) continue;
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (rendered as a QR code by the frontend).
+ * @param {object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Usually the user's email
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName }) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+const hashRecoveryCode = code => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate one-time recovery codes. Only the hashes are stored.
+ * @returns {object} { codes, hashes }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Find a recovery code among the stored hashes.
+ * @param {string[]} hashes - Stored recovery code hashes
+ * @param {string} code - Code typed by the user
+ * @returns {number} Index of the matching hash, or -1
+ */
+function findRecoveryCode(hashes, code) {
+  if (!code) return -1;
+  return (hashes || []).indexOf(hashRecoveryCode(code));
+}
+
+/**
+ * Whether the account's role requires two-factor authentication.
+ * @param {object} user
+ * @returns {boolean}
+ */
+function isRequiredFor(user) {
+  return TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+}
+
+/**
+ * Short-lived token proving the password step of a login succeeded.
+ * `purpose` is 'login' (enter a code) or 'setup' (required 2FA not enrolled yet).
+ * These tokens are rejected by the regular `protect` middleware.
+ * @param {string} userId
+ * @param {string} purpose
+ * @returns {string}
+ */
+function createChallengeToken(userId, purpose = 'login') {
+  return jwt.sign({ userId, purpose: `2fa_${purpose}` }, process.env.JWT_SECRET, {
+    expiresIn: purpose === 'setup' ? SETUP_EXPIRES_IN : CHALLENGE_EXPIRES_IN
+  });
+}
+
+/**
+ * Verify a challenge token.
+ * @param {string} token
+ * @param {string} purpose - 'login' or 'setup'
+ * @returns {object|null} The decoded payload, or null when invalid or expired
+ */
+function verifyChallengeToken(token, purpose = 'login') {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === `2fa_${purpose}` ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  TWO_FACTOR_REQUIRED_ROLES,
+  encryptSecret,
+  decryptSecret,
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  findRecoveryCode,
+  isRequiredFor,
+  createChallengeToken,
+  verifyChallengeToken
+};
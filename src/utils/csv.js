@@ -0,0 +1,88 @@
+// Values starting with these characters are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for a CSV cell.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document.
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function toCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(row => row.map(escapeCell).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Parse a CSV document (RFC 4180 quoting) into objects keyed by the header row.
+ * Header names are trimmed and lower-cased; blank lines are skipped.
+ * @param {string} text
+ * @returns {object[]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [headerRow, ...dataRows] = rows.filter(values => values.some(value => value.trim() !== ''));
+  if (!headerRow) return [];
+
+  const headers = headerRow.map(header => header.trim().toLowerCase());
+  return dataRows.map(values => headers.reduce((record, header, index) => {
+    record[header] = (values[index] || '').trim();
+    return record;
+  }, {}));
+}
+
+module.exports = {
+  escapeCell,
+  toCsv,
+  parseCsv
+};
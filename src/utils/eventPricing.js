@@ -0,0 +1,92 @@
+// Lowest "starting from" price of a listing, matching the logic used by the frontend:
+// per-person packages win over flat price packages, then the legacy flatPrice field
+const MIN_PRICE_EXPRESSION = {
+  $let: {
+    vars: {
+      perPersonPackages: {
+        $filter: {
+          input: "$packages",
+          cond: {
+            $or: [
+              { $eq: ["$$this.pricingMode", "perAttendee"] },
+              { $eq: ["$$this.pricingMode", null] },
+              { $not: { $ifNull: ["$$this.pricingMode", false] } }
+            ]
+          }
+        }
+      },
+      flatPricePackages: {
+        $filter: {
+          input: "$packages",
+          cond: { $eq: ["$$this.pricingMode", "flatPrice"] }
+        }
+      },
+      hasLegacyFlatPrice: {
+        $and: [
+          { $ne: ["$flatPrice", null] },
+          { $eq: ["$flatPrice.isActive", true] },
+          { $ne: ["$flatPrice.amount", null] }
+        ]
+      }
+    },
+    in: {
+      $let: {
+        vars: {
+          hasPerPersonPackages: { $gt: [{ $size: "$$perPersonPackages" }, 0] },
+          hasFlatPricePackages: { $gt: [{ $size: "$$flatPricePackages" }, 0] }
+        },
+        in: {
+          $cond: {
+            if: {
+              $and: [
+                "$$hasPerPersonPackages",
+                { $or: ["$$hasFlatPricePackages", "$$hasLegacyFlatPrice"] }
+              ]
+            },
+            then: { $min: "$$perPersonPackages.price" },
+            else: {
+              $cond: {
+                if: {
+                  $and: [
+                    "$$hasPerPersonPackages",
+                    { $not: "$$hasFlatPricePackages" },
+                    { $not: "$$hasLegacyFlatPrice" }
+                  ]
+                },
+                then: { $min: "$$perPersonPackages.price" },
+                else: {
+                  $cond: {
+                    if: {
+                      $and: [
+                        "$$hasFlatPricePackages",
+                        { $not: "$$hasPerPersonPackages" }
+                      ]
+                    },
+                    then: { $min: "$$flatPricePackages.price" },
+                    else: {
+                      $cond: {
+                        if: {
+                          $and: [
+                            "$$hasLegacyFlatPrice",
+                            { $not: "$$hasPerPersonPackages" },
+                            { $not: "$$hasFlatPricePackages" }
+                          ]
+                        },
+                        then: "$flatPrice.amount",
+                        else: null
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  MIN_PRICE_EXPRESSION
+};
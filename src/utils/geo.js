@@ -0,0 +1,39 @@
+const zipcodes = require('zipcodes');
+
+const METERS_PER_MILE = 1609.344;
+
+/**
+ * Geocode a US zip code to a GeoJSON point using the bundled zipcodes database.
+ * Works offline; unknown or malformed zip codes return null.
+ * @param {string|number} zipCode - 5-digit zip (ZIP+4 is accepted)
+ * @returns {object|null} { type: 'Point', coordinates: [longitude, latitude] }
+ */
+function geocodeZip(zipCode) {
+  if (!zipCode) return null;
+
+  const cleanZipCode = zipCode.toString().trim().slice(0, 5);
+  if (!/^\d{5}$/.test(cleanZipCode)) return null;
+
+  const zipInfo = zipcodes.lookup(cleanZipCode);
+  if (!zipInfo || typeof zipInfo.latitude !== 'number' || typeof zipInfo.longitude !== 'number') {
+    return null;
+  }
+
+  return { type: 'Point', coordinates: [zipInfo.longitude, zipInfo.latitude] };
+}
+
+/**
+ * Whether a stored point has real coordinates (vendors default to [0, 0]).
+ * @param {object} geo - GeoJSON point
+ * @returns {boolean}
+ */
+function hasCoordinates(geo) {
+  const coordinates = geo?.coordinates;
+  return Array.isArray(coordinates) && coordinates.length === 2 && !(coordinates[0] === 0 && coordinates[1] === 0);
+}
+
+module.exports = {
+  METERS_PER_MILE,
+  geocodeZip,
+  hasCoordinates
+};
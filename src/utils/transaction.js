@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run work inside a MongoDB transaction.
+ * Standalone servers (local development) do not support transactions; there the
+ * work runs without one, so it must be safe to retry on its own.
+ * @param {Function} work - async (session) => result; session is null without a transaction
+ * @returns {Promise<*>} Whatever `work` returns
+ */
+async function withTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code === 20 || /Transaction numbers are only allowed/.test(error.message)) {
+      return work(null);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { withTransaction };
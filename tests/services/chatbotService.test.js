@@ -0,0 +1,73 @@
+const Event = require('../../src/models/Event');
+const chatbotService = require('../../src/services/chatbotService');
+
+// Provider that plays back the given completions in order
+const scriptedProvider = completions => ({
+  name: 'scripted',
+  complete: jest.fn(async () => completions.shift() || { content: 'Done.', toolCalls: [] })
+});
+
+const newThread = (messages = []) => ({
+  assistant: 'customer',
+  title: 'Caterers',
+  messages,
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('Chatbot conversations', () => {
+  const user = { _id: '64b000000000000000000001', role: 'customer' };
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'aggregate').mockResolvedValue([{ name: 'Royal Catering', startingPrice: 500 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run the tools the model asks for and store the exchange', async () => {
+    const provider = scriptedProvider([
+      { content: '', toolCalls: [{ id: 'call_1', name: 'search_listings', arguments: '{"city":"Houston"}' }] },
+      { content: 'Royal Catering starts at $500.', toolCalls: [] }
+    ]);
+    chatbotService.setProvider(provider);
+    const thread = newThread();
+
+    const reply = await chatbotService.respond({ thread, user, message: 'Caterers in Houston?' });
+
+    expect(reply).toBe('Royal Catering starts at $500.');
+    expect(thread.messages.map(message => message.role)).toEqual(['user', 'assistant', 'tool', 'assistant']);
+    expect(JSON.parse(thread.messages[2].content)).toEqual({ count: 1, results: [{ name: 'Royal Catering', startingPrice: 500 }] });
+    expect(provider.complete.mock.calls[1][0].messages).toContainEqual(expect.objectContaining({ role: 'tool', toolCallId: 'call_1' }));
+    expect(thread.save).toHaveBeenCalled();
+  });
+
+  it('should stop offering tools after the last tool round', async () => {
+    const toolCall = { content: '', toolCalls: [{ id: 'call', name: 'search_listings', arguments: '{}' }] };
+    const provider = scriptedProvider([toolCall, toolCall, toolCall, toolCall]);
+    chatbotService.setProvider(provider);
+
+    await chatbotService.respond({ thread: newThread(), user, message: 'Keep searching' });
+
+    const calls = provider.complete.mock.calls.map(([request]) => request.tools.length);
+    expect(calls).toEqual([1, 1, 1, 0]);
+  });
+
+  it('should keep only the most recent messages on a long thread', async () => {
+    chatbotService.setProvider(scriptedProvider([{ content: 'Hello again.', toolCalls: [] }]));
+    const messages = [];
+    for (let i = 0; i < 150; i++) {
+      messages.push({ role: 'user', content: `Question ${i}` }, { role: 'assistant', content: `Answer ${i}` });
+    }
+    const thread = newThread(messages);
+
+    await chatbotService.respond({ thread, user, message: 'Latest question' });
+
+    expect(thread.messages.length).toBeLessThanOrEqual(200);
+    expect(thread.messages[0].role).toBe('user');
+    expect(thread.messages.slice(-2)).toEqual([
+      { role: 'user', content: 'Latest question' },
+      { role: 'assistant', content: 'Hello again.' }
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+const Event = require('../../src/models/Event');
+const chatbotTools = require('../../src/services/chatbotTools');
+
+describe('Chatbot tools', () => {
+  const context = { user: { _id: '64b000000000000000000001', role: 'customer' } };
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'aggregate').mockResolvedValue([{ name: 'Royal Catering', startingPrice: 500 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getToolDefinitions', () => {
+    it('should only offer each assistant its own tools', () => {
+      const customerTools = chatbotTools.getToolDefinitions('customer').map(tool => tool.name);
+      const vendorTools = chatbotTools.getToolDefinitions('vendor').map(tool => tool.name);
+
+      expect(customerTools).toEqual(['search_listings']);
+      expect(vendorTools).toEqual(expect.arrayContaining(['get_my_bookings', 'get_my_reviews', 'get_my_analytics']));
+      expect(vendorTools).not.toContain('search_listings');
+    });
+  });
+
+  describe('runTool', () => {
+    it('should run the requested tool with the parsed arguments', async () => {
+      const result = await chatbotTools.runTool('customer', 'search_listings', JSON.stringify({ city: 'Houston', limit: 3 }), context);
+
+      expect(result).toEqual({ count: 1, results: [{ name: 'Royal Catering', startingPrice: 500 }] });
+      const [pipeline] = Event.aggregate.mock.calls[0];
+      expect(pipeline[0].$match['location.city']).toEqual({ $regex: '^Houston$', $options: 'i' });
+      expect(pipeline).toContainEqual({ $limit: 3 });
+    });
+
+    it('should refuse a tool that belongs to the other assistant', async () => {
+      const result = await chatbotTools.runTool('customer', 'get_my_bookings', '{}', context);
+
+      expect(result).toEqual({ error: 'Unknown tool: get_my_bookings' });
+    });
+
+    it('should refuse a tool that does not exist', async () => {
+      const result = await chatbotTools.runTool('customer', 'drop_database', '{}', context);
+
+      expect(result).toEqual({ error: 'Unknown tool: drop_database' });
+    });
+
+    it('should report arguments that are not valid JSON', async () => {
+      const result = await chatbotTools.runTool('customer', 'search_listings', '{city:', context);
+
+      expect(result).toEqual({ error: 'Tool arguments were not valid JSON' });
+      expect(Event.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('should not pass query operators through as a category', async () => {
+      const result = await chatbotTools.runTool('customer', 'search_listings', JSON.stringify({ category: { $ne: null } }), context);
+
+      expect(result).toEqual({ error: 'category must be a string' });
+      expect(Event.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('should reject a category outside the list', async () => {
+      const result = await chatbotTools.runTool('customer', 'search_listings', JSON.stringify({ category: 'Spaceships' }), context);
+
+      expect(result.error).toMatch(/^category must be one of/);
+    });
+
+    it('should reject arguments that are not an object', async () => {
+      const result = await chatbotTools.runTool('customer', 'search_listings', '["Houston"]', context);
+
+      expect(result).toEqual({ error: 'Tool arguments must be an object' });
+    });
+
+    it('should return a failure to the model instead of throwing', async () => {
+      Event.aggregate.mockRejectedValue(new Error('connection lost'));
+
+      const result = await chatbotTools.runTool('customer', 'search_listings', '{}', context);
+
+      expect(result).toEqual({ error: 'The tool failed to run' });
+    });
+  });
+
+  describe('validateArguments', () => {
+    const parameters = {
+      properties: {
+        city: { type: 'string' },
+        maxBudget: { type: 'number' },
+        limit: { type: 'integer' },
+        upcomingOnly: { type: 'boolean' }
+      }
+    };
+
+    it('should accept arguments of the declared types', () => {
+      expect(chatbotTools.validateArguments(parameters, { city: 'Dallas', maxBudget: 1200.5, limit: 4, upcomingOnly: true })).toBeNull();
+    });
+
+    it('should name the argument with the wrong type', () => {
+      expect(chatbotTools.validateArguments(parameters, { limit: 2.5 })).toBe('limit must be an integer');
+      expect(chatbotTools.validateArguments(parameters, { maxBudget: '100' })).toBe('maxBudget must be a number');
+      expect(chatbotTools.validateArguments(parameters, { upcomingOnly: 'yes' })).toBe('upcomingOnly must be a boolean');
+    });
+
+    it('should reject arguments the tool does not take', () => {
+      expect(chatbotTools.validateArguments(parameters, { vendor: 'someone' })).toBe('Unknown argument: vendor');
+    });
+  });
+});
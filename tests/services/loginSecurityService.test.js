@@ -0,0 +1,111 @@
+jest.mock('../../src/services/emailService');
+
+const User = require('../../src/models/User');
+const LoginHistory = require('../../src/models/LoginHistory');
+const EmailService = require('../../src/services/emailService');
+const loginSecurityService = require('../../src/services/loginSecurityService');
+
+const fakeRequest = (userAgent = 'Mozilla/5.0 (Macintosh)') => ({
+  ip: '203.0.113.7',
+  get: header => (header.toLowerCase() === 'user-agent' ? userAgent : undefined)
+});
+
+describe('Login security', () => {
+  const user = { _id: '64b000000000000000000001', email: 'test@example.com' };
+
+  beforeEach(() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(LoginHistory, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('recordSuccessfulLogin', () => {
+    const mockHistory = ({ knownDevice, signedInBefore }) => {
+      jest.spyOn(LoginHistory, 'exists').mockImplementation(filter => (
+        Promise.resolve(filter.deviceHash ? knownDevice : signedInBefore)
+      ));
+    };
+
+    it('should email the user when signing in from a new device', async () => {
+      mockHistory({ knownDevice: null, signedInBefore: { _id: 'earlier' } });
+
+      const { newDevice } = await loginSecurityService.recordSuccessfulLogin(user, fakeRequest());
+
+      expect(newDevice).toBe(true);
+      expect(EmailService.sendNewDeviceLoginEmail).toHaveBeenCalledWith({
+        toEmail: 'test@example.com',
+        userAgent: 'Mozilla/5.0 (Macintosh)',
+        ip: '203.0.113.7'
+      });
+      expect(LoginHistory.create).toHaveBeenCalledWith(expect.objectContaining({ success: true, newDevice: true }));
+    });
+
+    it('should not email the user for a device used before', async () => {
+      mockHistory({ knownDevice: { _id: 'same-device' }, signedInBefore: { _id: 'earlier' } });
+
+      const { newDevice } = await loginSecurityService.recordSuccessfulLogin(user, fakeRequest());
+
+      expect(newDevice).toBe(false);
+      expect(EmailService.sendNewDeviceLoginEmail).not.toHaveBeenCalled();
+    });
+
+    it('should not treat the very first sign-in as a new device', async () => {
+      mockHistory({ knownDevice: null, signedInBefore: null });
+
+      const { newDevice } = await loginSecurityService.recordSuccessfulLogin(user, fakeRequest());
+
+      expect(newDevice).toBe(false);
+      expect(EmailService.sendNewDeviceLoginEmail).not.toHaveBeenCalled();
+    });
+
+    it('should identify devices by their user agent', async () => {
+      mockHistory({ knownDevice: null, signedInBefore: { _id: 'earlier' } });
+
+      await loginSecurityService.recordSuccessfulLogin(user, fakeRequest('Agent A'));
+      await loginSecurityService.recordSuccessfulLogin(user, fakeRequest('Agent B'));
+
+      const hashes = LoginHistory.exists.mock.calls
+        .map(([filter]) => filter.deviceHash)
+        .filter(Boolean);
+      expect(hashes).toHaveLength(2);
+      expect(hashes[0]).not.toBe(hashes[1]);
+    });
+
+    it('should clear the failure counters', async () => {
+      mockHistory({ knownDevice: { _id: 'same-device' }, signedInBefore: { _id: 'earlier' } });
+
+      await loginSecurityService.recordSuccessfulLogin(user, fakeRequest());
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: user._id },
+        expect.objectContaining({
+          $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockCount': 0 }
+        })
+      );
+    });
+  });
+
+  describe('lockoutMinutes', () => {
+    it('should double each lockout up to the maximum', () => {
+      expect(loginSecurityService.lockoutMinutes(0)).toBe(15);
+      expect(loginSecurityService.lockoutMinutes(1)).toBe(30);
+      expect(loginSecurityService.lockoutMinutes(20)).toBe(24 * 60);
+    });
+  });
+
+  describe('getLockStatus', () => {
+    it('should report a lock that has not run out', () => {
+      const lockUntil = new Date(Date.now() + 60 * 1000);
+      expect(loginSecurityService.getLockStatus({ loginSecurity: { lockUntil } })).toEqual({ locked: true, lockedUntil: lockUntil });
+    });
+
+    it('should ignore a lock that has run out', () => {
+      const lockUntil = new Date(Date.now() - 60 * 1000);
+      expect(loginSecurityService.getLockStatus({ loginSecurity: { lockUntil } })).toEqual({ locked: false, lockedUntil: null });
+    });
+  });
+});
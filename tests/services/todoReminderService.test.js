@@ -0,0 +1,232 @@
+jest.mock('../../src/services/emailService');
+
+const Todo = require('../../src/models/Todo');
+const User = require('../../src/models/User');
+const Notification = require('../../src/models/Notification');
+const EmailService = require('../../src/services/emailService');
+const todoReminderService = require('../../src/services/todoReminderService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query chain ending in lean(), resolving to the given documents
+const leanQuery = documents => {
+  const query = {
+    populate: jest.fn(() => query),
+    select: jest.fn(() => query),
+    lean: jest.fn().mockResolvedValue(documents)
+  };
+  return query;
+};
+
+const preferencesFor = (overrides = {}) => todoReminderService.getPreferences({
+  notificationPreferences: { timezone: 'UTC', ...overrides }
+});
+
+describe('Todo reminders', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('getPreferences', () => {
+    it('should fill in defaults for users without preferences', () => {
+      const preferences = todoReminderService.getPreferences({});
+
+      expect(preferences).toEqual(expect.objectContaining({
+        todoReminders: true,
+        todoDigestEmail: true,
+        reminderDaysBefore: 2,
+        quietHours: { enabled: false, start: '22:00', end: '08:00' },
+        timezone: todoReminderService.DEFAULT_TIMEZONE
+      }));
+    });
+
+    it('should fall back to the default quiet hours and time zone when they are missing or invalid', () => {
+      const preferences = todoReminderService.getPreferences({
+        notificationPreferences: { quietHours: null, timezone: 'Mars/Olympus_Mons' }
+      });
+
+      expect(preferences.quietHours).toEqual({ enabled: false, start: '22:00', end: '08:00' });
+      expect(preferences.timezone).toBe(todoReminderService.DEFAULT_TIMEZONE);
+    });
+  });
+
+  describe('isQuietTime', () => {
+    const overnight = { enabled: true, start: '22:00', end: '08:00' };
+
+    it('should never be quiet when quiet hours are off', () => {
+      const preferences = preferencesFor({ quietHours: { ...overnight, enabled: false } });
+
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T23:30:00Z'))).toBe(false);
+    });
+
+    it('should handle windows that cross midnight', () => {
+      const preferences = preferencesFor({ quietHours: overnight });
+
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T23:30:00Z'))).toBe(true);
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T07:59:00Z'))).toBe(true);
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T08:00:00Z'))).toBe(false);
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T12:00:00Z'))).toBe(false);
+    });
+
+    it('should handle windows within one day', () => {
+      const preferences = preferencesFor({ quietHours: { enabled: true, start: '13:00', end: '15:00' } });
+
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T14:00:00Z'))).toBe(true);
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T16:00:00Z'))).toBe(false);
+    });
+
+    it('should use the user\'s time zone', () => {
+      const preferences = preferencesFor({ quietHours: overnight, timezone: 'Asia/Karachi' });
+
+      // 18:00 UTC is 23:00 in Karachi
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T18:00:00Z'))).toBe(true);
+      expect(todoReminderService.isQuietTime(preferences, new Date('2026-03-10T06:00:00Z'))).toBe(false);
+    });
+  });
+
+  describe('reminderKind', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const preferences = preferencesFor({ reminderDaysBefore: 2 });
+
+    it('should tell overdue, due soon and later todos apart', () => {
+      expect(todoReminderService.reminderKind({ endDate: new Date(now - DAY_MS) }, preferences, now)).toBe('overdue');
+      expect(todoReminderService.reminderKind({ endDate: new Date(now.getTime() + DAY_MS) }, preferences, now)).toBe('due_soon');
+      expect(todoReminderService.reminderKind({ endDate: new Date(now.getTime() + 5 * DAY_MS) }, preferences, now)).toBe(null);
+    });
+  });
+
+  describe('sendTodoReminders', () => {
+    const now = new Date('2026-03-10T12:00:00Z');
+    const ownerId = '64b000000000000000000001';
+    const todo = {
+      _id: '64b0000000000000000000a1',
+      taskName: 'Book the caterer',
+      endDate: new Date(now.getTime() + DAY_MS),
+      priority: 'high',
+      user: ownerId,
+      userEvent: { _id: '64b0000000000000000000e1', title: 'Walima', status: 'Active' }
+    };
+    const owner = quietHours => ({
+      _id: ownerId,
+      email: 'planner@example.com',
+      notificationPreferences: { timezone: 'UTC', quietHours }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Todo, 'find').mockReturnValue(leanQuery([todo]));
+      jest.spyOn(Todo, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Notification, 'create').mockResolvedValue({});
+    });
+
+    it('should only look at todos that still need a reminder', async () => {
+      jest.spyOn(User, 'find').mockReturnValue(leanQuery([owner()]));
+
+      await todoReminderService.sendTodoReminders({ now });
+
+      const [query] = Todo.find.mock.calls[0];
+      expect(query.endDate.$gte).toEqual(new Date(now.getTime() - 30 * DAY_MS));
+      expect(query.endDate.$lte).toEqual(new Date(now.getTime() + 14 * DAY_MS));
+      expect(query.$or).toEqual([
+        { endDate: { $lt: now }, $expr: { $ne: ['$reminders.overdueFor', '$endDate'] } },
+        { endDate: { $gte: now }, $expr: { $ne: ['$reminders.dueSoonFor', '$endDate'] } }
+      ]);
+    });
+
+    it('should claim and send a due soon reminder', async () => {
+      jest.spyOn(User, 'find').mockReturnValue(leanQuery([owner()]));
+
+      const result = await todoReminderService.sendTodoReminders({ now });
+
+      expect(result).toEqual({ success: true, reminded: 1, skipped: 0 });
+      expect(Todo.updateOne).toHaveBeenCalledWith(
+        { _id: todo._id, 'reminders.dueSoonFor': { $ne: todo.endDate } },
+        { $set: { 'reminders.dueSoonFor': todo.endDate } }
+      );
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        recipient: ownerId,
+        type: 'reminder',
+        title: 'Task Due Soon',
+        priority: 'high'
+      }));
+    });
+
+    it('should hold reminders back during quiet hours', async () => {
+      jest.spyOn(User, 'find').mockReturnValue(leanQuery([owner({ enabled: true, start: '09:00', end: '17:00' })]));
+
+      const result = await todoReminderService.sendTodoReminders({ now });
+
+      expect(result).toEqual({ success: true, reminded: 0, skipped: 1 });
+      expect(Todo.updateOne).not.toHaveBeenCalled();
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    it('should not send a reminder another run already claimed', async () => {
+      jest.spyOn(User, 'find').mockReturnValue(leanQuery([owner()]));
+      Todo.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await todoReminderService.sendTodoReminders({ now });
+
+      expect(result.reminded).toBe(0);
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when the notification cannot be created', async () => {
+      jest.spyOn(User, 'find').mockReturnValue(leanQuery([owner()]));
+      Notification.create.mockRejectedValue(new Error('write failed'));
+
+      await todoReminderService.sendTodoReminders({ now });
+
+      expect(Todo.updateOne).toHaveBeenLastCalledWith({ _id: todo._id }, { $unset: { 'reminders.dueSoonFor': 1 } });
+    });
+  });
+
+  describe('sendDailyDigests', () => {
+    const todo = {
+      _id: '64b0000000000000000000a1',
+      taskName: 'Book the caterer',
+      user: '64b000000000000000000001',
+      userEvent: { _id: '64b0000000000000000000e1', title: 'Walima', status: 'Active' }
+    };
+    const recipient = {
+      _id: '64b000000000000000000001',
+      email: 'planner@example.com',
+      notificationPreferences: { timezone: 'UTC' }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(User, 'find').mockReturnValue(leanQuery([recipient]));
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      EmailService.sendTodoDigestEmail.mockResolvedValue(true);
+    });
+
+    it('should wait for the digest hour in the user\'s time zone', async () => {
+      const now = new Date(Date.UTC(2026, 2, 10, todoReminderService.DIGEST_HOUR - 1));
+      jest.spyOn(Todo, 'find').mockReturnValue(leanQuery([{ ...todo, endDate: new Date(now.getTime() + DAY_MS) }]));
+
+      const result = await todoReminderService.sendDailyDigests({ now });
+
+      expect(result).toEqual({ success: true, sent: 0, skipped: 1, failed: 0 });
+      expect(EmailService.sendTodoDigestEmail).not.toHaveBeenCalled();
+    });
+
+    it('should send one digest with overdue and upcoming todos', async () => {
+      const now = new Date('2026-03-10T12:00:00Z');
+      jest.spyOn(Todo, 'find').mockReturnValue(leanQuery([
+        { ...todo, endDate: new Date(now.getTime() + DAY_MS) },
+        { ...todo, _id: '64b0000000000000000000a2', taskName: 'Send invitations', endDate: new Date(now.getTime() - DAY_MS) }
+      ]));
+
+      const result = await todoReminderService.sendDailyDigests({ now });
+
+      expect(result).toEqual({ success: true, sent: 1, skipped: 0, failed: 0 });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: recipient._id, 'notificationPreferences.lastDigestOn': { $ne: '2026-03-10' } },
+        { $set: { 'notificationPreferences.lastDigestOn': '2026-03-10' } }
+      );
+      const [email] = EmailService.sendTodoDigestEmail.mock.calls[0];
+      expect(email.overdue.map(item => item.taskName)).toEqual(['Send invitations']);
+      expect(email.dueSoon.map(item => item.taskName)).toEqual(['Book the caterer']);
+    });
+  });
+});